@@ -0,0 +1,70 @@
+/**
+ * Draws where the other players in the room are pointing.
+ *
+ * Each player's hovered hex gets a thin outline and their selected hex a
+ * thicker rim, both in the player's colour (highlights of the 'cursor' and
+ * 'cursorSelected' styles, see HighlightLayer). Presence comes from the
+ * server as { hover, selected, idle, connected }; idle and disconnected
+ * players' cursors are faded.
+ */
+class CursorLayer {
+  /**
+   * @param {HexGrid} hexGrid - Grid the cursors are drawn on
+   */
+  constructor(hexGrid) {
+    this.hexGrid = hexGrid;
+    this.cursors = {}; // Maps player IDs to their latest presence
+  }
+
+  /**
+   * Show a player's latest presence
+   * @param {string} playerId - Player ID
+   * @param {Object} presence - { hover, selected, idle, connected }
+   */
+  setPresence(playerId, presence) {
+    this.cursors[playerId] = presence;
+    this.refreshColors(playerId);
+  }
+
+  /**
+   * Redraw cursors after a player changed colour or went idle
+   * @param {string} [playerId] - Player to redraw (every player if omitted)
+   */
+  refreshColors(playerId = null) {
+    const playerIds = playerId ? [playerId] : Object.keys(this.cursors);
+
+    for (const id of playerIds) {
+      const presence = this.cursors[id];
+      if (!presence) continue;
+
+      const options = {
+        color: this.hexGrid.getPlayer(id).color,
+        faded: Boolean(presence.idle) || presence.connected === false
+      };
+
+      this.hexGrid.highlights.set(`cursor:${id}`, 'cursor', [presence.hover], options);
+      this.hexGrid.highlights.set(`cursor-selected:${id}`, 'cursorSelected', [presence.selected], options);
+    }
+  }
+
+  /**
+   * Remove a player's cursors (when they leave the room)
+   * @param {string} playerId - Player ID
+   */
+  removePlayer(playerId) {
+    if (!this.cursors[playerId]) return;
+
+    this.hexGrid.highlights.remove(`cursor:${playerId}`);
+    this.hexGrid.highlights.remove(`cursor-selected:${playerId}`);
+    delete this.cursors[playerId];
+  }
+
+  /**
+   * Remove every cursor
+   */
+  clear() {
+    Object.keys(this.cursors).forEach(playerId => this.removePlayer(playerId));
+  }
+}
+
+export { CursorLayer };
@@ -0,0 +1,204 @@
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+
+/**
+ * Draws a set of hex columns (a chunk of the grid) as two instanced meshes,
+ * one for the tops and one for the sides.
+ *
+ * Every hex is one instance of a shared unit column (a hexagonal prism 1 high
+ * standing on y = 0), moved onto its hex and stretched to its height. Heights
+ * and colours live in the instance matrices and colours, so changing a hex is
+ * a couple of attribute writes and a chunk costs two draw calls however many
+ * hexes it has.
+ *
+ * Far-away chunks are drawn in low detail instead: one untextured mesh whose
+ * columns take their top colour all over (one draw call, no texture lookups).
+ *
+ * The unit column geometries are shared by every chunk through the grid's
+ * ResourceRegistry.
+ */
+
+// Height used for hexes that haven't been raised (just above the ground plane)
+const FLAT_HEIGHT = 0.01;
+
+class HexColumns {
+  /**
+   * @param {HexUtils} hexUtils - Hex size and coordinate conversions
+   * @param {Array} hexes - The chunk's hexes ({ q, r }), in instance order
+   * @param {ResourceRegistry} resources - Registry the unit column geometries are shared through
+   * @param {Object} materials - { top, side, low } materials (instance colours tint them)
+   * @param {boolean} [lowDetail=false] - Draw the columns in low detail, with the low material
+   */
+  constructor(hexUtils, hexes, resources, materials, lowDetail = false) {
+    this.hexUtils = hexUtils;
+    this.resources = resources;
+    this.count = hexes.length;
+    this.lowDetail = lowDetail;
+    this.positions = hexes.map(({ q, r }) => hexUtils.getObjectPosition(q, r));
+    this.geometryKeys = []; // Keys of the shared geometries, released on dispose
+
+    if (lowDetail) {
+      this.tops = new THREE.InstancedMesh(this.getGeometry('column', () => this.createColumnGeometry()), materials.low, this.count);
+      this.sides = null;
+    } else {
+      this.tops = new THREE.InstancedMesh(this.getGeometry('column-top', () => this.createTopGeometry()), materials.top, this.count);
+      this.sides = new THREE.InstancedMesh(this.getGeometry('column-sides', () => this.createSideGeometry()), materials.side, this.count);
+      this.stretchSideTexture(materials.side);
+    }
+    this.meshes = [this.tops, this.sides].filter(Boolean);
+
+    this.matrix = new THREE.Matrix4(); // Scratch matrix for instance writes
+    this.white = new THREE.Color(0xffffff);
+
+    for (let index = 0; index < this.count; index++) {
+      this.setHeight(index, FLAT_HEIGHT);
+      this.setTopColor(index, this.white);
+      this.setSideColor(index, this.white);
+    }
+  }
+
+  // Shared unit column geometry for the current hex size
+  getGeometry(name, create) {
+    const key = `${name}:${this.hexUtils.size}`;
+
+    this.geometryKeys.push(key);
+    return this.resources.acquire(key, create);
+  }
+
+  // Flat hexagon at the top of the unit column, facing up
+  createTopGeometry() {
+    const corners = this.hexUtils.getHexCorners(0, 0);
+    const shape = new THREE.Shape();
+
+    shape.moveTo(corners[0].x, corners[0].z);
+    for (let i = 1; i < corners.length; i++) {
+      shape.lineTo(corners[i].x, corners[i].z);
+    }
+    shape.lineTo(corners[0].x, corners[0].z);
+
+    const geometry = new THREE.ShapeGeometry(shape);
+    geometry.rotateX(-Math.PI / 2);
+    geometry.translate(0, 1, 0);
+    return geometry;
+  }
+
+  // The six walls of the unit column. Texture coordinates are in world units
+  // (u around the column, v up it) so the cobbles keep their size on any hex.
+  createSideGeometry() {
+    const corners = this.hexUtils.getHexCorners(0, 0);
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const indices = [];
+
+    for (let i = 0; i < 6; i++) {
+      const a = corners[i];
+      const b = corners[(i + 1) % 6];
+      const normal = new THREE.Vector3(a.x + b.x, 0, a.z + b.z).normalize();
+      const u = i * this.hexUtils.size;
+      const base = i * 4;
+
+      positions.push(a.x, 0, a.z, b.x, 0, b.z, b.x, 1, b.z, a.x, 1, a.z);
+      for (let v = 0; v < 4; v++) normals.push(normal.x, normal.y, normal.z);
+      uvs.push(u, 0, u + this.hexUtils.size, 0, u + this.hexUtils.size, 1, u, 1);
+      indices.push(base, base + 2, base + 1, base, base + 3, base + 2);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    return geometry;
+  }
+
+  // The whole unit column in one geometry, for low detail
+  createColumnGeometry() {
+    const top = this.createTopGeometry();
+    const sides = this.createSideGeometry();
+    const column = mergeGeometries([top.index ? top.toNonIndexed() : top, sides.toNonIndexed()]);
+
+    top.dispose();
+    sides.dispose();
+    return column;
+  }
+
+  // Scale the sides' texture with each instance's height instead of stretching it
+  // (the material is shared by every chunk, so it is only patched once)
+  stretchSideTexture(material) {
+    if (material.customProgramCacheKey() === 'hex-column-side') return;
+
+    material.onBeforeCompile = (shader) => {
+      shader.vertexShader = shader.vertexShader.replace('#include <uv_vertex>', `#include <uv_vertex>
+#if defined( USE_MAP ) && defined( USE_INSTANCING )
+  vMapUv.y *= length( instanceMatrix[ 1 ].xyz );
+#endif`);
+    };
+    material.customProgramCacheKey = () => 'hex-column-side';
+    material.needsUpdate = true;
+  }
+
+  /**
+   * Add both meshes to a scene
+   * @param {THREE.Scene} scene - Scene to draw the grid in
+   */
+  addTo(scene) {
+    scene.add(...this.meshes);
+  }
+
+  /**
+   * Stretch a hex's column to a height
+   * @param {number} index - Instance index of the hex
+   * @param {number} height - Column height
+   */
+  setHeight(index, height) {
+    const position = this.positions[index];
+
+    this.matrix.makeScale(1, Math.max(height, FLAT_HEIGHT), 1);
+    this.matrix.setPosition(position.x, 0, position.z);
+
+    this.meshes.forEach(mesh => {
+      mesh.setMatrixAt(index, this.matrix);
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.boundingSphere = null; // Recomputed from the instances for culling
+    });
+  }
+
+  /**
+   * Colour the top of a hex (multiplied with the top material's texture)
+   * @param {number} index - Instance index of the hex
+   * @param {THREE.Color} color - Top colour
+   */
+  setTopColor(index, color) {
+    this.tops.setColorAt(index, color);
+    this.tops.instanceColor.needsUpdate = true;
+  }
+
+  /**
+   * Colour the sides of a hex (multiplied with the side material's texture).
+   * Low-detail columns take their top colour all over, so this does nothing for them.
+   * @param {number} index - Instance index of the hex
+   * @param {THREE.Color} color - Side colour
+   */
+  setSideColor(index, color) {
+    if (!this.sides) return;
+
+    this.sides.setColorAt(index, color);
+    this.sides.instanceColor.needsUpdate = true;
+  }
+
+  /**
+   * Remove both meshes from their scene and free their instance data (the
+   * shared geometries are released, and the materials belong to the grid)
+   */
+  dispose() {
+    this.meshes.forEach(mesh => {
+      if (mesh.parent) mesh.parent.remove(mesh);
+      mesh.dispose();
+    });
+    this.geometryKeys.forEach(key => this.resources.release(key));
+    this.geometryKeys = [];
+  }
+}
+
+export { HexColumns, FLAT_HEIGHT };
@@ -1,7 +1,54 @@
 import * as THREE from 'three';
 import { HexUtils } from './HexUtils.js';
 import { VoxelModelManager } from '../models/VoxelModelManager.js';
-import { NoiseGenerator } from '../utils/NoiseGenerator.js';
+import { TerrainGenerator, MAX_TERRAIN_HEIGHT } from '../utils/TerrainGenerator.js';
+import { BIOMES, classifyBiome } from '../utils/Biomes.js';
+import { Pathfinder, isPassable } from '../utils/Pathfinder.js';
+import { Visibility, DEFAULT_EYE_HEIGHT } from '../utils/Visibility.js';
+import { HexPicker } from '../utils/HexPicker.js';
+import { UnitLayer } from './UnitLayer.js';
+import { CursorLayer } from './CursorLayer.js';
+import { HighlightLayer } from './HighlightLayer.js';
+import { HexColumns, FLAT_HEIGHT } from './HexColumns.js';
+import { ResourceRegistry } from './ResourceRegistry.js';
+import { getChunkHexes, getChunksNear, MAX_CHUNK_REQUEST } from '../utils/Chunks.js';
+
+// Biomes that turn into beach when they border water
+const SHORE_BIOMES = ['grass', 'forest', 'desert'];
+
+// Top color of river hexes, and how far their water sits above the hex
+const RIVER_COLOR = '#3d7fc4';
+const RIVER_SURFACE_OFFSET = 0.05;
+
+// How far above the hexes the path preview is drawn
+const PATH_PREVIEW_OFFSET = 0.3;
+
+// Eye height of observers on a hex with a model (models stand above the hex)
+const MODEL_EYE_HEIGHT = 1.5;
+
+// How far above its hex a player's ownership ring is drawn
+const OWNER_MARKER_OFFSET = 0.04;
+
+// Chunks within LOAD_DISTANCE hexes of the camera target are loaded, and
+// drawn in full detail within DETAIL_DISTANCE. Chunks are unloaded (or lose
+// their detail) CHUNK_MARGIN hexes further out than that.
+const LOAD_DISTANCE = 64;
+const DETAIL_DISTANCE = 32;
+const CHUNK_MARGIN = 12;
+
+// Most chunks loaded or rebuilt per frame (the rest follow in later frames)
+const CHUNKS_PER_FRAME = 2;
+
+// Most hexes sent in one bulk update (the server's HexActionValidator refuses bigger ones)
+const MAX_BATCH_SIZE = 10000;
+
+// Terrain of chunks on a flat grid
+const FLAT_TERRAIN = Object.freeze({ heights: {}, moisture: {}, rivers: {} });
+
+// Fog of war: color of never-seen hexes, and how remembered hexes are faded
+const FOG_HIDDEN_COLOR = 0x15151f;
+const FOG_REMEMBERED_SATURATION = 0.25;
+const FOG_REMEMBERED_LIGHTNESS = 0.6;
 
 /**
  * HexGrid class handles creating and managing a hexagonal grid in Three.js
@@ -11,61 +58,88 @@ class HexGrid {
     this.scene = scene;
     this.hexUtils = new HexUtils(hexSize);
     this.radius = radius;
-    this.hexMeshes = {}; // Maps hex IDs to their meshes
+    this.shape = 'hexagon'; // Grid shape, replaced by the room's settings on join
+    this.hexes = {}; // Maps hex IDs of loaded hexes to { hexId, q, r, chunk, index, height, color, biome, ... }
+    this.chunks = {}; // Maps loaded chunk IDs to { id, hexIds, columns, lowDetail, stateLoaded } (see Chunks.js)
+    this.chunkTarget = new THREE.Vector3(); // Where the camera looks; chunks load around it
+    this.chunkCenter = null; // Hex ID the loaded chunks were last settled around
+    this.terrainRecipe = null; // Room's terrain recipe (null = flat grid)
+    this.terrainGenerator = null; // Generator for the current recipe, which generates chunks as they load
+    this.waterLevel = 0; // Room water level (0 = no water)
+    this.waterSurfaces = {}; // Maps hex IDs to the water surface over them
+    this.resources = new ResourceRegistry(); // Shared geometries, materials and textures (see ResourceRegistry.js)
     this.sphereObjects = {}; // Maps hex IDs to their sphere objects
     this.selectedHex = null;
     this.hoverHex = null;
+    this.pathfinder = new Pathfinder(this.hexUtils, hexId => this.getPathTile(hexId));
+    this.pathPreview = null; // Line from the selected model to the hovered hex
+    this.pathPreviewKey = null; // "from>to" of the path currently drawn
+    this.visibility = new Visibility(this.hexUtils, hexId =>
+      this.hexes[hexId] ? this.hexes[hexId].height : null);
+    this.visibilityObserver = null; // Hex the visibility overlay is computed from
+    this.visibilityDirty = false; // Whether the overlay needs recomputing
+    this.hiddenSurfaces = {}; // Maps hidden hex IDs to the shade drawn over them
+    this.fog = null; // { visible, explored } Sets of hex IDs in rooms with fog of war
     this.currentRoomCode = null; // We'll need to know the room code for updates
     this.socketManager = null; // Reference to socket manager for sending updates
+    this.editable = true; // Whether our role lets us change hexes (viewers can only look)
 
     // Initialize voxel model components
     this.voxelModels = {}; // Maps hex IDs to their voxel model data
     this.voxelModelManager = null; // Will be initialized if VoxelModelManager exists
+    this.units = new UnitLayer(this); // Players' units standing on the grid
+    this.highlights = new HighlightLayer(this); // Hover, selection, cursor and path highlights
+    this.cursors = new CursorLayer(this); // Other players' hovered and selected hexes
+    this.players = {}; // Maps player IDs to { id, name, color } (for ownership rings)
+    this.ownerMarkers = {}; // Maps hex IDs to the ring drawn under an owned model
 
-    // Set smaller radius for mobile devices to improve performance
-    if (this.detectMobile()) {
-      this.radius = Math.min(radius, 8); // Reduce radius on mobile for performance
-    }
-
-    this.detailedRadius = Math.min(25000, this.radius); // Detailed area radius (in hex units)
-    this.maxInteractionDistance = this.detailedRadius * this.hexUtils.size; // Max distance for hover effects
 
-
-    // Create materials
-    this.defaultMaterial = new THREE.MeshLambertMaterial({
-      color: 0x3498db,
-      transparent: true,
-      opacity: 0.7,
+    // Create sphere material
+    this.sphereMaterial = new THREE.MeshLambertMaterial({
+      color: 0xf39c12, // Orange color for the sphere
+      transparent: false,
       side: THREE.DoubleSide
     });
 
-    this.hoverMaterial = new THREE.MeshLambertMaterial({
-      color: 0x2ecc71,
+    // Translucent water drawn over submerged hexes
+    this.waterMaterial = new THREE.MeshLambertMaterial({
+      color: 0x3a8fd6,
       transparent: true,
-      opacity: 0.8,
+      opacity: 0.55,
+      depthWrite: false,
       side: THREE.DoubleSide
     });
+    this.waterGroup = new THREE.Group();
+    this.scene.add(this.waterGroup);
+
+    // Path preview, drawn over the terrain so hills don't hide it
+    this.pathLineMaterial = new THREE.LineBasicMaterial({
+      color: 0xf1c40f,
+      depthTest: false,
+      transparent: true
+    });
+
+    // Paths longer than the unit can walk in one move are drawn in red
+    this.pathTooFarLineMaterial = this.pathLineMaterial.clone();
+    this.pathTooFarLineMaterial.color.set(0xe74c3c);
 
-    this.selectedMaterial = new THREE.MeshLambertMaterial({
-      color: 0xe74c3c,
+    // Shade drawn over hexes the visibility overlay's observer can't see
+    this.hiddenMaterial = new THREE.MeshBasicMaterial({
+      color: 0x000000,
       transparent: true,
-      opacity: 0.9,
+      opacity: 0.6,
+      depthWrite: false,
       side: THREE.DoubleSide
     });
+    this.visibilityGroup = new THREE.Group();
+    this.scene.add(this.visibilityGroup);
 
-    // Create sphere material
-    this.sphereMaterial = new THREE.MeshLambertMaterial({
-      color: 0xf39c12, // Orange color for the sphere
-      transparent: false,
-      side: THREE.DoubleSide
+    // Cobblestone texture for the hex columns
+    this.cobbleTexture = this.resources.loadTexture('textures/cobble.png', texture => {
+      texture.wrapS = THREE.RepeatWrapping;
+      texture.wrapT = THREE.RepeatWrapping;
     });
 
-    // In the constructor of HexGrid class, after creating materials
-    this.textureLoader = new THREE.TextureLoader();
-    this.cobbleTexture = this.textureLoader.load('textures/cobble.png');
-    this.cobbleTexture.wrapS = THREE.RepeatWrapping;
-    this.cobbleTexture.wrapT = THREE.RepeatWrapping;
-
     // Create textured material for the sides of the hex columns
     this.cobbleMaterial = new THREE.MeshStandardMaterial({
       map: this.cobbleTexture,
@@ -78,14 +152,18 @@ class HexGrid {
       side: THREE.DoubleSide
     });
 
-    // Material for the top of the hex columns
-    this.cobbleTopMaterial = new THREE.MeshStandardMaterial({
-      map: this.cobbleTexture,
-      side: THREE.DoubleSide
-    });
+    // Far chunks are drawn untextured, dimmed so they don't glare next to the cobbles
+    this.lowDetailMaterial = new THREE.MeshLambertMaterial({ color: 0xaaaaaa });
+
+    this.columnMaterials = {
+      top: this.cobbleTopMaterial,
+      side: this.cobbleMaterial,
+      low: this.lowDetailMaterial
+    };
 
-    // Create raycaster for hex selection
+    // Create raycaster for hex selection (only its ray is used; see HexPicker)
     this.raycaster = new THREE.Raycaster();
+    this.picker = this.createPicker();
 
     // Initialize
     this.createGrid();
@@ -111,83 +189,25 @@ class HexGrid {
   }
 
   /**
- * Generate terrain using noise
- * @param {number} scale - Scale of the noise pattern (higher = more zoomed in)
- * @param {number} amplitude - Maximum height of the terrain
- * @param {number} octaves - Number of noise layers (more = more detail)
- * @param {string} roomCode - Current room code for syncing
- * @param {SocketManager} socketManager - Socket manager for syncing
- */
-  generateTerrain(scale = 0.1, amplitude = 3.0, octaves = 4, roomCode, socketManager) {
-    if (!roomCode || !socketManager) return;
+   * Regenerate terrain heights locally from the room's recipe.
+   * Every client runs the same recipe, so nobody needs to send heights.
+   * Only loaded chunks are generated now; the rest are generated as they load.
+   * @param {Object|null} recipe - Terrain recipe, or null for a flat grid
+   */
+  applyTerrain(recipe) {
+    this.terrainRecipe = recipe || null;
+    this.terrainGenerator = recipe
+      ? new TerrainGenerator(recipe, { radius: this.radius, shape: this.shape })
+      : null;
 
-    // Create noise generator with a random seed
-    const noiseGen = new NoiseGenerator(Math.random() * 1000);
+    this.invalidateOverlays();
 
-    // Generate peaks
-    const peakCount = 1 + Math.floor(Math.random() * 2);
-    const peakPoints = [];
-    const gridRadius = this.radius * 1.5;
+    for (const hexId of Object.keys(this.hexes)) {
+      const height = this.getChunkTerrain(this.hexes[hexId].chunk).heights[hexId];
 
-    for (let i = 0; i < peakCount; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const distance = (0.3 + Math.random() * 0.5) * gridRadius;
-      peakPoints.push({
-        x: Math.cos(angle) * distance,
-        y: Math.sin(angle) * distance
-      });
+      // Hexes raised by a previous recipe are flattened, keeping their color and model
+      this.setHexHeight(hexId, height !== undefined ? height : FLAT_HEIGHT);
     }
-
-    const peakHeight = 3.0 + Math.random() * 2.0;
-    const peakWidth = 3.0 + Math.random() * 2.0;
-
-    // Process all hexes in batches
-    const hexIds = Object.keys(this.hexMeshes);
-    const batchSize = 20;
-
-    const processBatch = (startIndex) => {
-      const endIndex = Math.min(startIndex + batchSize, hexIds.length);
-
-      for (let i = startIndex; i < endIndex; i++) {
-        const hexId = hexIds[i];
-        const hex = this.hexMeshes[hexId];
-        const { q, r } = hex.userData;
-
-        // Generate height using noise
-        const noiseValue = noiseGen.fractalNoise(q * scale, r * scale, octaves);
-        let height = 0.25 + noiseValue * amplitude;
-
-        // Add peak influence
-        const peakInfluence = noiseGen.createPeaks(q, r, peakPoints, peakHeight, peakWidth);
-        height += peakInfluence;
-
-        // Round to nearest 0.25
-        const roundedHeight = Math.round(height * 4) / 4;
-
-        // Create action with height change
-        const action = {
-          height: roundedHeight
-        };
-
-        // Preserve existing color if it exists
-        if (hex.userData.customColor) {
-          action.color = '#' + hex.userData.customColor.getHexString();
-        } else if (hex.material && hex.material[0] && hex.material[0].color) {
-          action.color = '#' + hex.material[0].color.getHexString();
-        }
-
-        // Send to server
-        socketManager.sendHexAction(roomCode, hexId, action);
-      }
-
-      // Process next batch if there are more hexes
-      if (endIndex < hexIds.length) {
-        setTimeout(() => processBatch(endIndex), 50);
-      }
-    };
-
-    // Start processing batches
-    processBatch(0);
   }
 
   /**
@@ -197,14 +217,14 @@ class HexGrid {
  * @param {number} intensity - Tint intensity between 0 and 1
  */
   /**
- * Apply a single color tint to all hexes
+ * Apply a single color tint to all loaded hexes
  * @param {string} roomCode - Current room code for syncing
  * @param {SocketManager} socketManager - Socket manager for syncing
  * @param {number} intensity - Tint intensity between 0 and 1
  */
   applyRandomTints(roomCode, socketManager, intensity = 0.7) {
     if (!roomCode || !socketManager) return;
-    if (!this.hexMeshes || Object.keys(this.hexMeshes).length === 0) return;
+    if (Object.keys(this.hexes).length === 0) return;
 
     // Generate ONE random color for all hexes
     const hue = Math.random();
@@ -213,65 +233,42 @@ class HexGrid {
     const tintColor = new THREE.Color();
     tintColor.setHSL(hue, saturation, lightness);
 
-    // Process all hexes in batches
-    const hexIds = Object.keys(this.hexMeshes);
-    const batchSize = 20;
-
-    const processBatch = (startIndex) => {
-      const endIndex = Math.min(startIndex + batchSize, hexIds.length);
-
-      for (let i = startIndex; i < endIndex; i++) {
-        const hexId = hexIds[i];
-        const hex = this.hexMeshes[hexId];
-
-        // Get current color
-        let currentColor;
-        if (hex.userData.customColor) {
-          currentColor = hex.userData.customColor.clone();
-        } else if (Array.isArray(hex.material) && hex.material[0] && hex.material[0].color) {
-          currentColor = hex.material[0].color.clone();
-        } else if (hex.material && hex.material.color) {
-          currentColor = hex.material.color.clone();
-        } else {
-          currentColor = new THREE.Color(0x3498db);
-        }
-
-        // Blend the colors
-        const blendedColor = new THREE.Color(
-          currentColor.r * (1 - intensity) + tintColor.r * intensity,
-          currentColor.g * (1 - intensity) + tintColor.g * intensity,
-          currentColor.b * (1 - intensity) + tintColor.b * intensity
-        );
-
-        // Apply color directly to hex
-        if (Array.isArray(hex.material)) {
-          if (hex.material[0]) {
-            hex.material[0].color.copy(blendedColor);
-          }
-        } else if (hex.material) {
-          hex.material.color.copy(blendedColor);
-        }
+    // Build the color changes into bulk updates the server accepts
+    const batches = [];
 
-        // Store the new color
-        hex.userData.customColor = blendedColor.clone();
+    Object.keys(this.hexes).forEach((hexId, index) => {
+      const currentColor = this.hexes[hexId].color;
 
-        // Create action
-        const action = {
-          color: '#' + blendedColor.getHexString(),
-          height: hex.userData.height
-        };
+      // Blend the colors
+      const blendedColor = new THREE.Color(
+        currentColor.r * (1 - intensity) + tintColor.r * intensity,
+        currentColor.g * (1 - intensity) + tintColor.g * intensity,
+        currentColor.b * (1 - intensity) + tintColor.b * intensity
+      );
 
-        // Send to server
-        socketManager.sendHexAction(roomCode, hexId, action);
+      if (index % MAX_BATCH_SIZE === 0) {
+        batches.push({});
       }
 
-      // Process next batch
-      if (endIndex < hexIds.length) {
-        setTimeout(() => processBatch(endIndex), 50);
-      }
-    };
+      // Create action (color only - flat hexes have no valid height to resend).
+      // The color is applied when the server echoes the update back.
+      batches[batches.length - 1][hexId] = {
+        color: '#' + blendedColor.getHexString()
+      };
+    });
 
-    processBatch(0);
+    batches.forEach(updates => socketManager.sendHexActions(roomCode, updates));
+  }
+
+  /**
+   * Apply state updates to many hexes in one go
+   * @param {Object} updates - Maps hex IDs to state data
+   * @param {boolean} replace - Reset each hex first instead of merging into its current state
+   */
+  updateHexStates(updates, replace = false) {
+    for (const hexId of Object.keys(updates)) {
+      this.updateHexState(hexId, updates[hexId], replace);
+    }
   }
 
   /**
@@ -298,7 +295,7 @@ class HexGrid {
 
     try {
       // Create the manager
-      this.voxelModelManager = new VoxelModelManager(scene);
+      this.voxelModelManager = new VoxelModelManager(scene, this.resources);
       console.log('Voxel model manager initialized successfully:', this.voxelModelManager);
     } catch (error) {
       console.error('Error initializing voxel model manager:', error);
@@ -312,20 +309,21 @@ class HexGrid {
  * @returns {boolean} - Whether the event was handled by this method
  */
   handleScroll(event) {
-    // Only proceed if we have a selected hex
-    if (!this.selectedHex || !this.currentRoomCode || !this.socketManager) return false;
+    // Only proceed if we have a selected hex we may change (otherwise the camera zooms)
+    if (!this.selectedHex || !this.currentRoomCode || !this.socketManager || !this.editable) return false;
 
     // Always handle the scroll event when there's a selected hex, regardless of where it happened
     // This ensures that camera zoom is disabled while a hex is selected
 
     // Get current height or default to 1
-    const currentHeight = this.selectedHex.userData.height || 1;
+    const currentHeight = this.selectedHex.height || 1;
 
     // Calculate new height based on scroll direction
     // Use smaller increments for finer control
     const direction = event.deltaY > 0 ? -1 : 1;
     const heightChange = 0.25 * direction;
-    let newHeight = Math.max(0.25, currentHeight + heightChange);
+    // Stay within the heights the server accepts, so scrolling past the top does nothing
+    let newHeight = Math.min(MAX_TERRAIN_HEIGHT, Math.max(0.25, currentHeight + heightChange));
 
     // Round to nearest 0.25 for cleaner values
     newHeight = Math.round(newHeight * 4) / 4;
@@ -340,7 +338,7 @@ class HexGrid {
       // Send to server
       this.socketManager.sendHexAction(
         this.currentRoomCode,
-        this.selectedHex.userData.hexId,
+        this.selectedHex.hexId,
         action
       );
     }
@@ -358,250 +356,397 @@ class HexGrid {
   }
 
   /**
-   * Create the hexagonal grid
+   * Rebuild the grid to match a room's settings so every client has the same hexes
+   * @param {Object} settings - Room settings ({ radius, hexSize, shape })
    */
-  createGrid() {
-    const hexes = this.hexUtils.getHexesInRadius(0, 0, this.radius);
+  applySettings(settings) {
+    if (!settings) return;
 
-    // Process each hex in the grid
-    hexes.forEach(hex => {
-      const { q, r } = hex;
-      const hexId = this.hexUtils.getHexId(q, r);
+    // Hexes pick up the new level when the terrain is applied right after
+    this.waterLevel = settings.waterLevel || 0;
 
-      // Create hexagon shape
-      const corners = this.hexUtils.getHexCorners(q, r);
-      const hexShape = new THREE.Shape();
+    const unchanged = settings.radius === this.radius &&
+      settings.hexSize === this.hexUtils.size &&
+      settings.shape === this.shape;
 
-      // Move to first corner
-      hexShape.moveTo(corners[0].x, corners[0].z);
+    if (unchanged) return;
 
-      // Draw lines to each corner
-      for (let i = 1; i < corners.length; i++) {
-        hexShape.lineTo(corners[i].x, corners[i].z);
-      }
+    this.clearGrid();
 
-      // Close the shape
-      hexShape.lineTo(corners[0].x, corners[0].z);
+    this.radius = settings.radius;
+    this.shape = settings.shape;
+    this.hexUtils = new HexUtils(settings.hexSize);
+    this.picker = this.createPicker();
 
-      // Create geometry from shape
-      const geometry = new THREE.ShapeGeometry(hexShape);
+    this.createGrid();
+  }
 
-      // Rotate to lie flat on xz plane
-      geometry.rotateX(-Math.PI / 2);
+  /**
+   * Unload every chunk (and its models) and free their GPU resources
+   */
+  clearGrid() {
+    Object.keys(this.chunks).forEach(chunkId => this.unloadChunk(chunkId));
 
-      // Create mesh with textured material
-      const material = this.cobbleTopMaterial.clone();
-      const mesh = new THREE.Mesh(geometry, material);
+    this.hexes = {};
+    this.chunkCenter = null;
+    this.terrainGenerator = null; // Made for the old grid; applyTerrain makes a new one
+    this.waterSurfaces = {};
 
-      // Position slightly above the ground plane to avoid z-fighting
-      mesh.position.y = 0.01;
+    this.clearVisibilityOverlay();
 
-      // Store hex data
-      mesh.userData = { q, r, hexId, height: 0.01 };
+    this.units.clear();
+    this.cursors.clear();
+    this.highlights.clear();
 
-      // Add to scene and store reference
-      this.scene.add(mesh);
-      this.hexMeshes[hexId] = mesh;
-    });
+    this.selectedHex = null;
+    this.hoverHex = null;
+    this.clearPathPreview();
+    this.visibilityObserver = null;
   }
 
   /**
-   * Handle mouse/touch movement for hex highlighting
-   * @param {THREE.Vector2} pointerPosition - Normalized mouse/touch position
-   * @param {THREE.Camera} camera - Current camera
-   * @param {boolean} isDragging - Whether we are currently in a drag operation
+   * Start the grid: the chunks around the camera target are loaded now and
+   * over the next frames (see updateChunks)
    */
-  // Modify handleMouseMove to only use frustum culling without distance checks
-  handleMouseMove(pointerPosition, camera, isDragging = false) {
-    // Throttle mouse handling (from optimization #1)
-    const now = Date.now();
-    if (!this._lastMouseHandleTime || now - this._lastMouseHandleTime > 30) {
-      this._lastMouseHandleTime = now;
-    } else {
-      // Skip this frame's mouse handling if we just handled recently
-      return this.hoverHex ? {
-        hexId: this.hoverHex.userData.hexId,
-        q: this.hoverHex.userData.q,
-        r: this.hoverHex.userData.r
-      } : null;
+  createGrid() {
+    this.chunkCenter = null;
+    this.updateChunks(this.chunkTarget);
+  }
+
+  /**
+   * Load the chunks near the point the camera looks at and unload those far
+   * from it, a few per frame. Near chunks are drawn in full detail, far ones
+   * in low detail. Called every frame with the OrbitControls target; nothing
+   * is done until the target moves to another hex.
+   * @param {THREE.Vector3} target - Camera target
+   */
+  updateChunks(target) {
+    this.chunkTarget.copy(target);
+
+    const { q, r } = this.hexUtils.pixelToAxial(target.x, target.z);
+    const centerId = this.hexUtils.getHexId(q, r);
+    if (centerId === this.chunkCenter) return;
+
+    // Chunks are kept a little past the load distance, so panning back and forth doesn't reload them
+    const nearby = getChunksNear(q, r, LOAD_DISTANCE + CHUNK_MARGIN);
+    const kept = new Set(nearby.map(chunk => chunk.id));
+
+    for (const chunkId of Object.keys(this.chunks)) {
+      if (!kept.has(chunkId)) this.unloadChunk(chunkId);
     }
 
-    // Skip hover effects completely for mobile devices and during dragging
-    if (this.detectMobile() || isDragging) {
-      // Clear any existing hover state
-      if (this.hoverHex && this.hoverHex !== this.selectedHex) {
-        if (Array.isArray(this.hoverHex.material)) {
-          // For multi-material meshes, restore texture to top face
-          this.hoverHex.material[0] = this.cobbleTopMaterial.clone();
+    const loaded = [];
+    let budget = CHUNKS_PER_FRAME;
+    let done = true;
+
+    for (const { id, distance } of nearby) {
+      const chunk = this.chunks[id];
+
+      // Chunks switch detail with the same margin, so they don't flicker on the boundary
+      if (chunk) {
+        const lowDetail = chunk.lowDetail ? distance > DETAIL_DISTANCE : distance > DETAIL_DISTANCE + CHUNK_MARGIN;
+        if (lowDetail === chunk.lowDetail || chunk.hexIds.length === 0) continue;
+
+        if (budget > 0) {
+          this.buildChunkColumns(chunk, lowDetail);
+          budget--;
+        } else {
+          done = false;
+        }
+      } else if (distance <= LOAD_DISTANCE) {
+        if (budget > 0) {
+          const { hexIds } = this.loadChunk(id, distance > DETAIL_DISTANCE);
+
+          // Chunks outside the grid are empty and cost nothing
+          if (hexIds.length > 0) {
+            loaded.push(id);
+            budget--;
+          }
         } else {
-          // Single material fallback
-          this.hoverHex.material = this.cobbleTopMaterial.clone();
+          done = false;
         }
-        this.hoverHex = null;
       }
-      return null;
     }
 
-    this.raycaster.setFromCamera(pointerPosition, camera);
+    // Carry on next frame until every chunk in range is loaded
+    if (done) this.chunkCenter = centerId;
+    this.requestChunkStates(loaded);
+  }
 
-    // Create a filtered list of hexes for raycasting - only use frustum culling
-    const objectsToTest = [];
-    for (const hexId in this.hexMeshes) {
-      const hex = this.hexMeshes[hexId];
+  /**
+   * Get the generated terrain of a chunk
+   * @param {string} chunkId - Chunk ID
+   * @returns {Object} { heights, moisture, rivers }, each mapping hex IDs to
+   *   values (empty on a flat grid)
+   */
+  getChunkTerrain(chunkId) {
+    return this.terrainGenerator ? this.terrainGenerator.getChunk(chunkId) : FLAT_TERRAIN;
+  }
 
-      // Only include hexes that are in the camera frustum
-      if (this._isInCameraFrustum(hex, camera)) {
-        objectsToTest.push(hex);
-      }
+  /**
+   * Load a chunk: create its hexes at their terrain height and draw them.
+   * Their hex state is requested separately (see requestChunkStates).
+   * @param {string} chunkId - Chunk ID
+   * @param {boolean} lowDetail - Whether to draw it in low detail
+   * @returns {Object} The chunk ({ id, hexIds, columns, lowDetail, stateLoaded })
+   */
+  loadChunk(chunkId, lowDetail) {
+    const chunk = { id: chunkId, hexIds: [], columns: null, lowDetail, stateLoaded: false };
+    this.chunks[chunkId] = chunk;
+
+    const terrain = this.getChunkTerrain(chunkId);
+
+    getChunkHexes(chunkId, this.shape, this.radius).forEach(({ q, r }, index) => {
+      const hexId = this.hexUtils.getHexId(q, r);
+      const height = terrain.heights[hexId];
+
+      this.hexes[hexId] = this.createHexRecord(hexId, q, r, chunkId, index);
+      this.hexes[hexId].height = height !== undefined ? height : FLAT_HEIGHT;
+      chunk.hexIds.push(hexId);
+    });
+
+    if (chunk.hexIds.length > 0) {
+      this.buildChunkColumns(chunk, lowDetail);
+      this.invalidateOverlays();
     }
 
-    // Find intersections with the filtered objects
-    const intersects = this.raycaster.intersectObjects(objectsToTest);
+    return chunk;
+  }
 
-    // Rest of the function remains the same as your original code
-    // Clear previous hover (but not if it's the selected hex)
-    if (this.hoverHex && this.hoverHex !== this.selectedHex) {
-      if (Array.isArray(this.hoverHex.material)) {
-        // For multi-material meshes, restore texture to top face
-        this.hoverHex.material[0] = this.cobbleTopMaterial.clone();
+  /**
+   * (Re)build the columns drawing a chunk, in full or low detail, and paint its hexes
+   * @param {Object} chunk - Loaded chunk
+   * @param {boolean} lowDetail - Whether to draw it in low detail
+   */
+  buildChunkColumns(chunk, lowDetail) {
+    if (chunk.columns) chunk.columns.dispose();
 
-        // If this hex has a custom color, apply it
-        if (this.hoverHex.userData.customColor) {
-          this.hoverHex.material[0].color.set(this.hoverHex.userData.customColor);
-        }
-      } else {
-        // Single material fallback
-        this.hoverHex.material = this.cobbleTopMaterial.clone();
+    const hexes = chunk.hexIds.map(hexId => this.hexes[hexId]);
+    chunk.lowDetail = lowDetail;
+    chunk.columns = new HexColumns(this.hexUtils, hexes, this.resources, this.columnMaterials, lowDetail);
+    chunk.columns.addTo(this.scene);
 
-        // If this hex has a custom color, apply it
-        if (this.hoverHex.userData.customColor) {
-          this.hoverHex.material.color.set(this.hoverHex.userData.customColor);
-        }
+    hexes.forEach(hex => this.setHexHeight(hex.hexId, hex.height));
+  }
+
+  /**
+   * Unload a chunk: remove its hexes, their models and water, and free its columns
+   * @param {string} chunkId - Chunk ID
+   */
+  unloadChunk(chunkId) {
+    const chunk = this.chunks[chunkId];
+    if (!chunk) return;
+
+    for (const hexId of chunk.hexIds) {
+      const hex = this.hexes[hexId];
+
+      this.removeVoxelModel(hexId);
+
+      if (this.waterSurfaces[hexId]) {
+        this.waterGroup.remove(this.waterSurfaces[hexId]);
+        this.resources.releaseObject(this.waterSurfaces[hexId]);
+        delete this.waterSurfaces[hexId];
       }
+
+      if (this.selectedHex === hex) this.setSelectedHex(null);
+      if (this.hoverHex === hex) this.setHoverHex(null);
+      delete this.hexes[hexId];
     }
 
-    // Set new hover - but only on desktop
-    if (intersects.length > 0) {
-      const hex = intersects[0].object;
+    if (chunk.columns) chunk.columns.dispose();
+    delete this.chunks[chunkId];
+    this.invalidateOverlays();
+  }
 
-      if (hex !== this.selectedHex) {
-        if (Array.isArray(hex.material)) {
-          // For multi-material meshes, apply hover color to top face
-          // Save current color first if needed
-          if (!hex.userData.customColor && hex.material[0].color) {
-            hex.userData.customColor = hex.material[0].color.clone();
-          }
+  /**
+   * Ask the server for the hex state of loaded chunks
+   * @param {Array} chunkIds - Chunk IDs
+   */
+  requestChunkStates(chunkIds) {
+    if (!this.currentRoomCode || !this.socketManager) return;
 
-          // Apply hover color
-          hex.material[0].color.copy(this.hoverMaterial.color);
-        } else {
-          // Save current color first if needed
-          if (!hex.userData.customColor && hex.material.color) {
-            hex.userData.customColor = hex.material.color.clone();
-          }
+    const ids = chunkIds.filter(chunkId => this.chunks[chunkId] && this.chunks[chunkId].hexIds.length > 0);
 
-          // Apply hover material
-          hex.material = this.hoverMaterial.clone();
+    for (let i = 0; i < ids.length; i += MAX_CHUNK_REQUEST) {
+      this.socketManager.requestChunks(this.currentRoomCode, ids.slice(i, i + MAX_CHUNK_REQUEST));
+    }
+  }
+
+  /**
+   * Ask again for the hex state of loaded chunks: all of them (after entering
+   * a room), or only those still waiting for it (after a reconnect)
+   * @param {boolean} [onlyMissing=false] - Skip chunks whose state has arrived
+   */
+  refreshChunkStates(onlyMissing = false) {
+    const chunkIds = Object.keys(this.chunks).filter(chunkId => !onlyMissing || !this.chunks[chunkId].stateLoaded);
+    this.requestChunkStates(chunkIds);
+  }
+
+  /**
+   * Apply the hex state of chunks sent by the server. It is the chunks' whole
+   * state, so hexes we changed that it leaves out are reset (except hexes
+   * hidden by fog of war, which keep what we last saw of them).
+   * @param {Object} chunks - Maps chunk IDs to { hexId: state }
+   */
+  applyChunkStates(chunks) {
+    for (const chunkId of Object.keys(chunks)) {
+      const chunk = this.chunks[chunkId];
+      if (!chunk) continue; // Unloaded while the state was on its way
+
+      const states = chunks[chunkId];
+      chunk.stateLoaded = true;
+
+      for (const hexId of chunk.hexIds) {
+        if (states[hexId]) {
+          this.updateHexState(hexId, states[hexId], true);
+        } else if (this.hexes[hexId].edited && this.getFogState(hexId) === 'visible') {
+          this.resetHex(hexId);
         }
-        this.hoverHex = hex;
       }
-
-      return hex;
     }
+  }
 
-    this.hoverHex = null;
-    return null;
+  /**
+   * Create the record of a flat, uncolored hex
+   * @param {string} hexId - Hex ID
+   * @param {number} q - q coordinate (axial)
+   * @param {number} r - r coordinate (axial)
+   * @param {string} chunkId - Chunk the hex belongs to
+   * @param {number} index - Instance index of the hex's column in its chunk
+   * @returns {Object} Hex record
+   */
+  createHexRecord(hexId, q, r, chunkId, index) {
+    return {
+      hexId,
+      q,
+      r,
+      chunk: chunkId,
+      index,
+      height: FLAT_HEIGHT,
+      color: new THREE.Color(0xffffff), // Top color before hover/selection highlights
+      stateColor: null, // Explicit color from hex state (wins over biome colors)
+      biome: null,
+      biomeOverride: null,
+      river: false,
+      riverOverride: undefined,
+      shoreline: false,
+      owner: null,
+      edited: false // Whether hex state has changed the hex since it was loaded or reset
+    };
   }
 
-  // Add this helper method to HexGrid if not already added
-  _isInCameraFrustum(object, camera) {
-    // Simple bounding sphere test
-    const pos = object.position;
-    const viewPos = new THREE.Vector3(pos.x, pos.y, pos.z);
-    viewPos.project(camera);
+  /**
+   * Get the columns drawing a hex (those of its chunk)
+   * @param {Object} hex - Hex record
+   * @returns {HexColumns} Columns of the hex's chunk
+   */
+  getColumns(hex) {
+    return this.chunks[hex.chunk].columns;
+  }
 
-    // If coordinates are all between -1.2 and 1.2, it's possibly visible
-    // Using 1.2 instead of 1.0 to avoid objects popping at screen edges
-    return (viewPos.x > -1.2 && viewPos.x < 1.2 &&
-      viewPos.y > -1.2 && viewPos.y < 1.2);
+  /**
+   * Reset a hex to its default state: uncolored, without a model, at its terrain height
+   * @param {string} hexId - Hex ID
+   */
+  resetHex(hexId) {
+    const hex = this.hexes[hexId];
+    if (!hex) return;
+
+    this.removeVoxelModel(hexId);
+    Object.assign(hex, this.createHexRecord(hexId, hex.q, hex.r, hex.chunk, hex.index));
+
+    // Terrain heights are the baseline every hex resets to
+    const height = this.getChunkTerrain(hex.chunk).heights[hexId];
+    this.setHexHeight(hexId, height !== undefined ? height : FLAT_HEIGHT);
   }
 
   /**
- * Handle mouse click or touch tap for hex selection
- * @param {THREE.Vector2} pointerPosition - Normalized mouse/touch position
- * @param {THREE.Camera} camera - Current camera
- * @returns {Object|null} Selected hex data or null if no hex was clicked
- */
-  handleClick(pointerPosition, camera) {
+   * Find the hex under the pointer
+   * @param {THREE.Vector2} pointerPosition - Normalized mouse/touch position
+   * @param {THREE.Camera} camera - Current camera
+   * @returns {Object|null} Hex record, or null if the pointer isn't over a loaded hex
+   */
+  pickHex(pointerPosition, camera) {
     this.raycaster.setFromCamera(pointerPosition, camera);
 
-    // Add some tolerance for touch input
-    if (this.detectMobile()) {
-      this.raycaster.params.Line.threshold = 0.1;
-      this.raycaster.params.Points.threshold = 0.1;
+    const hit = this.picker.pick(this.raycaster.ray.origin, this.raycaster.ray.direction);
+    return hit ? this.hexes[hit.hexId] : null;
+  }
+
+  // Picker for the loaded columns (it works in world units, so it is
+  // replaced whenever the hex size changes)
+  createPicker() {
+    return new HexPicker(this.hexUtils, hexId =>
+      this.hexes[hexId] ? this.hexes[hexId].height : null, MAX_TERRAIN_HEIGHT);
+  }
+
+  /**
+   * Handle mouse/touch movement for hex highlighting
+   * @param {THREE.Vector2} pointerPosition - Normalized mouse/touch position
+   * @param {THREE.Camera} camera - Current camera
+   * @param {boolean} isDragging - Whether we are currently in a drag operation
+   * @returns {Object|null} Hovered hex record
+   */
+  handleMouseMove(pointerPosition, camera, isDragging = false) {
+    // Throttle mouse handling
+    const now = Date.now();
+    if (this._lastMouseHandleTime && now - this._lastMouseHandleTime <= 30) {
+      return this.hoverHex;
     }
+    this._lastMouseHandleTime = now;
 
-    // Find intersections
-    const intersects = this.raycaster.intersectObjects(Object.values(this.hexMeshes));
+    // Skip hover effects completely for mobile devices and during dragging
+    const hex = this.detectMobile() || isDragging ? null : this.pickHex(pointerPosition, camera);
 
-    // Clear previous selection visual (but maintain selected hex)
-    if (this.selectedHex) {
-      if (Array.isArray(this.selectedHex.material)) {
-        // For multi-material meshes, restore texture to top face
-        this.selectedHex.material[0] = this.cobbleTopMaterial.clone();
+    if (hex !== this.hoverHex) this.setHoverHex(hex);
 
-        // If this hex has a custom color, apply it
-        if (this.selectedHex.userData.customColor) {
-          this.selectedHex.material[0].color.set(this.selectedHex.userData.customColor);
-        }
-      } else {
-        // Single material fallback
-        this.selectedHex.material = this.cobbleTopMaterial.clone();
+    return hex;
+  }
 
-        // If this hex has a custom color, apply it
-        if (this.selectedHex.userData.customColor) {
-          this.selectedHex.material.color.set(this.selectedHex.userData.customColor);
-        }
-      }
-    }
+  /**
+ * Handle mouse click or touch tap for hex selection
+ * @param {THREE.Vector2} pointerPosition - Normalized mouse/touch position
+ * @param {THREE.Camera} camera - Current camera
+ * @returns {Object|null} Selected hex data or null if no hex was clicked
+ */
+  handleClick(pointerPosition, camera) {
+    // Clicking elsewhere clears the selection
+    const hex = this.pickHex(pointerPosition, camera);
+    this.setSelectedHex(hex);
+    if (!hex) return null;
 
-    // If we clicked on a hex, select it
-    if (intersects.length > 0) {
-      const hex = intersects[0].object;
+    return {
+      hexId: hex.hexId,
+      q: hex.q,
+      r: hex.r,
+      height: hex.height
+    };
+  }
 
-      // Apply selection material
-      if (Array.isArray(hex.material)) {
-        // For multi-material meshes, set selection color on top face
-        // Save current color first if needed
-        if (!hex.userData.customColor && hex.material[0].color) {
-          hex.userData.customColor = hex.material[0].color.clone();
-        }
+  /**
+   * Change the hovered hex and move its highlight
+   * @param {Object|null} hex - Hex record, or null for none
+   */
+  setHoverHex(hex) {
+    this.hoverHex = hex;
+    this.highlights.set('hover', 'hover', [hex ? hex.hexId : null]);
+  }
 
-        // Apply selection color
-        hex.material[0].color.copy(this.selectedMaterial.color);
-      } else {
-        // Save current color first if needed
-        if (!hex.userData.customColor && hex.material.color) {
-          hex.userData.customColor = hex.material.color.clone();
-        }
+  /**
+   * Change the selected hex and move its highlight
+   * @param {Object|null} hex - Hex record, or null for none
+   */
+  setSelectedHex(hex) {
+    this.selectedHex = hex;
+    this.highlights.set('selection', 'selected', [hex ? hex.hexId : null]);
+  }
 
-        // Apply selection material
-        hex.material = this.selectedMaterial.clone();
-      }
-      this.selectedHex = hex;
-
-      // Return the hex data with preserved height
-      return {
-        hexId: hex.userData.hexId,
-        q: hex.userData.q,
-        r: hex.userData.r,
-        height: hex.userData.height || 0.01 // Preserve height information
-      };
-    } else {
-      // If we clicked elsewhere, clear selection
-      this.selectedHex = null;
-      return null;
-    }
+  /**
+   * Draw a hex's top in its color (highlights are drawn over it, see HighlightLayer)
+   * @param {Object} hex - Hex record
+   */
+  paintHex(hex) {
+    this.getColumns(hex).setTopColor(hex.index, hex.color);
   }
 
   /**
@@ -625,34 +770,51 @@ class HexGrid {
    * Update a hex's appearance based on its state
    * @param {string} hexId - Hex ID
    * @param {Object} state - New state data
+   * @param {boolean} replace - Reset the hex first instead of merging into its current state
    */
-  updateHexState(hexId, state) {
-    const hex = this.hexMeshes[hexId];
+  updateHexState(hexId, state, replace = false) {
+    if (replace) {
+      this.resetHex(hexId);
+    }
+
+    const hex = this.hexes[hexId];
     if (!hex) return;
 
-    // Keep track of selection state
-    const wasSelected = hex === this.selectedHex;
-    const wasHover = hex === this.hoverHex;
+    // Heights and obstacles may have changed under the overlays
+    this.invalidateOverlays();
+    hex.edited = true;
 
-    // Apply color change if specified
+    // Explicit colors win over biome colors
     if (state.color) {
-      const newColor = new THREE.Color(state.color);
-      hex.userData.customColor = newColor.clone();
-
-      // Apply color to materials
-      if (Array.isArray(hex.material)) {
-        hex.material[0].color.copy(newColor);
-      } else {
-        hex.material.color.copy(newColor);
-      }
+      hex.stateColor = state.color;
     }
 
-    if (state.height !== undefined) {
-      hex.userData.height = state.height;
-      this.extrudeHex(hex, state.height);
+    // The server flags hexes next to water
+    if (state.shoreline !== undefined) {
+      hex.shoreline = state.shoreline;
+    }
+
+    // Rivers can be drawn or removed by hand on top of the generated ones
+    if (state.river !== undefined) {
+      hex.riverOverride = state.river;
+    }
+
+    // A biome set in hex state overrides the one derived from the terrain
+    if (state.biome) {
+      hex.biomeOverride = state.biome;
+    }
 
-      // Update the model position immediately after updating the hex
-      this.updateVoxelModel(hexId);
+    // Placed models carry the ID of the player who placed them
+    if (state.owner !== undefined) {
+      hex.owner = state.owner;
+    }
+
+    // A new height repaints the hex and moves its water and model along
+    if (state.height !== undefined) {
+      this.setHexHeight(hexId, state.height);
+    } else {
+      this.applyBiome(hexId);
+      this.updateWaterSurface(hexId);
     }
 
     // Handle voxel model data if present
@@ -665,7 +827,7 @@ class HexGrid {
         hoverRange: state.voxelModel.hoverRange || 0.2,
         hoverSpeed: state.voxelModel.hoverSpeed || 1.0,
         rotateSpeed: state.voxelModel.rotateSpeed || 0.5,
-        hexHeight: hex.userData.height || 0
+        hexHeight: hex.height
       };
 
       if (this.voxelModelManager) {
@@ -676,111 +838,390 @@ class HexGrid {
         this.spawnVoxelModelOnHex(hexId, modelOptions);
       }
     }
+
+    this.updateOwnerMarker(hexId);
   }
 
   /**
-   * Extrude a hex to create a 3D column
-   * @param {THREE.Mesh} hexMesh - The hex mesh to extrude
-   * @param {number} height - The height to extrude to
+   * Raise or lower a hex's column. Only its instance is rewritten; the hex is
+   * then repainted, since its height decides its biome and whether it is under water.
+   * @param {string} hexId - Hex ID
+   * @param {number} height - New column height
    */
-  extrudeHex(hexMesh, height) {
-    const { q, r } = hexMesh.userData;
-    const hexId = hexMesh.userData.hexId;
+  setHexHeight(hexId, height) {
+    const hex = this.hexes[hexId];
+    if (!hex) return;
 
-    // Store selection state and material
-    const wasSelected = hexMesh === this.selectedHex;
-    const wasHover = hexMesh === this.hoverHex;
+    hex.height = height;
+    this.getColumns(hex).setHeight(hex.index, height);
 
-    // Get current color - check various places the color might be stored
-    let currentColor;
+    this.updateVoxelModelPosition(hexId);
+    this.applyBiome(hexId);
+    this.updateWaterSurface(hexId);
+    this.updateOwnerMarker(hexId);
+  }
 
-    // First check userData for stored custom color
-    if (hexMesh.userData.customColor) {
-      currentColor = hexMesh.userData.customColor.clone();
-    }
-    // Then check the top material if it's a multi-material mesh
-    else if (Array.isArray(hexMesh.material) && hexMesh.material[0] && hexMesh.material[0].color) {
-      currentColor = hexMesh.material[0].color.clone();
+  /**
+   * Change the water level and update every hex it covers or uncovers
+   * @param {number} waterLevel - New water level (0 = no water)
+   */
+  setWaterLevel(waterLevel) {
+    this.waterLevel = waterLevel || 0;
+    this.invalidateOverlays();
+
+    for (const hexId of Object.keys(this.hexes)) {
+      this.applyBiome(hexId);
+      this.updateWaterSurface(hexId);
     }
-    // Finally check if it's a single material
-    else if (hexMesh.material && hexMesh.material.color) {
-      currentColor = hexMesh.material.color.clone();
+  }
+
+  /**
+   * Show the water surface over a hex if it is below the water level or part
+   * of a river, hide it otherwise
+   * @param {string} hexId - Hex ID
+   */
+  updateWaterSurface(hexId) {
+    const hex = this.hexes[hexId];
+    const submerged = Boolean(hex) && this.waterLevel > 0 && hex.height < this.waterLevel;
+    const river = !submerged && this.isRiver(hexId);
+    let surface = this.waterSurfaces[hexId];
+
+    if (!submerged && !river) {
+      if (surface) {
+        this.waterGroup.remove(surface);
+        this.resources.releaseObject(surface);
+        delete this.waterSurfaces[hexId];
+      }
+      return;
     }
-    // Default fallback
-    else {
-      currentColor = new THREE.Color(0x3498db);
+
+    if (!surface) {
+      const { q, r } = hex;
+      surface = this.createSurfaceMesh(this.waterMaterial);
+      surface.position.copy(this.hexUtils.getObjectPosition(q, r));
+      surface.userData = { hexId };
+      this.waterGroup.add(surface);
+      this.waterSurfaces[hexId] = surface;
     }
 
-    // Remove old mesh
-    this.scene.remove(hexMesh);
+    surface.position.y = submerged ? this.waterLevel : hex.height + RIVER_SURFACE_OFFSET;
+  }
+
+  /**
+   * Create a flat hexagon (centred on the origin) for water surfaces and overlays.
+   * Its geometry is shared; release it with resources.releaseObject when removing it.
+   * @param {THREE.Material} material - Surface material
+   * @returns {THREE.Mesh} Hexagon mesh
+   */
+  createSurfaceMesh(material) {
+    const mesh = new THREE.Mesh(undefined, material);
+
+    this.resources.use(mesh, 'geometry', `surface:${this.hexUtils.size}`, () => {
+      const corners = this.hexUtils.getHexCorners(0, 0);
+      const shape = new THREE.Shape();
 
-    // Create corners
-    const corners = this.hexUtils.getHexCorners(q, r);
+      shape.moveTo(corners[0].x, corners[0].z);
+      for (let i = 1; i < corners.length; i++) {
+        shape.lineTo(corners[i].x, corners[i].z);
+      }
+      shape.lineTo(corners[0].x, corners[0].z);
 
-    // Create extruded geometry
-    const shape = new THREE.Shape();
-    shape.moveTo(corners[0].x, corners[0].z);
-    for (let i = 1; i < corners.length; i++) {
-      shape.lineTo(corners[i].x, corners[i].z);
+      const geometry = new THREE.ShapeGeometry(shape);
+      geometry.rotateX(-Math.PI / 2);
+      return geometry;
+    });
+
+    return mesh;
+  }
+
+  /**
+   * Gently animate the water surface
+   * @param {number} time - Elapsed time in seconds
+   */
+  updateWater(time) {
+    if (this.waterGroup.children.length === 0) return;
+
+    this.waterGroup.position.y = Math.sin(time * 1.2) * 0.04;
+    this.waterMaterial.opacity = 0.55 + Math.sin(time * 0.8) * 0.05;
+  }
+
+  /**
+   * Classify a hex into a biome and paint it: top color (unless the hex state
+   * has its own color), side tint and decoration model
+   * @param {string} hexId - Hex ID
+   */
+  applyBiome(hexId) {
+    const hex = this.hexes[hexId];
+    if (!hex) return;
+
+    const moisture = this.getChunkTerrain(hex.chunk).moisture[hexId];
+    let biome = hex.biomeOverride ||
+      (moisture !== undefined ? classifyBiome(hex.height, moisture, this.waterLevel) : null);
+
+    // Low-lying land on the shoreline becomes beach
+    if (!hex.biomeOverride && hex.shoreline && SHORE_BIOMES.includes(biome)) {
+      biome = 'sand';
     }
-    shape.lineTo(corners[0].x, corners[0].z);
 
-    // Extrusion settings
-    const extrudeSettings = {
-      steps: 1,
-      depth: height,
-      bevelEnabled: false
-    };
+    const biomeData = biome ? BIOMES[biome] : null;
+    const river = this.isRiver(hexId);
 
-    // Create extruded geometry
-    const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
+    hex.biome = biome;
+    hex.river = river;
 
-    // Rotate to correct orientation (extrude along Y axis)
-    geometry.rotateX(-Math.PI / 2);
+    // Without a biome or a color of its own, a hex keeps the plain cobble look
+    const baseColor = river ? RIVER_COLOR : (biomeData ? biomeData.topColor : 0xffffff);
+    const fogState = this.getFogState(hexId);
+    const topColor = this.applyFogTint(new THREE.Color(hex.stateColor || baseColor), fogState);
+    const sideColor = this.applyFogTint(new THREE.Color(biomeData ? biomeData.sideColor : 0xffffff), fogState);
+    hex.color = topColor;
 
-    // Create materials array for different faces
-    const sideMaterial = this.cobbleMaterial.clone();
+    this.getColumns(hex).setSideColor(hex.index, sideColor);
+    this.paintHex(hex);
 
-    // Create top material with preserved color
-    const topMaterial = this.cobbleTopMaterial.clone();
-    topMaterial.color.copy(currentColor);
+    // Nothing grows in a river, nothing is shown on hexes we've never seen,
+    // and far (low-detail) chunks go without decorations
+    const decorated = !river && fogState !== 'hidden' && !this.chunks[hex.chunk].lowDetail;
+    this.updateDecoration(hexId, decorated ? biomeData : null);
+  }
 
-    // Create materials array - index 0 is top face, index 1 is sides
-    const materials = [topMaterial, sideMaterial];
+  /**
+   * Apply what the server says we can see (null turns fog of war off).
+   * Hexes we've never seen become dark silhouettes, hexes we've seen before
+   * but can't see now are faded and keep their last known state.
+   * @param {Object|null} fog - { visible: [hexIds], explored: [hexIds] }
+   */
+  setFog(fog) {
+    this.fog = fog ? { visible: new Set(fog.visible), explored: new Set(fog.explored) } : null;
 
-    // Create mesh with material array
-    const newMesh = new THREE.Mesh(geometry, materials);
+    for (const hexId of Object.keys(this.hexes)) {
+      this.applyBiome(hexId);
+    }
+  }
 
-    // Copy user data, including height AND store color
-    newMesh.userData = {
-      q,
-      r,
-      hexId,
-      height,
-      customColor: currentColor.clone() // Important: Store the color in userData
-    };
+  /**
+   * Get how much of a hex fog of war lets us see
+   * @param {string} hexId - Hex ID
+   * @returns {string} 'visible', 'remembered' (seen before) or 'hidden' (never seen)
+   */
+  getFogState(hexId) {
+    if (!this.fog || this.fog.visible.has(hexId)) return 'visible';
+    return this.fog.explored.has(hexId) ? 'remembered' : 'hidden';
+  }
+
+  /**
+   * Darken or fade a color for a hex's fog state
+   * @param {THREE.Color} color - Color to adjust (changed in place)
+   * @param {string} fogState - 'visible', 'remembered' or 'hidden'
+   * @returns {THREE.Color} The adjusted color
+   */
+  applyFogTint(color, fogState) {
+    if (fogState === 'hidden') {
+      return color.set(FOG_HIDDEN_COLOR);
+    }
+
+    if (fogState === 'remembered') {
+      const hsl = {};
+      color.getHSL(hsl);
+      color.setHSL(hsl.h, hsl.s * FOG_REMEMBERED_SATURATION, hsl.l * FOG_REMEMBERED_LIGHTNESS);
+    }
+
+    return color;
+  }
 
-    // Add to scene
-    this.scene.add(newMesh);
+  /**
+   * Check whether a hex is part of a river (generated, or drawn in hex state)
+   * @param {string} hexId - Hex ID
+   * @returns {boolean} True for river hexes
+   */
+  isRiver(hexId) {
+    const hex = this.hexes[hexId];
+    if (!hex) return false;
+
+    if (hex.riverOverride !== undefined) return hex.riverOverride;
+    return Boolean(this.getChunkTerrain(hex.chunk).rivers[hexId]);
+  }
+
+  /**
+   * Place or remove a biome's decoration model on a hex. Decorations are
+   * derived from the terrain, so they never replace a model from hex state.
+   * @param {string} hexId - Hex ID
+   * @param {Object|null} biomeData - Biome definition from BIOMES
+   */
+  updateDecoration(hexId, biomeData) {
+    if (!this.voxelModelManager) return;
 
-    // Store reference to replace the old one
-    this.hexMeshes[hexId] = newMesh;
+    const current = this.voxelModels[hexId];
+    if (current && !current.decoration) return;
 
-    // Restore selection state if needed
-    if (wasSelected) {
-      this.selectedHex = newMesh;
+    const hex = this.hexes[hexId];
+    const { q, r } = hex;
+    let decoration = null;
+
+    if (biomeData && biomeData.decoration && this.terrainGenerator &&
+      this.voxelModelManager.availableModels.includes(biomeData.decoration) &&
+      this.terrainGenerator.getDetailRoll(q, r) < biomeData.decorationChance) {
+      decoration = biomeData.decoration;
     }
 
-    if (wasHover) {
-      this.hoverHex = newMesh;
+    if (current && current.decoration === decoration) return;
+
+    if (!decoration) {
+      this.removeVoxelModel(hexId);
+      return;
     }
 
-    this.updateVoxelModelPosition(hexId);
+    this.spawnVoxelModelOnHex(hexId, {
+      modelType: decoration,
+      scale: 0.8,
+      animate: false,
+      heightOffset: 0.4
+    });
 
-    // Ensure models update with the new hex height
     if (this.voxelModels[hexId]) {
-      this.updateVoxelModelPosition(hexId);
+      this.voxelModels[hexId].decoration = decoration;
+    }
+  }
+
+  /**
+   * Describe a hex for the pathfinder: its height, and whether units can enter
+   * it (by the same rules as the server, see isPassable). Biome decorations
+   * don't block; models placed on the hex do.
+   * @param {string} hexId - Hex ID
+   * @returns {Object|null} { height, passable }, or null if the hex isn't on the grid
+   */
+  getPathTile(hexId) {
+    const hex = this.hexes[hexId];
+    if (!hex) return null;
+
+    const { height } = hex;
+    const model = this.voxelModels[hexId];
+
+    return {
+      height,
+      passable: isPassable({
+        height,
+        waterLevel: this.waterLevel,
+        voxelModel: Boolean(model && !model.decoration),
+        occupied: Boolean(this.units.getUnitAt(hexId))
+      })
+    };
+  }
+
+  /**
+   * Draw the path from the selected hex's unit to the hovered hex, with a dot
+   * on each hex it crosses (a 'path' highlight), in red if the unit can't get
+   * that far in one move.
+   * Called every frame; the path is only recomputed when either end changes
+   * or the grid changes under it.
+   */
+  updatePathPreview() {
+    const fromId = this.selectedHex ? this.selectedHex.hexId : null;
+    const toId = this.hoverHex ? this.hoverHex.hexId : null;
+
+    // Only units move; models placed on hexes stay where they are
+    const unit = fromId ? this.units.getUnitAt(fromId) : null;
+    if (!unit || !toId || toId === fromId) {
+      this.clearPathPreview();
+      return;
+    }
+
+    const key = `${fromId}>${toId}`;
+    if (key === this.pathPreviewKey) return;
+
+    this.clearPathPreview();
+    this.pathPreviewKey = key;
+
+    const result = this.pathfinder.findPath(fromId, toId);
+    if (!result) return;
+
+    const points = result.path.map(hexId => {
+      const { q, r, height } = this.hexes[hexId];
+      return this.hexUtils.getObjectPosition(q, r, height + PATH_PREVIEW_OFFSET);
+    });
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+
+    const inReach = result.cost <= unit.stats.move;
+
+    this.pathPreview = new THREE.Group();
+    this.pathPreview.add(new THREE.Line(geometry, inReach ? this.pathLineMaterial : this.pathTooFarLineMaterial));
+    this.pathPreview.userData = { path: result.path, cost: result.cost };
+    this.scene.add(this.pathPreview);
+    this.highlights.set('path', inReach ? 'path' : 'pathTooFar', result.path);
+  }
+
+  /**
+   * Mark the path preview and visibility overlay as stale after the grid
+   * changed (heights, models, terrain or water)
+   */
+  invalidateOverlays() {
+    this.clearPathPreview();
+    this.visibilityDirty = this.visibilityObserver !== null;
+  }
+
+  /**
+   * Turn the visibility overlay on for a hex (or off with null).
+   * Hexes the observer can't see are shaded.
+   * @param {string|null} hexId - Observer's hex
+   */
+  setVisibilityObserver(hexId) {
+    this.visibilityObserver = hexId;
+    this.visibilityDirty = true;
+    this.updateVisibilityOverlay();
+  }
+
+  /**
+   * Recompute the visibility overlay if the grid changed since it was drawn.
+   * Called every frame so a burst of hex updates only recomputes it once.
+   */
+  updateVisibilityOverlay() {
+    if (!this.visibilityDirty) return;
+    this.visibilityDirty = false;
+
+    this.clearVisibilityOverlay();
+
+    const observerId = this.visibilityObserver;
+    if (!observerId || !this.hexes[observerId]) return;
+
+    const visible = this.visibility.getVisible(observerId, {
+      eyeHeight: this.voxelModels[observerId] || this.units.getUnitAt(observerId) ? MODEL_EYE_HEIGHT : DEFAULT_EYE_HEIGHT,
+      range: this.radius * 2 // The whole grid
+    });
+
+    for (const hexId of Object.keys(this.hexes)) {
+      if (visible.has(hexId)) continue;
+
+      const { q, r, height } = this.hexes[hexId];
+      const shade = this.createSurfaceMesh(this.hiddenMaterial);
+      shade.position.copy(this.hexUtils.getObjectPosition(q, r, height + 0.02));
+      shade.userData = { hexId };
+      this.visibilityGroup.add(shade);
+      this.hiddenSurfaces[hexId] = shade;
+    }
+  }
+
+  /**
+   * Remove the shading of the visibility overlay (the observer is kept)
+   */
+  clearVisibilityOverlay() {
+    for (const hexId of Object.keys(this.hiddenSurfaces)) {
+      this.visibilityGroup.remove(this.hiddenSurfaces[hexId]);
+      this.resources.releaseObject(this.hiddenSurfaces[hexId]);
     }
+    this.hiddenSurfaces = {};
+  }
+
+  /**
+   * Remove the path preview from the scene
+   */
+  clearPathPreview() {
+    this.pathPreviewKey = null;
+    this.highlights.remove('path');
+    if (!this.pathPreview) return;
+
+    this.scene.remove(this.pathPreview);
+    this.pathPreview.children[0].geometry.dispose();
+    this.pathPreview = null;
   }
 
   /**
@@ -795,14 +1236,14 @@ class HexGrid {
       return null;
     }
 
-    const hex = this.hexMeshes[hexId];
+    const hex = this.hexes[hexId];
     if (!hex) return null;
 
     // Remove any existing model first
     this.removeVoxelModel(hexId);
 
     // Ensure hex height is a number
-    const hexHeight = typeof hex.userData.height === 'number' ? hex.userData.height : 0;
+    const hexHeight = typeof hex.height === 'number' ? hex.height : 0;
 
     // Use a consistent height offset
     const heightOffset = options.heightOffset || 1.0;
@@ -834,8 +1275,8 @@ class HexGrid {
 
     // Calculate base position (without the offset)
     const position = this.hexUtils.getObjectPosition(
-      hex.userData.q,
-      hex.userData.r,
+      hex.q,
+      hex.r,
       hexHeight // Don't add offset here
     );
 
@@ -866,19 +1307,19 @@ class HexGrid {
     // Skip if we don't have this model
     if (!this.voxelModels[hexId]) return;
 
-    const hex = this.hexMeshes[hexId];
+    const hex = this.hexes[hexId];
     if (!hex) return;
 
     // Get the stored height offset
     const heightOffset = this.voxelModels[hexId].heightOffset || 0.5;
 
     // Ensure the hex height is a number and not undefined
-    const hexHeight = typeof hex.userData.height === 'number' ? hex.userData.height : 0;
+    const hexHeight = typeof hex.height === 'number' ? hex.height : 0;
 
     // Calculate new position - use the hex utils to get the correct world position
     const position = this.hexUtils.getObjectPosition(
-      hex.userData.q,
-      hex.userData.r,
+      hex.q,
+      hex.r,
       hexHeight // Don't add offset here, we'll handle that in updateModelHeight
     );
 
@@ -903,6 +1344,121 @@ class HexGrid {
     if (this.voxelModels[hexId]) {
       delete this.voxelModels[hexId];
     }
+
+    this.updateOwnerMarker(hexId);
+  }
+
+  /**
+   * Use a directory of players for ownership colours (shared with the app,
+   * so call refreshOwnerMarkers after it changes)
+   * @param {Object} players - Maps player IDs to { id, name, color }
+   */
+  setPlayers(players) {
+    this.players = players;
+    this.refreshOwnerMarkers();
+  }
+
+  /**
+   * Get a player's details
+   * @param {string} playerId - Player ID
+   * @returns {Object} { id, name, color }, with placeholders for players we haven't heard of
+   */
+  getPlayer(playerId) {
+    return this.players[playerId] || {
+      id: playerId,
+      name: `Player-${String(playerId).substring(0, 5)}`,
+      color: '#cccccc'
+    };
+  }
+
+  /**
+   * Find who owns what stands on a hex: its unit, or else its model
+   * @param {string} hexId - Hex ID
+   * @returns {string|null} Owner's player ID, or null if nothing owned stands there
+   */
+  getOwnerAt(hexId) {
+    const unit = this.units.getUnitAt(hexId);
+    if (unit) return unit.owner;
+
+    const hex = this.hexes[hexId];
+    return hex && this.voxelModels[hexId] && hex.owner ? hex.owner : null;
+  }
+
+  /**
+   * Create a ring in a player's colour (the caller positions and adds it, and
+   * releases it with resources.releaseObject when removing it)
+   * @param {string} playerId - Player ID
+   * @returns {THREE.Mesh} Ring mesh
+   */
+  createOwnerMarker(playerId) {
+    const marker = new THREE.Mesh();
+    marker.userData = { owner: playerId };
+
+    // The ring's 6 segments line up with the hex's corners
+    const { size } = this.hexUtils;
+    this.resources.use(marker, 'geometry', `owner-ring:${size}`, () =>
+      new THREE.RingGeometry(size * 0.72, size * 0.88, 6).rotateX(-Math.PI / 2));
+    this.setOwnerMaterial(marker, playerId);
+
+    return marker;
+  }
+
+  /**
+   * Colour a ring with a player's ring material (shared by every ring in their colour)
+   * @param {THREE.Mesh} marker - Ring mesh
+   * @param {string} playerId - Player ID
+   */
+  setOwnerMaterial(marker, playerId) {
+    const { color } = this.getPlayer(playerId);
+
+    this.resources.use(marker, 'material', `owner-ring:${color}`, () => new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.85,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    }));
+  }
+
+  /**
+   * Draw, move or remove the ring under a hex's model to match its owner and height
+   * @param {string} hexId - Hex ID
+   */
+  updateOwnerMarker(hexId) {
+    const hex = this.hexes[hexId];
+    const owner = hex && this.voxelModels[hexId] ? hex.owner : null;
+    let marker = this.ownerMarkers[hexId];
+
+    if (!owner) {
+      if (marker) {
+        this.scene.remove(marker);
+        this.resources.releaseObject(marker);
+        delete this.ownerMarkers[hexId];
+      }
+      return;
+    }
+
+    if (!marker) {
+      marker = this.createOwnerMarker(owner);
+      this.scene.add(marker);
+      this.ownerMarkers[hexId] = marker;
+    }
+
+    const { q, r, height } = hex;
+    marker.position.copy(this.hexUtils.getObjectPosition(q, r, height + OWNER_MARKER_OFFSET));
+    this.setOwnerMaterial(marker, owner);
+    marker.userData.owner = owner;
+  }
+
+  /**
+   * Recolour every ownership ring (after a player changed colour)
+   */
+  refreshOwnerMarkers() {
+    Object.values(this.ownerMarkers).forEach(marker => {
+      this.setOwnerMaterial(marker, marker.userData.owner);
+    });
+    this.units.refreshMarkers();
+    this.cursors.refreshColors();
   }
 
   /**
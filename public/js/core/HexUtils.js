@@ -1,7 +1,24 @@
 /**
  * Utility functions for hexagonal grid calculations
  * Using axial coordinate system (q,r)
+ *
+ * Cube coordinates add a third axis s = -q - r, which makes distances,
+ * rotations and reflections symmetric. Only the pixel conversions need
+ * THREE, so everything else also runs on the server and in Node tests.
  */
+
+// Offsets to the six neighbours of a hex, in order around the hex
+const AXIAL_DIRECTIONS = [
+  { q: 1, r: 0 }, { q: 1, r: -1 }, { q: 0, r: -1 },
+  { q: -1, r: 0 }, { q: -1, r: 1 }, { q: 0, r: 1 }
+];
+
+// Offsets to the six hexes diagonally across a neighbour's corner (distance 2)
+const DIAGONAL_DIRECTIONS = [
+  { q: 2, r: -1 }, { q: 1, r: -2 }, { q: -1, r: -1 },
+  { q: -2, r: 1 }, { q: -1, r: 2 }, { q: 1, r: 1 }
+];
+
 class HexUtils {
   constructor(size = 1) {
     this.size = size;
@@ -88,7 +105,7 @@ class HexUtils {
       rr = -rq - rs;
     }
 
-    return { q: rq, r: rr };
+    return this.cubeToAxial({ q: rq, r: rr, s: -rq - rr });
   }
 
   /**
@@ -113,6 +130,264 @@ class HexUtils {
     return results;
   }
 
+  /**
+   * Get all hexagons of a grid with the given shape, centered on the origin
+   * @param {string} shape - 'hexagon', 'parallelogram' or 'rectangle'
+   * @param {number} radius - Radius (in hex units)
+   * @returns {Array} Array of {q, r} objects
+   */
+  getHexesInShape(shape, radius) {
+    if (shape === 'hexagon') {
+      return this.getHexesInRadius(0, 0, radius);
+    }
+
+    const results = [];
+
+    for (let q = -radius; q <= radius; q++) {
+      for (let row = -radius; row <= radius; row++) {
+        // Rectangles shift every other column so rows line up on screen
+        const r = shape === 'rectangle' ? row - Math.floor(q / 2) : row;
+        results.push({ q, r });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Check whether a hex belongs to a grid with the given shape
+   * @param {number} q - q coordinate (axial)
+   * @param {number} r - r coordinate (axial)
+   * @param {string} shape - 'hexagon', 'parallelogram' or 'rectangle'
+   * @param {number} radius - Radius (in hex units)
+   * @returns {boolean} True if the hex is part of the grid
+   */
+  isInShape(q, r, shape, radius) {
+    switch (shape) {
+      case 'parallelogram':
+        return Math.abs(q) <= radius && Math.abs(r) <= radius;
+      case 'rectangle':
+        return Math.abs(q) <= radius && Math.abs(r + Math.floor(q / 2)) <= radius;
+      default:
+        return Math.max(Math.abs(q), Math.abs(r), Math.abs(q + r)) <= radius;
+    }
+  }
+
+  /**
+   * Convert axial coordinates to cube coordinates
+   * @param {number} q - q coordinate (axial)
+   * @param {number} r - r coordinate (axial)
+   * @returns {Object} Cube coordinates {q, r, s}
+   */
+  axialToCube(q, r) {
+    return { q, r, s: -q - r };
+  }
+
+  /**
+   * Convert cube coordinates to axial coordinates
+   * @param {Object} cube - Cube coordinates {q, r, s}
+   * @returns {Object} Axial coordinates {q, r}
+   */
+  cubeToAxial(cube) {
+    // `|| 0` turns -0 (from negating a zero) into 0 so results compare cleanly
+    return { q: cube.q || 0, r: cube.r || 0 };
+  }
+
+  /**
+   * Get the neighbour of a hex in one of the six directions
+   * @param {number} q - q coordinate (axial)
+   * @param {number} r - r coordinate (axial)
+   * @param {number} direction - Direction index (0-5, see AXIAL_DIRECTIONS)
+   * @returns {Object} Axial coordinates {q, r}
+   */
+  neighbor(q, r, direction) {
+    const dir = AXIAL_DIRECTIONS[((direction % 6) + 6) % 6];
+    return { q: q + dir.q, r: r + dir.r };
+  }
+
+  /**
+   * Get the six hexes sharing an edge with a hex
+   * @param {number} q - q coordinate (axial)
+   * @param {number} r - r coordinate (axial)
+   * @returns {Array} Array of {q, r} objects
+   */
+  neighbors(q, r) {
+    return AXIAL_DIRECTIONS.map(dir => ({ q: q + dir.q, r: r + dir.r }));
+  }
+
+  /**
+   * Get the six hexes diagonally across the corners of a hex
+   * @param {number} q - q coordinate (axial)
+   * @param {number} r - r coordinate (axial)
+   * @returns {Array} Array of {q, r} objects
+   */
+  diagonals(q, r) {
+    return DIAGONAL_DIRECTIONS.map(dir => ({ q: q + dir.q, r: r + dir.r }));
+  }
+
+  /**
+   * Get the number of steps between two hexes
+   * @param {Object} a - Axial coordinates {q, r}
+   * @param {Object} b - Axial coordinates {q, r}
+   * @returns {number} Distance in hexes
+   */
+  distance(a, b) {
+    const dq = a.q - b.q;
+    const dr = a.r - b.r;
+    return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+  }
+
+  /**
+   * Get the hexes exactly `radius` steps from a center, walking around the ring
+   * @param {number} centerQ - Center q coordinate
+   * @param {number} centerR - Center r coordinate
+   * @param {number} radius - Ring radius (0 returns just the center)
+   * @returns {Array} Array of {q, r} objects
+   */
+  ring(centerQ, centerR, radius) {
+    if (radius <= 0) return [{ q: centerQ, r: centerR }];
+
+    const results = [];
+
+    // Start `radius` steps out in direction 4, then walk each side of the ring
+    let q = centerQ + AXIAL_DIRECTIONS[4].q * radius;
+    let r = centerR + AXIAL_DIRECTIONS[4].r * radius;
+
+    for (let side = 0; side < 6; side++) {
+      for (let step = 0; step < radius; step++) {
+        results.push({ q, r });
+        q += AXIAL_DIRECTIONS[side].q;
+        r += AXIAL_DIRECTIONS[side].r;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get every hex within a radius, ordered from the center outwards ring by ring
+   * @param {number} centerQ - Center q coordinate
+   * @param {number} centerR - Center r coordinate
+   * @param {number} radius - Radius (in hex units)
+   * @returns {Array} Array of {q, r} objects
+   */
+  spiral(centerQ, centerR, radius) {
+    const results = [{ q: centerQ, r: centerR }];
+
+    for (let k = 1; k <= radius; k++) {
+      results.push(...this.ring(centerQ, centerR, k));
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the hexes on a straight line between two hexes (both ends included)
+   * @param {Object} a - Start, axial coordinates {q, r}
+   * @param {Object} b - End, axial coordinates {q, r}
+   * @returns {Array} Array of {q, r} objects
+   */
+  lineDraw(a, b) {
+    const steps = this.distance(a, b);
+    if (steps === 0) return [{ q: a.q, r: a.r }];
+
+    // Nudge the start slightly so points exactly on an edge always round the same way
+    const startQ = a.q + 1e-6;
+    const startR = a.r + 1e-6;
+    const endQ = b.q + 1e-6;
+    const endR = b.r + 1e-6;
+    const results = [];
+
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      results.push(this.roundAxial(
+        startQ + (endQ - startQ) * t,
+        startR + (endR - startR) * t
+      ));
+    }
+
+    return results;
+  }
+
+  /**
+   * Rotate a hex around a center in steps of 60 degrees
+   * @param {Object} hex - Axial coordinates {q, r}
+   * @param {Object} center - Axial coordinates {q, r} to rotate around
+   * @param {number} steps - Number of 60 degree turns (positive = clockwise)
+   * @returns {Object} Rotated axial coordinates {q, r}
+   */
+  rotate(hex, center, steps = 1) {
+    let { q, r, s } = this.axialToCube(hex.q - center.q, hex.r - center.r);
+    const turns = ((steps % 6) + 6) % 6;
+
+    for (let i = 0; i < turns; i++) {
+      [q, r, s] = [-r, -s, -q];
+    }
+
+    return this.cubeToAxial({ q: q + center.q, r: r + center.r, s });
+  }
+
+  /**
+   * Mirror a hex across an axis running through a center
+   * @param {Object} hex - Axial coordinates {q, r}
+   * @param {Object} center - Axial coordinates {q, r} the axis runs through
+   * @param {string} axis - 'q', 'r' or 's': the cube coordinate left unchanged
+   * @returns {Object} Reflected axial coordinates {q, r}
+   */
+  reflect(hex, center, axis = 'q') {
+    const { q, r, s } = this.axialToCube(hex.q - center.q, hex.r - center.r);
+    let reflected;
+
+    switch (axis) {
+      case 'r':
+        reflected = { q: s, r };
+        break;
+      case 's':
+        reflected = { q: r, r: q };
+        break;
+      default:
+        reflected = { q, r: s };
+    }
+
+    return this.cubeToAxial({ q: reflected.q + center.q, r: reflected.r + center.r });
+  }
+
+  /**
+   * Get the hexes that are within range of every one of several centers
+   * @param {Array} ranges - Array of { q, r, radius } objects
+   * @returns {Array} Array of {q, r} objects (empty if the ranges don't overlap)
+   */
+  intersectRanges(ranges) {
+    if (ranges.length === 0) return [];
+
+    let qMin = -Infinity, qMax = Infinity;
+    let rMin = -Infinity, rMax = Infinity;
+    let sMin = -Infinity, sMax = Infinity;
+
+    for (const { q, r, radius } of ranges) {
+      const s = -q - r;
+      qMin = Math.max(qMin, q - radius);
+      qMax = Math.min(qMax, q + radius);
+      rMin = Math.max(rMin, r - radius);
+      rMax = Math.min(rMax, r + radius);
+      sMin = Math.max(sMin, s - radius);
+      sMax = Math.min(sMax, s + radius);
+    }
+
+    const results = [];
+
+    for (let q = qMin; q <= qMax; q++) {
+      const r1 = Math.max(rMin, -q - sMax);
+      const r2 = Math.min(rMax, -q - sMin);
+
+      for (let r = r1; r <= r2; r++) {
+        results.push({ q, r });
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Get a unique ID for a hex based on its coordinates
    * @param {number} q - q coordinate
@@ -134,4 +409,4 @@ class HexUtils {
   }
 }
 
-export { HexUtils };
\ No newline at end of file
+export { HexUtils, AXIAL_DIRECTIONS, DIAGONAL_DIRECTIONS };
\ No newline at end of file
@@ -0,0 +1,185 @@
+import * as THREE from 'three';
+
+/**
+ * Draws highlights over hexes: fills, outlines, rims and dots laid on top of
+ * the columns. Highlights never touch the hexes' own colours, so hex updates
+ * arriving from the server can't undo them (or get undone by them).
+ *
+ * A highlight is a named set of hexes drawn in one style from
+ * HIGHLIGHT_STYLES: the hovered hex, the selected hexes, other players'
+ * cursors and the hexes of a path preview. Setting a highlight again
+ * replaces its hexes, so callers only say what should be highlighted now.
+ * Highlights follow their hexes' heights, and are hidden while a hex's
+ * chunk isn't loaded.
+ */
+
+// How far above the hexes highlights are drawn (above ownership rings)
+const HIGHLIGHT_OFFSET = 0.06;
+
+// Opacity of faded highlights (e.g. the cursors of idle players)
+const FADED_OPACITY = 0.35;
+
+// How each kind of highlight is drawn. Shapes are 'fill' (the whole top),
+// 'outline' (a line around the edge), 'rim' (a band along the edge) and
+// 'dot' (a small hexagon in the middle). Styles without a color take theirs
+// from the highlight (e.g. a player's colour); overTerrain ones show through
+// hills in front of them. Path dots are raised to sit on the path line.
+const HIGHLIGHT_STYLES = {
+  hover: { shape: 'fill', color: 0x2ecc71, opacity: 0.45 },
+  selected: { shape: 'rim', color: 0xe74c3c, opacity: 1 },
+  cursor: { shape: 'outline', opacity: 1 },
+  cursorSelected: { shape: 'rim', opacity: 1 },
+  path: { shape: 'dot', color: 0xf1c40f, opacity: 1, offset: 0.3, overTerrain: true },
+  pathTooFar: { shape: 'dot', color: 0xe74c3c, opacity: 1, offset: 0.3, overTerrain: true }
+};
+
+class HighlightLayer {
+  /**
+   * @param {HexGrid} hexGrid - Grid the highlights are drawn on
+   */
+  constructor(hexGrid) {
+    this.hexGrid = hexGrid;
+    this.highlights = {}; // Maps highlight names to { kind, options, meshes } (meshes maps hex IDs to meshes)
+  }
+
+  /**
+   * Highlight a set of hexes, replacing whatever the highlight covered before
+   * @param {string} name - Highlight name, e.g. 'hover' or 'cursor:<playerId>'
+   * @param {string} kind - Style from HIGHLIGHT_STYLES
+   * @param {Array} hexIds - Hex IDs to highlight (empty, or only nulls, to remove the highlight)
+   * @param {Object} [options] - { color, faded }: colour for styles without one, and whether to fade it
+   */
+  set(name, kind, hexIds, options = {}) {
+    const wanted = new Set(hexIds.filter(Boolean));
+    let highlight = this.highlights[name];
+
+    if (highlight && highlight.kind !== kind) {
+      this.remove(name);
+      highlight = null;
+    }
+
+    if (wanted.size === 0) {
+      this.remove(name);
+      return;
+    }
+
+    if (!highlight) {
+      highlight = { kind, options, meshes: {} };
+      this.highlights[name] = highlight;
+    }
+    highlight.options = options;
+
+    for (const hexId of Object.keys(highlight.meshes)) {
+      if (wanted.has(hexId)) continue;
+
+      this.removeMesh(highlight.meshes[hexId]);
+      delete highlight.meshes[hexId];
+    }
+
+    for (const hexId of wanted) {
+      if (!highlight.meshes[hexId]) {
+        highlight.meshes[hexId] = this.createMesh(HIGHLIGHT_STYLES[kind], hexId);
+      }
+      this.setMaterial(highlight.meshes[hexId], kind, options);
+      this.placeMesh(highlight.meshes[hexId], kind);
+    }
+  }
+
+  /**
+   * Remove a highlight
+   * @param {string} name - Highlight name
+   */
+  remove(name) {
+    const highlight = this.highlights[name];
+    if (!highlight) return;
+
+    Object.values(highlight.meshes).forEach(mesh => this.removeMesh(mesh));
+    delete this.highlights[name];
+  }
+
+  /**
+   * Remove every highlight (the hex size may change before the next ones are drawn)
+   */
+  clear() {
+    Object.keys(this.highlights).forEach(name => this.remove(name));
+  }
+
+  /**
+   * Keep highlights on top of their hexes as heights change and chunks load.
+   * Called every frame.
+   */
+  update() {
+    for (const { kind, meshes } of Object.values(this.highlights)) {
+      Object.values(meshes).forEach(mesh => this.placeMesh(mesh, kind));
+    }
+  }
+
+  // Create the mesh for one highlighted hex (its geometry is shared for the current hex size)
+  createMesh(style, hexId) {
+    const { hexUtils, resources } = this.hexGrid;
+    const { size } = hexUtils;
+    let mesh;
+
+    if (style.shape === 'fill') {
+      mesh = this.hexGrid.createSurfaceMesh();
+    } else if (style.shape === 'outline') {
+      mesh = new THREE.LineLoop();
+      resources.use(mesh, 'geometry', `highlight-outline:${size}`, () =>
+        new THREE.BufferGeometry().setFromPoints(hexUtils.getHexCorners(0, 0)));
+    } else {
+      // Rims and dots are 6-sided, lined up with the hex's corners
+      const geometryKey = `highlight-${style.shape}:${size}`;
+      const createGeometry = style.shape === 'rim'
+        ? () => new THREE.RingGeometry(size * 0.88, size, 6)
+        : () => new THREE.CircleGeometry(size * 0.2, 6);
+
+      mesh = new THREE.Mesh();
+      resources.use(mesh, 'geometry', geometryKey, () => createGeometry().rotateX(-Math.PI / 2));
+    }
+
+    mesh.userData = { hexId };
+    mesh.renderOrder = 1; // Over the water and overlays
+    this.hexGrid.scene.add(mesh);
+    return mesh;
+  }
+
+  // Give a highlight mesh its style's material, shared by every highlight drawn with it
+  setMaterial(mesh, kind, options) {
+    const style = HIGHLIGHT_STYLES[kind];
+    const color = new THREE.Color(style.color !== undefined ? style.color : options.color);
+    const opacity = options.faded ? FADED_OPACITY : style.opacity;
+    const key = `highlight-${kind}:${color.getHexString()}:${opacity}`;
+
+    this.hexGrid.resources.use(mesh, 'material', key, () => {
+      const materialOptions = {
+        color,
+        transparent: true,
+        opacity,
+        depthWrite: false,
+        depthTest: !style.overTerrain
+      };
+
+      return style.shape === 'outline'
+        ? new THREE.LineBasicMaterial(materialOptions)
+        : new THREE.MeshBasicMaterial({ ...materialOptions, side: THREE.DoubleSide });
+    });
+  }
+
+  // Stand a highlight mesh on top of its hex (hidden while the hex's chunk isn't loaded)
+  placeMesh(mesh, kind) {
+    const hex = this.hexGrid.hexes[mesh.userData.hexId];
+    mesh.visible = Boolean(hex);
+    if (!hex) return;
+
+    const { offset = HIGHLIGHT_OFFSET } = HIGHLIGHT_STYLES[kind];
+    mesh.position.copy(this.hexGrid.hexUtils.getObjectPosition(hex.q, hex.r, hex.height + offset));
+  }
+
+  // Take a highlight mesh off the grid and let go of its shared geometry and material
+  removeMesh(mesh) {
+    this.hexGrid.scene.remove(mesh);
+    this.hexGrid.resources.releaseObject(mesh);
+  }
+}
+
+export { HighlightLayer, HIGHLIGHT_STYLES };
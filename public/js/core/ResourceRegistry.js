@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+
+/**
+ * Shares GPU resources (geometries, materials and textures) between the
+ * objects that draw with them, and frees each one when nothing uses it any
+ * more.
+ *
+ * Resources are looked up by a key naming what makes them distinct, e.g.
+ * "owner-ring:#e74c3c" or "surface:1" (the hexagon for hex size 1). The
+ * first acquire of a key creates the resource and later ones get the same
+ * object; every acquire is matched by a release, and the last release
+ * disposes it. So two things that look the same never get two copies, and
+ * nothing is left on the GPU after its last user is gone.
+ *
+ * Objects can hold resources through use(), which also lets go of whatever
+ * the object held in that slot before; releaseObject() drops them all.
+ */
+class ResourceRegistry {
+  constructor() {
+    this.entries = new Map(); // Maps keys to { resource, refs }
+    this.holders = new WeakMap(); // Maps objects to { slot: key } of the resources they hold
+    this.textureLoader = new THREE.TextureLoader();
+  }
+
+  /**
+   * Get the resource for a key, creating it on first use
+   * @param {string} key - What makes the resource distinct
+   * @param {Function} create - () => new geometry, material or texture
+   * @returns {Object} The shared resource
+   */
+  acquire(key, create) {
+    let entry = this.entries.get(key);
+
+    if (!entry) {
+      entry = { resource: create(), refs: 0 };
+      this.entries.set(key, entry);
+    }
+
+    entry.refs++;
+    return entry.resource;
+  }
+
+  /**
+   * Let go of a resource, disposing it if this was its last user
+   * @param {string} key - Key it was acquired with
+   */
+  release(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    entry.refs--;
+    if (entry.refs > 0) return;
+
+    entry.resource.dispose();
+    this.entries.delete(key);
+  }
+
+  /**
+   * Load a texture once, however many materials use it
+   * @param {string} url - Texture URL
+   * @param {Function} [configure] - (texture) => void, run once when it is created
+   * @returns {THREE.Texture} The shared texture
+   */
+  loadTexture(url, configure = null) {
+    return this.acquire(`texture:${url}`, () => {
+      const texture = this.textureLoader.load(url);
+      if (configure) configure(texture);
+      return texture;
+    });
+  }
+
+  /**
+   * Give an object a shared resource (e.g. a mesh's material), releasing
+   * the one it held in that slot before
+   * @param {THREE.Object3D} object - Object that draws with the resource
+   * @param {string} slot - Property to set ('geometry' or 'material')
+   * @param {string} key - What makes the resource distinct
+   * @param {Function} create - () => new resource, if there isn't one yet
+   * @returns {Object} The shared resource
+   */
+  use(object, slot, key, create) {
+    const held = this.holders.get(object) || {};
+    if (held[slot] === key) return object[slot];
+
+    // Acquire before releasing, so swapping a resource for itself never frees it
+    object[slot] = this.acquire(key, create);
+    if (held[slot]) this.release(held[slot]);
+
+    held[slot] = key;
+    this.holders.set(object, held);
+    return object[slot];
+  }
+
+  /**
+   * Release every resource an object got through use() (when it is removed)
+   * @param {THREE.Object3D} object - Object that no longer draws
+   */
+  releaseObject(object) {
+    const held = this.holders.get(object);
+    if (!held) return;
+
+    Object.values(held).forEach(key => this.release(key));
+    this.holders.delete(object);
+  }
+
+  /**
+   * Count the live shared resources, for the debug readout
+   * @returns {Object} { geometries, materials, textures }
+   */
+  getCounts() {
+    const counts = { geometries: 0, materials: 0, textures: 0 };
+
+    for (const { resource } of this.entries.values()) {
+      if (resource.isBufferGeometry) counts.geometries++;
+      else if (resource.isMaterial) counts.materials++;
+      else if (resource.isTexture) counts.textures++;
+    }
+
+    return counts;
+  }
+}
+
+export { ResourceRegistry };
@@ -0,0 +1,233 @@
+import { AXIAL_DIRECTIONS } from './HexUtils.js';
+
+/**
+ * Draws the room's units and walks them along the paths they move on.
+ *
+ * Units come from the server as { id, owner, hexId, model, facing, stats }.
+ * Their models are loaded through the grid's VoxelModelManager under the key
+ * "unit:<id>", so they never clash with models placed on hexes. A ring in the
+ * owner's colour is drawn on the hex under each unit and walks with it.
+ */
+
+// How high above its hex a unit's model stands, and how big it is drawn
+const UNIT_HEIGHT_OFFSET = 1.0;
+const UNIT_SCALE = 1.5;
+
+// How far above its hex a unit's ring is drawn
+const MARKER_OFFSET = 0.04;
+
+// How long a unit takes to cross one hex (ms), and how high it hops on each step
+const STEP_DURATION = 250;
+const STEP_HOP = 0.3;
+
+class UnitLayer {
+  /**
+   * @param {HexGrid} hexGrid - Grid the units stand on
+   */
+  constructor(hexGrid) {
+    this.hexGrid = hexGrid;
+    this.units = {}; // Maps unit IDs to unit data from the server
+    this.moves = {}; // Maps unit IDs to { path, startedAt } while they walk
+    this.markers = {}; // Maps unit IDs to the ring in their owner's colour
+    this.spawned = {}; // Maps unit IDs to true once their model has been asked for
+  }
+
+  // Key of a unit's model in the VoxelModelManager
+  getModelKey(unitId) {
+    return `unit:${unitId}`;
+  }
+
+  // A unit's model, or null while it is still loading
+  getModel(unitId) {
+    const manager = this.hexGrid.voxelModelManager;
+    return (manager && manager.models[this.getModelKey(unitId)]) || null;
+  }
+
+  /**
+   * Find the unit standing on a hex
+   * @param {string} hexId - Hex ID
+   * @returns {Object|null} Unit, or null if the hex is free
+   */
+  getUnitAt(hexId) {
+    return Object.values(this.units).find(unit => unit.hexId === hexId) || null;
+  }
+
+  /**
+   * Replace every unit (when entering a room)
+   * @param {Array} units - Units from the server
+   */
+  setUnits(units) {
+    this.clear();
+    (units || []).forEach(unit => this.updateUnit(unit));
+  }
+
+  /**
+   * Add a unit, or move it to where the server says it is
+   * @param {Object} unit - Unit from the server
+   * @param {Array} [path] - Hex IDs it walked through to get there (null to jump)
+   */
+  updateUnit(unit, path = null) {
+    const previous = this.units[unit.id];
+    this.units[unit.id] = unit;
+
+    if (!previous || previous.model !== unit.model) {
+      this.spawnModel(unit);
+    }
+
+    if (!this.markers[unit.id]) {
+      this.markers[unit.id] = this.hexGrid.createOwnerMarker(unit.owner);
+      this.hexGrid.scene.add(this.markers[unit.id]);
+    }
+
+    if (path && path.length > 1) {
+      this.moves[unit.id] = { path, startedAt: performance.now() };
+    } else {
+      delete this.moves[unit.id];
+    }
+
+    // Units block paths and carry eyes, so previews and overlays need redrawing
+    this.hexGrid.invalidateOverlays();
+  }
+
+  /**
+   * Remove a unit and its model
+   * @param {string} unitId - Unit ID
+   */
+  removeUnit(unitId) {
+    if (!this.units[unitId]) return;
+
+    if (this.hexGrid.voxelModelManager) {
+      this.hexGrid.voxelModelManager.removeModel(this.getModelKey(unitId));
+    }
+
+    if (this.markers[unitId]) {
+      this.hexGrid.scene.remove(this.markers[unitId]);
+      this.hexGrid.resources.releaseObject(this.markers[unitId]);
+      delete this.markers[unitId];
+    }
+
+    delete this.units[unitId];
+    delete this.moves[unitId];
+    delete this.spawned[unitId];
+    this.hexGrid.invalidateOverlays();
+  }
+
+  /**
+   * Remove every unit
+   */
+  clear() {
+    Object.keys(this.units).forEach(unitId => this.removeUnit(unitId));
+  }
+
+  // Load a unit's model and stand it on its hex
+  spawnModel(unit) {
+    const manager = this.hexGrid.voxelModelManager;
+    const position = this.getHexPosition(unit.hexId);
+    if (!manager || !position) return;
+
+    const key = this.getModelKey(unit.id);
+    this.spawned[unit.id] = true;
+
+    manager.placeModelAt(key, position, {
+      modelPath: `models/${unit.model}.glb`,
+      scale: UNIT_SCALE,
+      animate: false, // Units turn to face where they go instead of spinning
+      rotation: { x: 0, y: this.getFacingAngle(unit.facing), z: 0 }
+    }).then(() => {
+      // The unit may have gone while its model was loading
+      if (!this.units[unit.id]) manager.removeModel(key);
+    });
+  }
+
+  /**
+   * Recolour the rings under units (after a player changed colour)
+   */
+  refreshMarkers() {
+    for (const unitId of Object.keys(this.markers)) {
+      this.hexGrid.setOwnerMaterial(this.markers[unitId], this.units[unitId].owner);
+    }
+  }
+
+  // Where a unit's model stands on a hex (null if the hex isn't loaded)
+  getHexPosition(hexId) {
+    const hex = this.hexGrid.hexes[hexId];
+    if (!hex) return null;
+
+    const { q, r, height } = hex;
+    return this.hexGrid.hexUtils.getObjectPosition(q, r, (height || 0) + UNIT_HEIGHT_OFFSET);
+  }
+
+  // Y rotation that turns a model towards a direction index (0-5)
+  getFacingAngle(facing) {
+    const dir = AXIAL_DIRECTIONS[facing] || AXIAL_DIRECTIONS[0];
+    const to = this.hexGrid.hexUtils.getObjectPosition(dir.q, dir.r);
+
+    return Math.atan2(to.x, to.z);
+  }
+
+  /**
+   * Place every unit's model, walking moving units a little further along
+   * their path. Called every frame; idle units follow their hex's height.
+   * @param {number} [now] - Current time (performance.now())
+   */
+  update(now = performance.now()) {
+    for (const unitId of Object.keys(this.units)) {
+      const model = this.getModel(unitId);
+
+      // Units on chunks that aren't loaded are hidden until their chunk streams in
+      const loaded = Boolean(this.hexGrid.hexes[this.units[unitId].hexId]);
+      if (this.markers[unitId]) this.markers[unitId].visible = loaded;
+      if (model) model.visible = loaded;
+      if (!loaded) continue;
+
+      if (!this.spawned[unitId]) this.spawnModel(this.units[unitId]);
+
+      if (!model) {
+        // Still loading: keep the ring on the unit's hex
+        this.updateMarker(unitId, this.getHexPosition(this.units[unitId].hexId));
+        continue;
+      }
+
+      if (!(this.moves[unitId] && this.updateMove(unitId, model, now))) {
+        const position = this.getHexPosition(this.units[unitId].hexId);
+        if (position) model.position.copy(position);
+        model.rotation.y = this.getFacingAngle(this.units[unitId].facing);
+      }
+
+      this.updateMarker(unitId, model.position);
+    }
+  }
+
+  // Put a unit's ring under a point where its model stands
+  updateMarker(unitId, position) {
+    const marker = this.markers[unitId];
+    if (!marker || !position) return;
+
+    marker.position.copy(position);
+    marker.position.y += MARKER_OFFSET - UNIT_HEIGHT_OFFSET;
+  }
+
+  // Move a walking unit's model; returns false once the walk is over
+  updateMove(unitId, model, now) {
+    const { path, startedAt } = this.moves[unitId];
+    const progress = (now - startedAt) / STEP_DURATION;
+    const step = Math.floor(progress);
+
+    const from = step < path.length - 1 ? this.getHexPosition(path[step]) : null;
+    const to = from ? this.getHexPosition(path[step + 1]) : null;
+
+    if (!from || !to) {
+      delete this.moves[unitId];
+      return false;
+    }
+
+    const t = progress - step;
+    model.position.lerpVectors(from, to, t);
+    model.position.y += Math.sin(Math.PI * t) * STEP_HOP;
+    model.rotation.y = Math.atan2(to.x - from.x, to.z - from.z);
+
+    return true;
+  }
+}
+
+export { UnitLayer };
@@ -9,13 +9,22 @@ import { VoxelModelManager } from '../models/VoxelModelManager.js';
 import { HexGrid } from './HexGrid.js';
 import { UI } from '../ui/UI.js';
 import { SocketManager } from '../networking/Socket.js';
+import { saveProfile } from '../networking/Identity.js';
 
 import { FPSCounter } from '../utils/FPSCounter.js';
+import { TerrainGenerator } from '../utils/TerrainGenerator.js';
+import { BIOMES, BIOME_TYPES } from '../utils/Biomes.js';
+import { roleCan } from '../utils/Roles.js';
 
 // Make THREE available globally for compatibility
 window.THREE = THREE;
 window.GLTFLoader = GLTFLoader;
 
+// How often we may tell the room where our pointer is (ms), and how long
+// without input before we show up as idle
+const PRESENCE_INTERVAL = 100;
+const IDLE_AFTER_MS = 60 * 1000;
+
 /**
  * Main entry point for the 3D Hex Grid application
  */
@@ -39,14 +48,29 @@ class App {
       this.socketManager = new SocketManager();
       console.log('Socket manager initialized');
 
+      // Names and colours of the players in our room (shared with the UI and grid)
+      this.players = {};
+
+      // Who is in our room right now, and where they are pointing
+      this.presence = {}; // Maps player IDs to { hover, selected, idle, connected }
+      this.hostId = null;
+      this.roles = {}; // Maps player IDs to 'host', 'editor' or 'viewer'
+      this.lastInputTime = Date.now();
+      this.sentPresenceKey = null; // Last presence we sent, as JSON
+      this.presenceSentAt = 0;
+
       // Initialize hex grid
       this.hexGrid = new HexGrid(this.scene, 1, 7);
       console.log('Hex grid initialized');
 
       // In the App constructor after other initializations
       this.fpsCounter = new FPSCounter();
+      this.fpsCounter.trackResources(this.renderer, this.hexGrid.resources);
       console.log('FPS counter initialized');
 
+      this.ui.setPlayers(this.players);
+      this.hexGrid.setPlayers(this.players);
+
       // Connect components
       this.connectComponents();
       console.log('Components connected');
@@ -132,13 +156,31 @@ class App {
     window.addEventListener('keydown', (e) => {
       if (e.key === 'Shift') this.isShiftKeyPressed = true;
 
+      // Ctrl+Z / Ctrl+Shift+Z: Undo/redo your own edits (add Alt for anyone's edits in the room)
+      if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) {
+        // Leave native undo alone while typing in an input
+        if (e.target.closest('input, textarea')) return;
+
+        e.preventDefault();
+        const scope = e.altKey ? 'room' : 'user';
+        if (e.shiftKey) {
+          this.redo(scope);
+        } else {
+          this.undo(scope);
+        }
+        return;
+      }
+
+      // Letter shortcuts shouldn't fire while typing (chat, room code, terrain seed)
+      if (e.target.closest('input, textarea')) return;
+
       // Terrain generation with 'T' key
       if (e.key === 't' || e.key === 'T') {
         if (e.shiftKey) {
           // Shift+T: Apply random color tints
           this.applyRandomTints();
         } else {
-          // Plain T: Generate terrain
+          // Plain T: Generate terrain from a random seed
           this.generateTerrain();
         }
       }
@@ -157,6 +199,26 @@ class App {
         this.toggleAnimations();
       }
 
+      // Cycle the selected hex's biome with 'B' key
+      if (e.key === 'b' || e.key === 'B') {
+        this.cycleSelectedBiome();
+      }
+
+      // Draw or remove a river on the selected hex with 'R' key
+      if (e.key === 'r' || e.key === 'R') {
+        this.toggleSelectedRiver();
+      }
+
+      // Show what the selected hex can see with 'V' key
+      if (e.key === 'v' || e.key === 'V') {
+        this.toggleVisibilityOverlay();
+      }
+
+      // End your turn early with 'E' key (turn-based rooms)
+      if (e.key === 'e' || e.key === 'E') {
+        this.endTurn();
+      }
+
       // Toggle Help HUD with 'H' key
       if (e.key === 'h' || e.key === 'H') {
         if (this.ui && this.ui.hudContainer) {
@@ -181,11 +243,19 @@ class App {
       }
     });
 
+    // Any input means we are not idle
+    ['pointermove', 'pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+      window.addEventListener(type, () => {
+        this.lastInputTime = Date.now();
+      }, { passive: true });
+    });
+
     // 3. MOUSE/TOUCH CONTROLS (consolidated from both methods)
     // Set up mouse position tracking
     this.mouse = new THREE.Vector2();
 
     window.addEventListener('mousemove', (event) => {
+      this.pointerClient = { x: event.clientX, y: event.clientY }; // For the owner tooltip
       this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
       this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
@@ -354,18 +424,51 @@ class App {
    */
   connectComponents() {
     // UI to Socket connections
-    this.ui.setCreateRoomCallback(() => {
-      this.socketManager.createRoom();
+    this.ui.setCreateRoomCallback((settings) => {
+      this.socketManager.createRoom(settings);
+    });
+
+    this.ui.setGenerateTerrainCallback((seedText) => {
+      this.generateTerrain(seedText);
     });
 
-    this.ui.setJoinRoomCallback((roomCode) => {
-      this.socketManager.joinRoom(roomCode);
+    this.ui.setWaterLevelCallback((waterLevel) => {
+      if (this.currentRoomCode && this.requirePermission('world')) {
+        this.socketManager.setWaterLevel(this.currentRoomCode, waterLevel);
+      }
+    });
+
+    this.ui.setEndTurnCallback(() => {
+      this.endTurn();
+    });
+
+    this.ui.setJoinRoomCallback((roomCode, password) => {
+      this.socketManager.joinRoom(roomCode, password);
+    });
+
+    this.ui.setJoinRequestAnswerCallback((playerId, accept) => {
+      if (this.currentRoomCode) this.socketManager.answerJoinRequest(this.currentRoomCode, playerId, accept);
     });
 
     this.ui.setSendChatMessageCallback((roomCode, message) => {
       this.socketManager.sendChatMessage(roomCode, message);
     });
 
+    // The host's buttons in the player list
+    this.ui.setRoleChangeCallback((playerId, role) => {
+      if (this.currentRoomCode) this.socketManager.setRole(this.currentRoomCode, playerId, role);
+    });
+
+    this.ui.setKickCallback((playerId) => {
+      if (this.currentRoomCode) this.socketManager.kickPlayer(this.currentRoomCode, playerId);
+    });
+
+    // Our name and colour are saved for next time and sent to the server
+    this.ui.setProfileChangeCallback((profile) => {
+      saveProfile(profile);
+      this.socketManager.setProfile(profile);
+    });
+
     // // In connectComponents method in main.js
     // // Connect UI refresh button to model manager refresh
     // this.ui.setRefreshModelsCallback(() => {
@@ -381,13 +484,8 @@ class App {
     // });
 
     // Instead, we can auto-refresh models when creating/joining a room:
-    this.socketManager.setRoomCreatedCallback((roomCode) => {
-      this.currentRoomCode = roomCode;
-      this.ui.updateRoomDisplay(roomCode);
-
-      // Update HexGrid with room code and socket manager
-      this.hexGrid.setRoomCode(roomCode);
-      this.hexGrid.setSocketManager(this.socketManager);
+    this.socketManager.setRoomCreatedCallback((room) => {
+      this.enterRoom(room);
 
       // Auto-refresh models when entering a room
       if (this.hexGrid && this.hexGrid.voxelModelManager) {
@@ -398,62 +496,167 @@ class App {
     });
 
     // Socket to UI connections
-    this.socketManager.setRoomCreatedCallback((roomCode) => {
-      this.currentRoomCode = roomCode;
-      this.ui.updateRoomDisplay(roomCode);
+    this.socketManager.setRoomJoinedCallback((room) => this.enterRoom(room));
+
+    // After a reconnect we are put back in our room, with only the changes we missed
+    this.socketManager.setRoomResyncedCallback((roomCode, changes, turn, players, host, presence, roles) => {
+      this.setPlayers(players);
+      this.setRoles(roles);
+      this.setPresence(host, presence);
+      changes.forEach(change => this.applyRoomChange(change));
+      this.setTurn(turn);
 
-      // Update HexGrid with room code and socket manager
-      this.hexGrid.setRoomCode(roomCode);
-      this.hexGrid.setSocketManager(this.socketManager);
+      // Chunks we loaded while the connection was down never got their state
+      this.hexGrid.refreshChunkStates(true);
+
+      if (changes.length > 0) {
+        this.ui.showToast(`Caught up on ${changes.length} change(s) made while you were away`, 'info');
+      }
     });
 
-    this.socketManager.setRoomJoinedCallback((roomCode, state) => {
-      this.currentRoomCode = roomCode;
-      this.ui.updateRoomDisplay(roomCode);
+    this.socketManager.setDisconnectCallback(() => {
+      this.ui.setConnectionStatus(false);
+    });
 
-      // Update HexGrid with room code and socket manager
-      this.hexGrid.setRoomCode(roomCode);
-      this.hexGrid.setSocketManager(this.socketManager);
+    this.socketManager.setConnectCallback(() => {
+      this.ui.setConnectionStatus(true);
+    });
 
-      // Apply the existing room state to our grid
-      if (state && Object.keys(state).length > 0) {
-        console.log('Applying existing room state with', Object.keys(state).length, 'hexes');
+    this.socketManager.setRoomErrorCallback((error) => {
+      this.ui.showRoomError(error);
+    });
 
-        // Apply in batches to avoid UI freezing
-        const hexIds = Object.keys(state);
-        const batchSize = 10;
+    // Players asking to join our private room, and their requests going away once answered
+    this.socketManager.setJoinRequestedCallback((roomCode, player) => {
+      if (roomCode === this.currentRoomCode) this.ui.addJoinRequest(player);
+    });
 
-        // Function to process a batch
-        const processBatch = (startIndex) => {
-          const endIndex = Math.min(startIndex + batchSize, hexIds.length);
+    this.socketManager.setJoinRequestClosedCallback((roomCode, playerId) => {
+      this.ui.removeJoinRequest(playerId);
+    });
 
-          for (let i = startIndex; i < endIndex; i++) {
-            const hexId = hexIds[i];
-            const hexState = state[hexId];
-            this.hexGrid.updateHexState(hexId, hexState);
-          }
+    this.socketManager.setJoinAcceptedCallback(() => {
+      this.ui.showToast('The host let you in', 'success');
+    });
 
-          // Process next batch if there are more hexes
-          if (endIndex < hexIds.length) {
-            setTimeout(() => processBatch(endIndex), 10);
-          }
-        };
+    this.socketManager.setChatMessageCallback((player, message, timestamp) => {
+      this.ui.displayChatMessage(player, message, timestamp);
+    });
 
-        // Start processing batches
-        processBatch(0);
+    // The server tells us who we are (the name and colour it settled on)
+    this.socketManager.setIdentityCallback((player) => {
+      this.updatePlayer(player);
+      this.updatePlayerList();
+      this.ui.setProfile(player);
+    });
+
+    this.socketManager.setUserJoinedCallback((player) => {
+      this.updatePlayer(player);
+      this.presence[player.id] = { hover: null, selected: null, idle: false, connected: true };
+      this.updatePlayerList();
+      this.ui.showToast(`${player.name} joined`, 'info');
+    });
+
+    this.socketManager.setUserLeftCallback((userId) => {
+      delete this.presence[userId];
+      this.hexGrid.cursors.removePlayer(userId);
+      this.updatePlayerList();
+      this.ui.showToast(`${this.ui.getPlayerName(userId)} left`, 'info');
+    });
+
+    this.socketManager.setPlayerUpdatedCallback((player) => {
+      this.updatePlayer(player);
+      this.updatePlayerList();
+      if (player.id === this.socketManager.playerId) this.ui.setProfile(player);
+    });
+
+    // Other players' pointers, selections and idle status
+    this.socketManager.setPresenceUpdatedCallback((playerId, presence) => {
+      if (!this.presence[playerId]) return; // Not (or no longer) in our room
+
+      this.presence[playerId] = presence;
+      if (playerId !== this.socketManager.playerId) {
+        this.hexGrid.cursors.setPresence(playerId, presence);
       }
+      this.updatePlayerList();
     });
 
-    this.socketManager.setRoomErrorCallback((error) => {
-      this.ui.displayError(error);
+    // The host changed a player's role; ours decides which tools we get
+    this.socketManager.setRoleUpdatedCallback((playerId, role) => {
+      this.roles[playerId] = role;
+
+      if (playerId === this.socketManager.playerId) {
+        this.applyPermissions();
+        this.ui.showToast(role === 'viewer' ? 'You are now a viewer' : 'You can now edit the room', 'info');
+      }
+      this.updatePlayerList();
+    });
+
+    // The host removed us from the room
+    this.socketManager.setKickedCallback((roomCode) => {
+      if (roomCode !== this.currentRoomCode) return;
+
+      this.currentRoomCode = null;
+      this.hexGrid.setRoomCode(null);
+      this.setRoles({});
+      this.setPresence(null, {});
+      this.setTurn(null);
+      this.ui.updateRoomDisplay(null);
+      this.ui.clearJoinRequests();
+      this.ui.showToast('The host removed you from the room', 'error');
+    });
+
+    this.socketManager.setHexUpdatedCallback((hexId, action, replace) => {
+      this.hexGrid.updateHexState(hexId, action, replace);
+    });
+
+    this.socketManager.setHexesUpdatedCallback((updates, replace) => {
+      this.hexGrid.updateHexStates(updates, replace);
+    });
+
+    // Hex state of chunks the grid loaded around the camera
+    this.socketManager.setChunkStatesCallback((roomCode, chunks) => {
+      if (roomCode === this.currentRoomCode) this.hexGrid.applyChunkStates(chunks);
+    });
+
+    // Regenerate heights locally whenever the room's terrain recipe changes
+    this.socketManager.setTerrainUpdatedCallback((terrain) => {
+      this.hexGrid.applyTerrain(terrain);
+      if (terrain) this.ui.setTerrainSeed(terrain.seed);
+    });
+
+    this.socketManager.setWaterLevelUpdatedCallback((waterLevel) => {
+      this.hexGrid.setWaterLevel(waterLevel);
+      this.ui.setWaterLevel(waterLevel);
+    });
+
+    // In rooms with fog of war, the server tells us what we can see
+    this.socketManager.setFogUpdatedCallback((fog) => {
+      this.hexGrid.setFog(fog);
+    });
+
+    // Units are placed and moved by the server; we animate them along their path
+    this.socketManager.setUnitUpdatedCallback((unit, path) => {
+      this.hexGrid.units.updateUnit(unit, path);
+    });
+
+    this.socketManager.setUnitRemovedCallback((unitId) => {
+      this.hexGrid.units.removeUnit(unitId);
     });
 
-    this.socketManager.setChatMessageCallback((userId, message, timestamp) => {
-      this.ui.displayChatMessage(userId, message, timestamp);
+    // In turn-based rooms, the server tells us whose turn it is
+    this.socketManager.setTurnUpdatedCallback((turn) => {
+      this.setTurn(turn);
     });
 
-    this.socketManager.setHexUpdatedCallback((hexId, action) => {
-      this.hexGrid.updateHexState(hexId, action);
+    this.socketManager.setHistoryAppliedCallback((result) => {
+      if (result.skipped > 0) {
+        this.ui.showToast(`${result.skipped} hex(es) changed by others were left as they are`, 'info');
+      }
+    });
+
+    this.socketManager.setActionRejectedCallback((rejection) => {
+      this.ui.showToast(rejection.reason, 'error');
     });
   }
 
@@ -465,25 +668,25 @@ class App {
     // Only send updates if we're in a room
     if (!this.currentRoomCode) return;
 
+    // A unit of ours that was selected before this click is sent where we clicked
+    const movingUnit = this.getSelectedUnit();
     const selectedHex = this.hexGrid.handleClick(this.mouse, this.camera);
 
     if (selectedHex) {
       console.log('Hex clicked:', selectedHex);
 
-      // Check if Shift key is pressed for placing a voxel model instead of changing color
+      // Check if Shift key is pressed for placing a unit instead of changing color
       if (this.isShiftKeyPressed) {
-        console.log('Placing voxel model (Shift key pressed)');
-        this.handleVoxelModelPlacement(selectedHex.hexId);
+        console.log('Placing unit (Shift key pressed)');
+        this.handleUnitPlacement(selectedHex.hexId);
         return;
       }
 
-      // Only send color change on first click of a hex
-      // We'll check if the hex already has a custom color by looking at the mesh
-      const hexMesh = this.hexGrid.hexMeshes[selectedHex.hexId];
-      const hasCustomColor = hexMesh &&
-        hexMesh.material &&
-        hexMesh.material.color &&
-        hexMesh.material.color.getHex() !== this.hexGrid.defaultMaterial.color.getHex();
+      if (movingUnit && movingUnit.hexId !== selectedHex.hexId) {
+        if (!this.requirePermission('edit')) return;
+        this.socketManager.moveUnit(this.currentRoomCode, movingUnit.id, selectedHex.hexId);
+        return;
+      }
 
       // Play animation on the model if there is one on this hex
       // Add this code to trigger animation
@@ -510,7 +713,7 @@ class App {
     // Check if we have a selected hex
     if (this.hexGrid && this.hexGrid.selectedHex) {
       // Get the position of the selected hex
-      const { q, r } = this.hexGrid.selectedHex.userData;
+      const { q, r } = this.hexGrid.selectedHex;
       const position = this.hexGrid.hexUtils.axialToPixel(q, r);
 
       newTarget = new THREE.Vector3(position.x, 0, -position.z);
@@ -570,39 +773,46 @@ class App {
   }
 
   /**
-   * Handle placing a voxel model on a hex
+   * Handle placing a new unit of ours on a hex, drawn with a random voxel model
    * @param {string} hexId - ID of the clicked hex
    */
-  // Update this method in main.js
-  handleVoxelModelPlacement(hexId) {
-    if (!this.currentRoomCode) return;
+  handleUnitPlacement(hexId) {
+    if (!this.currentRoomCode || !this.socketManager) return;
+    if (!this.requirePermission('edit')) return;
 
-    const hexMesh = this.hexGrid.hexMeshes[hexId];
-    if (!hexMesh) return;
+    if (!this.hexGrid.hexes[hexId]) return;
 
-    const randomModelType = this.hexGrid.voxelModelManager.getRandomModelType();
+    const modelType = this.hexGrid.voxelModelManager.getRandomModelType();
+    this.socketManager.spawnUnit(this.currentRoomCode, hexId, modelType);
+  }
 
-    const modelOptions = {
-      modelType: randomModelType,
-      scale: 1.5,
-      animate: true
-    };
+  /**
+   * Get the unit of ours standing on the selected hex
+   * @returns {Object|null} Unit, or null if there is none
+   */
+  getSelectedUnit() {
+    if (!this.hexGrid.selectedHex) return null;
 
-    if (this.socketManager) {
-      const action = {
-        voxelModel: {
-          type: modelOptions.modelType,
-          scale: modelOptions.scale,
-          animate: modelOptions.animate
-        }
-      };
+    const unit = this.hexGrid.units.getUnitAt(this.hexGrid.selectedHex.hexId);
+    return unit && unit.owner === this.socketManager.playerId ? unit : null;
+  }
 
-      this.socketManager.sendHexAction(
-        this.currentRoomCode,
-        hexId,
-        action
-      );
-    }
+  /**
+   * Undo the latest edit
+   * @param {string} scope - 'user' for your own edits, 'room' for anyone's
+   */
+  undo(scope = 'user') {
+    if (!this.currentRoomCode || !this.socketManager || !this.requirePermission('edit')) return;
+    this.socketManager.undo(this.currentRoomCode, scope);
+  }
+
+  /**
+   * Redo the latest undone edit
+   * @param {string} scope - 'user' for your own undos, 'room' for anyone's
+   */
+  redo(scope = 'user') {
+    if (!this.currentRoomCode || !this.socketManager || !this.requirePermission('edit')) return;
+    this.socketManager.redo(this.currentRoomCode, scope);
   }
 
   /**
@@ -631,6 +841,8 @@ class App {
       return;
     }
 
+    if (!this.requirePermission('edit')) return;
+
     // Check if the hex grid has the tinting method
     if (this.hexGrid && typeof this.hexGrid.applyRandomTints === 'function') {
       // Set tint intensity - adjust this value to control how strong the tints are
@@ -671,6 +883,258 @@ class App {
     }
   }
 
+  /**
+   * Switch the selected hex to the next biome. The biome is stored in hex state
+   * so everyone in the room sees it.
+   */
+  cycleSelectedBiome() {
+    if (!this.currentRoomCode || !this.hexGrid.selectedHex || !this.requirePermission('edit')) return;
+
+    const { hexId, biome } = this.hexGrid.selectedHex;
+    const nextBiome = BIOME_TYPES[(BIOME_TYPES.indexOf(biome) + 1) % BIOME_TYPES.length];
+
+    this.socketManager.sendHexAction(this.currentRoomCode, hexId, { biome: nextBiome });
+    this.ui.showToast(`Biome: ${BIOMES[nextBiome].name}`, 'info');
+  }
+
+  /**
+   * Draw a river through the selected hex, or remove the one already there
+   */
+  toggleSelectedRiver() {
+    if (!this.currentRoomCode || !this.hexGrid.selectedHex || !this.requirePermission('edit')) return;
+
+    const { hexId, river } = this.hexGrid.selectedHex;
+
+    this.socketManager.sendHexAction(this.currentRoomCode, hexId, { river: !river });
+    this.ui.showToast(river ? 'River removed' : 'River added', 'info');
+  }
+
+  /**
+   * Shade every hex the selected hex can't see, or turn the overlay off
+   * when it is already showing that hex (or nothing is selected)
+   */
+  toggleVisibilityOverlay() {
+    const selectedId = this.hexGrid.selectedHex ? this.hexGrid.selectedHex.hexId : null;
+    const observerId = selectedId !== this.hexGrid.visibilityObserver ? selectedId : null;
+
+    this.hexGrid.setVisibilityObserver(observerId);
+    this.ui.showToast(observerId ? `Showing line of sight from ${observerId}` : 'Line of sight hidden', 'info');
+  }
+
+  /**
+   * Remember the room's turn state and show it in the turn banner
+   * @param {Object|null} turn - Turn state from the server (null outside turn-based rooms)
+   */
+  setTurn(turn) {
+    this.currentTurn = turn || null;
+    this.ui.setTurn(this.currentTurn, this.socketManager.playerId);
+  }
+
+  /**
+   * Apply one change missed while disconnected (a room journal entry from the server)
+   * @param {Object} change - { type: 'hex' | 'hexes' | 'unit' | 'terrain' | 'waterLevel', ... }
+   */
+  applyRoomChange(change) {
+    switch (change.type) {
+      case 'hex':
+        this.hexGrid.updateHexState(change.hexId, change.state || {}, true);
+        break;
+      case 'hexes': {
+        // Cleared hexes come as null, which resets them
+        const updates = {};
+        Object.keys(change.states).forEach(hexId => {
+          updates[hexId] = change.states[hexId] || {};
+        });
+        this.hexGrid.updateHexStates(updates, true);
+        break;
+      }
+      case 'unit':
+        if (change.unit) {
+          this.hexGrid.units.updateUnit(change.unit);
+        } else {
+          this.hexGrid.units.removeUnit(change.unitId);
+        }
+        break;
+      case 'terrain':
+        this.hexGrid.applyTerrain(change.terrain);
+        if (change.terrain) this.ui.setTerrainSeed(change.terrain.seed);
+        break;
+      case 'waterLevel':
+        this.hexGrid.setWaterLevel(change.waterLevel);
+        this.ui.setWaterLevel(change.waterLevel);
+        break;
+      default:
+        console.warn(`Unknown room change: ${change.type}`);
+    }
+  }
+
+  /**
+   * Replace the directory of players (when entering a room). We stay in it,
+   * so our own units and models keep our colour.
+   * @param {Array} players - Players in the room ({ id, name, color })
+   */
+  setPlayers(players) {
+    Object.keys(this.players).forEach(playerId => delete this.players[playerId]);
+    if (this.socketManager.player) this.players[this.socketManager.player.id] = this.socketManager.player;
+    (players || []).forEach(player => { this.players[player.id] = player; });
+
+    this.hexGrid.refreshOwnerMarkers();
+  }
+
+  /**
+   * Add or update one player in the directory, redrawing what shows their name or colour
+   * @param {Object} player - { id, name, color }
+   */
+  updatePlayer(player) {
+    this.players[player.id] = player;
+
+    this.hexGrid.refreshOwnerMarkers();
+  }
+
+  /**
+   * Show a room we just created or joined: rebuild the grid to match it, then
+   * let its hex state stream in
+   * @param {Object} room - Room as sent by the server ({ roomCode, settings, terrain,
+   *   fog, turn, units, players, host, presence, roles })
+   */
+  enterRoom(room) {
+    const { roomCode, settings, terrain } = room;
+
+    this.currentRoomCode = roomCode;
+    this.ui.clearJoinRequests();
+    this.setPlayers(room.players);
+    this.ui.updateRoomDisplay(roomCode);
+
+    // Rebuild the grid and its terrain to match the room before applying its state
+    this.hexGrid.applySettings(settings);
+    this.hexGrid.applyTerrain(terrain);
+    this.hexGrid.setFog(room.fog);
+    this.ui.setTerrainSeed(terrain ? terrain.seed : settings.seed);
+    this.ui.setWaterLevel(settings.waterLevel);
+    this.setTurn(room.turn);
+    this.hexGrid.units.setUnits(room.units);
+    this.setRoles(room.roles);
+    this.setPresence(room.host, room.presence);
+
+    // Update HexGrid with room code and socket manager
+    this.hexGrid.setRoomCode(roomCode);
+    this.hexGrid.setSocketManager(this.socketManager);
+
+    // Hex state streams in chunk by chunk, starting with the chunks already loaded
+    this.hexGrid.refreshChunkStates();
+  }
+
+  /**
+   * Replace who is in the room and where they are pointing (when entering a room)
+   * @param {string} hostId - ID of the room's host
+   * @param {Object} presence - Maps the IDs of the players in the room to their presence
+   */
+  setPresence(hostId, presence) {
+    this.hostId = hostId || null;
+    this.presence = { ...presence };
+    this.sentPresenceKey = null; // The server has forgotten our cursor, so send it again
+
+    this.hexGrid.cursors.clear();
+    for (const playerId of Object.keys(this.presence)) {
+      if (playerId !== this.socketManager.playerId) {
+        this.hexGrid.cursors.setPresence(playerId, this.presence[playerId]);
+      }
+    }
+
+    this.updatePlayerList();
+  }
+
+  updatePlayerList() {
+    this.ui.updatePlayerList(this.presence, this.hostId, this.socketManager.playerId, this.roles);
+  }
+
+  /**
+   * Replace everyone's roles (when entering a room) and enable the tools ours allows
+   * @param {Object} roles - Maps the IDs of the players in the room to their role
+   */
+  setRoles(roles) {
+    this.roles = { ...roles };
+    this.applyPermissions();
+  }
+
+  /**
+   * Check whether our role in the room allows something (see Roles.js)
+   * @param {string} permission - 'edit', 'world' or 'manage'
+   * @returns {boolean} True if we may do it
+   */
+  can(permission) {
+    return roleCan(this.roles[this.socketManager.playerId], permission);
+  }
+
+  // Like can(), but tells the player why not (the server would refuse it anyway)
+  requirePermission(permission) {
+    if (this.can(permission)) return true;
+
+    this.ui.showToast(permission === 'world'
+      ? 'Only the host can change the terrain and water'
+      : 'Viewers cannot change the room', 'error');
+    return false;
+  }
+
+  // Enable or disable the editing tools to match our role
+  applyPermissions() {
+    const permissions = {
+      edit: this.can('edit'),
+      world: this.can('world'),
+      manage: this.can('manage')
+    };
+
+    this.hexGrid.editable = permissions.edit;
+    this.ui.setPermissions(permissions);
+  }
+
+  /**
+   * Tell the room which hexes we hover and have selected, and whether we are idle.
+   * Called every frame; only sends when something changed, at most every PRESENCE_INTERVAL ms.
+   */
+  sendPresence() {
+    if (!this.currentRoomCode) return;
+
+    const now = Date.now();
+    const presence = {
+      hover: this.hexGrid.hoverHex ? this.hexGrid.hoverHex.hexId : null,
+      selected: this.hexGrid.selectedHex ? this.hexGrid.selectedHex.hexId : null,
+      idle: now - this.lastInputTime > IDLE_AFTER_MS
+    };
+    const key = JSON.stringify(presence);
+
+    if (key === this.sentPresenceKey || now - this.presenceSentAt < PRESENCE_INTERVAL) return;
+
+    this.socketManager.updatePresence(this.currentRoomCode, presence);
+    this.sentPresenceKey = key;
+    this.presenceSentAt = now;
+  }
+
+  /**
+   * Show who owns the unit or model under the pointer
+   */
+  updateHoverTooltip() {
+    const hexId = this.hexGrid.hoverHex ? this.hexGrid.hoverHex.hexId : null;
+    const owner = hexId ? this.hexGrid.getOwnerAt(hexId) : null;
+
+    if (!owner || !this.pointerClient) {
+      this.ui.hideTooltip();
+      return;
+    }
+
+    const player = this.hexGrid.getPlayer(owner);
+    this.ui.showTooltip(player.name, player.color, this.pointerClient.x, this.pointerClient.y);
+  }
+
+  /**
+   * End our turn early (turn-based rooms only)
+   */
+  endTurn() {
+    if (!this.currentRoomCode || !this.currentTurn) return;
+
+    this.socketManager.endTurn(this.currentRoomCode);
+  }
+
   /**
    * Animation loop
    */
@@ -693,6 +1157,12 @@ class App {
       this.hexGrid.voxelModelManager.updateAnimations();
     }
 
+    // Stream in the chunks around where the camera looks, and drop far ones
+    this.hexGrid.updateChunks(this.controls.target);
+
+    // Animate the water surface
+    this.hexGrid.updateWater(performance.now() / 1000);
+
     // Check if we're currently dragging to avoid hover effects
     const isDragging = this.controls.isRightMouseDown ||
       this.controls.wasDragging ||
@@ -701,14 +1171,26 @@ class App {
     // Update hex hover state - pass dragging state to prevent hover during camera movement
     this.hexGrid.handleMouseMove(this.mouse, this.camera, isDragging);
 
+    // Walk units along their paths, and preview the route from a selected unit to the hovered hex
+    this.hexGrid.units.update();
+    this.hexGrid.updatePathPreview();
+    this.hexGrid.updateVisibilityOverlay();
+    this.updateHoverTooltip();
+
+    // Share our pointer with the room, and keep everyone's highlights on their hexes
+    this.sendPresence();
+    this.hexGrid.highlights.update();
+
     // Render
     this.renderer.render(this.scene, this.camera);
   }
 
   /**
- * Generate terrain across the hex grid
- */
-  generateTerrain() {
+   * Generate terrain across the hex grid. Only the recipe is sent to the room,
+   * every client (including this one) regenerates the heights from it.
+   * @param {string} [seedText] - Seed typed by the user (random if empty)
+   */
+  generateTerrain(seedText) {
     // Only generate terrain if we're in a room
     if (!this.currentRoomCode || !this.socketManager) {
       console.warn('Cannot generate terrain: not in a room');
@@ -718,29 +1200,13 @@ class App {
       return;
     }
 
-    // Check if the hex grid has the terrain generation method
-    if (this.hexGrid && typeof this.hexGrid.generateTerrain === 'function') {
-      // Use consistent amplitude values, not decreasing over time
-      // Can make this even higher if desired
-      const scale = 0.1 + Math.random() * 0.05;  // 0.1-0.15 
-      const amplitude = 7.0 + Math.random() * 2.0;  // 4.0-6.0 (increased from 2.5-3.5)
-      const octaves = 3 + Math.floor(Math.random() * 2);  // 3-4
-
-      this.hexGrid.generateTerrain(
-        scale,
-        amplitude,
-        octaves,
-        this.currentRoomCode,
-        this.socketManager
-      );
+    if (!this.requirePermission('world')) return;
 
-      // Show a message
-      if (this.ui && typeof this.ui.showToast === 'function') {
-        // this.ui.showToast('Generating terrain...', 'success');
-      }
-    } else {
-      console.error('Terrain generation method not available');
-    }
+    const typedSeed = seedText !== undefined ? TerrainGenerator.seedFromString(seedText) : null;
+    const seed = typedSeed !== null ? typedSeed : TerrainGenerator.randomSeed();
+
+    const recipe = TerrainGenerator.createRecipe(seed, { hydrology: this.ui.isHydrologyEnabled() });
+    this.socketManager.setTerrain(this.currentRoomCode, recipe);
   }
 }
 
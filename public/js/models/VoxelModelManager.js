@@ -4,9 +4,14 @@ import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
  * VoxelModelManager handles loading, caching, and managing 3D models for the hex grid
  */
 class VoxelModelManager {
-  constructor(scene) {
+  /**
+   * @param {THREE.Scene} scene - Scene the models are added to
+   * @param {ResourceRegistry} resources - Registry fallback cube materials are shared through
+   */
+  constructor(scene, resources) {
     console.log('VoxelModelManager constructor called');
     this.scene = scene;
+    this.resources = resources;
     this.models = {};     // Active model instances by hexId
     this.modelCache = {}; // Cache for loaded models
     this.availableModels = []; // Add this line to store available models
@@ -170,10 +175,7 @@ class VoxelModelManager {
         model.updateMatrixWorld(true);
       } else {
         // Use fallback if no model path is specified
-        const material = new THREE.MeshStandardMaterial({
-          color: Math.random() * 0xffffff
-        });
-        model = new THREE.Mesh(this.fallbackGeometry, material);
+        model = this.createFallbackMesh();
 
         const scale = options.scale || 1.5;
         model.scale.set(scale, scale, scale);
@@ -240,11 +242,7 @@ class VoxelModelManager {
    */
   placeFallbackModel(hexId, position, options = {}) {
     const scale = options.scale || 1.5;
-    const material = new THREE.MeshStandardMaterial({
-      color: Math.random() * 0xffffff
-    });
-
-    const mesh = new THREE.Mesh(this.fallbackGeometry, material);
+    const mesh = this.createFallbackMesh();
 
     // Apply position
     mesh.position.copy(position);
@@ -268,6 +266,20 @@ class VoxelModelManager {
     return mesh;
   }
 
+  /**
+   * Create a fallback cube in a random colour. Cubes of the same colour share
+   * a material, which removeModel releases.
+   * @returns {THREE.Mesh} Cube mesh
+   */
+  createFallbackMesh() {
+    const color = `#${new THREE.Color(Math.random() * 0xffffff).getHexString()}`;
+    const mesh = new THREE.Mesh(this.fallbackGeometry);
+
+    this.resources.use(mesh, 'material', `fallback-model:${color}`, () =>
+      new THREE.MeshStandardMaterial({ color }));
+    return mesh;
+  }
+
   /**
    * Update a model's position
    * @param {string} hexId - ID of the hex
@@ -506,6 +518,7 @@ class VoxelModelManager {
     if (this.models[hexId]) {
       // Make sure to call scene.remove to remove it from the scene
       this.scene.remove(this.models[hexId]);
+      this.resources.releaseObject(this.models[hexId]); // Frees a fallback cube's material
 
       // Clean up animation resources
       if (this.animationMixers[hexId]) {
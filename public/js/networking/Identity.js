@@ -0,0 +1,67 @@
+/**
+ * The player's identity, kept in localStorage so it survives reloads and reconnects.
+ *
+ * The client token tells the server which player this browser is (the server
+ * only ever shows others a player ID derived from it). The display name and
+ * colour are what other players see in chat, on the turn banner and on the
+ * markers under units.
+ */
+
+const TOKEN_KEY = 'hexgame.clientToken';
+const NAME_KEY = 'hexgame.playerName';
+const COLOR_KEY = 'hexgame.playerColor';
+
+// localStorage can be unavailable (private browsing, blocked storage)
+function readStorage(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (error) {
+    console.warn(`Could not save ${key}:`, error);
+  }
+}
+
+/**
+ * Get this browser's client token, creating one the first time
+ * @returns {string} 32 random hex characters
+ */
+function getClientToken() {
+  let token = readStorage(TOKEN_KEY);
+
+  if (!token) {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    token = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    writeStorage(TOKEN_KEY, token);
+  }
+
+  return token;
+}
+
+/**
+ * Get the saved display name and colour (empty strings let the server pick)
+ * @returns {Object} { name, color }
+ */
+function getProfile() {
+  return {
+    name: readStorage(NAME_KEY) || '',
+    color: readStorage(COLOR_KEY) || ''
+  };
+}
+
+/**
+ * Save a display name and colour for next time
+ * @param {Object} profile - { name, color }
+ */
+function saveProfile(profile) {
+  if (profile.name !== undefined) writeStorage(NAME_KEY, profile.name);
+  if (profile.color !== undefined) writeStorage(COLOR_KEY, profile.color);
+}
+
+export { getClientToken, getProfile, saveProfile };
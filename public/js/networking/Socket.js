@@ -1,21 +1,50 @@
+import { getClientToken, getProfile } from './Identity.js';
+
 /**
  * Socket class handles real-time communication with the server
  */
 class SocketManager {
     constructor() {
-      // Initialize the socket connection
-      this.socket = io();
+      // Initialize the socket connection. The handshake carries our client token
+      // and profile, read again on every reconnect so we stay the same player.
+      this.socket = io({
+        auth: (callback) => callback({ token: getClientToken(), ...getProfile() })
+      });
       this.isConnected = false;
+      this.player = null; // Our own { id, name, color }, sent by the server on connect
+      this.currentRoom = null; // Room to rejoin after a reconnect
+      this.revision = 0; // Room revision our copy of the room is up to date with
+      this.rejoining = false; // Whether we are waiting for the server to take us back
+      this.pendingJoin = null; // { roomCode, password } of our last join, retried once the host lets us in
       
       // Event callbacks
       this.onConnect = null;
       this.onDisconnect = null;
+      this.onIdentity = null;
       this.onRoomCreated = null;
       this.onRoomJoined = null;
       this.onRoomError = null;
+      this.onRoomResynced = null;
       this.onUserJoined = null;
       this.onUserLeft = null;
+      this.onPlayerUpdated = null;
+      this.onPresenceUpdated = null;
+      this.onRoleUpdated = null;
+      this.onKicked = null;
+      this.onJoinRequested = null;
+      this.onJoinRequestClosed = null;
+      this.onJoinAccepted = null;
       this.onHexUpdated = null;
+      this.onHexesUpdated = null;
+      this.onChunkStates = null;
+      this.onTerrainUpdated = null;
+      this.onWaterLevelUpdated = null;
+      this.onFogUpdated = null;
+      this.onTurnUpdated = null;
+      this.onUnitUpdated = null;
+      this.onUnitRemoved = null;
+      this.onActionRejected = null;
+      this.onHistoryApplied = null;
       this.onChatMessage = null;
       
       // Initialize event listeners
@@ -30,35 +59,91 @@ class SocketManager {
       this.socket.on('connect', () => {
         console.log('Connected to server');
         this.isConnected = true;
+        
+        // After a dropped connection, go back to our room and catch up on what we missed
+        if (this.currentRoom) {
+          this.rejoining = true;
+          this.socket.emit('rejoinRoom', { roomCode: this.currentRoom, revision: this.revision });
+        }
+        
         if (this.onConnect) this.onConnect();
       });
       
-      this.socket.on('disconnect', () => {
-        console.log('Disconnected from server');
+      this.socket.on('disconnect', (reason) => {
+        console.log(`Disconnected from server (${reason})`);
         this.isConnected = false;
-        if (this.onDisconnect) this.onDisconnect();
+        
+        // Socket.io only reconnects by itself when the server didn't close the connection on purpose
+        if (reason === 'io server disconnect') {
+          this.socket.connect();
+        }
+        
+        if (this.onDisconnect) this.onDisconnect(reason);
+      });
+      
+      // Who the server knows us as
+      this.socket.on('identity', (data) => {
+        this.player = data.player;
+        if (this.onIdentity) this.onIdentity(data.player);
       });
       
-      // Room events
-      this.socket.on('roomCreated', (roomCode) => {
-        console.log(`Room created: ${roomCode}`);
-        if (this.onRoomCreated) this.onRoomCreated(roomCode);
+      // Room events. Both pass on the whole room as the server sent it:
+      // { roomCode, settings, terrain, fog, turn, units, players, host, presence, roles, revision }
+      this.socket.on('roomCreated', (data) => {
+        console.log(`Room created: ${data.roomCode}`, data.settings);
+        this.enterRoom(data.roomCode, data.revision);
+        if (this.onRoomCreated) this.onRoomCreated(data);
       });
       
       this.socket.on('roomJoined', (data) => {
         console.log(`Joined room: ${data.roomCode}`);
-        if (this.onRoomJoined) this.onRoomJoined(data.roomCode, data.state);
+        this.enterRoom(data.roomCode, data.revision);
+        if (this.onRoomJoined) this.onRoomJoined(data);
       });
       
+      // error is { code, reason }; see JOIN_ERRORS in RoomManager for the codes
       this.socket.on('roomError', (error) => {
         console.error('Room error:', error);
+        
+        // Our room is gone, so don't try to rejoin it again
+        if (this.rejoining) {
+          this.rejoining = false;
+          this.currentRoom = null;
+        }
+        
         if (this.onRoomError) this.onRoomError(error);
       });
       
+      // Someone asked to join our private room (we are its host)
+      this.socket.on('joinRequested', (data) => {
+        if (this.onJoinRequested) this.onJoinRequested(data.roomCode, data.player);
+      });
+      
+      // A request to join our room was answered (maybe in another tab) or withdrawn
+      this.socket.on('joinRequestClosed', (data) => {
+        if (this.onJoinRequestClosed) this.onJoinRequestClosed(data.roomCode, data.playerId);
+      });
+      
+      // The host of a private room let us in, so join it for real
+      this.socket.on('joinAccepted', (data) => {
+        console.log(`Let into room ${data.roomCode}`);
+        if (this.pendingJoin && this.pendingJoin.roomCode === data.roomCode) {
+          this.socket.emit('joinRoom', this.pendingJoin);
+        }
+        if (this.onJoinAccepted) this.onJoinAccepted(data.roomCode);
+      });
+      
+      // We are back in our room after a reconnect; changes are what we missed, in order
+      this.socket.on('roomResynced', (data) => {
+        console.log(`Resynced room ${data.roomCode}: ${data.changes.length} change(s)`);
+        this.enterRoom(data.roomCode, data.revision);
+        if (this.onRoomResynced) this.onRoomResynced(data.roomCode, data.changes, data.turn, data.players, data.host, data.presence, data.roles);
+      });
+      
       // User events
-      this.socket.on('userJoined', (userId) => {
-        console.log(`User joined: ${userId}`);
-        if (this.onUserJoined) this.onUserJoined(userId);
+      this.socket.on('userJoined', (player) => {
+        console.log(`User joined: ${player.name} (${player.id})`);
+        if (this.onUserJoined) this.onUserJoined(player);
       });
       
       this.socket.on('userLeft', (userId) => {
@@ -66,25 +151,126 @@ class SocketManager {
         if (this.onUserLeft) this.onUserLeft(userId);
       });
       
+      // A player (possibly us) changed their name or colour
+      this.socket.on('playerUpdated', (data) => {
+        if (this.player && data.player.id === this.player.id) this.player = data.player;
+        if (this.onPlayerUpdated) this.onPlayerUpdated(data.player);
+      });
+      
+      // A player's hovered or selected hex, idle or connection status changed
+      this.socket.on('presenceUpdated', (data) => {
+        if (this.onPresenceUpdated) this.onPresenceUpdated(data.playerId, data.presence);
+      });
+      
+      // The host made a player (possibly us) an editor or a viewer
+      this.socket.on('roleUpdated', (data) => {
+        if (this.onRoleUpdated) this.onRoleUpdated(data.playerId, data.role);
+      });
+      
+      // The host removed us from the room, so don't rejoin it after a reconnect
+      this.socket.on('kicked', (data) => {
+        console.log(`Removed from room ${data.roomCode}`);
+        if (this.currentRoom === data.roomCode) this.currentRoom = null;
+        if (this.onKicked) this.onKicked(data.roomCode);
+      });
+      
       // Game state events
       this.socket.on('hexUpdated', (data) => {
+        this.trackRevision(data);
         // console.log(`Hex updated: ${data.hexId}`, data.action);
-        if (this.onHexUpdated) this.onHexUpdated(data.hexId, data.action);
+        if (this.onHexUpdated) this.onHexUpdated(data.hexId, data.action, Boolean(data.replace));
+      });
+      
+      // The room's terrain recipe changed, heights are regenerated locally
+      this.socket.on('terrainUpdated', (data) => {
+        this.trackRevision(data);
+        console.log('Terrain updated:', data.terrain);
+        if (this.onTerrainUpdated) this.onTerrainUpdated(data.terrain);
+      });
+      
+      // The room's water level changed
+      this.socket.on('waterLevelUpdated', (data) => {
+        this.trackRevision(data);
+        if (this.onWaterLevelUpdated) this.onWaterLevelUpdated(data.waterLevel);
+      });
+      
+      // What we can see changed (rooms with fog of war only)
+      this.socket.on('fogUpdated', (data) => {
+        if (this.onFogUpdated) this.onFogUpdated(data);
+      });
+      
+      // Whose turn it is changed, or the current player used an action (turn-based rooms only)
+      this.socket.on('turnUpdated', (data) => {
+        if (this.onTurnUpdated) this.onTurnUpdated(data.turn);
+      });
+      
+      // A unit was placed or moved (path is the hexes it walked through, if we saw it)
+      this.socket.on('unitUpdated', (data) => {
+        this.trackRevision(data);
+        if (this.onUnitUpdated) this.onUnitUpdated(data.unit, data.path);
+      });
+      
+      // A unit left our view (rooms with fog of war only)
+      this.socket.on('unitRemoved', (data) => {
+        this.trackRevision(data);
+        if (this.onUnitRemoved) this.onUnitRemoved(data.unitId);
+      });
+      
+      // Many hexes changed at once (tints, shoreline flags, undo/redo)
+      this.socket.on('hexesUpdated', (data) => {
+        this.trackRevision(data);
+        if (this.onHexesUpdated) this.onHexesUpdated(data.updates, Boolean(data.replace));
+      });
+      
+      // Hex state of chunks we asked for, keyed by chunk ID (see Chunks.js)
+      this.socket.on('chunkStates', (data) => {
+        if (this.onChunkStates) this.onChunkStates(data.roomCode, data.chunks);
+      });
+      
+      // Result of our own undo/redo request
+      this.socket.on('historyApplied', (data) => {
+        console.log(`${data.direction} applied to ${data.applied} hex(es), ${data.skipped} skipped`);
+        if (this.onHistoryApplied) this.onHistoryApplied(data);
+      });
+      
+      // The server refused one of our actions (invalid hex, field or value)
+      this.socket.on('actionRejected', (data) => {
+        console.warn(`Action rejected (${data.code}): ${data.reason}`);
+        if (this.onActionRejected) this.onActionRejected(data);
       });
       
       // Chat events
       this.socket.on('chatMessage', (data) => {
-        console.log(`Chat message from ${data.userId}: ${data.message}`);
-        if (this.onChatMessage) this.onChatMessage(data.userId, data.message, data.timestamp);
+        console.log(`Chat message from ${data.player.name}: ${data.message}`);
+        if (this.onChatMessage) this.onChatMessage(data.player, data.message, data.timestamp);
       });
     }
     
+    /**
+     * Remember the room we are in and how up to date our copy of it is
+     * @param {string} roomCode - Room code
+     * @param {number} revision - Room revision the server sent with it
+     */
+    enterRoom(roomCode, revision) {
+      this.currentRoom = roomCode;
+      this.revision = revision || 0;
+      this.rejoining = false;
+      this.pendingJoin = null;
+    }
+    
+    // Room changes carry the revision they brought the room to
+    trackRevision(data) {
+      if (typeof data.revision === 'number') this.revision = data.revision;
+    }
+    
     /**
      * Create a new room
+     * @param {Object} [settings] - Grid settings ({ radius, hexSize, shape, seed, waterLevel, fogOfWar,
+     *   turnBased, actionsPerTurn, turnSeconds })
      */
-    createRoom() {
+    createRoom(settings = {}) {
       if (this.isConnected) {
-        this.socket.emit('createRoom');
+        this.socket.emit('createRoom', settings);
       } else {
         console.error('Cannot create room: not connected to server');
       }
@@ -93,10 +279,12 @@ class SocketManager {
     /**
      * Join an existing room
      * @param {string} roomCode - Code of the room to join
+     * @param {string} [password] - Room password (only needed the first time)
      */
-    joinRoom(roomCode) {
+    joinRoom(roomCode, password = '') {
       if (this.isConnected) {
-        this.socket.emit('joinRoom', roomCode);
+        this.pendingJoin = { roomCode, password };
+        this.socket.emit('joinRoom', this.pendingJoin);
       } else {
         console.error('Cannot join room: not connected to server');
       }
@@ -116,6 +304,193 @@ class SocketManager {
       }
     }
     
+    /**
+     * Send actions for many hexes in a single message
+     * @param {string} roomCode - Room code
+     * @param {Object} updates - Maps hex IDs to action data
+     */
+    sendHexActions(roomCode, updates) {
+      if (this.isConnected) {
+        this.socket.emit('updateHexes', { roomCode, updates });
+      } else {
+        console.error('Cannot send hex actions: not connected to server');
+      }
+    }
+    
+    /**
+     * Ask for the hex state of chunks we just loaded (answered with 'chunkStates')
+     * @param {string} roomCode - Room code
+     * @param {Array} chunkIds - Chunk IDs
+     */
+    requestChunks(roomCode, chunkIds) {
+      if (this.isConnected) {
+        this.socket.emit('requestChunks', { roomCode, chunks: chunkIds });
+      }
+    }
+    
+    /**
+     * Replace the room's terrain with a new recipe
+     * @param {string} roomCode - Room code
+     * @param {Object} recipe - Terrain recipe ({ seed, scale, amplitude, octaves, peaks })
+     */
+    setTerrain(roomCode, recipe) {
+      if (this.isConnected) {
+        this.socket.emit('setTerrain', { roomCode, recipe });
+      } else {
+        console.error('Cannot set terrain: not connected to server');
+      }
+    }
+    
+    /**
+     * Change the room's water level
+     * @param {string} roomCode - Room code
+     * @param {number} waterLevel - New water level (0 = no water)
+     */
+    setWaterLevel(roomCode, waterLevel) {
+      if (this.isConnected) {
+        this.socket.emit('setWaterLevel', { roomCode, waterLevel });
+      } else {
+        console.error('Cannot set water level: not connected to server');
+      }
+    }
+    
+    /**
+     * Ask the server to undo the latest edit
+     * @param {string} roomCode - Room code
+     * @param {string} scope - 'user' to undo your own edits, 'room' for anyone's
+     */
+    undo(roomCode, scope = 'user') {
+      if (this.isConnected) {
+        this.socket.emit('undo', { roomCode, scope });
+      } else {
+        console.error('Cannot undo: not connected to server');
+      }
+    }
+    
+    /**
+     * Ask the server to redo the latest undone edit
+     * @param {string} roomCode - Room code
+     * @param {string} scope - 'user' to redo your own undos, 'room' for anyone's
+     */
+    redo(roomCode, scope = 'user') {
+      if (this.isConnected) {
+        this.socket.emit('redo', { roomCode, scope });
+      } else {
+        console.error('Cannot redo: not connected to server');
+      }
+    }
+    
+    /**
+     * Place a new unit of yours on a hex
+     * @param {string} roomCode - Room code
+     * @param {string} hexId - Hex to place it on
+     * @param {string} model - Voxel model type to draw it with
+     */
+    spawnUnit(roomCode, hexId, model) {
+      if (this.isConnected) {
+        this.socket.emit('spawnUnit', { roomCode, hexId, model });
+      } else {
+        console.error('Cannot place unit: not connected to server');
+      }
+    }
+    
+    /**
+     * Order one of your units to move to a hex (the server picks the path)
+     * @param {string} roomCode - Room code
+     * @param {string} unitId - Unit to move
+     * @param {string} hexId - Destination hex
+     */
+    moveUnit(roomCode, unitId, hexId) {
+      if (this.isConnected) {
+        this.socket.emit('moveUnit', { roomCode, unitId, hexId });
+      } else {
+        console.error('Cannot move unit: not connected to server');
+      }
+    }
+    
+    /**
+     * End your turn early (turn-based rooms only)
+     * @param {string} roomCode - Room code
+     */
+    endTurn(roomCode) {
+      if (this.isConnected) {
+        this.socket.emit('endTurn', { roomCode });
+      } else {
+        console.error('Cannot end turn: not connected to server');
+      }
+    }
+    
+    /**
+     * Change our display name and colour
+     * @param {Object} profile - { name, color }
+     */
+    setProfile(profile) {
+      if (this.isConnected) {
+        this.socket.emit('setProfile', profile);
+      }
+    }
+    
+    /**
+     * Tell the others in the room where our pointer and selection are
+     * (the caller throttles this; the server throttles it again)
+     * @param {string} roomCode - Room code
+     * @param {Object} presence - { hover, selected, idle }; hexes may be null
+     */
+    updatePresence(roomCode, presence) {
+      if (this.isConnected) {
+        this.socket.emit('updatePresence', { roomCode, presence });
+      }
+    }
+    
+    /**
+     * Make a player an editor or a viewer (host only)
+     * @param {string} roomCode - Room code
+     * @param {string} playerId - Player ID
+     * @param {string} role - 'editor' or 'viewer'
+     */
+    setRole(roomCode, playerId, role) {
+      if (this.isConnected) {
+        this.socket.emit('setRole', { roomCode, playerId, role });
+      } else {
+        console.error('Cannot change role: not connected to server');
+      }
+    }
+    
+    /**
+     * Remove a player from the room for good (host only)
+     * @param {string} roomCode - Room code
+     * @param {string} playerId - Player ID
+     */
+    kickPlayer(roomCode, playerId) {
+      if (this.isConnected) {
+        this.socket.emit('kickPlayer', { roomCode, playerId });
+      } else {
+        console.error('Cannot kick player: not connected to server');
+      }
+    }
+    
+    /**
+     * Let a player into our private room, or turn them away (host only)
+     * @param {string} roomCode - Room code
+     * @param {string} playerId - Player who asked to join
+     * @param {boolean} accept - Whether to let them in
+     */
+    answerJoinRequest(roomCode, playerId, accept) {
+      if (this.isConnected) {
+        this.socket.emit('answerJoinRequest', { roomCode, playerId, accept });
+      } else {
+        console.error('Cannot answer join request: not connected to server');
+      }
+    }
+    
+    /**
+     * Get our own player ID (null until the server has told us)
+     * @returns {string|null} Player ID
+     */
+    get playerId() {
+      return this.player ? this.player.id : null;
+    }
+    
     /**
      * Send a chat message
      * @param {string} roomCode - Room code
@@ -138,6 +513,10 @@ class SocketManager {
       this.onDisconnect = callback;
     }
     
+    setIdentityCallback(callback) {
+      this.onIdentity = callback;
+    }
+    
     setRoomCreatedCallback(callback) {
       this.onRoomCreated = callback;
     }
@@ -150,6 +529,10 @@ class SocketManager {
       this.onRoomError = callback;
     }
     
+    setRoomResyncedCallback(callback) {
+      this.onRoomResynced = callback;
+    }
+    
     setUserJoinedCallback(callback) {
       this.onUserJoined = callback;
     }
@@ -158,10 +541,78 @@ class SocketManager {
       this.onUserLeft = callback;
     }
     
+    setPlayerUpdatedCallback(callback) {
+      this.onPlayerUpdated = callback;
+    }
+    
+    setPresenceUpdatedCallback(callback) {
+      this.onPresenceUpdated = callback;
+    }
+    
+    setRoleUpdatedCallback(callback) {
+      this.onRoleUpdated = callback;
+    }
+    
+    setKickedCallback(callback) {
+      this.onKicked = callback;
+    }
+    
+    setJoinRequestedCallback(callback) {
+      this.onJoinRequested = callback;
+    }
+    
+    setJoinRequestClosedCallback(callback) {
+      this.onJoinRequestClosed = callback;
+    }
+    
+    setJoinAcceptedCallback(callback) {
+      this.onJoinAccepted = callback;
+    }
+    
     setHexUpdatedCallback(callback) {
       this.onHexUpdated = callback;
     }
     
+    setHexesUpdatedCallback(callback) {
+      this.onHexesUpdated = callback;
+    }
+    
+    setChunkStatesCallback(callback) {
+      this.onChunkStates = callback;
+    }
+    
+    setTerrainUpdatedCallback(callback) {
+      this.onTerrainUpdated = callback;
+    }
+    
+    setWaterLevelUpdatedCallback(callback) {
+      this.onWaterLevelUpdated = callback;
+    }
+    
+    setFogUpdatedCallback(callback) {
+      this.onFogUpdated = callback;
+    }
+    
+    setTurnUpdatedCallback(callback) {
+      this.onTurnUpdated = callback;
+    }
+    
+    setUnitUpdatedCallback(callback) {
+      this.onUnitUpdated = callback;
+    }
+    
+    setUnitRemovedCallback(callback) {
+      this.onUnitRemoved = callback;
+    }
+    
+    setActionRejectedCallback(callback) {
+      this.onActionRejected = callback;
+    }
+    
+    setHistoryAppliedCallback(callback) {
+      this.onHistoryApplied = callback;
+    }
+    
     setChatMessageCallback(callback) {
       this.onChatMessage = callback;
     }
@@ -9,6 +9,52 @@ class UI {
     this.createRoomBtn = document.getElementById('create-room-btn');
     this.roomCodeInput = document.getElementById('room-code-input');
     this.joinRoomBtn = document.getElementById('join-room-btn');
+    this.roomPasswordInput = document.getElementById('room-password-input'); // Shown when a room asks for one
+
+    // Profile elements (our display name and colour)
+    this.playerNameInput = document.getElementById('player-name-input');
+    this.playerColorInput = document.getElementById('player-color-input');
+
+    // Room settings elements (used when creating a room)
+    this.roomSettingsPanel = document.getElementById('room-settings');
+    this.roomRadiusInput = document.getElementById('room-radius-input');
+    this.roomHexSizeInput = document.getElementById('room-hex-size-input');
+    this.roomShapeInput = document.getElementById('room-shape-input');
+    this.roomWaterLevelInput = document.getElementById('room-water-level-input');
+    this.roomFogInput = document.getElementById('room-fog-input');
+    this.roomTurnBasedInput = document.getElementById('room-turn-based-input');
+    this.roomActionsInput = document.getElementById('room-actions-input');
+    this.roomTurnSecondsInput = document.getElementById('room-turn-seconds-input');
+    this.roomJoinRoleInput = document.getElementById('room-join-role-input');
+    this.roomMaxPlayersInput = document.getElementById('room-max-players-input');
+    this.roomPrivateInput = document.getElementById('room-private-input');
+    this.roomNewPasswordInput = document.getElementById('room-new-password-input');
+
+    // Terrain elements (used once in a room)
+    this.terrainControls = document.getElementById('terrain-controls');
+    this.terrainSeedInput = document.getElementById('terrain-seed-input');
+    this.generateTerrainBtn = document.getElementById('generate-terrain-btn');
+    this.terrainHydrologyInput = document.getElementById('terrain-hydrology-input');
+    this.waterControls = document.getElementById('water-controls');
+    this.waterLevelInput = document.getElementById('water-level-input');
+
+    // Turn elements (turn-based rooms only)
+    this.turnBanner = document.getElementById('turn-banner');
+    this.turnText = document.getElementById('turn-text');
+    this.turnCountdown = document.getElementById('turn-countdown');
+    this.endTurnBtn = document.getElementById('end-turn-btn');
+    this.turnDeadline = null;
+    this.turnTimer = null;
+
+    // Banner shown while the connection is lost
+    this.connectionBanner = document.getElementById('connection-banner');
+
+    // Players asking to join our private room
+    this.joinRequests = document.getElementById('join-requests');
+
+    // Players in the room
+    this.playerListPanel = document.getElementById('player-list-panel');
+    this.playerList = document.getElementById('player-list');
 
     // Chat elements
     this.chatContainer = document.getElementById('chat-container');
@@ -17,10 +63,15 @@ class UI {
     this.chatInput = document.getElementById('chat-input');
     this.sendChatBtn = document.getElementById('send-chat-btn');
 
+    // Tooltip naming the owner of the hovered unit or model
+    this.hoverTooltip = document.getElementById('hover-tooltip');
+
 
 
     // State
     this.currentRoomCode = null;
+    this.players = {}; // Maps player IDs to { id, name, color }
+    this.permissions = { edit: true, world: true, manage: false }; // What our role in the room allows
     this.isMobile = this.detectMobile();
 
     // Initialize event listeners
@@ -77,24 +128,58 @@ class UI {
    * Set up all event listeners for UI elements
    */
   initEventListeners() {
+    // Profile listeners (sent when the user finishes editing)
+    this.playerNameInput.addEventListener('change', () => {
+      if (this.onProfileChange) this.onProfileChange(this.getProfile());
+    });
+
+    this.playerColorInput.addEventListener('change', () => {
+      if (this.onProfileChange) this.onProfileChange(this.getProfile());
+    });
+
     // Room-related listeners
     this.createRoomBtn.addEventListener('click', () => {
-      if (this.onCreateRoom) this.onCreateRoom();
+      if (this.onCreateRoom) this.onCreateRoom(this.getRoomSettings());
     });
 
     this.joinRoomBtn.addEventListener('click', () => {
       const roomCode = this.roomCodeInput.value.trim().toUpperCase();
       if (roomCode && this.onJoinRoom) {
-        this.onJoinRoom(roomCode);
+        this.onJoinRoom(roomCode, this.roomPasswordInput.value);
       }
     });
 
+    this.roomPasswordInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.joinRoomBtn.click();
+    });
+
     this.copyRoomCodeBtn.addEventListener('click', () => {
       if (this.currentRoomCode) {
         this.copyToClipboard(this.currentRoomCode);
       }
     });
 
+    // Terrain-related listeners
+    this.generateTerrainBtn.addEventListener('click', () => {
+      if (this.onGenerateTerrain) this.onGenerateTerrain(this.terrainSeedInput.value);
+    });
+
+    this.terrainSeedInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && this.onGenerateTerrain) {
+        this.onGenerateTerrain(this.terrainSeedInput.value);
+        e.preventDefault();
+      }
+    });
+
+    // Send the water level while dragging so everyone sees it move
+    this.waterLevelInput.addEventListener('input', () => {
+      if (this.onWaterLevelChange) this.onWaterLevelChange(parseFloat(this.waterLevelInput.value));
+    });
+
+    this.endTurnBtn.addEventListener('click', () => {
+      if (this.onEndTurn) this.onEndTurn();
+    });
+
     // Chat-related listeners
     this.toggleChatBtn.addEventListener('click', () => {
       this.toggleChat();
@@ -130,12 +215,20 @@ class UI {
     this.controlsIndicator = document.createElement('div');
     this.controlsIndicator.className = 'hud-panel';
     this.controlsIndicator.innerHTML = `
-    <div class="control-row"><span class="key">T</span> Generate Terrain</div>
-    <div class="control-row"><span class="key">Shift+T</span> Change Colors</div>
+    <div class="control-row" data-permission="edit"><span class="key">Shift+Click</span> Place Unit</div>
+    <div class="control-row" data-permission="world"><span class="key">T</span> Generate Terrain</div>
+    <div class="control-row" data-permission="edit"><span class="key">Shift+T</span> Change Colors</div>
     <div class="control-row"><span class="key">A</span> Toggle Animations</div>
-    <div class="control-row"><span class="key">Scroll</span> Adjust Height</div>
+    <div class="control-row" data-permission="edit"><span class="key">B</span> Change Biome</div>
+    <div class="control-row" data-permission="edit"><span class="key">R</span> Toggle River</div>
+    <div class="control-row"><span class="key">V</span> Line of Sight</div>
+    <div class="control-row" data-permission="edit"><span class="key">E</span> End Turn</div>
+    <div class="control-row" data-permission="edit"><span class="key">Scroll</span> Adjust Height</div>
     <div class="control-row"><span class="key">Shift+O</span> Focus Camera</div>
+    <div class="control-row" data-permission="edit"><span class="key">Ctrl+Z</span> Undo</div>
+    <div class="control-row" data-permission="edit"><span class="key">Ctrl+Shift+Z</span> Redo</div>
   `;
+    this.setPermissions(this.permissions);
 
     this.hudContainer.appendChild(this.controlsIndicator);
     document.getElementById('ui-overlay').appendChild(this.hudContainer);
@@ -151,6 +244,102 @@ class UI {
     });
   }
 
+  /**
+   * Read the room settings form (the server clamps anything out of range)
+   * @returns {Object} Settings ({ radius, hexSize, shape, waterLevel, fogOfWar,
+   *   turnBased, actionsPerTurn, turnSeconds, joinRole, maxPlayers, private, password })
+   */
+  getRoomSettings() {
+    return {
+      radius: parseInt(this.roomRadiusInput.value, 10),
+      hexSize: parseFloat(this.roomHexSizeInput.value),
+      shape: this.roomShapeInput.value,
+      waterLevel: parseFloat(this.roomWaterLevelInput.value),
+      fogOfWar: this.roomFogInput.checked,
+      turnBased: this.roomTurnBasedInput.checked,
+      actionsPerTurn: parseInt(this.roomActionsInput.value, 10),
+      turnSeconds: parseInt(this.roomTurnSecondsInput.value, 10),
+      joinRole: this.roomJoinRoleInput.value,
+      maxPlayers: parseInt(this.roomMaxPlayersInput.value, 10),
+      private: this.roomPrivateInput.checked,
+      password: this.roomNewPasswordInput.value
+    };
+  }
+
+  /**
+   * Show whose turn it is, and count down the turn timer
+   * @param {Object|null} turn - Turn state from the server, or null outside turn-based rooms
+   * @param {string} myId - Our own user ID
+   */
+  setTurn(turn, myId) {
+    clearInterval(this.turnTimer);
+    this.turnTimer = null;
+
+    if (!turn) {
+      this.turnBanner.hidden = true;
+      return;
+    }
+
+    const myTurn = turn.currentPlayer === myId;
+    this.turnBanner.hidden = false;
+    this.turnBanner.classList.toggle('my-turn', myTurn);
+    this.endTurnBtn.disabled = !myTurn;
+
+    if (!turn.currentPlayer) {
+      this.turnText.textContent = 'Waiting for players';
+    } else if (myTurn) {
+      this.turnText.textContent = `Your turn (${turn.actionsLeft}/${turn.actionsPerTurn} actions left)`;
+    } else {
+      this.turnText.textContent = `${this.getPlayerName(turn.currentPlayer)}'s turn`;
+    }
+
+    // Count down from our own clock so a slow network doesn't skew the timer
+    this.turnDeadline = turn.remainingMs !== null ? Date.now() + turn.remainingMs : null;
+    this.updateTurnCountdown();
+
+    if (this.turnDeadline !== null) {
+      this.turnTimer = setInterval(() => this.updateTurnCountdown(), 1000);
+    }
+  }
+
+  // Refresh the turn timer text
+  updateTurnCountdown() {
+    if (this.turnDeadline === null) {
+      this.turnCountdown.textContent = '';
+      return;
+    }
+
+    const seconds = Math.max(0, Math.ceil((this.turnDeadline - Date.now()) / 1000));
+    this.turnCountdown.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Show the seed of the room's current terrain so it can be shared
+   * @param {number|string} seed - Terrain seed
+   */
+  setTerrainSeed(seed) {
+    this.terrainSeedInput.value = seed !== null && seed !== undefined ? String(seed) : '';
+  }
+
+  /**
+   * Check whether generated terrain should get the erosion and river pass
+   * @returns {boolean} True if the Rivers box is ticked
+   */
+  isHydrologyEnabled() {
+    return this.terrainHydrologyInput.checked;
+  }
+
+  /**
+   * Show the room's current water level on the slider
+   * @param {number} waterLevel - Water level
+   */
+  setWaterLevel(waterLevel) {
+    // Don't fight the user's own drag with echoes from the server
+    if (document.activeElement === this.waterLevelInput) return;
+
+    this.waterLevelInput.value = String(waterLevel || 0);
+  }
+
   /**
    * Copy text to clipboard with fallbacks for different browsers
    * @param {string} text - Text to copy
@@ -267,6 +456,11 @@ class UI {
       this.createRoomBtn.disabled = true;
       this.joinRoomBtn.disabled = true;
       this.roomCodeInput.disabled = true;
+      this.roomPasswordInput.hidden = true;
+      this.roomPasswordInput.value = '';
+      this.roomSettingsPanel.hidden = true;
+      this.terrainControls.hidden = false;
+      this.waterControls.hidden = false;
 
       // On mobile, blur the input to hide keyboard
       if (this.isMobile) {
@@ -281,16 +475,186 @@ class UI {
       this.createRoomBtn.disabled = false;
       this.joinRoomBtn.disabled = false;
       this.roomCodeInput.disabled = false;
+      this.roomSettingsPanel.hidden = false;
+      this.terrainControls.hidden = true;
+      this.waterControls.hidden = true;
     }
   }
 
+  /**
+   * Enable the tools our role allows and disable (or hide) the rest
+   * @param {Object} permissions - { edit, world, manage } booleans (see Roles.js)
+   */
+  setPermissions(permissions) {
+    this.permissions = { ...permissions };
+
+    // Terrain and water change every hex, so only the host gets them
+    [this.terrainSeedInput, this.generateTerrainBtn, this.terrainHydrologyInput, this.waterLevelInput]
+      .forEach(control => { control.disabled = !permissions.world; });
+
+    // Leave out the shortcuts we can't use
+    if (this.controlsIndicator) {
+      this.controlsIndicator.querySelectorAll('[data-permission]').forEach(row => {
+        row.hidden = !permissions[row.dataset.permission];
+      });
+    }
+  }
+
+  /**
+   * List the players in the room. The host also gets buttons to change the
+   * others' roles and to kick them.
+   * @param {Object} presence - Maps the IDs of the players in the room to { idle, connected, ... }
+   * @param {string|null} hostId - ID of the room's host
+   * @param {string|null} myId - Our own player ID
+   * @param {Object} [roles] - Maps player IDs to 'host', 'editor' or 'viewer'
+   */
+  updatePlayerList(presence, hostId, myId, roles = {}) {
+    this.playerList.innerHTML = '';
+
+    for (const playerId of Object.keys(presence)) {
+      const player = this.players[playerId] || { name: this.formatUserId(playerId), color: '#cccccc' };
+      const { idle, connected } = presence[playerId];
+
+      const entry = document.createElement('li');
+      entry.className = 'player-entry';
+      entry.classList.toggle('away', idle || connected === false);
+
+      const swatch = document.createElement('span');
+      swatch.className = 'player-swatch';
+      swatch.style.backgroundColor = player.color;
+
+      const name = document.createElement('span');
+      name.className = 'player-name';
+      name.textContent = playerId === myId ? `${player.name} (you)` : player.name;
+
+      entry.append(swatch, name);
+
+      const role = playerId === hostId ? 'host' : roles[playerId];
+      if (role === 'host' || role === 'viewer') {
+        const badge = document.createElement('span');
+        badge.className = `player-badge ${role}`;
+        badge.textContent = role;
+        entry.appendChild(badge);
+      }
+
+      if (connected === false || idle) {
+        const status = document.createElement('span');
+        status.className = 'player-status';
+        status.textContent = connected === false ? 'reconnecting' : 'idle';
+        entry.appendChild(status);
+      }
+
+      if (this.permissions.manage && playerId !== myId && role !== 'host') {
+        entry.appendChild(this.createPlayerActions(playerId, role));
+      }
+
+      this.playerList.appendChild(entry);
+    }
+
+    this.playerListPanel.hidden = Object.keys(presence).length === 0;
+  }
+
+  // The host's promote/demote and kick buttons for one player
+  createPlayerActions(playerId, role) {
+    const actions = document.createElement('span');
+    actions.className = 'player-actions';
+
+    const roleBtn = document.createElement('button');
+    const newRole = role === 'viewer' ? 'editor' : 'viewer';
+    roleBtn.textContent = role === 'viewer' ? 'Make editor' : 'Make viewer';
+    roleBtn.addEventListener('click', () => {
+      if (this.onRoleChange) this.onRoleChange(playerId, newRole);
+    });
+
+    const kickBtn = document.createElement('button');
+    kickBtn.className = 'kick-btn';
+    kickBtn.textContent = 'Kick';
+    kickBtn.addEventListener('click', () => {
+      const name = this.getPlayerName(playerId);
+      if (this.onKick && confirm(`Remove ${name} from the room? They won't be able to come back.`)) {
+        this.onKick(playerId);
+      }
+    });
+
+    actions.append(roleBtn, kickBtn);
+    return actions;
+  }
+
+  /**
+   * Show or hide the "reconnecting" banner
+   * @param {boolean} connected - Whether we are connected to the server
+   */
+  setConnectionStatus(connected) {
+    this.connectionBanner.hidden = connected;
+  }
+
+  /**
+   * Read the profile form
+   * @returns {Object} { name, color }
+   */
+  getProfile() {
+    return {
+      name: this.playerNameInput.value.trim(),
+      color: this.playerColorInput.value
+    };
+  }
+
+  /**
+   * Show our display name and colour in the profile form
+   * @param {Object} player - { name, color }
+   */
+  setProfile(player) {
+    // Don't overwrite the name while it is being typed
+    if (document.activeElement !== this.playerNameInput) {
+      this.playerNameInput.value = player.name;
+    }
+    this.playerColorInput.value = player.color;
+  }
+
+  /**
+   * Use a directory of players for names (shared with the app, so later changes show up)
+   * @param {Object} players - Maps player IDs to { id, name, color }
+   */
+  setPlayers(players) {
+    this.players = players;
+  }
+
+  /**
+   * Get a player's display name
+   * @param {string} playerId - Player ID
+   * @returns {string} Their name, or a shortened ID for players we haven't heard of
+   */
+  getPlayerName(playerId) {
+    const player = this.players[playerId];
+    return player ? player.name : this.formatUserId(playerId);
+  }
+
+  /**
+   * Show a tooltip next to the pointer
+   * @param {string} text - Tooltip text
+   * @param {string} color - Border colour (the player's colour)
+   * @param {number} x - Pointer x in pixels
+   * @param {number} y - Pointer y in pixels
+   */
+  showTooltip(text, color, x, y) {
+    this.hoverTooltip.textContent = text;
+    this.hoverTooltip.style.borderLeft = `4px solid ${color}`;
+    this.hoverTooltip.style.left = `${x + 14}px`;
+    this.hoverTooltip.style.top = `${y + 14}px`;
+    this.hoverTooltip.hidden = false;
+  }
+
+  hideTooltip() {
+    this.hoverTooltip.hidden = true;
+  }
+
   /**
    * Display a new chat message
-   * @param {string} userId - ID of the user who sent the message
+   * @param {Object} player - Sender ({ id, name, color })
    * @param {string} message - The message content
    * @param {number} timestamp - Message timestamp
    */
-  displayChatMessage(userId, message, timestamp) {
+  displayChatMessage(player, message, timestamp) {
     const messageElement = document.createElement('div');
     messageElement.className = 'chat-message';
 
@@ -298,9 +662,9 @@ class UI {
     const date = new Date(timestamp);
     const timeStr = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
-    // Create message content with user ID and timestamp
+    // Create message content with the sender's name (in their colour) and timestamp
     messageElement.innerHTML = `
-      <span class="user-id">${this.formatUserId(userId)}</span>
+      <span class="user-id" style="color: ${this.escapeHtml(player.color)}">${this.escapeHtml(player.name)}</span>
       <span class="timestamp">${timeStr}</span>
       <div class="message-content">${this.escapeHtml(message)}</div>
     `;
@@ -352,6 +716,80 @@ class UI {
     }
   }
 
+  /**
+   * Explain why we couldn't join a room, asking for what's missing
+   * @param {Object} error - { code, reason } from the server
+   */
+  showRoomError(error) {
+    switch (error.code) {
+      case 'PASSWORD_REQUIRED':
+      case 'WRONG_PASSWORD':
+        this.roomPasswordInput.hidden = false;
+        this.roomPasswordInput.select();
+        this.roomPasswordInput.focus();
+        this.showToast(error.reason, 'error');
+        break;
+      case 'TOO_MANY_ATTEMPTS':
+        this.showToast(error.reason, 'error');
+        break;
+      case 'APPROVAL_REQUIRED':
+        this.showToast(error.reason, 'info');
+        break;
+      default:
+        this.displayError(error.reason);
+    }
+  }
+
+  /**
+   * Ask the host whether to let a player into the room
+   * @param {Object} player - { id, name, color } of the player asking
+   */
+  addJoinRequest(player) {
+    this.removeJoinRequest(player.id);
+
+    const request = document.createElement('div');
+    request.className = 'join-request';
+    request.dataset.playerId = player.id;
+
+    const name = document.createElement('span');
+    name.style.color = player.color;
+    name.textContent = player.name;
+
+    const text = document.createElement('span');
+    text.textContent = 'wants to join';
+
+    const acceptBtn = document.createElement('button');
+    acceptBtn.textContent = 'Let in';
+    acceptBtn.addEventListener('click', () => {
+      if (this.onJoinRequestAnswer) this.onJoinRequestAnswer(player.id, true);
+    });
+
+    const denyBtn = document.createElement('button');
+    denyBtn.className = 'deny-btn';
+    denyBtn.textContent = 'Turn away';
+    denyBtn.addEventListener('click', () => {
+      if (this.onJoinRequestAnswer) this.onJoinRequestAnswer(player.id, false);
+    });
+
+    request.append(name, text, acceptBtn, denyBtn);
+    this.joinRequests.appendChild(request);
+  }
+
+  /**
+   * Remove a join request once it has been answered or withdrawn
+   * @param {string} playerId - Player who asked to join
+   */
+  removeJoinRequest(playerId) {
+    this.joinRequests.querySelectorAll('.join-request').forEach(request => {
+      if (request.dataset.playerId === playerId) request.remove();
+    });
+  }
+
+  // Remove every join request (when we leave the room)
+  clearJoinRequests() {
+    this.joinRequests.innerHTML = '';
+  }
+
   /**
    * Display a toast notification
    * @param {string} message - Message to display
@@ -431,15 +869,71 @@ class UI {
 
   /**
    * Set callback for when a user creates a room
-   * @param {Function} callback - Function to call
+   * @param {Function} callback - Function to call with the room settings
    */
   setCreateRoomCallback(callback) {
     this.onCreateRoom = callback;
   }
 
+  /**
+   * Set callback for when a user generates terrain from the seed input
+   * @param {Function} callback - Function to call with the typed seed
+   */
+  setGenerateTerrainCallback(callback) {
+    this.onGenerateTerrain = callback;
+  }
+
+  /**
+   * Set callback for when a user moves the water level slider
+   * @param {Function} callback - Function to call with the new water level
+   */
+  setWaterLevelCallback(callback) {
+    this.onWaterLevelChange = callback;
+  }
+
+  /**
+   * Set callback for when a user ends their turn from the turn banner
+   * @param {Function} callback - Function to call with no arguments
+   */
+  setEndTurnCallback(callback) {
+    this.onEndTurn = callback;
+  }
+
+  /**
+   * Set callback for when the user changes their display name or colour
+   * @param {Function} callback - Function to call with { name, color }
+   */
+  setProfileChangeCallback(callback) {
+    this.onProfileChange = callback;
+  }
+
+  /**
+   * Set callback for when the host changes a player's role from the player list
+   * @param {Function} callback - Function to call with player ID and new role
+   */
+  setRoleChangeCallback(callback) {
+    this.onRoleChange = callback;
+  }
+
+  /**
+   * Set callback for when the host kicks a player from the player list
+   * @param {Function} callback - Function to call with player ID
+   */
+  setKickCallback(callback) {
+    this.onKick = callback;
+  }
+
+  /**
+   * Set callback for when the host answers a request to join the room
+   * @param {Function} callback - Function to call with player ID and whether to let them in
+   */
+  setJoinRequestAnswerCallback(callback) {
+    this.onJoinRequestAnswer = callback;
+  }
+
   /**
    * Set callback for when a user joins a room
-   * @param {Function} callback - Function to call with room code
+   * @param {Function} callback - Function to call with room code and password (empty if none typed)
    */
   setJoinRoomCallback(callback) {
     this.onJoinRoom = callback;
@@ -0,0 +1,48 @@
+/**
+ * Biome definitions and classification.
+ *
+ * Each hex is classified from its height and a moisture value (0-1) sampled
+ * from a second noise field. The biome decides the top color, the tint of the
+ * column sides and an optional decoration model.
+ */
+const BIOMES = {
+  water: { name: 'Water', topColor: '#2f6fa3', sideColor: '#4a6d8c', decoration: null },
+  sand: { name: 'Sand', topColor: '#d9c58b', sideColor: '#c2a977', decoration: null },
+  desert: { name: 'Desert', topColor: '#e0b36a', sideColor: '#c99a55', decoration: 'cactus', decorationChance: 0.08 },
+  grass: { name: 'Grass', topColor: '#6aa84f', sideColor: '#8a7a5a', decoration: 'bush', decorationChance: 0.05 },
+  forest: { name: 'Forest', topColor: '#386b2c', sideColor: '#6e5b40', decoration: 'tree', decorationChance: 0.3 },
+  swamp: { name: 'Swamp', topColor: '#4f6b47', sideColor: '#5a5040', decoration: null },
+  rock: { name: 'Rock', topColor: '#8a8580', sideColor: '#9a9590', decoration: 'rock', decorationChance: 0.1 },
+  snow: { name: 'Snow', topColor: '#f2f5f7', sideColor: '#b8bcc0', decoration: null }
+};
+
+const BIOME_TYPES = Object.keys(BIOMES);
+
+// Height bands used for classification
+const BEACH_BAND = 0.5; // How far above the water level beaches reach
+const ROCK_HEIGHT = 6.5;
+const SNOW_HEIGHT = 8;
+
+/**
+ * Classify a hex from its height and moisture
+ * @param {number} height - Hex height
+ * @param {number} moisture - Moisture between 0 (dry) and 1 (wet)
+ * @param {number} [waterLevel] - Room water level (0 = no water)
+ * @returns {string} Biome type (a key of BIOMES)
+ */
+function classifyBiome(height, moisture, waterLevel = 0) {
+  if (waterLevel > 0) {
+    if (height < waterLevel) return 'water';
+    if (height < waterLevel + BEACH_BAND) return moisture > 0.7 ? 'swamp' : 'sand';
+  }
+
+  if (height >= SNOW_HEIGHT) return 'snow';
+  if (height >= ROCK_HEIGHT) return moisture > 0.6 ? 'snow' : 'rock';
+
+  if (moisture < 0.35) return 'desert';
+  if (moisture < 0.55) return 'grass';
+  if (moisture < 0.75) return 'forest';
+  return 'swamp';
+}
+
+export { BIOMES, BIOME_TYPES, classifyBiome };
@@ -0,0 +1,139 @@
+import { HexUtils } from '../core/HexUtils.js';
+
+/**
+ * Splits a grid into chunks so big maps can be streamed a piece at a time.
+ *
+ * A chunk is a CHUNK_SIZE x CHUNK_SIZE parallelogram in axial coordinates:
+ * every hex belongs to exactly one chunk, and chunk edges follow hex edges.
+ * Chunk IDs look like "cq:cr" (hex IDs use a comma, so the two never mix).
+ * Clients load the chunks around the camera and ask the server for the hex
+ * state of each one as it loads.
+ */
+
+// Hexes along each side of a chunk
+const CHUNK_SIZE = 16;
+
+// Most chunks a client may ask the server for in one request
+const MAX_CHUNK_REQUEST = 64;
+
+const CHUNK_ID_PATTERN = /^-?\d+:-?\d+$/;
+
+const hexUtils = new HexUtils();
+
+/**
+ * Get the ID of the chunk a hex belongs to
+ * @param {number} q - q coordinate (axial)
+ * @param {number} r - r coordinate (axial)
+ * @returns {string} Chunk ID
+ */
+function getChunkId(q, r) {
+  return `${Math.floor(q / CHUNK_SIZE)}:${Math.floor(r / CHUNK_SIZE)}`;
+}
+
+/**
+ * Parse a chunk ID back into chunk coordinates
+ * @param {string} chunkId - Chunk ID
+ * @returns {Object} Chunk coordinates { cq, cr }
+ */
+function parseChunkId(chunkId) {
+  const [cq, cr] = chunkId.split(':').map(Number);
+  return { cq, cr };
+}
+
+/**
+ * Check that a chunk ID is well-formed
+ * @param {*} chunkId - Value sent as a chunk ID
+ * @returns {boolean} True for IDs in "cq:cr" form
+ */
+function isChunkId(chunkId) {
+  return typeof chunkId === 'string' && CHUNK_ID_PATTERN.test(chunkId);
+}
+
+/**
+ * Get the hex at the middle of a chunk (fractional)
+ * @param {string} chunkId - Chunk ID
+ * @returns {Object} Axial coordinates { q, r }
+ */
+function getChunkCenter(chunkId) {
+  const { cq, cr } = parseChunkId(chunkId);
+  const half = (CHUNK_SIZE - 1) / 2;
+  return { q: cq * CHUNK_SIZE + half, r: cr * CHUNK_SIZE + half };
+}
+
+/**
+ * Get the hexes of a chunk that are part of a grid
+ * @param {string} chunkId - Chunk ID
+ * @param {string} shape - Grid shape ('hexagon', 'parallelogram' or 'rectangle')
+ * @param {number} radius - Grid radius
+ * @returns {Array} Array of {q, r} objects (empty for chunks outside the grid)
+ */
+function getChunkHexes(chunkId, shape, radius) {
+  const { cq, cr } = parseChunkId(chunkId);
+  const hexes = [];
+
+  for (let q = cq * CHUNK_SIZE; q < (cq + 1) * CHUNK_SIZE; q++) {
+    for (let r = cr * CHUNK_SIZE; r < (cr + 1) * CHUNK_SIZE; r++) {
+      if (hexUtils.isInShape(q, r, shape, radius)) hexes.push({ q, r });
+    }
+  }
+
+  return hexes;
+}
+
+/**
+ * Get the IDs of every chunk that holds at least one hex of a grid
+ * @param {string} shape - Grid shape ('hexagon', 'parallelogram' or 'rectangle')
+ * @param {number} radius - Grid radius
+ * @returns {Array} Chunk IDs
+ */
+function getGridChunks(shape, radius) {
+  // Every shape keeps q within the radius; rectangles shift r by up to half of it
+  const rSpan = shape === 'rectangle' ? radius + Math.ceil(radius / 2) : radius;
+  const chunkIds = [];
+
+  for (let cq = Math.floor(-radius / CHUNK_SIZE); cq <= Math.floor(radius / CHUNK_SIZE); cq++) {
+    for (let cr = Math.floor(-rSpan / CHUNK_SIZE); cr <= Math.floor(rSpan / CHUNK_SIZE); cr++) {
+      const chunkId = `${cq}:${cr}`;
+      if (getChunkHexes(chunkId, shape, radius).length > 0) chunkIds.push(chunkId);
+    }
+  }
+
+  return chunkIds;
+}
+
+/**
+ * Find the chunks whose middle is within a distance of a hex, nearest first.
+ * Chunks outside the grid are included; they simply have no hexes.
+ * @param {number} q - q coordinate (axial)
+ * @param {number} r - r coordinate (axial)
+ * @param {number} distance - Distance in hexes
+ * @returns {Array} Array of { id, distance } objects
+ */
+function getChunksNear(q, r, distance) {
+  const chunks = [];
+  const min = { cq: Math.floor((q - distance) / CHUNK_SIZE), cr: Math.floor((r - distance) / CHUNK_SIZE) };
+  const max = { cq: Math.floor((q + distance) / CHUNK_SIZE), cr: Math.floor((r + distance) / CHUNK_SIZE) };
+
+  for (let cq = min.cq; cq <= max.cq; cq++) {
+    for (let cr = min.cr; cr <= max.cr; cr++) {
+      const id = `${cq}:${cr}`;
+      const chunkDistance = hexUtils.distance({ q, r }, getChunkCenter(id));
+
+      if (chunkDistance <= distance) chunks.push({ id, distance: chunkDistance });
+    }
+  }
+
+  return chunks.sort((a, b) => a.distance - b.distance);
+}
+
+export {
+  CHUNK_SIZE,
+  MAX_CHUNK_REQUEST,
+  getChunkId,
+  parseChunkId,
+  isChunkId,
+  getChunkCenter,
+  getChunkHexes,
+  getGridChunks,
+  getChunksNear
+};
@@ -1,5 +1,6 @@
 /**
- * Simple FPS counter utility for performance monitoring
+ * Simple FPS counter utility for performance monitoring.
+ * It can also show what is on the GPU, to spot resources piling up.
  */
 class FPSCounter {
     constructor() {
@@ -7,6 +8,8 @@ class FPSCounter {
         this.frames = 0;
         this.lastTime = performance.now();
         this.visible = false;
+        this.renderer = null; // Renderer whose info is shown (see trackResources)
+        this.resources = null; // ResourceRegistry whose shared resources are counted
 
         this.initDOMElements();
     }
@@ -33,10 +36,42 @@ class FPSCounter {
         this.fpsText = document.createElement('div');
         this.fpsText.textContent = 'FPS: 0';
 
+        // Create resource readout element (empty until trackResources is called)
+        this.resourceText = document.createElement('div');
+        this.resourceText.style.whiteSpace = 'pre';
+        this.resourceText.style.fontSize = '12px';
+
         this.container.appendChild(this.fpsText);
+        this.container.appendChild(this.resourceText);
         document.body.appendChild(this.container);
     }
 
+    /**
+     * Also show live GPU resources under the FPS
+     * @param {THREE.WebGLRenderer} renderer - Renderer whose info (geometries, textures, programs, draw calls) is shown
+     * @param {ResourceRegistry} resources - Registry whose shared geometries, materials and textures are counted
+     */
+    trackResources(renderer, resources) {
+        this.renderer = renderer;
+        this.resources = resources;
+    }
+
+    /**
+     * Update the resource readout
+     */
+    updateResources() {
+        if (!this.renderer) return;
+
+        const { memory, programs, render } = this.renderer.info;
+        const shared = this.resources.getCounts();
+
+        this.resourceText.textContent = [
+            `Geometries: ${memory.geometries}  Textures: ${memory.textures}`,
+            `Programs: ${programs ? programs.length : 0}  Draw calls: ${render.calls}`,
+            `Shared: ${shared.geometries} geometries, ${shared.materials} materials, ${shared.textures} textures`
+        ].join('\n');
+    }
+
     /**
      * Update FPS calculation
      */
@@ -50,6 +85,7 @@ class FPSCounter {
         if (elapsed >= 500) {
             this.fps = Math.round((this.frames * 1000) / elapsed);
             this.fpsText.textContent = `FPS: ${this.fps}`;
+            if (this.visible) this.updateResources();
 
             // Reset counters
             this.frames = 0;
@@ -0,0 +1,126 @@
+import { AXIAL_DIRECTIONS } from '../core/HexUtils.js';
+
+/**
+ * Finds the hex column under a ray (the pointer) without raycasting meshes.
+ *
+ * Columns are hexagonal prisms standing on the ground (y = 0). The ray is
+ * walked hex by hex across the ground plane, leaving each hex through the
+ * edge it crosses first. The first column it passes through is the hit:
+ * through its side if the ray is already below the column's top as it
+ * enters the hex, or through its top if it drops below it before leaving.
+ * Only the hexes under the ray are looked at, so the cost depends on how
+ * long the ray is, not on how big the grid is.
+ *
+ * Like Visibility, this only needs a height lookup.
+ */
+
+// Most hexes walked for one ray (rays skimming the ground can be very long)
+const MAX_PICK_STEPS = 2000;
+
+class HexPicker {
+  /**
+   * @param {HexUtils} hexUtils - Hex size and coordinate conversions
+   * @param {Function} getHeight - (hexId) => column height, or undefined/null where there is no hex
+   * @param {number} maxHeight - Height no column rises above
+   */
+  constructor(hexUtils, getHeight, maxHeight) {
+    this.hexUtils = hexUtils;
+    this.getHeight = getHeight;
+    this.maxHeight = maxHeight;
+
+    // Distance from a hex's centre to its edges, and the edges' outward
+    // normals (in AXIAL_DIRECTIONS order, so each leads to that neighbour)
+    this.apothem = hexUtils.size * Math.sqrt(3) / 2;
+    this.edgeNormals = AXIAL_DIRECTIONS.map(dir => {
+      const center = this.getCenter(dir.q, dir.r);
+      const length = Math.hypot(center.x, center.z);
+      return { x: center.x / length, z: center.z / length };
+    });
+  }
+
+  // Centre of a hex on the ground, where HexUtils.getObjectPosition puts it
+  getCenter(q, r) {
+    const { size } = this.hexUtils;
+    return { x: size * 1.5 * q, z: size * Math.sqrt(3) * (q / 2 + r) };
+  }
+
+  /**
+   * Find the first column a ray hits
+   * @param {Object} origin - Ray origin {x, y, z}
+   * @param {Object} direction - Normalized ray direction {x, y, z}
+   * @returns {Object|null} { hexId, q, r, height, distance }, or null if the ray hits no column
+   */
+  pick(origin, direction) {
+    const heightAt = (t) => origin.y + direction.y * t;
+
+    // Columns only stand between the ground and the tallest possible top,
+    // so the walk starts where the ray comes down to that height...
+    let t = 0;
+    if (origin.y > this.maxHeight) {
+      if (direction.y >= 0) return null;
+      t = (this.maxHeight - origin.y) / direction.y;
+    }
+
+    // ...and ends where it reaches the ground (or climbs out over every top)
+    let end = Infinity;
+    if (direction.y < 0) {
+      end = -origin.y / direction.y;
+    } else if (direction.y > 0) {
+      end = (this.maxHeight - origin.y) / direction.y;
+    }
+    if (end < t) return null;
+
+    let { q, r } = this.hexUtils.pixelToAxial(origin.x + direction.x * t, origin.z + direction.z * t);
+
+    for (let step = 0; step < MAX_PICK_STEPS && t <= end; step++) {
+      const exit = this.findExit(q, r, origin, direction);
+      const hexId = this.hexUtils.getHexId(q, r);
+      const height = this.getHeight(hexId);
+
+      if (height !== undefined && height !== null) {
+        // Entering below the top means the ray went into the column's side
+        if (heightAt(t) <= height) {
+          return { hexId, q, r, height, distance: t };
+        }
+
+        if (heightAt(Math.min(exit.t, end)) <= height) {
+          return { hexId, q, r, height, distance: (height - origin.y) / direction.y };
+        }
+      }
+
+      t = exit.t;
+      q += AXIAL_DIRECTIONS[exit.side].q;
+      r += AXIAL_DIRECTIONS[exit.side].r;
+    }
+
+    return null;
+  }
+
+  /**
+   * Find where a ray leaves a hex (seen from above)
+   * @param {number} q - q coordinate (axial)
+   * @param {number} r - r coordinate (axial)
+   * @param {Object} origin - Ray origin {x, y, z}
+   * @param {Object} direction - Ray direction {x, y, z}
+   * @returns {Object} { t, side }: distance along the ray, and the AXIAL_DIRECTIONS
+   *   index of the neighbour it goes into (t is Infinity for rays pointing straight down)
+   */
+  findExit(q, r, origin, direction) {
+    const center = this.getCenter(q, r);
+    const x = origin.x - center.x;
+    const z = origin.z - center.z;
+    let exit = { t: Infinity, side: 0 };
+
+    this.edgeNormals.forEach((normal, side) => {
+      const speed = direction.x * normal.x + direction.z * normal.z;
+      if (speed <= 0) return; // Moving away from (or along) this edge
+
+      const t = (this.apothem - (x * normal.x + z * normal.z)) / speed;
+      if (t < exit.t) exit = { t, side };
+    });
+
+    return exit;
+  }
+}
+
+export { HexPicker, MAX_PICK_STEPS };
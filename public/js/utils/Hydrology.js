@@ -0,0 +1,187 @@
+/**
+ * Hydrology pass for generated terrain: erosion and rivers.
+ *
+ * Erosion works on a patch of height map (hex ID -> height) and only reaches
+ * EROSION_REACH hexes per round, so terrain can be eroded a chunk at a time:
+ * a chunk eroded together with enough hexes around it comes out exactly as if
+ * the whole grid had been eroded. Rivers follow a height lookup, so they only
+ * touch the hexes they run through. Everything is plain arithmetic over hexes
+ * in a fixed order, which keeps the result identical on every client and on
+ * the server.
+ */
+
+// Slopes steeper than this shed material to their lowest neighbour (thermal erosion)
+const TALUS = 1.0;
+const THERMAL_RATE = 0.5;
+
+// Share of every slope carried downhill by rain (hydraulic erosion)
+const HYDRAULIC_RATE = 0.05;
+
+// How deep rivers cut into the terrain
+const RIVER_DEPTH = 0.25;
+
+// How far (in hexes) one round of erosion reaches: a hex sheds material to a
+// neighbour, based on how high that neighbour's own neighbours are
+const EROSION_REACH = 2;
+
+class Hydrology {
+  /**
+   * @param {HexUtils} hexUtils - Hex helpers (for IDs and neighbours)
+   */
+  constructor(hexUtils) {
+    this.hexUtils = hexUtils;
+  }
+
+  /**
+   * Get the IDs of a hex's neighbours that have a height
+   * @param {Function} getHeight - Called with a hex ID, returns its height (undefined off the map)
+   * @param {string} hexId - Hex ID
+   * @returns {Array} Neighbour hex IDs
+   */
+  getNeighborIds(getHeight, hexId) {
+    const { q, r } = this.hexUtils.parseHexId(hexId);
+
+    return this.hexUtils.neighbors(q, r)
+      .map(hex => this.hexUtils.getHexId(hex.q, hex.r))
+      .filter(id => getHeight(id) !== undefined);
+  }
+
+  // Find the lowest neighbour that is lower than the hex itself
+  getLowestNeighbor(getHeight, hexId, neighborIds) {
+    let lowest = null;
+
+    for (const neighborId of neighborIds) {
+      if (getHeight(neighborId) < getHeight(hexId) &&
+        (lowest === null || getHeight(neighborId) < getHeight(lowest))) {
+        lowest = neighborId;
+      }
+    }
+
+    return lowest;
+  }
+
+  // Number of steps between two hexes
+  distance(fromId, toId) {
+    return this.hexUtils.distance(this.hexUtils.parseHexId(fromId), this.hexUtils.parseHexId(toId));
+  }
+
+  /**
+   * Smooth cliffs with a few rounds of thermal and hydraulic erosion.
+   * Material moved off a hex is deposited on its lowest neighbour.
+   * Hexes within EROSION_REACH * iterations of the edge of the patch come out
+   * as if the hexes beyond it were missing, so callers eroding part of a grid
+   * pass a patch that much bigger than the hexes they keep.
+   * @param {Object} heights - Maps hex IDs to heights (updated in place)
+   * @param {number} iterations - Number of erosion rounds
+   */
+  erode(heights, iterations) {
+    const getHeight = hexId => heights[hexId];
+    const hexIds = Object.keys(heights);
+    const neighborIds = {};
+    hexIds.forEach(hexId => {
+      neighborIds[hexId] = this.getNeighborIds(getHeight, hexId);
+    });
+
+    for (let i = 0; i < iterations; i++) {
+      // Work out every hex's outflow first so the order hexes are visited in doesn't matter
+      const flows = {};
+
+      for (const hexId of hexIds) {
+        const lowest = this.getLowestNeighbor(getHeight, hexId, neighborIds[hexId]);
+        if (lowest === null) continue;
+
+        const drop = heights[hexId] - heights[lowest];
+        let moved = drop * HYDRAULIC_RATE;
+
+        if (drop > TALUS) {
+          moved += (drop - TALUS) * THERMAL_RATE;
+        }
+
+        // Never move so much that the slope flips
+        moved = Math.min(moved, drop / 2);
+
+        flows[hexId] = { to: lowest, moved };
+      }
+
+      // Each hex loses its outflow and gains what flows onto it, added up in
+      // neighbour order so the sums don't depend on what else is in the patch
+      const eroded = {};
+
+      for (const hexId of hexIds) {
+        let height = heights[hexId] - (flows[hexId] ? flows[hexId].moved : 0);
+
+        for (const neighborId of neighborIds[hexId]) {
+          const flow = flows[neighborId];
+          if (flow && flow.to === hexId) height += flow.moved;
+        }
+
+        eroded[hexId] = height;
+      }
+
+      Object.assign(heights, eroded);
+    }
+  }
+
+  /**
+   * Carve rivers that run downhill from each source to the edge of the grid.
+   * Rivers cut through pits instead of stopping in them, and end early when
+   * they join a river that was already traced.
+   * @param {Function} getHeight - Called with a hex ID, returns its height (undefined off the map)
+   * @param {Array} sources - Hex IDs rivers start from
+   * @param {number} minHeight - Lowest height a river may cut down to
+   * @returns {Object} { rivers, heights }: river hex IDs mapped to true, and
+   *   the carved height of each river hex
+   */
+  traceRivers(getHeight, sources, minHeight) {
+    const rivers = {};
+    const carved = {};
+    const heightOf = hexId => (hexId in carved ? carved[hexId] : getHeight(hexId));
+
+    for (const source of sources) {
+      if (getHeight(source) === undefined || rivers[source]) continue;
+
+      const visited = new Set([source]);
+      let current = source;
+
+      while (current) {
+        rivers[current] = true;
+
+        const neighbors = this.getNeighborIds(getHeight, current);
+
+        // Fewer than six neighbours means we've reached the edge of the grid
+        if (neighbors.length < 6) break;
+
+        // Follow the lowest way on, skipping hexes this river already crossed.
+        // On level ground, head away from the source instead of meandering.
+        let next = null;
+        for (const neighborId of neighbors) {
+          if (visited.has(neighborId)) continue;
+          if (next === null || heightOf(neighborId) < heightOf(next) ||
+            (heightOf(neighborId) === heightOf(next) &&
+              this.distance(source, neighborId) > this.distance(source, next))) {
+            next = neighborId;
+          }
+        }
+
+        if (next === null || rivers[next]) break;
+
+        // Cut through rises so the river keeps flowing downhill
+        if (heightOf(next) > heightOf(current)) {
+          carved[next] = heightOf(current);
+        }
+
+        visited.add(next);
+        current = next;
+      }
+    }
+
+    const heights = {};
+    for (const hexId of Object.keys(rivers)) {
+      heights[hexId] = Math.max(minHeight, heightOf(hexId) - RIVER_DEPTH);
+    }
+
+    return { rivers, heights };
+  }
+}
+
+export { Hydrology, EROSION_REACH };
@@ -0,0 +1,214 @@
+/**
+ * A* pathfinding and movement ranges over a hex grid.
+ *
+ * The pathfinder doesn't know about meshes or rooms: it asks a tile lookup
+ * for each hex it visits, so the same code works on the client's HexGrid and
+ * on the server's height maps.
+ *
+ * A tile is { height, passable } (or null for hexes that aren't on the grid),
+ * with passable decided by isPassable.
+ * Moving onto a hex costs one step plus extra for every unit climbed, and
+ * steps higher or lower than maxStepHeight can't be taken at all.
+ */
+
+// Default movement rules
+const DEFAULT_PATH_OPTIONS = {
+  maxStepHeight: 1.5, // Largest height difference a single step can cover
+  stepCost: 1, // Cost of moving onto a neighbouring hex on level ground
+  climbCost: 1, // Extra cost per unit of height climbed
+  descentCost: 0 // Extra cost per unit of height descended
+};
+
+/**
+ * Whether units can enter a hex. Both the clients' path previews and the
+ * server's move checks build their tiles with this, so they agree on every hex.
+ *
+ * Hexes under water, hexes holding a model from hex state and hexes holding
+ * another unit block movement. Biome decorations (trees and rocks) don't: the
+ * client picks them from the models it has, so the server can't know them.
+ * @param {Object} hex - { height, waterLevel, voxelModel, occupied }: the hex's
+ *   height, the room's water level, the model in its hex state (if any) and
+ *   whether another unit stands on it
+ * @returns {boolean} Whether the hex is passable
+ */
+function isPassable({ height, waterLevel = 0, voxelModel = null, occupied = false }) {
+  const submerged = waterLevel > 0 && height < waterLevel;
+  return !submerged && !voxelModel && !occupied;
+}
+
+/**
+ * Minimal binary heap keyed on a priority, used as the A* open set
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    this.items.push({ value, priority });
+    let i = this.items.length - 1;
+
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.items[parent].priority <= this.items[i].priority) break;
+      [this.items[parent], this.items[i]] = [this.items[i], this.items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let i = 0;
+
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+
+        if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) smallest = left;
+        if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+
+        [this.items[smallest], this.items[i]] = [this.items[i], this.items[smallest]];
+        i = smallest;
+      }
+    }
+
+    return top.value;
+  }
+}
+
+class Pathfinder {
+  /**
+   * @param {HexUtils} hexUtils - Hex helpers (for IDs, neighbours and distances)
+   * @param {Function} getTile - (hexId) => { height, passable } or null if off the grid
+   * @param {Object} [options] - Movement rules (see DEFAULT_PATH_OPTIONS)
+   */
+  constructor(hexUtils, getTile, options = {}) {
+    this.hexUtils = hexUtils;
+    this.getTile = getTile;
+    this.options = { ...DEFAULT_PATH_OPTIONS, ...options };
+  }
+
+  /**
+   * Get the cost of stepping from one hex onto a neighbour
+   * @param {string} fromId - Hex being left
+   * @param {string} toId - Hex being entered
+   * @returns {number|null} Step cost, or null if the step can't be taken
+   */
+  getStepCost(fromId, toId) {
+    const from = this.getTile(fromId);
+    const to = this.getTile(toId);
+    if (!from || !to || !to.passable) return null;
+
+    const rise = to.height - from.height;
+    if (Math.abs(rise) > this.options.maxStepHeight) return null;
+
+    const { stepCost, climbCost, descentCost } = this.options;
+    return stepCost + (rise > 0 ? rise * climbCost : -rise * descentCost);
+  }
+
+  // IDs of a hex's neighbours (on or off the grid; getStepCost filters them)
+  getNeighborIds(hexId) {
+    const { q, r } = this.hexUtils.parseHexId(hexId);
+    return this.hexUtils.neighbors(q, r).map(hex => this.hexUtils.getHexId(hex.q, hex.r));
+  }
+
+  /**
+   * Find the cheapest path between two hexes.
+   * The start hex is never checked for passability (a unit can always leave its hex).
+   * @param {string} startId - Hex to start from
+   * @param {string} goalId - Hex to reach
+   * @param {number} [maxCost=Infinity] - Give up on paths costing more than this,
+   *   so searches on big grids stay near the start
+   * @returns {Object|null} { path: [hexIds from start to goal], cost }, or null if unreachable
+   */
+  findPath(startId, goalId, maxCost = Infinity) {
+    if (!this.getTile(startId) || !this.getTile(goalId)) return null;
+    if (startId === goalId) return { path: [startId], cost: 0 };
+
+    const goal = this.hexUtils.parseHexId(goalId);
+    const heuristic = (hexId) => this.hexUtils.distance(this.hexUtils.parseHexId(hexId), goal) * this.options.stepCost;
+
+    const costs = { [startId]: 0 };
+    const previous = {};
+    const open = new MinHeap();
+    open.push(startId, heuristic(startId));
+
+    while (open.size > 0) {
+      const current = open.pop();
+
+      if (current === goalId) {
+        return { path: this.buildPath(previous, goalId), cost: costs[goalId] };
+      }
+
+      for (const neighborId of this.getNeighborIds(current)) {
+        const stepCost = this.getStepCost(current, neighborId);
+        if (stepCost === null) continue;
+
+        const cost = costs[current] + stepCost;
+        if (cost > maxCost) continue;
+        if (costs[neighborId] !== undefined && cost >= costs[neighborId]) continue;
+
+        costs[neighborId] = cost;
+        previous[neighborId] = current;
+        open.push(neighborId, cost + heuristic(neighborId));
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Flood-fill every hex reachable from a start hex within a movement budget
+   * @param {string} startId - Hex to start from
+   * @param {number} budget - Total movement cost available
+   * @returns {Object} Maps reachable hex IDs (including the start) to their cheapest cost
+   */
+  getReachable(startId, budget) {
+    if (!this.getTile(startId)) return {};
+
+    const costs = { [startId]: 0 };
+    const open = new MinHeap();
+    open.push(startId, 0);
+
+    while (open.size > 0) {
+      const current = open.pop();
+
+      for (const neighborId of this.getNeighborIds(current)) {
+        const stepCost = this.getStepCost(current, neighborId);
+        if (stepCost === null) continue;
+
+        const cost = costs[current] + stepCost;
+        if (cost > budget) continue;
+        if (costs[neighborId] !== undefined && cost >= costs[neighborId]) continue;
+
+        costs[neighborId] = cost;
+        open.push(neighborId, cost);
+      }
+    }
+
+    return costs;
+  }
+
+  // Walk the `previous` links back from the goal to the start
+  buildPath(previous, goalId) {
+    const path = [goalId];
+
+    while (previous[path[0]] !== undefined) {
+      path.unshift(previous[path[0]]);
+    }
+
+    return path;
+  }
+}
+
+export { Pathfinder, DEFAULT_PATH_OPTIONS, isPassable };
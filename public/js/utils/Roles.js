@@ -0,0 +1,35 @@
+/**
+ * Room roles and what each of them may do.
+ *
+ * The player who creates a room is its host. Everyone else is an editor or a
+ * viewer (spectator); the host can change that, and can kick players out.
+ * The server checks every action against this table, and the client uses it
+ * to hide the tools a player can't use.
+ *
+ * Permissions:
+ * - edit: change hexes, place and move units, undo/redo, take turns
+ * - world: regenerate the terrain and change the water level (affects every hex)
+ * - manage: change other players' roles and kick them
+ */
+const ROLE_PERMISSIONS = {
+  host: ['edit', 'world', 'manage'],
+  editor: ['edit'],
+  viewer: []
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles the host can hand out (there is only ever one host)
+const ASSIGNABLE_ROLES = ['editor', 'viewer'];
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if the role may do it
+ */
+function roleCan(role, permission) {
+  return Object.hasOwn(ROLE_PERMISSIONS, role) && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+export { ROLES, ROLE_PERMISSIONS, ASSIGNABLE_ROLES, roleCan };
@@ -0,0 +1,321 @@
+import { NoiseGenerator } from './NoiseGenerator.js';
+import { HexUtils } from '../core/HexUtils.js';
+import { Hydrology, EROSION_REACH } from './Hydrology.js';
+import { CHUNK_SIZE, getChunkId, parseChunkId, getChunkHexes, getGridChunks } from './Chunks.js';
+
+// Height limits for generated terrain (match the server's hex action limits)
+const MIN_TERRAIN_HEIGHT = 0.25;
+const MAX_TERRAIN_HEIGHT = 20;
+
+// Offsets the moisture noise seed so it doesn't mirror the height noise
+const MOISTURE_SEED_OFFSET = 7919;
+
+// Hydrology used by new recipes unless it is turned off
+const DEFAULT_HYDROLOGY = { erosion: 3, rivers: true };
+
+// Most chunks each of the generator's caches holds before dropping the oldest
+const MAX_CACHED_CHUNKS = 256;
+
+/**
+ * Deterministic terrain generation from a recipe.
+ *
+ * A recipe is a seed plus the parameters fed to NoiseGenerator:
+ *   { seed, scale, amplitude, octaves, peaks: { count, height, width } }
+ * and an optional hydrology pass run afterwards:
+ *   hydrology: { erosion (rounds), rivers (carve rivers from the peaks) }
+ * Every client (and the server) that runs the same recipe on the same grid
+ * settings gets exactly the same heights and moisture, so rooms only need to
+ * share the recipe.
+ *
+ * Terrain is generated a chunk at a time (see Chunks.js) and only when asked
+ * for, so big grids never have to be generated in one go. Each chunk is eroded
+ * together with the hexes erosion reaches it from, which gives the same
+ * heights as eroding the whole grid. Rivers are traced once, on first use,
+ * through the chunks they run across.
+ */
+class TerrainGenerator {
+  /**
+   * @param {Object} recipe - Terrain recipe
+   * @param {Object} settings - Room grid settings ({ radius, shape })
+   */
+  constructor(recipe, settings) {
+    this.recipe = recipe;
+    this.settings = settings;
+    this.hexUtils = new HexUtils();
+    this.noiseGen = new NoiseGenerator(recipe.seed);
+    this.moistureGen = new NoiseGenerator(recipe.seed + MOISTURE_SEED_OFFSET);
+    this.peakPoints = this.choosePeaks();
+    this.hydrology = new Hydrology(this.hexUtils);
+    this.rivers = null; // { rivers, heights } once traced
+
+    // Chunk IDs -> generated values, oldest first
+    this.rawChunks = new Map();
+    this.erodedChunks = new Map();
+    this.chunks = new Map();
+  }
+
+  /**
+   * Build a full recipe from a seed, deriving every parameter from it
+   * @param {number} seed - Integer seed
+   * @param {Object} [options]
+   * @param {boolean} [options.hydrology=true] - Add erosion and rivers
+   * @returns {Object} Terrain recipe
+   */
+  static createRecipe(seed, options = {}) {
+    const random = NoiseGenerator.prototype.mulberry32(seed);
+    const recipe = {
+      seed,
+      scale: TerrainGenerator.roundParam(0.1 + random() * 0.05),      // 0.1-0.15
+      amplitude: TerrainGenerator.roundParam(7.0 + random() * 2.0),   // 7.0-9.0
+      octaves: 3 + Math.floor(random() * 2),                          // 3-4
+      peaks: {
+        count: 1 + Math.floor(random() * 2),                          // 1-2
+        height: TerrainGenerator.roundParam(3.0 + random() * 2.0),    // 3.0-5.0
+        width: TerrainGenerator.roundParam(3.0 + random() * 2.0)      // 3.0-5.0
+      }
+    };
+
+    if (options.hydrology !== false) {
+      recipe.hydrology = { ...DEFAULT_HYDROLOGY };
+    }
+
+    return recipe;
+  }
+
+  /**
+   * Turn a typed seed into an integer seed (numbers are used as-is, text is hashed)
+   * @param {string} text - Seed as typed by the user
+   * @returns {number|null} Integer seed, or null for empty input
+   */
+  static seedFromString(text) {
+    const trimmed = String(text).trim();
+    if (!trimmed) return null;
+
+    if (/^\d+$/.test(trimmed)) {
+      return Number(trimmed) % 2147483647;
+    }
+
+    // FNV-1a hash so words like "archipelago" make shareable seeds too
+    let hash = 2166136261;
+    for (let i = 0; i < trimmed.length; i++) {
+      hash ^= trimmed.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return (hash >>> 0) % 2147483647;
+  }
+
+  /**
+   * Create a random integer seed
+   * @returns {number} Seed
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 2147483647);
+  }
+
+  // Keep recipe parameters short and exactly representable when shared
+  static roundParam(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+
+  /**
+   * Pick peak centers from the grid's own hexes using the seed.
+   * Only integer hex coordinates are used so results don't depend on
+   * platform-specific trig precision.
+   * @returns {Array} Array of {x, y} peak points in axial space
+   */
+  choosePeaks() {
+    const { shape, radius } = this.settings;
+    const random = this.noiseGen.mulberry32(this.recipe.seed + 1);
+    const hexes = this.hexUtils.getHexesInShape(shape, radius);
+
+    // Prefer hexes away from both the center and the edge
+    let candidates = hexes.filter(hex => {
+      const distance = this.hexUtils.distance(hex, { q: 0, r: 0 });
+      return distance >= radius * 0.3 && distance <= radius * 0.8;
+    });
+    if (candidates.length === 0) candidates = hexes;
+
+    const peaks = [];
+    for (let i = 0; i < this.recipe.peaks.count; i++) {
+      const hex = candidates[Math.floor(random() * candidates.length)];
+      peaks.push({ x: hex.q, y: hex.r });
+    }
+
+    return peaks;
+  }
+
+  /**
+   * Get the terrain height of a single hex
+   * @param {number} q - q coordinate (axial)
+   * @param {number} r - r coordinate (axial)
+   * @returns {number} Height, rounded to the nearest 0.25
+   */
+  getHeight(q, r) {
+    const { scale, amplitude, octaves, peaks } = this.recipe;
+
+    // Generate height using noise
+    const noiseValue = this.noiseGen.fractalNoise(q * scale, r * scale, octaves);
+    let height = MIN_TERRAIN_HEIGHT + noiseValue * amplitude;
+
+    // Add peak influence
+    height += this.noiseGen.createPeaks(q, r, this.peakPoints, peaks.height, peaks.width);
+
+    return TerrainGenerator.roundHeight(height);
+  }
+
+  // Round to nearest 0.25 and keep within the allowed range
+  static roundHeight(height) {
+    const rounded = Math.round(height * 4) / 4;
+    return Math.min(MAX_TERRAIN_HEIGHT, Math.max(MIN_TERRAIN_HEIGHT, rounded));
+  }
+
+  /**
+   * Get the moisture of a single hex from the second noise field
+   * @param {number} q - q coordinate (axial)
+   * @param {number} r - r coordinate (axial)
+   * @returns {number} Moisture between 0 (dry) and 1 (wet)
+   */
+  getMoisture(q, r) {
+    // Moisture varies more slowly than height so biomes form larger regions
+    const scale = this.recipe.scale * 0.6;
+    return this.moistureGen.fractalNoise(q * scale + 100, r * scale + 100, 2);
+  }
+
+  /**
+   * Get a stable pseudo-random value for a hex, used to scatter decorations
+   * @param {number} q - q coordinate (axial)
+   * @param {number} r - r coordinate (axial)
+   * @returns {number} Value between 0 and 1
+   */
+  getDetailRoll(q, r) {
+    let hash = Math.imul(q, 374761393) ^ Math.imul(r, 668265263) ^ this.recipe.seed;
+    hash = Math.imul(hash ^ (hash >>> 13), 1274126177);
+    return ((hash ^ (hash >>> 16)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Generate heights, moisture and rivers for every hex in the grid
+   * @returns {Object} { heights, moisture, rivers }, each mapping hex IDs to values
+   */
+  generate() {
+    const terrain = { heights: {}, moisture: {}, rivers: {} };
+
+    for (const chunkId of getGridChunks(this.settings.shape, this.settings.radius)) {
+      const chunk = this.getChunk(chunkId);
+      Object.assign(terrain.heights, chunk.heights);
+      Object.assign(terrain.moisture, chunk.moisture);
+      Object.assign(terrain.rivers, chunk.rivers);
+    }
+
+    return terrain;
+  }
+
+  /**
+   * Generate heights, moisture and rivers for the hexes of one chunk
+   * @param {string} chunkId - Chunk ID
+   * @returns {Object} { heights, moisture, rivers }, each mapping hex IDs to
+   *   values (empty for chunks outside the grid)
+   */
+  getChunk(chunkId) {
+    return this.cached(this.chunks, chunkId, () => {
+      const heights = { ...this.getErodedChunk(chunkId) };
+      const moisture = {};
+      const rivers = {};
+      const traced = this.getRivers();
+
+      for (const hexId of Object.keys(heights)) {
+        const { q, r } = this.hexUtils.parseHexId(hexId);
+        moisture[hexId] = this.getMoisture(q, r);
+
+        if (traced.rivers[hexId]) {
+          rivers[hexId] = true;
+          heights[hexId] = traced.heights[hexId];
+        }
+      }
+
+      return { heights, moisture, rivers };
+    });
+  }
+
+  // Look a chunk up in a cache, building it (and dropping the oldest) if it's missing
+  cached(cache, chunkId, build) {
+    let value = cache.get(chunkId);
+
+    if (value === undefined) {
+      value = build();
+      cache.set(chunkId, value);
+      if (cache.size > MAX_CACHED_CHUNKS) cache.delete(cache.keys().next().value);
+    }
+
+    return value;
+  }
+
+  // Noise heights of a chunk's hexes, before any hydrology
+  getRawChunk(chunkId) {
+    return this.cached(this.rawChunks, chunkId, () => {
+      const heights = {};
+
+      for (const { q, r } of getChunkHexes(chunkId, this.settings.shape, this.settings.radius)) {
+        heights[this.hexUtils.getHexId(q, r)] = this.getHeight(q, r);
+      }
+
+      return heights;
+    });
+  }
+
+  // Heights of a chunk's hexes after erosion
+  getErodedChunk(chunkId) {
+    const erosion = this.recipe.hydrology ? this.recipe.hydrology.erosion : 0;
+    if (!(erosion > 0)) return this.getRawChunk(chunkId);
+
+    return this.cached(this.erodedChunks, chunkId, () => {
+      // Erode the chunk along with every hex that can reach it in that many
+      // rounds; a margin smaller than a chunk keeps this to its neighbours
+      const margin = EROSION_REACH * erosion;
+      const { cq, cr } = parseChunkId(chunkId);
+      const patch = {};
+
+      for (let q = cq * CHUNK_SIZE - margin; q < (cq + 1) * CHUNK_SIZE + margin; q++) {
+        for (let r = cr * CHUNK_SIZE - margin; r < (cr + 1) * CHUNK_SIZE + margin; r++) {
+          const hexId = this.hexUtils.getHexId(q, r);
+          const height = this.getRawChunk(getChunkId(q, r))[hexId];
+          if (height !== undefined) patch[hexId] = height;
+        }
+      }
+
+      this.hydrology.erode(patch, erosion);
+
+      const heights = {};
+      for (const hexId of Object.keys(this.getRawChunk(chunkId))) {
+        heights[hexId] = TerrainGenerator.roundHeight(patch[hexId]);
+      }
+
+      return heights;
+    });
+  }
+
+  /**
+   * Trace the rivers running from the peaks (once, on first use)
+   * @returns {Object} { rivers, heights }: river hex IDs mapped to true, and
+   *   the carved height of each river hex
+   */
+  getRivers() {
+    if (!this.rivers) {
+      if (this.recipe.hydrology && this.recipe.hydrology.rivers) {
+        const getHeight = (hexId) => {
+          const { q, r } = this.hexUtils.parseHexId(hexId);
+          return this.getErodedChunk(getChunkId(q, r))[hexId];
+        };
+        const sources = this.peakPoints.map(peak => this.hexUtils.getHexId(peak.x, peak.y));
+
+        this.rivers = this.hydrology.traceRivers(getHeight, sources, MIN_TERRAIN_HEIGHT);
+      } else {
+        this.rivers = { rivers: {}, heights: {} };
+      }
+    }
+
+    return this.rivers;
+  }
+}
+
+export { TerrainGenerator, MIN_TERRAIN_HEIGHT, MAX_TERRAIN_HEIGHT };
@@ -0,0 +1,130 @@
+/**
+ * Line of sight over hex columns.
+ *
+ * A hex is visible from an observer when the straight sight line from the
+ * observer's eye to the top of the hex's column clears every column in
+ * between. Lines are traced with HexUtils.lineDraw, so they pass through
+ * the same hexes a unit walking straight there would.
+ *
+ * Like Pathfinder, this only needs a height lookup, so it runs on the
+ * client's HexGrid and on the server's height maps alike.
+ */
+
+// How far above its hex an observer's eye is by default
+const DEFAULT_EYE_HEIGHT = 1;
+
+// How many hexes an observer can see by default
+const DEFAULT_VIEW_RANGE = 8;
+
+class Visibility {
+  /**
+   * @param {HexUtils} hexUtils - Hex helpers (for IDs, lines and rings)
+   * @param {Function} getHeight - (hexId) => column height, or undefined/null if off the grid
+   */
+  constructor(hexUtils, getHeight) {
+    this.hexUtils = hexUtils;
+    this.getHeight = getHeight;
+  }
+
+  // Check whether a hex is on the grid
+  hasHex(hexId) {
+    const height = this.getHeight(hexId);
+    return height !== undefined && height !== null;
+  }
+
+  /**
+   * Check whether one hex can see another
+   * @param {string} fromId - Observer's hex
+   * @param {string} toId - Target hex
+   * @param {number} [eyeHeight] - Observer's eye height above its hex
+   * @returns {boolean} True if nothing in between rises above the sight line
+   */
+  canSee(fromId, toId, eyeHeight = DEFAULT_EYE_HEIGHT) {
+    if (!this.hasHex(fromId) || !this.hasHex(toId)) return false;
+    if (fromId === toId) return true;
+
+    const from = this.hexUtils.parseHexId(fromId);
+    const to = this.hexUtils.parseHexId(toId);
+    const line = this.hexUtils.lineDraw(from, to);
+
+    const eye = this.getHeight(fromId) + eyeHeight;
+    const target = this.getHeight(toId);
+    const steps = line.length - 1;
+
+    // Skip both ends: the observer's own column and the target's top never block
+    for (let i = 1; i < steps; i++) {
+      const hexId = this.hexUtils.getHexId(line[i].q, line[i].r);
+      const height = this.getHeight(hexId);
+
+      // Off-grid hexes along the line (around a grid's corners) are treated as open ground
+      if (height === undefined || height === null) continue;
+
+      const sightHeight = eye + (target - eye) * (i / steps);
+      if (height > sightHeight) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get every hex an observer can see
+   * @param {string} fromId - Observer's hex
+   * @param {Object} [options]
+   * @param {number} [options.eyeHeight] - Eye height above the observer's hex
+   * @param {number} [options.range] - View distance in hexes
+   * @returns {Set} Visible hex IDs (including the observer's own hex)
+   */
+  getVisible(fromId, options = {}) {
+    const eyeHeight = options.eyeHeight !== undefined ? options.eyeHeight : DEFAULT_EYE_HEIGHT;
+    const range = options.range !== undefined ? options.range : DEFAULT_VIEW_RANGE;
+    const visible = new Set();
+
+    if (!this.hasHex(fromId)) return visible;
+
+    const { q, r } = this.hexUtils.parseHexId(fromId);
+
+    for (const hex of this.hexUtils.spiral(q, r, range)) {
+      const hexId = this.hexUtils.getHexId(hex.q, hex.r);
+
+      if (this.hasHex(hexId) && this.canSee(fromId, hexId, eyeHeight)) {
+        visible.add(hexId);
+      }
+    }
+
+    return visible;
+  }
+
+  /**
+   * Combine what several observers see
+   * @param {Array} observers - Array of { hexId, eyeHeight, range } objects
+   * @returns {Set} Hex IDs visible to at least one observer
+   */
+  getVisibleToAll(observers) {
+    const visible = new Set();
+
+    for (const observer of observers) {
+      for (const hexId of this.getVisible(observer.hexId, observer)) {
+        visible.add(hexId);
+      }
+    }
+
+    return visible;
+  }
+
+  /**
+   * Work out what each player sees from their own observers
+   * @param {Object} observersByPlayer - Maps player IDs to arrays of { hexId, eyeHeight, range }
+   * @returns {Object} Maps player IDs to Sets of visible hex IDs
+   */
+  getVisibleByPlayer(observersByPlayer) {
+    const visibleByPlayer = {};
+
+    for (const playerId of Object.keys(observersByPlayer)) {
+      visibleByPlayer[playerId] = this.getVisibleToAll(observersByPlayer[playerId]);
+    }
+
+    return visibleByPlayer;
+  }
+}
+
+export { Visibility, DEFAULT_EYE_HEIGHT, DEFAULT_VIEW_RANGE };
@@ -0,0 +1,150 @@
+// Undo/redo history of hex edits, kept per room.
+//
+// Each entry records the state of every hex it touched before and after the
+// edit (and the room's terrain recipe, when the edit replaced it), so undoing
+// restores "before" and redoing restores "after". Entries
+// are kept in one chronological list per room: a user-scoped undo picks that
+// user's most recent entry, a room-scoped undo picks the most recent entry
+// by anyone.
+
+// Maximum number of undo entries kept per room
+const DEFAULT_HISTORY_LIMIT = 100;
+
+class EditHistory {
+  constructor(limit = DEFAULT_HISTORY_LIMIT) {
+    this.limit = limit;
+    this.rooms = {}; // Maps room codes to { undo: [], redo: [] }
+    this.nextEntryId = 1;
+  }
+
+  getRoomHistory(roomCode) {
+    if (!this.rooms[roomCode]) {
+      this.rooms[roomCode] = { undo: [], redo: [] };
+    }
+    return this.rooms[roomCode];
+  }
+
+  /**
+   * Record an edit as one undo step
+   * @param {string} roomCode - Room the edit happened in
+   * @param {string} userId - User who made the edit
+   * @param {Object} changes - Maps hex IDs to { before, after } states (null = no state)
+   * @param {Object} [terrain] - { before, after } terrain recipes, if the edit replaced the terrain
+   */
+  record(roomCode, userId, changes, terrain = null) {
+    const history = this.getRoomHistory(roomCode);
+
+    // A new edit makes anything this user undid impossible to redo cleanly
+    history.redo = history.redo.filter(entry => entry.undoneBy !== userId);
+
+    const entry = {
+      id: this.nextEntryId++,
+      userId,
+      changes,
+      terrain,
+      createdAt: Date.now()
+    };
+
+    history.undo.push(entry);
+    if (history.undo.length > this.limit) {
+      history.undo.shift();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Take the entry to undo off the undo stack
+   * @param {string} roomCode - Room code
+   * @param {string} userId - User asking to undo
+   * @param {string} scope - 'user' for the user's own edits, 'room' for anyone's
+   * @returns {Object|null} The entry, or null if there is nothing to undo
+   */
+  takeUndo(roomCode, userId, scope = 'user') {
+    const history = this.getRoomHistory(roomCode);
+    const index = this.findLatest(history.undo, userId, scope);
+    if (index === -1) return null;
+
+    const [entry] = history.undo.splice(index, 1);
+    entry.undoneBy = userId;
+    history.redo.push(entry);
+    if (history.redo.length > this.limit) {
+      history.redo.shift();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Take the entry to redo off the redo stack
+   * @param {string} roomCode - Room code
+   * @param {string} userId - User asking to redo
+   * @param {string} scope - 'user' for entries the user undid, 'room' for anyone's
+   * @returns {Object|null} The entry, or null if there is nothing to redo
+   */
+  takeRedo(roomCode, userId, scope = 'user') {
+    const history = this.getRoomHistory(roomCode);
+    const index = scope === 'room'
+      ? history.redo.length - 1
+      : history.redo.map(entry => entry.undoneBy).lastIndexOf(userId);
+    if (index === -1) return null;
+
+    const [entry] = history.redo.splice(index, 1);
+    delete entry.undoneBy;
+    history.undo.push(entry);
+
+    return entry;
+  }
+
+  // Find the most recent entry a user may act on
+  findLatest(entries, userId, scope) {
+    if (scope === 'room') return entries.length - 1;
+    return entries.map(entry => entry.userId).lastIndexOf(userId);
+  }
+
+  // Number of separate things an entry changes (each hex, plus the terrain)
+  static countChanges(entry) {
+    return Object.keys(entry.changes).length + (entry.terrain ? 1 : 0);
+  }
+
+  /**
+   * Work out which hexes undoing or redoing an entry restores. Hexes that were
+   * changed again since the entry was recorded (by anyone) are left alone.
+   * @param {Object} entry - History entry
+   * @param {string} direction - 'undo' or 'redo'
+   * @param {Function} getState - Returns a hex's current state (null if it has none)
+   * @returns {Object} Maps hex IDs to the state to restore (null = no state)
+   */
+  static getRestoredStates(entry, direction, getState) {
+    const states = {};
+
+    for (const hexId of Object.keys(entry.changes)) {
+      const { before, after } = entry.changes[hexId];
+      const expected = direction === 'undo' ? after : before;
+
+      if (EditHistory.statesMatch(getState(hexId), expected)) {
+        states[hexId] = direction === 'undo' ? before : after;
+      }
+    }
+
+    return states;
+  }
+
+  // Compare two hex states, ignoring bookkeeping and derived fields
+  // (lastUpdated, and the shoreline flag the server recomputes itself)
+  static statesMatch(a, b) {
+    const strip = (state) => {
+      if (!state) return null;
+      const { lastUpdated, shoreline, ...rest } = state;
+      return Object.keys(rest).length > 0 ? rest : null;
+    };
+    return JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+  }
+
+  // Forget a room's history (when the room is deleted)
+  clearRoom(roomCode) {
+    delete this.rooms[roomCode];
+  }
+}
+
+module.exports = { EditHistory };
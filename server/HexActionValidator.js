@@ -0,0 +1,435 @@
+// Server-side validation of hex actions sent by clients.
+//
+// Every action is checked against HEX_ACTION_SCHEMA before it reaches
+// RoomManager, so clients can only write known keys with sane values.
+
+const { HexUtils } = require('../public/js/core/HexUtils.js');
+const { BIOME_TYPES } = require('../public/js/utils/Biomes.js');
+const { ASSIGNABLE_ROLES } = require('../public/js/utils/Roles.js');
+const { isChunkId, MAX_CHUNK_REQUEST } = require('../public/js/utils/Chunks.js');
+
+const hexUtils = new HexUtils();
+
+const MIN_HEIGHT = 0.25;
+const MAX_HEIGHT = 20;
+const HEIGHT_STEP = 0.25;
+
+// Largest number of hexes accepted in one bulk update
+const MAX_BATCH_SIZE = 10000;
+
+const HEX_ID_PATTERN = /^-?\d+,-?\d+$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Field rules: type plus optional min/max/step/integer/pattern/enum/fields
+const HEX_ACTION_SCHEMA = {
+  height: { type: 'number', min: MIN_HEIGHT, max: MAX_HEIGHT, step: HEIGHT_STEP },
+  color: { type: 'string', pattern: COLOR_PATTERN },
+  biome: { type: 'string', enum: BIOME_TYPES },
+  river: { type: 'boolean' },
+  voxelModel: {
+    type: 'object',
+    fields: {
+      type: { type: 'string', enum: 'modelTypes', required: true },
+      scale: { type: 'number', min: 0.1, max: 5 },
+      animate: { type: 'boolean' },
+      hoverRange: { type: 'number', min: 0, max: 2 },
+      hoverSpeed: { type: 'number', min: 0, max: 10 },
+      rotateSpeed: { type: 'number', min: 0, max: 10 },
+      rotation: {
+        type: 'object',
+        fields: {
+          x: { type: 'number', min: -Math.PI * 2, max: Math.PI * 2 },
+          y: { type: 'number', min: -Math.PI * 2, max: Math.PI * 2 },
+          z: { type: 'number', min: -Math.PI * 2, max: Math.PI * 2 }
+        }
+      }
+    }
+  }
+};
+
+// Terrain recipes are shared by the whole room, so every parameter is required
+// (only the hydrology pass is optional)
+const TERRAIN_RECIPE_SCHEMA = {
+  seed: { type: 'number', integer: true, min: 0, max: 2147483647, required: true },
+  scale: { type: 'number', min: 0.01, max: 1, required: true },
+  amplitude: { type: 'number', min: 0, max: 15, required: true },
+  octaves: { type: 'number', integer: true, min: 1, max: 8, required: true },
+  peaks: {
+    type: 'object',
+    required: true,
+    fields: {
+      count: { type: 'number', integer: true, min: 0, max: 5, required: true },
+      height: { type: 'number', min: 0, max: 10, required: true },
+      width: { type: 'number', min: 0.5, max: 20, required: true }
+    }
+  },
+  hydrology: {
+    type: 'object',
+    fields: {
+      erosion: { type: 'number', integer: true, min: 0, max: 20, required: true },
+      rivers: { type: 'boolean', required: true }
+    }
+  }
+};
+
+// The room's water level uses the same range and step as hex heights
+const WATER_LEVEL_RULE = { type: 'number', min: 0, max: MAX_HEIGHT, step: HEIGHT_STEP };
+
+// Units are drawn with one of the voxel models, and are named by server-issued UUIDs
+const UNIT_MODEL_RULE = { type: 'string', enum: 'modelTypes' };
+const UNIT_ID_RULE = { type: 'string', pattern: /^[0-9a-f-]{36}$/ };
+
+// Players are named by IDs derived from their client token (see PlayerRegistry)
+const PLAYER_ID_RULE = { type: 'string', pattern: /^[0-9a-f]{16}$/ };
+const ROLE_RULE = { type: 'string', enum: ASSIGNABLE_ROLES };
+
+// Whether a player has gone idle (sent with their presence)
+const PRESENCE_IDLE_RULE = { type: 'boolean' };
+
+// Error codes sent back to the client in 'actionRejected'
+const REJECTION_CODES = {
+  INVALID_ACTION: 'INVALID_ACTION',
+  INVALID_HEX: 'INVALID_HEX',
+  UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+  INVALID_FIELD: 'INVALID_FIELD',
+  MISSING_FIELD: 'MISSING_FIELD',
+  NOT_IN_ROOM: 'NOT_IN_ROOM',
+  NOTHING_TO_UNDO: 'NOTHING_TO_UNDO',
+  NOTHING_TO_REDO: 'NOTHING_TO_REDO',
+  NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+  NO_ACTIONS_LEFT: 'NO_ACTIONS_LEFT',
+  NOT_TURN_BASED: 'NOT_TURN_BASED',
+  UNKNOWN_UNIT: 'UNKNOWN_UNIT',
+  NOT_YOUR_UNIT: 'NOT_YOUR_UNIT',
+  HEX_OCCUPIED: 'HEX_OCCUPIED',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  NOT_ALLOWED: 'NOT_ALLOWED',
+  UNKNOWN_PLAYER: 'UNKNOWN_PLAYER'
+};
+
+class HexActionValidator {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getModelTypes - Returns the list of allowed voxel model types
+   */
+  constructor(options = {}) {
+    this.getModelTypes = options.getModelTypes || (() => []);
+    this.schema = options.schema || HEX_ACTION_SCHEMA;
+  }
+
+  /**
+   * Check that a hex ID is well-formed and part of the room's grid
+   * @param {string} hexId - Hex ID in "q,r" form
+   * @param {Object} settings - Room settings ({ shape, radius })
+   * @returns {Object|null} Rejection, or null if the ID is valid
+   */
+  validateHexId(hexId, settings) {
+    if (typeof hexId !== 'string' || !HEX_ID_PATTERN.test(hexId)) {
+      return this.reject(REJECTION_CODES.INVALID_HEX, 'hexId', 'Malformed hex ID');
+    }
+
+    const { q, r } = hexUtils.parseHexId(hexId);
+
+    // Only one spelling per hex, so '01,2' or '-0,0' can't alias '1,2' or '0,0' in room state
+    if (hexUtils.getHexId(q, r) !== hexId) {
+      return this.reject(REJECTION_CODES.INVALID_HEX, 'hexId', `Hex ID ${hexId} is not in canonical form`);
+    }
+
+    if (!hexUtils.isInShape(q, r, settings.shape, settings.radius)) {
+      return this.reject(REJECTION_CODES.INVALID_HEX, 'hexId', `Hex ${hexId} is outside the grid`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a hex action against the schema
+   * @param {string} hexId - Target hex ID
+   * @param {Object} action - Action sent by the client
+   * @param {Object} context - Room context ({ settings })
+   * @returns {Object} { valid: true, action } or { valid: false, code, field, reason }
+   */
+  validate(hexId, action, context) {
+    const hexError = this.validateHexId(hexId, context.settings);
+    if (hexError) return hexError;
+
+    if (!this.isPlainObject(action) || Object.keys(action).length === 0) {
+      return this.reject(REJECTION_CODES.INVALID_ACTION, null, 'Action must be a non-empty object');
+    }
+
+    const result = this.validateObject(action, this.schema, '');
+    if (result.valid === false) return result;
+
+    return { valid: true, action: result.value };
+  }
+
+  /**
+   * Validate a bulk update (map of hex ID to action)
+   * @param {Object} updates - Maps hex IDs to actions
+   * @param {Object} context - Room context ({ settings })
+   * @returns {Object} { valid: true, updates } or { valid: false, hexId, code, field, reason }
+   */
+  validateBatch(updates, context) {
+    if (!this.isPlainObject(updates)) {
+      return this.reject(REJECTION_CODES.INVALID_ACTION, 'updates', 'Updates must be an object of hex ID to action');
+    }
+
+    const hexIds = Object.keys(updates);
+    if (hexIds.length === 0 || hexIds.length > MAX_BATCH_SIZE) {
+      return this.reject(REJECTION_CODES.INVALID_ACTION, 'updates', `Updates must contain 1 to ${MAX_BATCH_SIZE} hexes`);
+    }
+
+    const clean = {};
+
+    for (const hexId of hexIds) {
+      const result = this.validate(hexId, updates[hexId], context);
+
+      // The whole batch is rejected if any hex is invalid, so it is applied all-or-nothing
+      if (!result.valid) {
+        return { ...result, hexId };
+      }
+
+      clean[hexId] = result.action;
+    }
+
+    return { valid: true, updates: clean };
+  }
+
+  /**
+   * Validate a terrain recipe
+   * @param {Object} recipe - Recipe sent by the client
+   * @returns {Object} { valid: true, recipe } or { valid: false, code, field, reason }
+   */
+  validateTerrain(recipe) {
+    if (!this.isPlainObject(recipe)) {
+      return this.reject(REJECTION_CODES.INVALID_ACTION, 'recipe', 'Terrain recipe must be an object');
+    }
+
+    const result = this.validateObject(recipe, TERRAIN_RECIPE_SCHEMA, '');
+    if (result.valid === false) return result;
+
+    return { valid: true, recipe: result.value };
+  }
+
+  /**
+   * Validate a new water level for a room
+   * @param {number} level - Water level sent by the client
+   * @returns {Object} { valid: true, waterLevel } or { valid: false, code, field, reason }
+   */
+  validateWaterLevel(level) {
+    const result = this.validateField(level, WATER_LEVEL_RULE, 'waterLevel');
+    if (result.valid === false) return result;
+
+    return { valid: true, waterLevel: result.value };
+  }
+
+  /**
+   * Validate a request to place a unit
+   * @param {string} hexId - Hex to place the unit on
+   * @param {string} model - Voxel model type the unit is drawn with
+   * @param {Object} context - Room context ({ settings })
+   * @returns {Object} { valid: true, hexId, model } or { valid: false, code, field, reason }
+   */
+  validateUnitSpawn(hexId, model, context) {
+    const hexError = this.validateHexId(hexId, context.settings);
+    if (hexError) return hexError;
+
+    const result = this.validateField(model, UNIT_MODEL_RULE, 'model');
+    if (result.valid === false) return result;
+
+    return { valid: true, hexId, model: result.value };
+  }
+
+  /**
+   * Validate a presence update (the hexes a player is hovering and has selected)
+   * @param {Object} presence - { hover, selected, idle }; hexes may be null
+   * @param {Object} context - Room context ({ settings })
+   * @returns {Object} { valid: true, presence } or { valid: false, code, field, reason }
+   */
+  validatePresence(presence, context) {
+    if (!this.isPlainObject(presence)) {
+      return this.reject(REJECTION_CODES.INVALID_ACTION, null, 'Presence must be an object');
+    }
+
+    for (const field of ['hover', 'selected']) {
+      if (presence[field] === null || presence[field] === undefined) continue;
+
+      const hexError = this.validateHexId(presence[field], context.settings);
+      if (hexError) return { ...hexError, field };
+    }
+
+    const idle = this.validateField(presence.idle === undefined ? false : presence.idle, PRESENCE_IDLE_RULE, 'idle');
+    if (idle.valid === false) return idle;
+
+    return {
+      valid: true,
+      presence: {
+        hover: presence.hover || null,
+        selected: presence.selected || null,
+        idle: idle.value
+      }
+    };
+  }
+
+  /**
+   * Validate a player ID sent by the host (whether they are in the room is up to the caller)
+   * @param {string} playerId - Player the host wants to act on
+   * @returns {Object} { valid: true, playerId } or { valid: false, code, field, reason }
+   */
+  validatePlayerId(playerId) {
+    const result = this.validateField(playerId, PLAYER_ID_RULE, 'playerId');
+    if (result.valid === false) return result;
+
+    return { valid: true, playerId: result.value };
+  }
+
+  /**
+   * Validate a role change requested by the host
+   * @param {string} playerId - Player whose role changes
+   * @param {string} role - New role ('editor' or 'viewer')
+   * @returns {Object} { valid: true, playerId, role } or { valid: false, code, field, reason }
+   */
+  validateRoleChange(playerId, role) {
+    const player = this.validatePlayerId(playerId);
+    if (!player.valid) return player;
+
+    const result = this.validateField(role, ROLE_RULE, 'role');
+    if (result.valid === false) return result;
+
+    return { valid: true, playerId: player.playerId, role: result.value };
+  }
+
+  /**
+   * Validate a request for the state of some chunks (see Chunks.js)
+   * @param {Array} chunkIds - Chunk IDs in "cq:cr" form
+   * @returns {Object} { valid: true, chunkIds } or { valid: false, code, field, reason }
+   */
+  validateChunkIds(chunkIds) {
+    if (!Array.isArray(chunkIds) || chunkIds.length === 0) {
+      return this.reject(REJECTION_CODES.INVALID_FIELD, 'chunks', '"chunks" must be a non-empty list');
+    }
+
+    if (chunkIds.length > MAX_CHUNK_REQUEST) {
+      return this.reject(REJECTION_CODES.INVALID_FIELD, 'chunks', `At most ${MAX_CHUNK_REQUEST} chunks can be requested at once`);
+    }
+
+    if (!chunkIds.every(isChunkId)) {
+      return this.reject(REJECTION_CODES.INVALID_FIELD, 'chunks', 'Malformed chunk ID');
+    }
+
+    return { valid: true, chunkIds: [...new Set(chunkIds)] };
+  }
+
+  /**
+   * Validate a request to move a unit (whether it can get there is up to RoomUnits)
+   * @param {string} unitId - Unit to move
+   * @param {string} hexId - Destination hex
+   * @param {Object} context - Room context ({ settings })
+   * @returns {Object} { valid: true, unitId, hexId } or { valid: false, code, field, reason }
+   */
+  validateUnitMove(unitId, hexId, context) {
+    const result = this.validateField(unitId, UNIT_ID_RULE, 'unitId');
+    if (result.valid === false) return result;
+
+    const hexError = this.validateHexId(hexId, context.settings);
+    if (hexError) return hexError;
+
+    return { valid: true, unitId, hexId };
+  }
+
+  // Validate an object's keys against a set of field rules, returning a clean copy
+  validateObject(value, fields, prefix) {
+    const clean = {};
+
+    for (const key of Object.keys(value)) {
+      const fieldPath = prefix + key;
+      const rule = Object.hasOwn(fields, key) ? fields[key] : null; // Not "constructor" and the like
+
+      if (!rule) {
+        return this.reject(REJECTION_CODES.UNKNOWN_FIELD, fieldPath, `Unknown field "${fieldPath}"`);
+      }
+
+      const result = this.validateField(value[key], rule, fieldPath);
+      if (result.valid === false) return result;
+
+      clean[key] = result.value;
+    }
+
+    for (const key of Object.keys(fields)) {
+      if (fields[key].required && value[key] === undefined) {
+        const fieldPath = prefix + key;
+        return this.reject(REJECTION_CODES.MISSING_FIELD, fieldPath, `Missing field "${fieldPath}"`);
+      }
+    }
+
+    return { value: clean };
+  }
+
+  // Validate a single value against its rule
+  validateField(value, rule, fieldPath) {
+    const invalid = (reason) => this.reject(REJECTION_CODES.INVALID_FIELD, fieldPath, reason);
+
+    switch (rule.type) {
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          return invalid(`"${fieldPath}" must be a number`);
+        }
+        if (rule.integer && !Number.isInteger(value)) {
+          return invalid(`"${fieldPath}" must be a whole number`);
+        }
+        if (rule.min !== undefined && value < rule.min) {
+          return invalid(`"${fieldPath}" must be at least ${rule.min}`);
+        }
+        if (rule.max !== undefined && value > rule.max) {
+          return invalid(`"${fieldPath}" must be at most ${rule.max}`);
+        }
+        if (rule.step !== undefined && !Number.isInteger(value / rule.step)) {
+          return invalid(`"${fieldPath}" must be a multiple of ${rule.step}`);
+        }
+        return { value };
+
+      case 'string':
+        if (typeof value !== 'string') {
+          return invalid(`"${fieldPath}" must be a string`);
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+          return invalid(`"${fieldPath}" is not well-formed`);
+        }
+        if (rule.enum && !this.resolveEnum(rule.enum).includes(value)) {
+          return invalid(`"${value}" is not an allowed value for "${fieldPath}"`);
+        }
+        return { value };
+
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          return invalid(`"${fieldPath}" must be true or false`);
+        }
+        return { value };
+
+      case 'object':
+        if (!this.isPlainObject(value)) {
+          return invalid(`"${fieldPath}" must be an object`);
+        }
+        return this.validateObject(value, rule.fields, `${fieldPath}.`);
+
+      default:
+        return invalid(`"${fieldPath}" has an unsupported type`);
+    }
+  }
+
+  // Enums are either a fixed list or the name of a dynamic list
+  resolveEnum(enumRule) {
+    if (enumRule === 'modelTypes') return this.getModelTypes();
+    return enumRule;
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  reject(code, field, reason) {
+    return { valid: false, code, field, reason };
+  }
+}
+
+module.exports = { HexActionValidator, HEX_ACTION_SCHEMA, TERRAIN_RECIPE_SCHEMA, REJECTION_CODES };
@@ -0,0 +1,111 @@
+// Player identities: who is behind each socket.
+//
+// Every browser keeps a random client token in localStorage and sends it
+// (with a display name and colour) when it connects. The token itself never
+// leaves the server: other players know each other by a player ID derived
+// from it, so the same browser keeps its player ID, and with it its units,
+// models, turn and host role, across reconnects and server restarts.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const TOKEN_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const MAX_NAME_LENGTH = 24;
+
+// Colours handed out to players who haven't picked one
+const PLAYER_COLORS = ['#e74c3c', '#3498db', '#2ecc71', '#f1c40f', '#9b59b6', '#e67e22', '#1abc9c', '#ec407a'];
+
+class PlayerRegistry {
+  constructor() {
+    this.players = {}; // Maps player IDs to { id, name, color }
+    this.sockets = {}; // Maps player IDs to Sets of their connected socket IDs
+  }
+
+  // Player ID for a client token (stable, and the token can't be worked out from it)
+  getPlayerId(token) {
+    return crypto.createHash('sha256').update(token).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Register a connecting socket. Sockets without a usable token get a
+   * throwaway identity, so they still work but won't be recognised next time.
+   * @param {string} socketId - Socket ID
+   * @param {Object} [auth] - Handshake data ({ token, name, color })
+   * @returns {Object} The player ({ id, name, color })
+   */
+  connect(socketId, auth = {}) {
+    const token = typeof auth.token === 'string' && TOKEN_PATTERN.test(auth.token) ? auth.token : uuidv4();
+    const playerId = this.getPlayerId(token);
+
+    if (!this.sockets[playerId]) {
+      this.sockets[playerId] = new Set();
+    }
+    this.sockets[playerId].add(socketId);
+
+    return this.setProfile(playerId, auth);
+  }
+
+  /**
+   * Unregister a disconnecting socket
+   * @param {string} playerId - Player the socket belonged to
+   * @param {string} socketId - Socket ID
+   * @returns {boolean} True if that was the player's last connected socket
+   */
+  disconnect(playerId, socketId) {
+    const sockets = this.sockets[playerId];
+    if (!sockets) return true;
+
+    sockets.delete(socketId);
+    if (sockets.size > 0) return false;
+
+    delete this.sockets[playerId];
+    return true;
+  }
+
+  /**
+   * Change a player's display name and colour. Anything missing or malformed
+   * keeps its current value (or a default).
+   * @param {string} playerId - Player ID
+   * @param {Object} [profile] - { name, color }
+   * @returns {Object} The updated player
+   */
+  setProfile(playerId, profile = {}) {
+    const current = this.getPlayer(playerId);
+    const name = typeof profile.name === 'string' ? profile.name.trim().substring(0, MAX_NAME_LENGTH) : '';
+    const color = typeof profile.color === 'string' && COLOR_PATTERN.test(profile.color) ? profile.color : null;
+
+    this.players[playerId] = {
+      id: playerId,
+      name: name || current.name,
+      color: color || current.color
+    };
+
+    return this.players[playerId];
+  }
+
+  /**
+   * Get a player's public details (players who never connected get defaults,
+   * e.g. the owner of a unit restored from storage)
+   * @param {string} playerId - Player ID
+   * @returns {Object} { id, name, color }
+   */
+  getPlayer(playerId) {
+    if (this.players[playerId]) return this.players[playerId];
+
+    const hash = parseInt(crypto.createHash('sha256').update(String(playerId)).digest('hex').substring(0, 8), 16);
+
+    return {
+      id: playerId,
+      name: `Player-${String(playerId).substring(0, 5)}`,
+      color: PLAYER_COLORS[hash % PLAYER_COLORS.length]
+    };
+  }
+
+  // Get the public details of several players
+  getPlayers(playerIds) {
+    return playerIds.map(playerId => this.getPlayer(playerId));
+  }
+}
+
+module.exports = { PlayerRegistry, MAX_NAME_LENGTH, PLAYER_COLORS };
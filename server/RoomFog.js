@@ -0,0 +1,147 @@
+// Fog of war for rooms that have it turned on.
+//
+// Each player sees the hexes in line of sight of their units, and of the
+// models they placed (hex states with a voxelModel and their ID as `owner`).
+// Other players' units are only shown while they stand in view. Hexes a player has
+// ever seen stay explored. The server uses this to decide which hex updates
+// each socket receives, so hidden information never leaves the server. The
+// same goes for where other players point and what they select.
+//
+// Fog hides hex state (colors, models, hand-set heights). The terrain recipe
+// is still shared with everyone, so the shape of the land is not secret.
+
+const { HexUtils } = require('../public/js/core/HexUtils.js');
+const { Visibility } = require('../public/js/utils/Visibility.js');
+
+const hexUtils = new HexUtils();
+
+// How far and from how high a model sees (matches the client's line of sight overlay)
+const MODEL_EYE_HEIGHT = 1.5;
+const MODEL_VIEW_RANGE = 8;
+
+class RoomFog {
+  constructor(roomManager, roomTerrain) {
+    this.roomManager = roomManager;
+    this.roomTerrain = roomTerrain;
+    this.views = {}; // Maps room codes to { userId: { visible: Set, explored: Set } }
+  }
+
+  // Check whether a room plays with fog of war
+  isEnabled(roomCode) {
+    const settings = this.roomManager.getSettings(roomCode);
+    return Boolean(settings && settings.fogOfWar);
+  }
+
+  // The user's units, and hexes holding a model placed by the user
+  getObservers(roomCode, userId) {
+    const room = this.roomManager.getRoomState(roomCode);
+    if (!room) return [];
+
+    const models = Object.keys(room.hexState)
+      .filter(hexId => room.hexState[hexId].voxelModel && room.hexState[hexId].owner === userId)
+      .map(hexId => ({ hexId, eyeHeight: MODEL_EYE_HEIGHT, range: MODEL_VIEW_RANGE }));
+
+    const units = Object.values(room.units)
+      .filter(unit => unit.owner === userId)
+      .map(unit => ({ hexId: unit.hexId, eyeHeight: MODEL_EYE_HEIGHT, range: unit.stats.sight }));
+
+    return models.concat(units);
+  }
+
+  /**
+   * Recompute what every player in a room can see
+   * @param {string} roomCode - Room code
+   * @returns {Object} Maps user IDs to { visible, explored, changed, revealed, concealed },
+   *   where revealed and concealed list hexes that came into or went out of view
+   *   since the last refresh
+   */
+  refresh(roomCode) {
+    const room = this.roomManager.getRoomState(roomCode);
+    if (!room) return {};
+
+    const visibility = new Visibility(hexUtils, hexId => this.roomTerrain.getHeight(roomCode, hexId));
+
+    if (!this.views[roomCode]) this.views[roomCode] = {};
+    const results = {};
+
+    for (const userId of room.users) {
+      const previous = this.views[roomCode][userId] || { visible: new Set(), explored: new Set() };
+      const visible = visibility.getVisibleToAll(this.getObservers(roomCode, userId));
+      const explored = new Set([...previous.explored, ...visible]);
+
+      const revealed = [...visible].filter(hexId => !previous.visible.has(hexId));
+      const concealed = [...previous.visible].filter(hexId => !visible.has(hexId));
+      const changed = revealed.length > 0 || concealed.length > 0;
+
+      this.views[roomCode][userId] = { visible, explored };
+      results[userId] = { visible, explored, changed, revealed, concealed };
+    }
+
+    return results;
+  }
+
+  /**
+   * Get a player's current view of a room, as sent to the client
+   * @param {string} roomCode - Room code
+   * @param {string} userId - User ID
+   * @returns {Object} { visible: [hexIds], explored: [hexIds] }
+   */
+  getView(roomCode, userId) {
+    const view = this.views[roomCode] && this.views[roomCode][userId];
+
+    return {
+      visible: view ? [...view.visible] : [],
+      explored: view ? [...view.explored] : []
+    };
+  }
+
+  // Pick the entries of a hex map (updates or states) a player can see
+  filterVisible(roomCode, userId, hexMap) {
+    const view = this.views[roomCode] && this.views[roomCode][userId];
+    const filtered = {};
+    if (!view) return filtered;
+
+    for (const hexId of Object.keys(hexMap)) {
+      if (view.visible.has(hexId)) {
+        filtered[hexId] = hexMap[hexId];
+      }
+    }
+
+    return filtered;
+  }
+
+  // Check whether a player currently sees a unit (their own units are always seen)
+  canSeeUnit(roomCode, userId, unit) {
+    const view = this.views[roomCode] && this.views[roomCode][userId];
+    return unit.owner === userId || Boolean(view && view.visible.has(unit.hexId));
+  }
+
+  // A player's presence as another player may see it: their pointer and selection
+  // only show on hexes the viewer can see (a player always sees their own)
+  filterPresence(roomCode, viewerId, userId, presence) {
+    if (viewerId === userId) return presence;
+
+    const view = this.views[roomCode] && this.views[roomCode][viewerId];
+    const inView = hexId => Boolean(hexId && view && view.visible.has(hexId));
+
+    return {
+      ...presence,
+      hover: inView(presence.hover) ? presence.hover : null,
+      selected: inView(presence.selected) ? presence.selected : null
+    };
+  }
+
+  // Forget a player's view (when they leave the room)
+  removeUser(roomCode, userId) {
+    if (this.views[roomCode]) {
+      delete this.views[roomCode][userId];
+    }
+  }
+
+  // Forget every view of a room (when the room is deleted)
+  clearRoom(roomCode) {
+    delete this.views[roomCode];
+  }
+}
+
+module.exports = { RoomFog, MODEL_EYE_HEIGHT, MODEL_VIEW_RANGE };
@@ -1,96 +1,962 @@
+const crypto = require('crypto');
+const util = require('util');
 const { v4: uuidv4 } = require('uuid');
+const { MemoryStorage } = require('./RoomStorage');
+const { DEFAULT_ROOM_SETTINGS, normalizeRoomSettings, normalizeRoomPassword } = require('./RoomSettings');
+const { roleCan } = require('../public/js/utils/Roles.js');
+const { getChunkHexes } = require('../public/js/utils/Chunks.js');
+const { HexUtils } = require('../public/js/core/HexUtils.js');
+
+const hexUtils = new HexUtils();
+
+// How long an empty room is kept before it is deleted
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Number of journal entries after which a room is re-snapshotted
+const DEFAULT_SNAPSHOT_INTERVAL = 200;
+
+// Number of recent changes kept per room for clients catching up after a reconnect
+const DEFAULT_CHANGE_LOG_LIMIT = 500;
+
+// Journal entries that don't change what is in the room (and don't bump the revision).
+// Roles reach clients with the player list instead.
+const UNSYNCED_ENTRY_TYPES = ['emptySince', 'role', 'kick'];
+
+// Room codes are made of these (no 0/O or 1/I, which are easy to mix up when read out)
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+
+// Why a player couldn't join a room. Clients get { code, reason } and pick
+// the prompt to show from the code.
+const JOIN_ERRORS = {
+  ROOM_NOT_FOUND: 'Room not found',
+  KICKED: 'You were removed from this room',
+  PASSWORD_REQUIRED: 'This room needs a password',
+  WRONG_PASSWORD: 'Wrong password',
+  ROOM_FULL: 'This room is full',
+  TOO_MANY_ATTEMPTS: 'Too many wrong passwords. Wait a minute and try again.',
+  APPROVAL_REQUIRED: 'This room is private. The host has been asked to let you in.',
+  JOIN_DENIED: 'The host turned down your request to join'
+};
+
+// A failed join result
+function joinError(code) {
+  return { success: false, error: { code, reason: JOIN_ERRORS[code] } };
+}
+
+// Password guesses allowed per socket and room within the window below; further
+// guesses are refused without being checked until the oldest one ages out
+const MAX_PASSWORD_ATTEMPTS = 5;
+const PASSWORD_ATTEMPT_WINDOW_MS = 60 * 1000;
+
+// scrypt runs in libuv's thread pool, so checking a password doesn't block other players
+const scrypt = util.promisify(crypto.scrypt);
+
+// Salted hash of a room password (the password itself is never stored)
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 32);
+  return { salt, hash: hash.toString('hex') };
+}
+
+// Check a password against a stored hash
+async function checkPassword(stored, password) {
+  if (typeof password !== 'string') return false;
+
+  const hash = await scrypt(password, stored.salt, 32);
+  return crypto.timingSafeEqual(hash, Buffer.from(stored.hash, 'hex'));
+}
 
 class RoomManager {
-  constructor() {
-    this.rooms = {}; // Maps room codes to room state
-    this.userRooms = {}; // Maps user IDs to room codes they're in
+  constructor(options = {}) {
+    // Room codes come from clients, so the maps keyed by them have no prototype:
+    // a code like "constructor" or "__proto__" must find nothing, not an inherited property
+    this.rooms = Object.create(null); // Maps room codes to room state
+    this.userRooms = Object.create(null); // Maps user IDs to room codes they're in
+
+    this.storage = options.storage || new MemoryStorage();
+    this.retentionMs = options.retentionMs !== undefined ? options.retentionMs : DEFAULT_RETENTION_MS;
+    this.snapshotInterval = options.snapshotInterval || DEFAULT_SNAPSHOT_INTERVAL;
+    this.journalCounts = Object.create(null); // Maps room codes to journal entries written since the last snapshot
+    this.changeLimit = options.changeLimit || DEFAULT_CHANGE_LOG_LIMIT;
+    this.changeLogs = Object.create(null); // Maps room codes to their recent [{ revision, entry }] (not persisted)
+    this.joinRequests = Object.create(null); // Maps room codes to the IDs of players waiting to be let in (not persisted)
+    this.passwordAttempts = Object.create(null); // Maps attempt keys (socket IDs) to { roomCode: [times of recent guesses] }
+
+    this.loadRooms();
+  }
+
+  // Restore all rooms from storage (snapshot first, then replay the journal)
+  loadRooms() {
+    const stored = this.storage.load();
+
+    for (const { roomCode, snapshot, journal } of stored) {
+      const room = this.deserializeRoom(snapshot);
+
+      for (const entry of journal) {
+        this.applyJournalEntry(room, entry);
+        if (!UNSYNCED_ENTRY_TYPES.includes(entry.type)) room.revision++;
+      }
+
+      this.rooms[roomCode] = room;
+
+      // Fold the replayed journal back into a fresh snapshot
+      if (journal.length > 0) {
+        this.snapshotRoom(roomCode);
+      } else {
+        this.journalCounts[roomCode] = 0;
+      }
+    }
+
+    if (stored.length > 0) {
+      console.log(`Restored ${stored.length} room(s) from storage`);
+    }
+  }
+
+  // Convert a room into the plain object that gets persisted
+  serializeRoom(room) {
+    return {
+      host: room.host,
+      settings: room.settings,
+      terrain: room.terrain,
+      hexState: room.hexState,
+      units: room.units,
+      roles: room.roles,
+      kicked: room.kicked,
+      password: room.password,
+      revision: room.revision,
+      createdAt: room.createdAt,
+      emptySince: room.emptySince
+    };
+  }
+
+  // Rebuild a live room from a persisted snapshot.
+  // Turns aren't persisted: the turn order is made of connected players, and
+  // nobody is connected right after a restart.
+  deserializeRoom(snapshot) {
+    const settings = { ...DEFAULT_ROOM_SETTINGS, ...snapshot.settings };
+
+    return {
+      host: snapshot.host,
+      users: [], // Nobody is connected right after a restart
+      settings,
+      turn: this.createTurnState(settings),
+      terrain: snapshot.terrain || null,
+      hexState: snapshot.hexState || {},
+      units: snapshot.units || {},
+      roles: snapshot.roles || {},
+      kicked: snapshot.kicked || [],
+      password: snapshot.password || null,
+      revision: snapshot.revision || 0,
+      createdAt: snapshot.createdAt || Date.now(),
+      // Restored rooms start their retention period now if they were not already empty
+      emptySince: snapshot.emptySince || Date.now()
+    };
+  }
+
+  // Apply a single journaled change to a room
+  applyJournalEntry(room, entry) {
+    switch (entry.type) {
+      case 'hex':
+        if (entry.state) {
+          room.hexState[entry.hexId] = entry.state;
+        } else {
+          delete room.hexState[entry.hexId];
+        }
+        break;
+      case 'hexes':
+        for (const hexId of Object.keys(entry.states)) {
+          if (entry.states[hexId]) {
+            room.hexState[hexId] = entry.states[hexId];
+          } else {
+            delete room.hexState[hexId];
+          }
+        }
+        break;
+      case 'unit':
+        if (entry.unit) {
+          room.units[entry.unitId] = entry.unit;
+        } else {
+          delete room.units[entry.unitId];
+        }
+        break;
+      case 'role':
+        room.roles[entry.userId] = entry.role;
+        break;
+      case 'kick':
+        if (!room.kicked.includes(entry.userId)) room.kicked.push(entry.userId);
+        break;
+      case 'terrain':
+        room.terrain = entry.terrain;
+        break;
+      case 'waterLevel':
+        room.settings = { ...room.settings, waterLevel: entry.waterLevel };
+        break;
+      case 'emptySince':
+        room.emptySince = entry.emptySince;
+        break;
+      default:
+        console.warn(`Unknown journal entry type: ${entry.type}`);
+    }
   }
 
-  // Generate a unique room code
+  // Write a full snapshot of a room and reset its journal
+  snapshotRoom(roomCode) {
+    const room = this.rooms[roomCode];
+    if (!room) return;
+
+    this.storage.saveSnapshot(roomCode, this.serializeRoom(room));
+    this.journalCounts[roomCode] = 0;
+  }
+
+  // Record a change, compacting into a snapshot once the journal gets long.
+  // Changes clients see also bump the room's revision and go into its change log.
+  journal(roomCode, entry) {
+    const room = this.rooms[roomCode];
+
+    if (room && !UNSYNCED_ENTRY_TYPES.includes(entry.type)) {
+      room.revision++;
+
+      if (!this.changeLogs[roomCode]) this.changeLogs[roomCode] = [];
+      const log = this.changeLogs[roomCode];
+
+      log.push({ revision: room.revision, entry });
+      if (log.length > this.changeLimit) log.shift();
+    }
+
+    this.storage.appendJournal(roomCode, entry);
+    this.journalCounts[roomCode] = (this.journalCounts[roomCode] || 0) + 1;
+
+    if (this.journalCounts[roomCode] >= this.snapshotInterval) {
+      this.snapshotRoom(roomCode);
+    }
+  }
+
+  // Generate a random room code no other room is using
   generateRoomCode() {
-    // Create a simple 6-character alphanumeric code
-    return Math.random().toString(36).substring(2, 8).toUpperCase();
+    let roomCode;
+
+    do {
+      // 32 characters divide 256 evenly, so every character is equally likely
+      roomCode = Array.from(crypto.randomBytes(ROOM_CODE_LENGTH), byte =>
+        ROOM_CODE_ALPHABET[byte % ROOM_CODE_ALPHABET.length]).join('');
+    } while (this.rooms[roomCode]);
+
+    return roomCode;
   }
 
-  // Create a new room
-  createRoom(userId) {
+  // Create a new room with the given grid settings (and optional settings.password)
+  async createRoom(userId, settings = {}) {
+    const password = normalizeRoomPassword(settings && settings.password);
+    const passwordHash = password ? await hashPassword(password) : null;
+
     const roomCode = this.generateRoomCode();
-    
+    const roomSettings = normalizeRoomSettings(settings);
+
     this.rooms[roomCode] = {
       host: userId,
       users: [userId],
+      settings: roomSettings,
+      turn: this.createTurnState(roomSettings), // Turn order and budget (null unless turn-based)
+      terrain: null, // Terrain recipe shared by every client (null = flat grid)
       hexState: {}, // Will store the state of each hex
-      createdAt: Date.now()
+      units: {}, // Maps unit IDs to units (see RoomUnits)
+      roles: {}, // Maps the IDs of players other than the host to their role (see Roles.js)
+      kicked: [], // Players the host removed, who can't join again
+      password: passwordHash, // { salt, hash }, or null for no password
+      revision: 0, // Counts changes to the room, so reconnecting clients can catch up
+      createdAt: Date.now(),
+      emptySince: null
     };
-    
+
     // Associate the user with this room
     if (!this.userRooms[userId]) {
       this.userRooms[userId] = [];
     }
     this.userRooms[userId].push(roomCode);
-    
+
+    this.addToTurnOrder(this.rooms[roomCode], userId);
+    this.snapshotRoom(roomCode);
+
     return roomCode;
   }
 
-  // Add a user to an existing room
-  joinRoom(roomCode, userId) {
-    // Check if room exists
-    if (!this.rooms[roomCode]) {
-      return { success: false, error: 'Room not found' };
+  /**
+   * Add a user to an existing room. Players who have been in the room before
+   * (and the host) come straight back in; newcomers need the password, if the
+   * room has one, and the host's approval in private rooms.
+   * @param {string} roomCode - Room code
+   * @param {string} userId - Player ID
+   * @param {string} [password] - Room password (trimmed to the longest allowed, as when the room was created)
+   * @param {string} [attemptKey] - Who password guesses are counted against (the server uses the socket ID)
+   * @returns {Promise<Object>} { success, alreadyInRoom, ... }, or { success: false, error: { code, reason } }
+   */
+  async joinRoom(roomCode, userId, password = null, attemptKey = userId) {
+    const room = this.rooms[roomCode];
+
+    if (!room) return joinError('ROOM_NOT_FOUND');
+    if (room.kicked.includes(userId)) return joinError('KICKED');
+
+    if (!this.isMember(roomCode, userId) && room.password) {
+      const typed = normalizeRoomPassword(password);
+      if (!typed) return joinError('PASSWORD_REQUIRED');
+      if (!this.takePasswordAttempt(attemptKey, roomCode)) return joinError('TOO_MANY_ATTEMPTS');
+      if (!(await checkPassword(room.password, typed))) return joinError('WRONG_PASSWORD');
+
+      this.clearPasswordAttempts(attemptKey, roomCode);
+
+      // The room may have gone, or the player been kicked, while the password was checked
+      if (this.rooms[roomCode] !== room) return joinError('ROOM_NOT_FOUND');
+      if (room.kicked.includes(userId)) return joinError('KICKED');
+    }
+
+    // A player joining again from another tab is already in the room
+    const alreadyInRoom = room.users.includes(userId);
+    const member = this.isMember(roomCode, userId);
+
+    if (!alreadyInRoom && userId !== room.host && room.users.length >= room.settings.maxPlayers) {
+      return joinError('ROOM_FULL');
+    }
+
+    // Newcomers to private rooms wait for the host (see answerJoinRequest)
+    if (!member && room.settings.private) {
+      if (!this.joinRequests[roomCode]) this.joinRequests[roomCode] = [];
+      if (!this.joinRequests[roomCode].includes(userId)) this.joinRequests[roomCode].push(userId);
+      return joinError('APPROVAL_REQUIRED');
+    }
+
+    // Players get the room's join role the first time they come in, and keep it after that
+    if (userId !== room.host && !room.roles[userId]) {
+      room.roles[userId] = room.settings.joinRole;
+      this.journal(roomCode, { type: 'role', userId, role: room.roles[userId] });
     }
-    
-    // Add user to room
-    this.rooms[roomCode].users.push(userId);
-    
+
+    // Add user to room (only players who can edit take turns)
+    if (!alreadyInRoom) {
+      room.users.push(userId);
+
+      if (this.can(roomCode, userId, 'edit')) {
+        this.addToTurnOrder(room, userId);
+      }
+    }
+
+    // The room is in use again, so stop its retention countdown
+    if (room.emptySince) {
+      room.emptySince = null;
+      this.journal(roomCode, { type: 'emptySince', emptySince: null });
+    }
+
     // Associate the user with this room
     if (!this.userRooms[userId]) {
       this.userRooms[userId] = [];
     }
-    this.userRooms[userId].push(roomCode);
-    
-    return { 
-      success: true, 
-      state: this.rooms[roomCode].hexState 
+    if (!alreadyInRoom) {
+      this.userRooms[userId].push(roomCode);
+    }
+
+    return {
+      success: true,
+      alreadyInRoom,
+      state: room.hexState,
+      settings: room.settings,
+      terrain: room.terrain,
+      units: room.units
     };
   }
 
+  // Count a password guess against a socket, unless it has used up its guesses for the room
+  takePasswordAttempt(attemptKey, roomCode, now = Date.now()) {
+    if (!this.passwordAttempts[attemptKey]) this.passwordAttempts[attemptKey] = Object.create(null);
+
+    const attempts = this.passwordAttempts[attemptKey];
+    const recent = (attempts[roomCode] || []).filter(time => now - time < PASSWORD_ATTEMPT_WINDOW_MS);
+
+    if (recent.length >= MAX_PASSWORD_ATTEMPTS) {
+      attempts[roomCode] = recent;
+      return false;
+    }
+
+    attempts[roomCode] = [...recent, now];
+    return true;
+  }
+
+  // Forget a socket's guesses for a room once it got the password right
+  clearPasswordAttempts(attemptKey, roomCode) {
+    const attempts = this.passwordAttempts[attemptKey];
+    if (!attempts) return;
+
+    delete attempts[roomCode];
+    if (Object.keys(attempts).length === 0) delete this.passwordAttempts[attemptKey];
+  }
+
+  // Forget every guess made from a socket (when it disconnects)
+  forgetPasswordAttempts(attemptKey) {
+    delete this.passwordAttempts[attemptKey];
+  }
+
   // Update the state of a hex in a room
   updateHexState(roomCode, hexId, action) {
     if (!this.rooms[roomCode]) return false;
-    
+
     this.rooms[roomCode].hexState[hexId] = {
       ...this.rooms[roomCode].hexState[hexId],
       ...action,
       lastUpdated: Date.now()
     };
-    
+
+    this.journal(roomCode, {
+      type: 'hex',
+      hexId,
+      state: this.rooms[roomCode].hexState[hexId]
+    });
+
+    return true;
+  }
+
+  // Merge updates into many hexes at once, written as a single journal entry
+  updateHexStates(roomCode, updates) {
+    const room = this.rooms[roomCode];
+    if (!room) return false;
+
+    const now = Date.now();
+    const states = {};
+
+    for (const hexId of Object.keys(updates)) {
+      room.hexState[hexId] = {
+        ...room.hexState[hexId],
+        ...updates[hexId],
+        lastUpdated: now
+      };
+      states[hexId] = room.hexState[hexId];
+    }
+
+    this.journal(roomCode, { type: 'hexes', states });
+
+    return true;
+  }
+
+  // Replace the state of many hexes outright (null clears a hex back to the default)
+  setHexStates(roomCode, states) {
+    const room = this.rooms[roomCode];
+    if (!room) return false;
+
+    const now = Date.now();
+    const written = {};
+
+    for (const hexId of Object.keys(states)) {
+      if (states[hexId]) {
+        room.hexState[hexId] = { ...states[hexId], lastUpdated: now };
+      } else {
+        delete room.hexState[hexId];
+      }
+      written[hexId] = room.hexState[hexId] || null;
+    }
+
+    this.journal(roomCode, { type: 'hexes', states: written });
+
+    return true;
+  }
+
+  // Replace a room's terrain recipe (null for a flat grid)
+  setTerrain(roomCode, terrain) {
+    const room = this.rooms[roomCode];
+    if (!room) return false;
+
+    room.terrain = terrain;
+    this.journal(roomCode, { type: 'terrain', terrain });
+
+    return true;
+  }
+
+  // Get a room's terrain recipe
+  getTerrain(roomCode) {
+    const room = this.rooms[roomCode];
+    return room ? room.terrain : null;
+  }
+
+  // Change a room's water level
+  setWaterLevel(roomCode, waterLevel) {
+    const room = this.rooms[roomCode];
+    if (!room) return false;
+
+    room.settings = { ...room.settings, waterLevel };
+    this.journal(roomCode, { type: 'waterLevel', waterLevel });
+
+    return true;
+  }
+
+  // Sync the derived shoreline flag with a set of hex IDs. With checked, only
+  // those hexes are synced (the shoreline was only looked for there).
+  // Returns the flags that changed as { hexId: { shoreline } } updates.
+  setShoreline(roomCode, shoreline, checked = null) {
+    const room = this.rooms[roomCode];
+    if (!room) return {};
+
+    const updates = {};
+    const states = {};
+
+    // Clear the flag from hexes that are no longer on the shoreline
+    for (const hexId of checked || Object.keys(room.hexState)) {
+      if (!room.hexState[hexId] || !room.hexState[hexId].shoreline || shoreline.has(hexId)) continue;
+
+      const { shoreline: flag, ...rest } = room.hexState[hexId];
+      const { lastUpdated, ...fields } = rest;
+
+      if (Object.keys(fields).length > 0) {
+        room.hexState[hexId] = rest;
+      } else {
+        delete room.hexState[hexId];
+      }
+
+      updates[hexId] = { shoreline: false };
+      states[hexId] = room.hexState[hexId] || null;
+    }
+
+    // Flag hexes that are newly on the shoreline
+    for (const hexId of shoreline) {
+      if (room.hexState[hexId] && room.hexState[hexId].shoreline) continue;
+
+      room.hexState[hexId] = { ...room.hexState[hexId], shoreline: true };
+      updates[hexId] = { shoreline: true };
+      states[hexId] = room.hexState[hexId];
+    }
+
+    if (Object.keys(states).length > 0) {
+      this.journal(roomCode, { type: 'hexes', states });
+    }
+
+    return updates;
+  }
+
+  // Drop every per-hex height so the terrain recipe decides heights again.
+  // Returns the changed hexes as { before, after } for the edit history.
+  clearHeightOverrides(roomCode) {
+    const room = this.rooms[roomCode];
+    if (!room) return {};
+
+    const changes = {};
+    const states = {};
+
+    for (const hexId of Object.keys(room.hexState)) {
+      const { height, lastUpdated, ...rest } = room.hexState[hexId];
+      if (height === undefined) continue;
+
+      const after = Object.keys(rest).length > 0 ? rest : null;
+      changes[hexId] = { before: room.hexState[hexId], after };
+      states[hexId] = after;
+    }
+
+    if (Object.keys(states).length > 0) {
+      this.setHexStates(roomCode, states);
+    }
+
+    return changes;
+  }
+
+  // Get the current state of a hex (null if it has never been changed)
+  getHexState(roomCode, hexId) {
+    const room = this.rooms[roomCode];
+    return (room && room.hexState[hexId]) || null;
+  }
+
+  // Get the state of every changed hex in a chunk (see Chunks.js), keyed by hex ID
+  getChunkState(roomCode, chunkId) {
+    const room = this.rooms[roomCode];
+    const states = {};
+    if (!room) return states;
+
+    for (const { q, r } of getChunkHexes(chunkId, room.settings.shape, room.settings.radius)) {
+      const hexId = hexUtils.getHexId(q, r);
+      if (room.hexState[hexId]) states[hexId] = room.hexState[hexId];
+    }
+
+    return states;
+  }
+
+  // Get every unit in a room, keyed by unit ID
+  getUnits(roomCode) {
+    const room = this.rooms[roomCode];
+    return room ? room.units : {};
+  }
+
+  // Get a unit by ID (null if there is no such unit)
+  getUnit(roomCode, unitId) {
+    const room = this.rooms[roomCode];
+    return (room && room.units[unitId]) || null;
+  }
+
+  // Find the unit standing on a hex (null if the hex is free)
+  getUnitAt(roomCode, hexId) {
+    const room = this.rooms[roomCode];
+    if (!room) return null;
+
+    return Object.values(room.units).find(unit => unit.hexId === hexId) || null;
+  }
+
+  // Add a unit to a room, or replace it after it changed (moved, turned...)
+  setUnit(roomCode, unit) {
+    const room = this.rooms[roomCode];
+    if (!room) return false;
+
+    room.units[unit.id] = unit;
+    this.journal(roomCode, { type: 'unit', unitId: unit.id, unit });
+
+    return true;
+  }
+
+  // Remove a unit from a room
+  removeUnit(roomCode, unitId) {
+    const room = this.rooms[roomCode];
+    if (!room || !room.units[unitId]) return false;
+
+    delete room.units[unitId];
+    this.journal(roomCode, { type: 'unit', unitId, unit: null });
+
+    return true;
+  }
+
+  // Get a room's current revision (0 if there is no such room)
+  getRevision(roomCode) {
+    const room = this.rooms[roomCode];
+    return room ? room.revision : 0;
+  }
+
+  /**
+   * Get the changes made to a room after a revision, as journal entries
+   * (hex, hexes, unit, terrain and waterLevel) in the order they happened
+   * @param {string} roomCode - Room code
+   * @param {number} revision - Last revision the client saw
+   * @returns {Array|null} Entries, or null if they're no longer all in the change log
+   *   (the client then needs the full state)
+   */
+  getChangesSince(roomCode, revision) {
+    const room = this.rooms[roomCode];
+    if (!room || !Number.isInteger(revision) || revision < 0 || revision > room.revision) return null;
+    if (revision === room.revision) return [];
+
+    const log = this.changeLogs[roomCode] || [];
+    if (log.length === 0 || log[0].revision > revision + 1) return null;
+
+    return log.filter(change => change.revision > revision).map(change => change.entry);
+  }
+
+  // Get a player's role in a room ('host', 'editor' or 'viewer'; null if there is no such room)
+  getRole(roomCode, userId) {
+    const room = this.rooms[roomCode];
+    if (!room) return null;
+
+    if (userId === room.host) return 'host';
+    return room.roles[userId] || room.settings.joinRole;
+  }
+
+  // Get the roles of everyone in a room, keyed by user ID
+  getRoles(roomCode) {
+    const room = this.rooms[roomCode];
+    const roles = {};
+    if (!room) return roles;
+
+    room.users.forEach(userId => {
+      roles[userId] = this.getRole(roomCode, userId);
+    });
+    return roles;
+  }
+
+  // Whether a player has been let into a room before (they are given a role the first time)
+  isMember(roomCode, userId) {
+    const room = this.rooms[roomCode];
+    return Boolean(room && (userId === room.host || room.roles[userId]));
+  }
+
+  // Get the IDs of the players waiting to be let into a private room
+  getJoinRequests(roomCode) {
+    return [...(this.joinRequests[roomCode] || [])];
+  }
+
+  /**
+   * Let a player who asked to join a private room in, or turn them away.
+   * Players let in get the room's join role, and can then join like anyone
+   * who has been in the room before.
+   * @param {string} roomCode - Room code
+   * @param {string} userId - Player who asked to join
+   * @param {boolean} accept - Whether to let them in
+   * @returns {Object|null} { success: true }, a JOIN_DENIED join error, or null
+   *   if the player wasn't waiting to join
+   */
+  answerJoinRequest(roomCode, userId, accept) {
+    const room = this.rooms[roomCode];
+    const requests = this.joinRequests[roomCode];
+    if (!room || !requests || !requests.includes(userId)) return null;
+
+    this.joinRequests[roomCode] = requests.filter(id => id !== userId);
+    if (!accept) return joinError('JOIN_DENIED');
+
+    room.roles[userId] = room.settings.joinRole;
+    this.journal(roomCode, { type: 'role', userId, role: room.roles[userId] });
+    return { success: true };
+  }
+
+  // Withdraw a player's requests to join (when they disconnect); returns the rooms they were waiting for
+  cancelJoinRequests(userId) {
+    return Object.keys(this.joinRequests).filter(roomCode => {
+      const requests = this.joinRequests[roomCode];
+      if (!requests.includes(userId)) return false;
+
+      this.joinRequests[roomCode] = requests.filter(id => id !== userId);
+      return true;
+    });
+  }
+
+  // Check whether a player's role in a room grants a permission (see Roles.js)
+  can(roomCode, userId, permission) {
+    return roleCan(this.getRole(roomCode, userId), permission);
+  }
+
+  // Change the role of a player other than the host (editors take turns, viewers don't)
+  setRole(roomCode, userId, role) {
+    const room = this.rooms[roomCode];
+    if (!room || userId === room.host) return false;
+
+    room.roles[userId] = role;
+    this.journal(roomCode, { type: 'role', userId, role });
+
+    if (room.users.includes(userId)) {
+      if (roleCan(role, 'edit')) {
+        this.addToTurnOrder(room, userId);
+      } else {
+        this.removeFromTurnOrder(room, userId);
+      }
+    }
+
+    return true;
+  }
+
+  // Remove a player from a room for good
+  kickUser(roomCode, userId) {
+    const room = this.rooms[roomCode];
+    if (!room || userId === room.host) return false;
+
+    if (!room.kicked.includes(userId)) {
+      room.kicked.push(userId);
+      this.journal(roomCode, { type: 'kick', userId });
+    }
+
+    this.leaveRoom(roomCode, userId);
+    return true;
+  }
+
+  // Fresh turn state for a room's settings (null for free-for-all rooms)
+  createTurnState(settings) {
+    if (!settings.turnBased) return null;
+
+    return {
+      order: [], // User IDs in the order they take turns
+      index: 0, // Position of the current player in the order
+      number: 0, // Turn counter, 1 for the first turn
+      actionsLeft: 0,
+      endsAt: null // When the current turn times out (null = no limit)
+    };
+  }
+
+  // Hand the turn to the player at turn.index with a full budget and timer
+  startTurn(room, now = Date.now()) {
+    const { turn, settings } = room;
+
+    if (turn.order.length === 0) {
+      turn.index = 0;
+      turn.actionsLeft = 0;
+      turn.endsAt = null;
+      return;
+    }
+
+    turn.index = turn.index % turn.order.length;
+    turn.number++;
+    turn.actionsLeft = settings.actionsPerTurn;
+    turn.endsAt = settings.turnSeconds > 0 ? now + settings.turnSeconds * 1000 : null;
+  }
+
+  // Add a player to the end of the turn order (the first player starts playing)
+  addToTurnOrder(room, userId) {
+    if (!room.turn || room.turn.order.includes(userId)) return;
+
+    room.turn.order.push(userId);
+
+    if (room.turn.order.length === 1) {
+      this.startTurn(room);
+    }
+  }
+
+  // Drop a player from the turn order, passing the turn on if it was theirs
+  removeFromTurnOrder(room, userId) {
+    if (!room.turn) return;
+
+    const position = room.turn.order.indexOf(userId);
+    if (position === -1) return;
+
+    const wasCurrent = position === room.turn.index;
+    room.turn.order.splice(position, 1);
+
+    if (position < room.turn.index) {
+      room.turn.index--;
+    }
+
+    if (wasCurrent) {
+      this.startTurn(room);
+    }
+  }
+
+  /**
+   * Get a room's turn state as sent to clients
+   * @param {string} roomCode - Room code
+   * @param {number} [now] - Current time
+   * @returns {Object|null} { order, currentPlayer, number, actionsLeft, actionsPerTurn, remainingMs },
+   *   or null if the room isn't turn-based
+   */
+  getTurn(roomCode, now = Date.now()) {
+    const room = this.rooms[roomCode];
+    if (!room || !room.turn) return null;
+
+    const { turn, settings } = room;
+
+    return {
+      order: [...turn.order],
+      currentPlayer: turn.order[turn.index] || null,
+      number: turn.number,
+      actionsLeft: turn.actionsLeft,
+      actionsPerTurn: settings.actionsPerTurn,
+      remainingMs: turn.endsAt !== null ? Math.max(0, turn.endsAt - now) : null
+    };
+  }
+
+  // Check whether a room is turn-based
+  isTurnBased(roomCode) {
+    const room = this.rooms[roomCode];
+    return Boolean(room && room.turn);
+  }
+
+  // Check whether it's a user's turn (always true in free-for-all rooms)
+  isUsersTurn(roomCode, userId) {
+    const room = this.rooms[roomCode];
+    if (!room || !room.turn) return true;
+
+    return room.turn.order[room.turn.index] === userId;
+  }
+
+  // Check whether the current player still has actions left this turn
+  hasActionsLeft(roomCode) {
+    const room = this.rooms[roomCode];
+    return !room || !room.turn || room.turn.actionsLeft > 0;
+  }
+
+  // Use up one action of the current turn
+  spendAction(roomCode) {
+    const room = this.rooms[roomCode];
+    if (!room || !room.turn || room.turn.actionsLeft === 0) return false;
+
+    room.turn.actionsLeft--;
+    return true;
+  }
+
+  // Pass the turn to the next player in the order
+  endTurn(roomCode, now = Date.now()) {
+    const room = this.rooms[roomCode];
+    if (!room || !room.turn || room.turn.order.length === 0) return false;
+
+    room.turn.index = (room.turn.index + 1) % room.turn.order.length;
+    this.startTurn(room, now);
+
+    return true;
+  }
+
+  // End every turn whose timer has run out, returning the affected room codes
+  advanceExpiredTurns(now = Date.now()) {
+    const advanced = [];
+
+    for (const roomCode of Object.keys(this.rooms)) {
+      const { turn } = this.rooms[roomCode];
+
+      if (turn && turn.endsAt !== null && now >= turn.endsAt) {
+        this.endTurn(roomCode, now);
+        advanced.push(roomCode);
+      }
+    }
+
+    return advanced;
+  }
+
+  // Remove a user from one room
+  leaveRoom(roomCode, userId) {
+    const room = this.rooms[roomCode];
+
+    if (this.userRooms[userId]) {
+      this.userRooms[userId] = this.userRooms[userId].filter(code => code !== roomCode);
+      if (this.userRooms[userId].length === 0) delete this.userRooms[userId];
+    }
+
+    if (!room || !room.users.includes(userId)) return false;
+
+    room.users = room.users.filter(id => id !== userId);
+    this.removeFromTurnOrder(room, userId);
+
+    // If room is empty, keep it around for the retention period instead of deleting it
+    if (room.users.length === 0) {
+      room.emptySince = Date.now();
+      this.journal(roomCode, { type: 'emptySince', emptySince: room.emptySince });
+    }
+
     return true;
   }
 
   // Remove a user from all rooms they're in
   removeUserFromRooms(userId) {
-    const roomsLeft = [];
-    
-    if (this.userRooms[userId]) {
-      for (const roomCode of this.userRooms[userId]) {
-        const room = this.rooms[roomCode];
-        
-        if (room) {
-          // Remove user from room
-          room.users = room.users.filter(id => id !== userId);
-          roomsLeft.push(roomCode);
-          
-          // If room is empty, clean it up
-          if (room.users.length === 0) {
-            delete this.rooms[roomCode];
-          }
-        }
+    return this.getUserRooms(userId).filter(roomCode => this.leaveRoom(roomCode, userId));
+  }
+
+  // Delete rooms that have been empty for longer than the retention period
+  pruneExpiredRooms(now = Date.now()) {
+    const pruned = [];
+
+    for (const roomCode of Object.keys(this.rooms)) {
+      const room = this.rooms[roomCode];
+
+      if (room.users.length === 0 && room.emptySince && now - room.emptySince >= this.retentionMs) {
+        delete this.rooms[roomCode];
+        delete this.journalCounts[roomCode];
+        delete this.changeLogs[roomCode];
+        delete this.joinRequests[roomCode];
+        this.storage.deleteRoom(roomCode);
+        pruned.push(roomCode);
+      }
+    }
+
+    return pruned;
+  }
+
+  // Snapshot every room (used on shutdown so the journals start empty next boot).
+  // Resolves once the storage has written everything.
+  flush() {
+    for (const roomCode of Object.keys(this.rooms)) {
+      if (this.journalCounts[roomCode] > 0) {
+        this.snapshotRoom(roomCode);
       }
-      
-      delete this.userRooms[userId];
     }
-    
-    return roomsLeft;
+    return this.storage.flush();
+  }
+
+  // Get the codes of every room a user is in
+  getUserRooms(userId) {
+    return [...(this.userRooms[userId] || [])];
+  }
+
+  // Check whether a user is currently in a room
+  isUserInRoom(roomCode, userId) {
+    const room = this.rooms[roomCode];
+    return Boolean(room && room.users.includes(userId));
+  }
+
+  // Get a room's grid settings
+  getSettings(roomCode) {
+    const room = this.rooms[roomCode];
+    return room ? room.settings : null;
   }
 
   // Get room details
@@ -99,4 +965,4 @@ class RoomManager {
   }
 }
 
-module.exports = RoomManager;
\ No newline at end of file
+module.exports = RoomManager;
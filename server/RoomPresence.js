@@ -0,0 +1,110 @@
+// Presence: what each player in a room is doing right now.
+//
+// Players send the hex they hover and the hex they have selected (clients
+// draw them as coloured outlines), and whether they have gone idle. The
+// server also marks players who lost their connection but are still within
+// the reconnect grace period. Nothing here is persisted.
+//
+// Pointers move a lot, so updates are throttled per player: the first one
+// goes out at once, later ones at most every `interval` ms, always ending
+// with the latest.
+
+// Minimum time between two presence broadcasts for the same player
+const DEFAULT_PRESENCE_INTERVAL = 100;
+
+class RoomPresence {
+  /**
+   * @param {Function} broadcast - Called with (roomCode, userId, presence) to send an update
+   * @param {Object} [options] - { interval }
+   */
+  constructor(broadcast, options = {}) {
+    this.broadcast = broadcast;
+    this.interval = options.interval !== undefined ? options.interval : DEFAULT_PRESENCE_INTERVAL;
+    this.rooms = {}; // Maps room codes to { userId: { hover, selected, idle, connected } }
+    this.throttles = {}; // Maps "roomCode:userId" to { sentAt, timer }
+  }
+
+  // A player's presence (players who haven't sent one yet have no cursor)
+  get(roomCode, userId) {
+    const room = this.rooms[roomCode];
+    return (room && room[userId]) || { hover: null, selected: null, idle: false, connected: true };
+  }
+
+  /**
+   * Get the presence of several players in a room
+   * @param {string} roomCode - Room code
+   * @param {Array} userIds - Player IDs
+   * @returns {Object} Maps player IDs to { hover, selected, idle, connected }
+   */
+  getAll(roomCode, userIds) {
+    const presence = {};
+    userIds.forEach(userId => {
+      presence[userId] = this.get(roomCode, userId);
+    });
+    return presence;
+  }
+
+  /**
+   * Change part of a player's presence and broadcast it (throttled)
+   * @param {string} roomCode - Room code
+   * @param {string} userId - Player ID
+   * @param {Object} changes - Any of { hover, selected, idle, connected }
+   */
+  update(roomCode, userId, changes) {
+    if (!this.rooms[roomCode]) this.rooms[roomCode] = {};
+    this.rooms[roomCode][userId] = { ...this.get(roomCode, userId), ...changes };
+
+    const key = `${roomCode}:${userId}`;
+    const throttle = this.throttles[key] || { sentAt: 0, timer: null };
+    this.throttles[key] = throttle;
+
+    // An update is already scheduled and will carry this change
+    if (throttle.timer) return;
+
+    const wait = throttle.sentAt + this.interval - Date.now();
+
+    if (wait <= 0) {
+      this.send(roomCode, userId);
+    } else {
+      throttle.timer = setTimeout(() => this.send(roomCode, userId), wait);
+      throttle.timer.unref();
+    }
+  }
+
+  // Broadcast a player's latest presence now
+  send(roomCode, userId) {
+    const throttle = this.throttles[`${roomCode}:${userId}`];
+    if (throttle) {
+      throttle.sentAt = Date.now();
+      throttle.timer = null;
+    }
+
+    if (this.rooms[roomCode] && this.rooms[roomCode][userId]) {
+      this.broadcast(roomCode, userId, this.rooms[roomCode][userId]);
+    }
+  }
+
+  // Forget a player's presence (when they leave the room)
+  removeUser(roomCode, userId) {
+    const key = `${roomCode}:${userId}`;
+
+    if (this.throttles[key]) {
+      clearTimeout(this.throttles[key].timer);
+      delete this.throttles[key];
+    }
+
+    if (this.rooms[roomCode]) {
+      delete this.rooms[roomCode][userId];
+    }
+  }
+
+  // Forget a whole room (when the room is deleted)
+  clearRoom(roomCode) {
+    if (this.rooms[roomCode]) {
+      Object.keys(this.rooms[roomCode]).forEach(userId => this.removeUser(roomCode, userId));
+    }
+    delete this.rooms[roomCode];
+  }
+}
+
+module.exports = { RoomPresence, DEFAULT_PRESENCE_INTERVAL };
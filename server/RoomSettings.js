@@ -0,0 +1,87 @@
+// Room-level settings chosen when a room is created.
+//
+// Every client builds its grid from these, so everyone in a room sees the
+// same hexes no matter what device they are on. Settings are sent to every
+// client, so the room password is kept apart from them (see RoomManager).
+
+const { ASSIGNABLE_ROLES } = require('../public/js/utils/Roles.js');
+
+const GRID_SHAPES = ['hexagon', 'parallelogram', 'rectangle'];
+
+const DEFAULT_ROOM_SETTINGS = {
+  radius: 7,
+  hexSize: 1,
+  shape: 'hexagon',
+  seed: null, // Filled in with a random seed when the room is created
+  waterLevel: 0, // Hexes lower than this are under water (0 = no water)
+  fogOfWar: false, // Whether players only see what their models can see
+  turnBased: false, // Whether players take turns instead of acting freely
+  actionsPerTurn: 3, // Actions a player may take each turn (turn-based rooms)
+  turnSeconds: 60, // Time limit of a turn in seconds (0 = no limit)
+  joinRole: 'editor', // Role of players joining the room (see Roles.js)
+  private: false, // Whether the host has to let each new player in
+  maxPlayers: 16 // Most players in the room at once (the host can always get in)
+};
+
+// Longest room password accepted
+const MAX_PASSWORD_LENGTH = 64;
+
+const LIMITS = {
+  radius: { min: 1, max: 200 },
+  hexSize: { min: 0.5, max: 3 },
+  seed: { min: 0, max: 2147483647 },
+  waterLevel: { min: 0, max: 20, step: 0.25 },
+  actionsPerTurn: { min: 1, max: 20 },
+  turnSeconds: { min: 0, max: 600 },
+  maxPlayers: { min: 1, max: 64 }
+};
+
+// Clamp a number into a range, falling back to a default for non-numbers
+function clampNumber(value, limits, fallback) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return fallback;
+  return Math.min(limits.max, Math.max(limits.min, value));
+}
+
+// Turn whatever the client asked for into a complete, safe settings object
+function normalizeRoomSettings(requested = {}) {
+  const input = requested && typeof requested === 'object' ? requested : {};
+
+  const seed = clampNumber(input.seed, LIMITS.seed, null);
+
+  return {
+    radius: Math.round(clampNumber(input.radius, LIMITS.radius, DEFAULT_ROOM_SETTINGS.radius)),
+    hexSize: clampNumber(input.hexSize, LIMITS.hexSize, DEFAULT_ROOM_SETTINGS.hexSize),
+    shape: GRID_SHAPES.includes(input.shape) ? input.shape : DEFAULT_ROOM_SETTINGS.shape,
+    seed: seed !== null ? Math.floor(seed) : Math.floor(Math.random() * LIMITS.seed.max),
+    waterLevel: normalizeWaterLevel(input.waterLevel),
+    fogOfWar: input.fogOfWar === true,
+    turnBased: input.turnBased === true,
+    actionsPerTurn: Math.round(clampNumber(input.actionsPerTurn, LIMITS.actionsPerTurn, DEFAULT_ROOM_SETTINGS.actionsPerTurn)),
+    turnSeconds: Math.round(clampNumber(input.turnSeconds, LIMITS.turnSeconds, DEFAULT_ROOM_SETTINGS.turnSeconds)),
+    joinRole: ASSIGNABLE_ROLES.includes(input.joinRole) ? input.joinRole : DEFAULT_ROOM_SETTINGS.joinRole,
+    private: input.private === true,
+    maxPlayers: Math.round(clampNumber(input.maxPlayers, LIMITS.maxPlayers, DEFAULT_ROOM_SETTINGS.maxPlayers))
+  };
+}
+
+// A room password as typed, or null for none (empty or not a string)
+function normalizeRoomPassword(password) {
+  if (typeof password !== 'string' || password.length === 0) return null;
+  return password.substring(0, MAX_PASSWORD_LENGTH);
+}
+
+// Clamp a water level into range and snap it to the height step
+function normalizeWaterLevel(level) {
+  const { step } = LIMITS.waterLevel;
+  const clamped = clampNumber(level, LIMITS.waterLevel, DEFAULT_ROOM_SETTINGS.waterLevel);
+  return Math.round(clamped / step) * step;
+}
+
+module.exports = {
+  DEFAULT_ROOM_SETTINGS,
+  GRID_SHAPES,
+  MAX_PASSWORD_LENGTH,
+  normalizeRoomSettings,
+  normalizeRoomPassword,
+  normalizeWaterLevel
+};
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage backends for RoomManager.
+//
+// Every backend exposes the same small interface:
+//   load()                          -> [{ roomCode, snapshot, journal }]
+//   saveSnapshot(roomCode, snapshot) -> writes a full copy and clears the journal
+//   appendJournal(roomCode, entry)   -> records a single change since the snapshot
+//   deleteRoom(roomCode)             -> forgets everything about the room
+//   flush()                          -> Promise resolved once every write so far is done
+//
+// RoomManager decides what goes into snapshots and journal entries; the
+// storage only has to keep them in order.
+
+// Keeps rooms in memory only (nothing survives a restart)
+class MemoryStorage {
+  constructor() {
+    this.snapshots = {};
+    this.journals = {};
+  }
+
+  load() {
+    return Object.keys(this.snapshots).map(roomCode => ({
+      roomCode,
+      snapshot: this.snapshots[roomCode],
+      journal: this.journals[roomCode] || []
+    }));
+  }
+
+  saveSnapshot(roomCode, snapshot) {
+    this.snapshots[roomCode] = JSON.parse(JSON.stringify(snapshot));
+    this.journals[roomCode] = [];
+  }
+
+  appendJournal(roomCode, entry) {
+    if (!this.journals[roomCode]) {
+      this.journals[roomCode] = [];
+    }
+    this.journals[roomCode].push(JSON.parse(JSON.stringify(entry)));
+  }
+
+  deleteRoom(roomCode) {
+    delete this.snapshots[roomCode];
+    delete this.journals[roomCode];
+  }
+
+  flush() {
+    return Promise.resolve();
+  }
+}
+
+// Keeps one JSON snapshot and one JSON-lines journal per room on disk:
+//   <dataDir>/<ROOMCODE>.json      full room snapshot
+//   <dataDir>/<ROOMCODE>.journal   one change per line, appended since the snapshot
+//
+// Writes are asynchronous so edits never wait for the disk. Each room's writes
+// run one after another in the order they were made, and journal entries made
+// in the same tick go out as one append.
+class FileStorage {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.queues = {}; // Maps room codes to the promise of their last queued write
+    this.batches = {}; // Maps room codes to journal lines waiting for their append
+    fs.mkdirSync(this.dataDir, { recursive: true });
+  }
+
+  // Run a write after every earlier write for the same room
+  enqueue(roomCode, write) {
+    const queued = (this.queues[roomCode] || Promise.resolve())
+      .then(write)
+      .catch(err => console.error(`Failed to write room ${roomCode}:`, err.message));
+
+    this.queues[roomCode] = queued;
+    queued.then(() => {
+      if (this.queues[roomCode] === queued) delete this.queues[roomCode];
+    });
+  }
+
+  snapshotPath(roomCode) {
+    return path.join(this.dataDir, `${roomCode}.json`);
+  }
+
+  journalPath(roomCode) {
+    return path.join(this.dataDir, `${roomCode}.journal`);
+  }
+
+  load() {
+    const rooms = [];
+
+    for (const file of fs.readdirSync(this.dataDir)) {
+      if (!file.endsWith('.json')) continue;
+
+      const roomCode = file.replace('.json', '');
+
+      try {
+        const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath(roomCode), 'utf8'));
+        rooms.push({ roomCode, snapshot, journal: this.readJournal(roomCode) });
+      } catch (err) {
+        console.error(`Skipping unreadable room snapshot ${file}:`, err.message);
+      }
+    }
+
+    return rooms;
+  }
+
+  readJournal(roomCode) {
+    const journalPath = this.journalPath(roomCode);
+    if (!fs.existsSync(journalPath)) return [];
+
+    const entries = [];
+    const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        // A crash mid-write can leave a partial last line; everything before it is still good
+        console.warn(`Ignoring corrupt journal line for room ${roomCode}`);
+        break;
+      }
+    }
+
+    return entries;
+  }
+
+  saveSnapshot(roomCode, snapshot) {
+    const data = JSON.stringify(snapshot); // Taken now; the room keeps changing while it is written
+
+    // Journal lines not written yet are in the snapshot, so they never need to be
+    this.dropBatch(roomCode);
+
+    this.enqueue(roomCode, async () => {
+      // Write to a temp file first so a crash never leaves a half-written snapshot
+      const snapshotPath = this.snapshotPath(roomCode);
+      const tempPath = `${snapshotPath}.tmp`;
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, snapshotPath);
+
+      // The snapshot now contains everything the journal did
+      await fs.promises.rm(this.journalPath(roomCode), { force: true });
+    });
+  }
+
+  appendJournal(roomCode, entry) {
+    let batch = this.batches[roomCode];
+
+    if (!batch) {
+      batch = [];
+      this.batches[roomCode] = batch;
+
+      this.enqueue(roomCode, () => {
+        // Lines added from now on start the next batch
+        if (this.batches[roomCode] === batch) delete this.batches[roomCode];
+        if (batch.length === 0) return null;
+
+        return fs.promises.appendFile(this.journalPath(roomCode), batch.join(''));
+      });
+    }
+
+    batch.push(JSON.stringify(entry) + '\n');
+  }
+
+  deleteRoom(roomCode) {
+    this.dropBatch(roomCode);
+
+    this.enqueue(roomCode, async () => {
+      await fs.promises.rm(this.snapshotPath(roomCode), { force: true });
+      await fs.promises.rm(this.journalPath(roomCode), { force: true });
+    });
+  }
+
+  // Forget the journal lines waiting to be appended for a room
+  dropBatch(roomCode) {
+    if (!this.batches[roomCode]) return;
+
+    this.batches[roomCode].length = 0;
+    delete this.batches[roomCode];
+  }
+
+  flush() {
+    return Promise.all(Object.values(this.queues)).then(() => undefined);
+  }
+}
+
+// Create a storage backend by name ('file' or 'memory')
+function createStorage(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'file':
+      return new FileStorage(options.dataDir || path.join(__dirname, 'data'));
+    default:
+      throw new Error(`Unknown room storage type: ${type}`);
+  }
+}
+
+module.exports = { MemoryStorage, FileStorage, createStorage };
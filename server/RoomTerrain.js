@@ -0,0 +1,142 @@
+// Server-side view of each room's terrain.
+//
+// Rooms only store a terrain recipe plus per-hex overrides, so the server runs
+// the same TerrainGenerator as the clients to know how high every hex is.
+// Terrain is generated a chunk at a time as hexes are looked up, so big grids
+// are never generated in one go. Each room keeps its generator (and the chunks
+// it has cached) until the recipe or grid changes.
+
+const { HexUtils } = require('../public/js/core/HexUtils.js');
+const { TerrainGenerator } = require('../public/js/utils/TerrainGenerator.js');
+const { getChunkId, getChunkHexes, getGridChunks } = require('../public/js/utils/Chunks.js');
+
+const hexUtils = new HexUtils();
+
+// Height of a hex on a grid without terrain (matches the client's flat hexes)
+const FLAT_HEIGHT = 0.01;
+
+class RoomTerrain {
+  constructor(roomManager) {
+    this.roomManager = roomManager;
+    this.cache = {}; // Maps room codes to { key, generator }
+  }
+
+  // Generator for the room's recipe (null for a flat grid)
+  getGenerator(roomCode) {
+    const room = this.roomManager.getRoomState(roomCode);
+    if (!room || !room.terrain) return null;
+
+    const { radius, shape } = room.settings;
+    const key = JSON.stringify([room.terrain, radius, shape]);
+
+    if (!this.cache[roomCode] || this.cache[roomCode].key !== key) {
+      this.cache[roomCode] = { key, generator: new TerrainGenerator(room.terrain, { radius, shape }) };
+    }
+
+    return this.cache[roomCode].generator;
+  }
+
+  /**
+   * Get the IDs of the chunks that make up a room's grid
+   * @param {string} roomCode - Room code
+   * @returns {Array} Chunk IDs
+   */
+  getChunkIds(roomCode) {
+    const settings = this.roomManager.getSettings(roomCode);
+    return settings ? getGridChunks(settings.shape, settings.radius) : [];
+  }
+
+  /**
+   * Get the IDs of the hexes of a chunk that are on a room's grid
+   * @param {string} roomCode - Room code
+   * @param {string} chunkId - Chunk ID
+   * @returns {Array} Hex IDs
+   */
+  getChunkHexIds(roomCode, chunkId) {
+    const settings = this.roomManager.getSettings(roomCode);
+    if (!settings) return [];
+
+    return getChunkHexes(chunkId, settings.shape, settings.radius).map(({ q, r }) => hexUtils.getHexId(q, r));
+  }
+
+  /**
+   * Get the height of one hex, with its override applied
+   * @param {string} roomCode - Room code
+   * @param {string} hexId - Hex ID
+   * @returns {number|undefined} Height, or undefined if the hex isn't on the grid
+   */
+  getHeight(roomCode, hexId) {
+    const room = this.roomManager.getRoomState(roomCode);
+    if (!room) return undefined;
+
+    const { q, r } = hexUtils.parseHexId(hexId);
+    if (!hexUtils.isInShape(q, r, room.settings.shape, room.settings.radius)) return undefined;
+
+    const state = room.hexState[hexId];
+    if (state && state.height !== undefined) return state.height;
+
+    const generator = this.getGenerator(roomCode);
+    return generator ? generator.getChunk(getChunkId(q, r)).heights[hexId] : FLAT_HEIGHT;
+  }
+
+  /**
+   * Find the shoreline: hexes above the water level next to a submerged hex
+   * @param {string} roomCode - Room code
+   * @param {Array} hexIds - Look where these hexes changed height (the hexes
+   *   and their neighbours)
+   * @returns {Object} { shoreline, checked }: hex IDs on the shoreline, and the
+   *   hex IDs that were looked at
+   */
+  findShoreline(roomCode, hexIds) {
+    const shoreline = new Set();
+    const settings = this.roomManager.getSettings(roomCode);
+    const heights = this.getHeightsAround(roomCode, hexIds);
+    const checked = new Set(Object.keys(heights));
+    if (!settings || !settings.waterLevel) return { shoreline, checked };
+
+    const isSubmerged = (hexId) => {
+      if (!(hexId in heights)) heights[hexId] = this.getHeight(roomCode, hexId); // A neighbour outside the area
+      return heights[hexId] !== undefined && heights[hexId] < settings.waterLevel;
+    };
+
+    for (const hexId of checked) {
+      if (isSubmerged(hexId)) continue;
+
+      const { q, r } = hexUtils.parseHexId(hexId);
+      const touchesWater = hexUtils.neighbors(q, r).some(hex => isSubmerged(hexUtils.getHexId(hex.q, hex.r)));
+
+      if (touchesWater) {
+        shoreline.add(hexId);
+      }
+    }
+
+    return { shoreline, checked };
+  }
+
+  // Heights of some hexes and their neighbours (the hexes whose shoreline flag
+  // can change when those hexes change height)
+  getHeightsAround(roomCode, hexIds) {
+    const heights = {};
+
+    for (const hexId of hexIds) {
+      const { q, r } = hexUtils.parseHexId(hexId);
+
+      for (const hex of [{ q, r }, ...hexUtils.neighbors(q, r)]) {
+        const id = hexUtils.getHexId(hex.q, hex.r);
+        if (id in heights) continue;
+
+        const height = this.getHeight(roomCode, id);
+        if (height !== undefined) heights[id] = height;
+      }
+    }
+
+    return heights;
+  }
+
+  // Forget the room's generator and its cached chunks (when the room is deleted)
+  clearRoom(roomCode) {
+    delete this.cache[roomCode];
+  }
+}
+
+module.exports = { RoomTerrain, FLAT_HEIGHT };
@@ -0,0 +1,149 @@
+// Units: models that belong to a player and move from hex to hex.
+//
+// A voxelModel in hex state is bolted to its hex. A unit is an entity of its
+// own with a stable ID, so it keeps its identity (and owner) as it moves.
+// Units are stored in the room by RoomManager; this module holds the rules
+// for placing and moving them. Moves are checked with the same Pathfinder
+// the clients draw their path previews with.
+
+const { v4: uuidv4 } = require('uuid');
+const { HexUtils, AXIAL_DIRECTIONS } = require('../public/js/core/HexUtils.js');
+const { Pathfinder, isPassable } = require('../public/js/utils/Pathfinder.js');
+const { REJECTION_CODES } = require('./HexActionValidator');
+
+const hexUtils = new HexUtils();
+
+// Stats every new unit starts with
+const DEFAULT_UNIT_STATS = {
+  move: 4, // Movement budget per move command (see Pathfinder costs)
+  sight: 8 // How many hexes the unit sees in rooms with fog of war
+};
+
+class RoomUnits {
+  constructor(roomManager, roomTerrain) {
+    this.roomManager = roomManager;
+    this.roomTerrain = roomTerrain;
+  }
+
+  /**
+   * Build a pathfinder over a room's hexes (see isPassable for which hexes
+   * can be entered).
+   * @param {string} roomCode - Room code
+   * @param {string} [unitId] - Unit that is moving (its own hex doesn't count as occupied)
+   * @returns {Pathfinder} Pathfinder for the room
+   */
+  getPathfinder(roomCode, unitId = null) {
+    const settings = this.roomManager.getSettings(roomCode);
+    const waterLevel = (settings && settings.waterLevel) || 0;
+
+    const occupied = new Set(Object.values(this.roomManager.getUnits(roomCode))
+      .filter(unit => unit.id !== unitId)
+      .map(unit => unit.hexId));
+
+    return new Pathfinder(hexUtils, (hexId) => {
+      const height = this.roomTerrain.getHeight(roomCode, hexId);
+      if (height === undefined) return null;
+
+      const state = this.roomManager.getHexState(roomCode, hexId);
+
+      return {
+        height,
+        passable: isPassable({
+          height,
+          waterLevel,
+          voxelModel: state && state.voxelModel,
+          occupied: occupied.has(hexId)
+        })
+      };
+    });
+  }
+
+  /**
+   * Place a new unit for a player
+   * @param {string} roomCode - Room code
+   * @param {string} userId - Player who owns the unit
+   * @param {string} hexId - Hex to place it on (already validated)
+   * @param {string} model - Voxel model type it is drawn with (already validated)
+   * @returns {Object} { valid: true, unit } or { valid: false, code, field, reason }
+   */
+  spawn(roomCode, userId, hexId, model) {
+    const tile = this.getPathfinder(roomCode).getTile(hexId);
+
+    if (!tile || !tile.passable) {
+      return this.reject(REJECTION_CODES.HEX_OCCUPIED, 'hexId', `Hex ${hexId} can't hold a unit`);
+    }
+
+    const unit = {
+      id: uuidv4(),
+      owner: userId,
+      hexId,
+      model,
+      facing: 0, // Direction index (0-5, see AXIAL_DIRECTIONS)
+      stats: { ...DEFAULT_UNIT_STATS }
+    };
+
+    this.roomManager.setUnit(roomCode, unit);
+    return { valid: true, unit };
+  }
+
+  /**
+   * Move one of a player's units along the cheapest path to a hex
+   * @param {string} roomCode - Room code
+   * @param {string} userId - Player giving the order
+   * @param {string} unitId - Unit to move (already validated)
+   * @param {string} hexId - Destination hex (already validated)
+   * @returns {Object} { valid: true, unit, path } or { valid: false, code, field, reason }
+   */
+  move(roomCode, userId, unitId, hexId) {
+    const unit = this.roomManager.getUnit(roomCode, unitId);
+
+    if (!unit) {
+      return this.reject(REJECTION_CODES.UNKNOWN_UNIT, 'unitId', 'There is no such unit');
+    }
+
+    if (unit.owner !== userId) {
+      return this.reject(REJECTION_CODES.NOT_YOUR_UNIT, 'unitId', "You can't move another player's unit");
+    }
+
+    if (hexId === unit.hexId) {
+      return this.reject(REJECTION_CODES.INVALID_ACTION, 'hexId', 'The unit is already there');
+    }
+
+    const pathfinder = this.getPathfinder(roomCode, unitId);
+    const tile = pathfinder.getTile(hexId);
+
+    if (!tile || !tile.passable) {
+      return this.reject(REJECTION_CODES.HEX_OCCUPIED, 'hexId', `Hex ${hexId} can't hold a unit`);
+    }
+
+    const result = pathfinder.findPath(unit.hexId, hexId, unit.stats.move);
+
+    if (!result) {
+      return this.reject(REJECTION_CODES.OUT_OF_RANGE, 'hexId', `Hex ${hexId} is out of the unit's reach`);
+    }
+
+    const { path } = result;
+    const moved = {
+      ...unit,
+      hexId,
+      facing: this.getFacing(path[path.length - 2], hexId)
+    };
+
+    this.roomManager.setUnit(roomCode, moved);
+    return { valid: true, unit: moved, path };
+  }
+
+  // Direction index of a step between two neighbouring hexes
+  getFacing(fromId, toId) {
+    const from = hexUtils.parseHexId(fromId);
+    const to = hexUtils.parseHexId(toId);
+
+    return Math.max(0, AXIAL_DIRECTIONS.findIndex(dir => dir.q === to.q - from.q && dir.r === to.r - from.r));
+  }
+
+  reject(code, field, reason) {
+    return { valid: false, code, field, reason };
+  }
+}
+
+module.exports = { RoomUnits, DEFAULT_UNIT_STATS };
@@ -4,6 +4,14 @@ const path = require('path');
 const fs = require('fs');
 const { Server } = require('socket.io');
 const RoomManager = require('./RoomManager');
+const { createStorage } = require('./RoomStorage');
+const { HexActionValidator, REJECTION_CODES } = require('./HexActionValidator');
+const { EditHistory } = require('./EditHistory');
+const { RoomTerrain } = require('./RoomTerrain');
+const { RoomFog } = require('./RoomFog');
+const { RoomUnits } = require('./RoomUnits');
+const { PlayerRegistry } = require('./PlayerRegistry');
+const { RoomPresence } = require('./RoomPresence');
 
 // Initialize Express app
 const app = express();
@@ -13,68 +21,994 @@ const io = new Server(server);
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Initialize room manager
-const roomManager = new RoomManager();
+// Read a non-negative number from the environment, warning and falling back
+// to the default (undefined leaves it to the module using it) if it isn't one
+function readNumberEnv(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined) return defaultValue;
 
-// Add this to server.js after your other routes
-app.get('/api/models', (req, res) => {
-  const modelsDir = path.join(__dirname, '../public/models');
+  const number = Number(value);
+  if (value.trim() !== '' && Number.isFinite(number) && number >= 0) return number;
+
+  console.warn(`Ignoring ${name}="${value}": expected a non-negative number, using the default`);
+  return defaultValue;
+}
+
+// Initialize room manager with persistent storage
+// ROOM_STORAGE: 'file' (default) or 'memory'
+// ROOM_DATA_DIR: where room snapshots and journals are written
+// ROOM_RETENTION_HOURS: how long an empty room is kept before it is deleted
+const roomStorage = createStorage(process.env.ROOM_STORAGE || 'file', {
+  dataDir: process.env.ROOM_DATA_DIR || path.join(__dirname, 'data')
+});
+const retentionHours = readNumberEnv('ROOM_RETENTION_HOURS');
+const roomManager = new RoomManager({
+  storage: roomStorage,
+  retentionMs: retentionHours !== undefined ? retentionHours * 60 * 60 * 1000 : undefined
+});
+
+// Undo/redo history of hex edits per room
+const editHistory = new EditHistory();
+
+// Heights of every hex, regenerated from each room's terrain recipe
+const roomTerrain = new RoomTerrain(roomManager);
+
+// What each player can see in rooms with fog of war
+const roomFog = new RoomFog(roomManager, roomTerrain);
+
+// Rules for placing and moving units
+const roomUnits = new RoomUnits(roomManager, roomTerrain);
+
+// Who is behind each socket (rooms, turns and ownership use player IDs, not socket IDs)
+const players = new PlayerRegistry();
+
+// Where each player's pointer and selection are, and who is idle or reconnecting
+// (with fog of war, only pointers on hexes each player can see)
+const roomPresence = new RoomPresence((roomCode, userId, presence) => {
+  if (!roomFog.isEnabled(roomCode)) {
+    io.to(roomCode).emit('presenceUpdated', { playerId: userId, presence });
+    return;
+  }
+
+  roomManager.getRoomState(roomCode).users.forEach(viewerId => {
+    io.to(viewerId).emit('presenceUpdated', {
+      playerId: userId,
+      presence: roomFog.filterPresence(roomCode, viewerId, userId, presence)
+    });
+  });
+});
+
+// How long a player who lost their connection keeps their place in their rooms
+// RECONNECT_GRACE_SECONDS: grace period before they are removed (default 30)
+const RECONNECT_GRACE_MS = readNumberEnv('RECONNECT_GRACE_SECONDS', 30) * 1000;
+
+// Maps player IDs to the timer that removes them from their rooms once the grace period is over
+const leaveTimers = {};
+
+// Chunks a full shoreline rescan looks at before letting other events run
+const SHORELINE_CHUNKS_PER_STEP = 4;
+
+// Maps room codes to the shoreline rescan running in them
+const shorelineScans = {};
+
+// Periodically delete rooms whose retention period has run out
+setInterval(() => {
+  const pruned = roomManager.pruneExpiredRooms();
+  if (pruned.length > 0) {
+    pruned.forEach(roomCode => {
+      editHistory.clearRoom(roomCode);
+      roomTerrain.clearRoom(roomCode);
+      roomFog.clearRoom(roomCode);
+      roomPresence.clearRoom(roomCode);
+    });
+    console.log(`Deleted expired rooms: ${pruned.join(', ')}`);
+  }
+}, 60 * 1000).unref();
+
+// End turns whose timer has run out (turn-based rooms)
+setInterval(() => {
+  roomManager.advanceExpiredTurns().forEach(broadcastTurn);
+}, 1000).unref();
+
+// Tell everyone in a turn-based room whose turn it is and what they have left
+function broadcastTurn(roomCode) {
+  if (roomManager.isTurnBased(roomCode)) {
+    io.to(roomCode).emit('turnUpdated', { turn: roomManager.getTurn(roomCode) });
+  }
+}
+
+// Use up one of the current player's actions (no-op in free-for-all rooms)
+function spendTurnAction(roomCode) {
+  if (roomManager.spendAction(roomCode)) {
+    broadcastTurn(roomCode);
+  }
+}
+
+// Send hex changes to everyone in a room (replace: the updates are whole states).
+// With fog of war, each player only gets the hexes they can see.
+function broadcastHexes(roomCode, updates, replace = false) {
+  if (roomFog.isEnabled(roomCode)) {
+    sendFoggedHexes(roomCode, updates, replace);
+    return;
+  }
+
+  if (Object.keys(updates).length > 0) {
+    io.to(roomCode).emit('hexesUpdated', { updates, replace, revision: roomManager.getRevision(roomCode) });
+  }
+}
+
+// Recompute every player's view, tell players whose view changed, send them
+// the full state of hexes (and other players' units) that came into view, then
+// their share of the updates. Players still see changes that hide a hex from
+// them (e.g. losing the model that was watching it), so their memory of it isn't stale.
+function sendFoggedHexes(roomCode, updates, replace = false) {
+  const views = roomFog.refresh(roomCode);
+  const revision = roomManager.getRevision(roomCode);
+
+  for (const userId of Object.keys(views)) {
+    const { changed, revealed, concealed } = views[userId];
+    const revealedStates = {};
+
+    if (changed) {
+      io.to(userId).emit('fogUpdated', roomFog.getView(roomCode, userId));
+
+      revealed.forEach(hexId => {
+        revealedStates[hexId] = roomManager.getHexState(roomCode, hexId) || {};
+      });
+
+      if (revealed.length > 0) {
+        io.to(userId).emit('hexesUpdated', { updates: revealedStates, replace: true, revision });
+      }
+
+      for (const unit of Object.values(roomManager.getUnits(roomCode))) {
+        if (unit.owner === userId) continue;
+
+        if (revealed.includes(unit.hexId)) {
+          io.to(userId).emit('unitUpdated', { unit, path: null, revision });
+        } else if (concealed.includes(unit.hexId)) {
+          io.to(userId).emit('unitRemoved', { unitId: unit.id, revision });
+        }
+      }
+    }
+
+    // Newly revealed hexes were just sent whole, so skip them here
+    const visibleUpdates = roomFog.filterVisible(roomCode, userId, updates);
+    revealed.forEach(hexId => delete visibleUpdates[hexId]);
+    concealed.forEach(hexId => {
+      if (updates[hexId]) visibleUpdates[hexId] = updates[hexId];
+    });
+
+    if (Object.keys(visibleUpdates).length > 0) {
+      io.to(userId).emit('hexesUpdated', { updates: visibleUpdates, replace, revision });
+    }
+  }
+}
+
+// Recompute the shoreline flags after heights or the water level changed,
+// broadcasting only the hexes whose flag flipped. Edits to a few hexes pass
+// their IDs so only those hexes and their neighbours are looked at; terrain
+// and water level changes rescan the whole grid, a few chunks at a time so
+// big grids don't hold up other events. A newer rescan of a room replaces one
+// that is still running.
+function refreshShoreline(roomCode, hexIds = null) {
+  if (hexIds) {
+    const { shoreline, checked } = roomTerrain.findShoreline(roomCode, hexIds);
+    broadcastHexes(roomCode, roomManager.setShoreline(roomCode, shoreline, checked));
+    return;
+  }
+
+  const scan = {};
+  const chunkIds = roomTerrain.getChunkIds(roomCode);
+  shorelineScans[roomCode] = scan;
+
+  const step = (start) => {
+    if (shorelineScans[roomCode] !== scan) return;
+    if (!roomManager.getRoomState(roomCode)) {
+      delete shorelineScans[roomCode];
+      return;
+    }
+
+    const updates = {};
+    for (const chunkId of chunkIds.slice(start, start + SHORELINE_CHUNKS_PER_STEP)) {
+      const { shoreline, checked } = roomTerrain.findShoreline(roomCode, roomTerrain.getChunkHexIds(roomCode, chunkId));
+      Object.assign(updates, roomManager.setShoreline(roomCode, shoreline, checked));
+    }
+
+    // The first step always goes out so fogged rooms recheck views against the new heights
+    if (start === 0 || Object.keys(updates).length > 0) broadcastHexes(roomCode, updates);
+
+    if (start + SHORELINE_CHUNKS_PER_STEP < chunkIds.length) {
+      setImmediate(step, start + SHORELINE_CHUNKS_PER_STEP);
+    } else {
+      delete shorelineScans[roomCode];
+    }
+  };
+
+  step(0);
+}
+
+// Send a new or moved unit (with the path it took) to everyone in the room.
+// With fog of war, players only hear about units they can see, only get the
+// path if they saw the unit set off, and are told to drop units that walked out of view.
+function broadcastUnit(roomCode, unit, path = null, previous = null) {
+  const revision = roomManager.getRevision(roomCode);
+
+  if (!roomFog.isEnabled(roomCode)) {
+    io.to(roomCode).emit('unitUpdated', { unit, path, revision });
+    return;
+  }
+
+  const { users } = roomManager.getRoomState(roomCode);
+  const watchers = previous ? users.filter(userId => roomFog.canSeeUnit(roomCode, userId, previous)) : [];
+
+  // The unit may be an observer itself, so views change before it is sent
+  sendFoggedHexes(roomCode, {});
+
+  for (const userId of users) {
+    if (roomFog.canSeeUnit(roomCode, userId, unit)) {
+      io.to(userId).emit('unitUpdated', { unit, path: watchers.includes(userId) ? path : null, revision });
+    } else if (watchers.includes(userId)) {
+      io.to(userId).emit('unitRemoved', { unitId: unit.id, revision });
+    }
+  }
+}
+
+// The units sent with roomCreated/roomJoined (with fog of war, only those in view).
+// Call after getFogView so the player's view is up to date.
+function getUnitsView(roomCode, userId) {
+  const units = Object.values(roomManager.getUnits(roomCode));
+  if (!roomFog.isEnabled(roomCode)) return units;
+
+  return units.filter(unit => roomFog.canSeeUnit(roomCode, userId, unit));
+}
+
+// The fog payload sent with roomCreated/roomJoined (null without fog of war)
+function getFogView(roomCode, userId) {
+  if (!roomFog.isEnabled(roomCode)) return null;
+
+  roomFog.refresh(roomCode);
+  return roomFog.getView(roomCode, userId);
+}
+
+// Everything a client needs to show a room from scratch (roomJoined payload).
+// Hex state isn't included: clients ask for it chunk by chunk as they load
+// the grid around their camera (see 'requestChunks').
+// With fog of war, only the units the player can see are included.
+function getRoomView(roomCode, userId) {
+  const fog = getFogView(roomCode, userId);
+
+  return {
+    roomCode,
+    settings: roomManager.getSettings(roomCode),
+    terrain: roomManager.getTerrain(roomCode),
+    fog,
+    turn: roomManager.getTurn(roomCode),
+    units: getUnitsView(roomCode, userId),
+    ...getRoomPlayers(roomCode, userId),
+    revision: roomManager.getRevision(roomCode)
+  };
+}
+
+// Who is in a room: { players, host, roles, presence }, sent whenever a client enters it.
+// With fog of war, the presence is what the player can see of it (call after getFogView).
+function getRoomPlayers(roomCode, userId) {
+  const { users, host } = roomManager.getRoomState(roomCode);
+  const presence = roomPresence.getAll(roomCode, users);
+
+  if (roomFog.isEnabled(roomCode)) {
+    users.forEach(otherId => {
+      presence[otherId] = roomFog.filterPresence(roomCode, userId, otherId, presence[otherId]);
+    });
+  }
+
+  return {
+    players: players.getPlayers(users),
+    host,
+    roles: roomManager.getRoles(roomCode),
+    presence
+  };
+}
+
+// Take a player out of all their rooms and tell the others
+function removePlayerFromRooms(userId) {
+  const roomsLeft = roomManager.removeUserFromRooms(userId);
+
+  roomsLeft.forEach(roomCode => {
+    roomFog.removeUser(roomCode, userId);
+    roomPresence.removeUser(roomCode, userId);
+    io.to(roomCode).emit('userLeft', userId);
+    broadcastTurn(roomCode);
+  });
+}
+
+// Restore one side of a history entry and broadcast the result.
+// Hexes (or terrain) that someone changed since the entry was recorded are left alone.
+function applyHistoryEntry(roomCode, entry, direction) {
+  let applied = 0;
+
+  // Terrain goes first so clients regenerate heights before hex overrides are applied
+  if (entry.terrain) {
+    const expected = direction === 'undo' ? entry.terrain.after : entry.terrain.before;
+    const target = direction === 'undo' ? entry.terrain.before : entry.terrain.after;
+
+    if (EditHistory.statesMatch(roomManager.getTerrain(roomCode), expected)) {
+      roomManager.setTerrain(roomCode, target);
+      io.to(roomCode).emit('terrainUpdated', { terrain: target, revision: roomManager.getRevision(roomCode) });
+      applied++;
+    }
+  }
+
+  const states = EditHistory.getRestoredStates(entry, direction, hexId => roomManager.getHexState(roomCode, hexId));
+  const hexIds = Object.keys(states);
+  if (hexIds.length > 0) {
+    roomManager.setHexStates(roomCode, states);
 
-  // Read all files in the models directory
+    const updates = {};
+    hexIds.forEach(hexId => {
+      updates[hexId] = roomManager.getHexState(roomCode, hexId) || {};
+    });
+    broadcastHexes(roomCode, updates, true);
+  }
+
+  // Restored hexes may also carry back stale shoreline flags, so they are always rechecked
+  if (applied > 0) {
+    refreshShoreline(roomCode);
+  } else if (hexIds.length > 0) {
+    refreshShoreline(roomCode, hexIds);
+  }
+
+  return applied + hexIds.length;
+}
+
+// Voxel model types available in public/models, used to validate voxelModel actions
+const modelsDir = path.join(__dirname, '../public/models');
+let availableModels = [];
+
+// Read the .glb files in the models directory (without extension)
+function readModelTypes(callback) {
   fs.readdir(modelsDir, (err, files) => {
+    if (err) return callback(err);
+
+    availableModels = files
+      .filter(file => file.endsWith('.glb'))
+      .map(file => file.replace('.glb', ''));
+
+    callback(null, availableModels);
+  });
+}
+
+readModelTypes((err) => {
+  if (err) console.error('Error reading models directory:', err);
+});
+
+// Validates every hex action before it is applied
+const hexActionValidator = new HexActionValidator({
+  getModelTypes: () => availableModels
+});
+
+app.get('/api/models', (req, res) => {
+  readModelTypes((err, models) => {
     if (err) {
       console.error('Error reading models directory:', err);
       return res.status(500).json({ error: 'Failed to read models directory' });
     }
 
-    // Filter for .glb files and remove extension
-    const modelFiles = files
-      .filter(file => file.endsWith('.glb'))
-      .map(file => file.replace('.glb', ''));
-
-    res.json({ models: modelFiles });
+    res.json({ models });
   });
 });
 
+// Work out which player each socket belongs to from the client token it connects with
+io.use((socket, next) => {
+  socket.data.player = players.connect(socket.id, socket.handshake.auth);
+  next();
+});
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
-  console.log('A user connected:', socket.id);
+  const playerId = socket.data.player.id;
+  console.log(`A user connected: ${socket.id} (player ${playerId})`);
+
+  // Every socket of a player joins a room named after them, so messages meant
+  // for one player (fog of war) reach all their tabs
+  socket.join(playerId);
+  socket.emit('identity', { player: socket.data.player });
 
-  // Handle room creation
-  socket.on('createRoom', () => {
-    const roomCode = roomManager.createRoom(socket.id);
+  // Back within the grace period: the player never left their rooms
+  if (leaveTimers[playerId]) {
+    clearTimeout(leaveTimers[playerId]);
+    delete leaveTimers[playerId];
+  }
+
+  // Handle room creation (settings: { radius, hexSize, shape, seed, waterLevel, fogOfWar, private,
+  // maxPlayers, password, ... }, all optional)
+  socket.on('createRoom', async (settings) => {
+    const roomCode = await roomManager.createRoom(playerId, settings);
     socket.join(roomCode);
-    socket.emit('roomCreated', roomCode);
-    console.log(`Room created: ${roomCode} by ${socket.id}`);
+    socket.emit('roomCreated', {
+      roomCode,
+      settings: roomManager.getSettings(roomCode),
+      terrain: roomManager.getTerrain(roomCode),
+      fog: getFogView(roomCode, playerId),
+      turn: roomManager.getTurn(roomCode),
+      units: getUnitsView(roomCode, playerId),
+      ...getRoomPlayers(roomCode, playerId),
+      revision: roomManager.getRevision(roomCode)
+    });
+    console.log(`Room created: ${roomCode} by ${playerId}`);
   });
 
-  // Handle room joining
-  socket.on('joinRoom', (roomCode) => {
-    const joinResult = roomManager.joinRoom(roomCode, socket.id);
+  // The host (re)entering a private room sees who is waiting to be let in
+  const sendJoinRequests = (roomCode) => {
+    if (!roomManager.can(roomCode, playerId, 'manage')) return;
+
+    roomManager.getJoinRequests(roomCode).forEach(userId => {
+      socket.emit('joinRequested', { roomCode, player: players.getPlayer(userId) });
+    });
+  };
+
+  // Tell this socket why it can't enter a room
+  const refuseJoin = (roomCode, error) => {
+    socket.emit('roomError', error);
+
+    // Private room: ask the host (in every tab they have open) to let us in
+    if (error.code === 'APPROVAL_REQUIRED') {
+      const { host } = roomManager.getRoomState(roomCode);
+      io.to(host).emit('joinRequested', { roomCode, player: players.getPlayer(playerId) });
+    }
+  };
+
+  // Handle room joining ({ roomCode, password }). Password guesses are counted per socket.
+  socket.on('joinRoom', async (data) => {
+    const { roomCode, password } = data || {};
+    const joinResult = await roomManager.joinRoom(roomCode, playerId, password, socket.id);
 
     if (joinResult.success) {
       socket.join(roomCode);
-      socket.emit('roomJoined', { roomCode, state: joinResult.state });
-      socket.to(roomCode).emit('userJoined', socket.id);
-      console.log(`User ${socket.id} joined room ${roomCode}`);
+      socket.emit('roomJoined', getRoomView(roomCode, playerId));
+      sendJoinRequests(roomCode);
+
+      if (!joinResult.alreadyInRoom) {
+        socket.to(roomCode).emit('userJoined', players.getPlayer(playerId));
+        socket.to(roomCode).emit('roleUpdated', { playerId, role: roomManager.getRole(roomCode, playerId) });
+        broadcastTurn(roomCode);
+      } else if (!roomPresence.get(roomCode, playerId).connected) {
+        roomPresence.update(roomCode, playerId, { connected: true });
+      }
+      console.log(`User ${playerId} joined room ${roomCode}`);
     } else {
-      socket.emit('roomError', joinResult.error);
+      refuseJoin(roomCode, joinResult.error);
     }
   });
 
+  // Handle the host letting a player into a private room, or turning them away
+  // ({ roomCode, playerId, accept })
+  socket.on('answerJoinRequest', (data) => {
+    const { roomCode, playerId: targetId, accept } = data || {};
+
+    if (!roomManager.isUserInRoom(roomCode, playerId)) {
+      rejectAction(notInRoom);
+      return;
+    }
+
+    if (notAllowed(roomCode, 'manage')) return;
+
+    const result = hexActionValidator.validatePlayerId(targetId);
+
+    if (!result.valid) {
+      rejectAction(result);
+      return;
+    }
+
+    const answer = roomManager.answerJoinRequest(roomCode, result.playerId, accept === true);
+
+    if (!answer) {
+      rejectAction({ code: REJECTION_CODES.UNKNOWN_PLAYER, field: 'playerId', reason: 'That player is no longer waiting to join' });
+      return;
+    }
+
+    // Accepted players join again by themselves; the host's other tabs drop the request
+    if (answer.success) {
+      io.to(result.playerId).emit('joinAccepted', { roomCode });
+    } else {
+      io.to(result.playerId).emit('roomError', answer.error);
+    }
+    io.to(playerId).emit('joinRequestClosed', { roomCode, playerId: result.playerId });
+  });
+
+  // Handle a client coming back to its room after a reconnect ({ roomCode, revision }).
+  // If every change since its revision is still in the change log it gets just
+  // those; otherwise (or with fog of war, where changes are filtered per player)
+  // it gets the whole room again, as if it had just joined.
+  socket.on('rejoinRoom', async (data) => {
+    const { roomCode, revision } = data || {};
+    const joinResult = await roomManager.joinRoom(roomCode, playerId, null, socket.id);
+
+    if (!joinResult.success) {
+      refuseJoin(roomCode, joinResult.error);
+      return;
+    }
+
+    socket.join(roomCode);
+
+    const changes = roomFog.isEnabled(roomCode) ? null : roomManager.getChangesSince(roomCode, revision);
+
+    if (changes) {
+      socket.emit('roomResynced', {
+        roomCode,
+        changes,
+        turn: roomManager.getTurn(roomCode),
+        ...getRoomPlayers(roomCode, playerId),
+        revision: roomManager.getRevision(roomCode)
+      });
+    } else {
+      socket.emit('roomJoined', getRoomView(roomCode, playerId));
+    }
+    sendJoinRequests(roomCode);
+
+    // The grace period ran out while we were away, so the others saw us leave
+    if (!joinResult.alreadyInRoom) {
+      socket.to(roomCode).emit('userJoined', players.getPlayer(playerId));
+      socket.to(roomCode).emit('roleUpdated', { playerId, role: roomManager.getRole(roomCode, playerId) });
+      broadcastTurn(roomCode);
+    } else {
+      roomPresence.update(roomCode, playerId, { connected: true });
+    }
+    console.log(`User ${playerId} rejoined room ${roomCode} (${changes ? `${changes.length} change(s)` : 'full state'})`);
+  });
+
+  // Tell this socket one of its actions was refused
+  const rejectAction = (rejection, hexId = null) => {
+    socket.emit('actionRejected', {
+      hexId,
+      code: rejection.code,
+      field: rejection.field,
+      reason: rejection.reason
+    });
+  };
+
+  // Models belong to whoever placed them (their line of sight lifts the fog)
+  const withOwner = (action) => (action.voxelModel ? { ...action, owner: playerId } : action);
+
+  const notInRoom = {
+    code: REJECTION_CODES.NOT_IN_ROOM,
+    field: 'roomCode',
+    reason: 'You are not in this room'
+  };
+
+  // Viewers can't edit, and only the host may reshape the whole world (see Roles.js)
+  const notAllowed = (roomCode, permission, hexId = null) => {
+    if (roomManager.can(roomCode, playerId, permission)) return false;
+
+    const reasons = {
+      edit: 'Viewers cannot change the room',
+      world: 'Only the host can change the terrain and water',
+      manage: 'Only the host can change roles and kick players'
+    };
+    const reason = reasons[permission];
+    rejectAction({ code: REJECTION_CODES.NOT_ALLOWED, field: null, reason }, hexId);
+    return true;
+  };
+
+  // In turn-based rooms only the current player may act, and only until
+  // their actions for the turn are used up. Returns true if the action was refused.
+  const outOfTurn = (roomCode, hexId = null) => {
+    if (!roomManager.isUsersTurn(roomCode, playerId)) {
+      rejectAction({ code: REJECTION_CODES.NOT_YOUR_TURN, field: null, reason: "It's not your turn" }, hexId);
+      return true;
+    }
+
+    if (!roomManager.hasActionsLeft(roomCode)) {
+      rejectAction({ code: REJECTION_CODES.NO_ACTIONS_LEFT, field: null, reason: 'No actions left this turn' }, hexId);
+      return true;
+    }
+
+    return false;
+  };
+
   // Handle hex interaction
   socket.on('hexClicked', (data) => {
-    const { roomCode, hexId, action } = data;
-    if (roomManager.updateHexState(roomCode, hexId, action)) {
-      io.to(roomCode).emit('hexUpdated', { hexId, action });
+    const { roomCode, hexId, action } = data || {};
+
+    if (!roomManager.isUserInRoom(roomCode, playerId)) {
+      rejectAction(notInRoom, hexId);
+      return;
+    }
+
+    if (notAllowed(roomCode, 'edit', hexId)) return;
+    if (outOfTurn(roomCode, hexId)) return;
+
+    const result = hexActionValidator.validate(hexId, action, {
+      settings: roomManager.getSettings(roomCode)
+    });
+
+    if (!result.valid) {
+      rejectAction(result, hexId);
+      return;
+    }
+
+    const before = roomManager.getHexState(roomCode, hexId);
+    const update = withOwner(result.action);
+
+    if (roomManager.updateHexState(roomCode, hexId, update)) {
+      editHistory.record(roomCode, playerId, {
+        [hexId]: { before, after: roomManager.getHexState(roomCode, hexId) }
+      });
+      spendTurnAction(roomCode);
+
+      if (roomFog.isEnabled(roomCode)) {
+        sendFoggedHexes(roomCode, { [hexId]: update });
+      } else {
+        io.to(roomCode).emit('hexUpdated', { hexId, action: update, revision: roomManager.getRevision(roomCode) });
+      }
+
+      if (update.height !== undefined) {
+        refreshShoreline(roomCode, [hexId]);
+      }
+    }
+  });
+
+  // Handle bulk hex updates (e.g. tints) - one message, one write, one undo step
+  socket.on('updateHexes', (data) => {
+    const { roomCode, updates } = data || {};
+
+    if (!roomManager.isUserInRoom(roomCode, playerId)) {
+      rejectAction(notInRoom);
+      return;
+    }
+
+    if (notAllowed(roomCode, 'edit')) return;
+    if (outOfTurn(roomCode)) return;
+
+    const result = hexActionValidator.validateBatch(updates, {
+      settings: roomManager.getSettings(roomCode)
+    });
+
+    if (!result.valid) {
+      rejectAction(result, result.hexId);
+      return;
+    }
+
+    const hexIds = Object.keys(result.updates);
+    const before = {};
+    const ownedUpdates = {};
+    hexIds.forEach(hexId => {
+      before[hexId] = roomManager.getHexState(roomCode, hexId);
+      ownedUpdates[hexId] = withOwner(result.updates[hexId]);
+    });
+
+    if (roomManager.updateHexStates(roomCode, ownedUpdates)) {
+      const changes = {};
+      hexIds.forEach(hexId => {
+        changes[hexId] = { before: before[hexId], after: roomManager.getHexState(roomCode, hexId) };
+      });
+      editHistory.record(roomCode, playerId, changes);
+      spendTurnAction(roomCode);
+
+      broadcastHexes(roomCode, ownedUpdates);
+
+      const reshaped = hexIds.filter(hexId => ownedUpdates[hexId].height !== undefined);
+      if (reshaped.length > 0) {
+        refreshShoreline(roomCode, reshaped);
+      }
+    }
+  });
+
+  // Handle placing a new unit, drawn with one of the voxel models
+  socket.on('spawnUnit', (data) => {
+    const { roomCode, hexId, model } = data || {};
+
+    if (!roomManager.isUserInRoom(roomCode, playerId)) {
+      rejectAction(notInRoom, hexId);
+      return;
+    }
+
+    if (notAllowed(roomCode, 'edit', hexId)) return;
+    if (outOfTurn(roomCode, hexId)) return;
+
+    const request = hexActionValidator.validateUnitSpawn(hexId, model, {
+      settings: roomManager.getSettings(roomCode)
+    });
+
+    if (!request.valid) {
+      rejectAction(request, hexId);
+      return;
+    }
+
+    const result = roomUnits.spawn(roomCode, playerId, request.hexId, request.model);
+
+    if (!result.valid) {
+      rejectAction(result, hexId);
+      return;
+    }
+
+    spendTurnAction(roomCode);
+    broadcastUnit(roomCode, result.unit);
+  });
+
+  // Handle moving a unit - the server finds the path and checks the unit can afford it
+  socket.on('moveUnit', (data) => {
+    const { roomCode, unitId, hexId } = data || {};
+
+    if (!roomManager.isUserInRoom(roomCode, playerId)) {
+      rejectAction(notInRoom, hexId);
+      return;
+    }
+
+    if (notAllowed(roomCode, 'edit', hexId)) return;
+    if (outOfTurn(roomCode, hexId)) return;
+
+    const request = hexActionValidator.validateUnitMove(unitId, hexId, {
+      settings: roomManager.getSettings(roomCode)
+    });
+
+    if (!request.valid) {
+      rejectAction(request, hexId);
+      return;
+    }
+
+    const previous = roomManager.getUnit(roomCode, request.unitId);
+    const result = roomUnits.move(roomCode, playerId, request.unitId, request.hexId);
+
+    if (!result.valid) {
+      rejectAction(result, hexId);
+      return;
+    }
+
+    spendTurnAction(roomCode);
+    broadcastUnit(roomCode, result.unit, result.path, previous);
+  });
+
+  // Handle terrain generation - only the recipe is stored and broadcast,
+  // every client regenerates the same heights from it
+  socket.on('setTerrain', (data) => {
+    const { roomCode, recipe } = data || {};
+
+    if (!roomManager.isUserInRoom(roomCode, playerId)) {
+      rejectAction(notInRoom);
+      return;
+    }
+
+    if (notAllowed(roomCode, 'world')) return;
+    if (outOfTurn(roomCode)) return;
+
+    const result = hexActionValidator.validateTerrain(recipe);
+
+    if (!result.valid) {
+      rejectAction(result);
+      return;
+    }
+
+    const before = roomManager.getTerrain(roomCode);
+
+    // New terrain replaces any hand-set heights, but keeps colors and models
+    const changes = roomManager.clearHeightOverrides(roomCode);
+    roomManager.setTerrain(roomCode, result.recipe);
+
+    editHistory.record(roomCode, playerId, changes, { before, after: result.recipe });
+    spendTurnAction(roomCode);
+
+    io.to(roomCode).emit('terrainUpdated', { terrain: result.recipe, revision: roomManager.getRevision(roomCode) });
+    refreshShoreline(roomCode);
+  });
+
+  // Handle water level changes (hexes below the level are under water)
+  socket.on('setWaterLevel', (data) => {
+    const { roomCode, waterLevel } = data || {};
+
+    if (!roomManager.isUserInRoom(roomCode, playerId)) {
+      rejectAction(notInRoom);
+      return;
+    }
+
+    if (notAllowed(roomCode, 'world')) return;
+    if (outOfTurn(roomCode)) return;
+
+    const result = hexActionValidator.validateWaterLevel(waterLevel);
+
+    if (!result.valid) {
+      rejectAction(result);
+      return;
+    }
+
+    roomManager.setWaterLevel(roomCode, result.waterLevel);
+    spendTurnAction(roomCode);
+    io.to(roomCode).emit('waterLevelUpdated', { waterLevel: result.waterLevel, revision: roomManager.getRevision(roomCode) });
+    refreshShoreline(roomCode);
+  });
+
+  // Handle undo/redo (scope is 'user' for your own edits or 'room' for anyone's)
+  const handleHistory = (direction) => (data) => {
+    const { roomCode, scope } = data || {};
+
+    if (!roomManager.isUserInRoom(roomCode, playerId)) {
+      rejectAction(notInRoom);
+      return;
     }
+
+    if (notAllowed(roomCode, 'edit')) return;
+    if (outOfTurn(roomCode)) return;
+
+    const historyScope = scope === 'room' ? 'room' : 'user';
+    const entry = direction === 'undo'
+      ? editHistory.takeUndo(roomCode, playerId, historyScope)
+      : editHistory.takeRedo(roomCode, playerId, historyScope);
+
+    if (!entry) {
+      rejectAction({
+        code: direction === 'undo' ? REJECTION_CODES.NOTHING_TO_UNDO : REJECTION_CODES.NOTHING_TO_REDO,
+        field: null,
+        reason: `Nothing to ${direction}`
+      });
+      return;
+    }
+
+    const applied = applyHistoryEntry(roomCode, entry, direction);
+    spendTurnAction(roomCode);
+    socket.emit('historyApplied', {
+      direction,
+      scope: historyScope,
+      applied,
+      skipped: EditHistory.countChanges(entry) - applied
+    });
+  };
+
+  socket.on('undo', handleHistory('undo'));
+  socket.on('redo', handleHistory('redo'));
+
+  // Handle the current player ending their turn early
+  socket.on('endTurn', (data) => {
+    const { roomCode } = data || {};
+
+    if (!roomManager.isUserInRoom(roomCode, playerId)) {
+      rejectAction(notInRoom);
+      return;
+    }
+
+    if (!roomManager.isTurnBased(roomCode)) {
+      rejectAction({ code: REJECTION_CODES.NOT_TURN_BASED, field: null, reason: 'This room is not turn-based' });
+      return;
+    }
+
+    if (!roomManager.isUsersTurn(roomCode, playerId)) {
+      rejectAction({ code: REJECTION_CODES.NOT_YOUR_TURN, field: null, reason: "It's not your turn" });
+      return;
+    }
+
+    roomManager.endTurn(roomCode);
+    broadcastTurn(roomCode);
+  });
+
+  // Handle a player's pointer, selection or idle status changing ({ roomCode, presence })
+  socket.on('updatePresence', (data) => {
+    const { roomCode, presence } = data || {};
+
+    if (!roomManager.isUserInRoom(roomCode, playerId)) {
+      rejectAction(notInRoom);
+      return;
+    }
+
+    const result = hexActionValidator.validatePresence(presence, {
+      settings: roomManager.getSettings(roomCode)
+    });
+
+    if (!result.valid) {
+      rejectAction(result);
+      return;
+    }
+
+    roomPresence.update(roomCode, playerId, result.presence);
+  });
+
+  // Handle a client asking for the hex state of chunks it just loaded
+  // ({ roomCode, chunks: [chunkIds] }). With fog of war, only hexes the player can see are sent.
+  socket.on('requestChunks', (data) => {
+    const { roomCode, chunks } = data || {};
+
+    if (!roomManager.isUserInRoom(roomCode, playerId)) {
+      rejectAction(notInRoom);
+      return;
+    }
+
+    const result = hexActionValidator.validateChunkIds(chunks);
+
+    if (!result.valid) {
+      rejectAction(result);
+      return;
+    }
+
+    const fog = roomFog.isEnabled(roomCode);
+    const states = {};
+
+    result.chunkIds.forEach(chunkId => {
+      const chunkState = roomManager.getChunkState(roomCode, chunkId);
+      states[chunkId] = fog ? roomFog.filterVisible(roomCode, playerId, chunkState) : chunkState;
+    });
+
+    socket.emit('chunkStates', { roomCode, chunks: states });
+  });
+
+  // Handle the host changing a player's role ({ roomCode, playerId, role })
+  socket.on('setRole', (data) => {
+    const { roomCode, playerId: targetId, role } = data || {};
+
+    if (!roomManager.isUserInRoom(roomCode, playerId)) {
+      rejectAction(notInRoom);
+      return;
+    }
+
+    if (notAllowed(roomCode, 'manage')) return;
+
+    const result = hexActionValidator.validateRoleChange(targetId, role);
+
+    if (!result.valid) {
+      rejectAction(result);
+      return;
+    }
+
+    if (!roomManager.isUserInRoom(roomCode, result.playerId) || result.playerId === playerId) {
+      rejectAction({ code: REJECTION_CODES.UNKNOWN_PLAYER, field: 'playerId', reason: "You can't change that player's role" });
+      return;
+    }
+
+    roomManager.setRole(roomCode, result.playerId, result.role);
+    io.to(roomCode).emit('roleUpdated', { playerId: result.playerId, role: result.role });
+    broadcastTurn(roomCode);
+  });
+
+  // Handle the host removing a player from the room for good ({ roomCode, playerId })
+  socket.on('kickPlayer', (data) => {
+    const { roomCode, playerId: targetId } = data || {};
+
+    if (!roomManager.isUserInRoom(roomCode, playerId)) {
+      rejectAction(notInRoom);
+      return;
+    }
+
+    if (notAllowed(roomCode, 'manage')) return;
+
+    const result = hexActionValidator.validatePlayerId(targetId);
+
+    if (!result.valid) {
+      rejectAction(result);
+      return;
+    }
+
+    if (!roomManager.isUserInRoom(roomCode, result.playerId) || result.playerId === playerId) {
+      rejectAction({ code: REJECTION_CODES.UNKNOWN_PLAYER, field: 'playerId', reason: "You can't kick that player" });
+      return;
+    }
+
+    roomManager.kickUser(roomCode, result.playerId);
+    roomFog.removeUser(roomCode, result.playerId);
+    roomPresence.removeUser(roomCode, result.playerId);
+
+    // Every tab of the kicked player leaves the room
+    io.to(result.playerId).emit('kicked', { roomCode });
+    io.in(result.playerId).socketsLeave(roomCode);
+
+    io.to(roomCode).emit('userLeft', result.playerId);
+    broadcastTurn(roomCode);
+    console.log(`Player ${result.playerId} was kicked from room ${roomCode}`);
+  });
+
+  // Handle a player changing their display name or colour ({ name, color })
+  socket.on('setProfile', (profile) => {
+    const player = players.setProfile(playerId, profile || {});
+    io.to([playerId, ...roomManager.getUserRooms(playerId)]).emit('playerUpdated', { player });
   });
 
   // Handle chat messages
   socket.on('chatMessage', (data) => {
-    const { roomCode, message } = data;
+    const { roomCode, message } = data || {};
+
+    // Only players in the room (not ones who were kicked out of it) can talk in it
+    if (!roomManager.isUserInRoom(roomCode, playerId)) {
+      rejectAction(notInRoom);
+      return;
+    }
+
     io.to(roomCode).emit('chatMessage', {
-      userId: socket.id,
+      player: players.getPlayer(playerId),
       message,
       timestamp: Date.now()
     });
@@ -82,16 +1016,46 @@ io.on('connection', (socket) => {
 
   // Handle disconnection
   socket.on('disconnect', () => {
-    const roomsLeft = roomManager.removeUserFromRooms(socket.id);
-    roomsLeft.forEach(roomCode => {
-      socket.to(roomCode).emit('userLeft', socket.id);
+    roomManager.forgetPasswordAttempts(socket.id);
+
+    // A player with another tab still open stays in their rooms
+    if (!players.disconnect(playerId, socket.id)) {
+      console.log(`User disconnected: ${socket.id} (player ${playerId} is still connected)`);
+      return;
+    }
+
+    // Nobody is left to let in
+    roomManager.cancelJoinRequests(playerId).forEach(roomCode => {
+      const { host } = roomManager.getRoomState(roomCode);
+      io.to(host).emit('joinRequestClosed', { roomCode, playerId });
+    });
+
+    // Keep their place in their rooms for a while in case the connection comes back
+    roomManager.getUserRooms(playerId).forEach(roomCode => {
+      roomPresence.update(roomCode, playerId, { hover: null, selected: null, connected: false });
     });
-    console.log('User disconnected:', socket.id);
+
+    leaveTimers[playerId] = setTimeout(() => {
+      delete leaveTimers[playerId];
+      removePlayerFromRooms(playerId);
+      console.log(`Player ${playerId} did not reconnect in time and left their rooms`);
+    }, RECONNECT_GRACE_MS);
+    leaveTimers[playerId].unref();
+
+    console.log(`User disconnected: ${socket.id} (player ${playerId})`);
   });
 });
 
+// Snapshot all rooms before exiting so nothing is lost on deploys
+const shutdown = () => {
+  console.log('Saving rooms before shutdown...');
+  roomManager.flush().then(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 // Start server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+});
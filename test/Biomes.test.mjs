@@ -0,0 +1,68 @@
+// Unit tests for biome classification and the moisture field it reads.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BIOMES, BIOME_TYPES, classifyBiome } from '../public/js/utils/Biomes.js';
+import { TerrainGenerator } from '../public/js/utils/TerrainGenerator.js';
+import { HexActionValidator } from '../server/HexActionValidator.js';
+
+test('low ground is classified by moisture, from desert to swamp', () => {
+  assert.equal(classifyBiome(2, 0.1), 'desert');
+  assert.equal(classifyBiome(2, 0.45), 'grass');
+  assert.equal(classifyBiome(2, 0.65), 'forest');
+  assert.equal(classifyBiome(2, 0.9), 'swamp');
+});
+
+test('high ground turns to rock and then snow', () => {
+  assert.equal(classifyBiome(7, 0.3), 'rock');
+  assert.equal(classifyBiome(7, 0.8), 'snow');
+  assert.equal(classifyBiome(8, 0.1), 'snow');
+  assert.equal(classifyBiome(20, 0.5), 'snow');
+});
+
+test('water and beaches follow the water level', () => {
+  assert.equal(classifyBiome(1, 0.5, 2), 'water');
+  assert.equal(classifyBiome(2.25, 0.5, 2), 'sand');
+  assert.equal(classifyBiome(2.25, 0.9, 2), 'swamp');
+  assert.equal(classifyBiome(2.5, 0.5, 2), 'grass');
+
+  // Without water nothing is under water or a beach, however low
+  assert.equal(classifyBiome(0.25, 0.5), 'grass');
+});
+
+test('every biome has colors, and decorations come with a chance', () => {
+  for (const type of BIOME_TYPES) {
+    const biome = BIOMES[type];
+    assert.match(biome.topColor, /^#[0-9a-f]{6}$/, type);
+    assert.match(biome.sideColor, /^#[0-9a-f]{6}$/, type);
+
+    if (biome.decoration) {
+      assert.ok(biome.decorationChance > 0 && biome.decorationChance <= 1, type);
+    }
+  }
+});
+
+test('moisture is repeatable, between 0 and 1 and varies across the grid', () => {
+  const recipe = TerrainGenerator.createRecipe(5);
+  const first = new TerrainGenerator(recipe, { radius: 20, shape: 'hexagon' }).generate().moisture;
+  const second = new TerrainGenerator(recipe, { radius: 20, shape: 'hexagon' }).generate().moisture;
+  assert.deepEqual(first, second);
+
+  const values = Object.values(first);
+  assert.ok(values.every(value => value >= 0 && value <= 1));
+  assert.ok(Math.max(...values) - Math.min(...values) > 0.2);
+
+  // Every hex of a grid gets a biome
+  const heights = new TerrainGenerator(recipe, { radius: 20, shape: 'hexagon' }).generate().heights;
+  for (const hexId of Object.keys(heights)) {
+    assert.ok(BIOME_TYPES.includes(classifyBiome(heights[hexId], first[hexId], 3)), hexId);
+  }
+});
+
+test('a biome set in hex state must be a known biome', () => {
+  const validator = new HexActionValidator({ getModelTypes: () => [] });
+  const context = { settings: { shape: 'hexagon', radius: 5 } };
+
+  assert.equal(validator.validate('0,0', { biome: 'forest' }, context).valid, true);
+  assert.equal(validator.validate('0,0', { biome: 'lava' }, context).valid, false);
+});
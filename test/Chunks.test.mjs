@@ -0,0 +1,76 @@
+// Unit tests for splitting grids into chunks.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HexUtils } from '../public/js/core/HexUtils.js';
+import {
+  CHUNK_SIZE,
+  getChunkId,
+  parseChunkId,
+  isChunkId,
+  getChunkHexes,
+  getGridChunks,
+  getChunksNear
+} from '../public/js/utils/Chunks.js';
+
+const hexUtils = new HexUtils();
+
+test('chunk IDs floor negative coordinates and parse back', () => {
+  assert.equal(getChunkId(0, 0), '0:0');
+  assert.equal(getChunkId(CHUNK_SIZE - 1, CHUNK_SIZE), '0:1');
+  assert.equal(getChunkId(-1, -CHUNK_SIZE), '-1:-1');
+  assert.equal(getChunkId(-1, -CHUNK_SIZE - 1), '-1:-2');
+  assert.deepEqual(parseChunkId('-3:2'), { cq: -3, cr: 2 });
+});
+
+test('only "cq:cr" strings are chunk IDs', () => {
+  assert.equal(isChunkId('0:-4'), true);
+  assert.equal(isChunkId('0,-4'), false);
+  assert.equal(isChunkId('a:1'), false);
+  assert.equal(isChunkId(12), false);
+});
+
+test('every hex of a grid is in exactly one chunk, and its chunk lists it', () => {
+  for (const shape of ['hexagon', 'parallelogram', 'rectangle']) {
+    const radius = 20;
+    const seen = new Map();
+
+    for (const { q, r } of hexUtils.getHexesInShape(shape, radius)) {
+      const chunkId = getChunkId(q, r);
+      if (!seen.has(chunkId)) {
+        seen.set(chunkId, new Set(getChunkHexes(chunkId, shape, radius).map(hex => hexUtils.getHexId(hex.q, hex.r))));
+      }
+      assert.ok(seen.get(chunkId).has(hexUtils.getHexId(q, r)), `${shape} ${q},${r}`);
+    }
+
+    const total = [...seen.values()].reduce((sum, hexIds) => sum + hexIds.size, 0);
+    assert.equal(total, hexUtils.getHexesInShape(shape, radius).length);
+  }
+});
+
+test('chunks outside the grid have no hexes', () => {
+  assert.deepEqual(getChunkHexes('5:5', 'hexagon', 20), []);
+});
+
+test('nearby chunks come nearest first and include the chunk under the point', () => {
+  const chunks = getChunksNear(40, -10, 3 * CHUNK_SIZE);
+
+  assert.ok(chunks.some(chunk => chunk.id === getChunkId(40, -10)));
+  for (let i = 1; i < chunks.length; i++) {
+    assert.ok(chunks[i - 1].distance <= chunks[i].distance);
+  }
+  chunks.forEach(chunk => assert.ok(chunk.distance <= 3 * CHUNK_SIZE));
+});
+
+test('the grid\'s chunks hold every hex of it exactly once', () => {
+  for (const shape of ['hexagon', 'parallelogram', 'rectangle']) {
+    for (const radius of [1, 15, 16, 40]) {
+      const hexIds = getGridChunks(shape, radius)
+        .flatMap(chunkId => getChunkHexes(chunkId, shape, radius))
+        .map(({ q, r }) => hexUtils.getHexId(q, r));
+      const expected = hexUtils.getHexesInShape(shape, radius).map(({ q, r }) => hexUtils.getHexId(q, r));
+
+      assert.deepEqual(hexIds.sort(), expected.sort(), `${shape} ${radius}`);
+    }
+  }
+});
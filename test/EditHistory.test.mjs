@@ -0,0 +1,122 @@
+// Unit tests for undo/redo in EditHistory.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RoomManager from '../server/RoomManager.js';
+import { EditHistory } from '../server/EditHistory.js';
+
+// Change hexes in a room and record the change as one undo step, as the server does
+function edit(rooms, history, roomCode, userId, updates) {
+  const changes = {};
+
+  for (const hexId of Object.keys(updates)) {
+    const before = rooms.getHexState(roomCode, hexId);
+    rooms.updateHexState(roomCode, hexId, updates[hexId]);
+    changes[hexId] = { before, after: rooms.getHexState(roomCode, hexId) };
+  }
+
+  return history.record(roomCode, userId, changes);
+}
+
+// Undo or redo an entry the way the server applies it
+function restore(rooms, roomCode, entry, direction) {
+  const states = EditHistory.getRestoredStates(entry, direction, hexId => rooms.getHexState(roomCode, hexId));
+  rooms.setHexStates(roomCode, states);
+  return Object.keys(states);
+}
+
+async function setup() {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('alice');
+  await rooms.joinRoom(roomCode, 'bob');
+  return { rooms, history: new EditHistory(), roomCode };
+}
+
+test('undo restores the hexes as they were before the edit', async () => {
+  const { rooms, history, roomCode } = await setup();
+  edit(rooms, history, roomCode, 'alice', { '0,0': { color: '#ff0000' }, '1,0': { color: '#00ff00' } });
+
+  const entry = history.takeUndo(roomCode, 'alice');
+  assert.deepEqual(restore(rooms, roomCode, entry, 'undo').sort(), ['0,0', '1,0']);
+  assert.equal(rooms.getHexState(roomCode, '0,0'), null);
+  assert.equal(rooms.getHexState(roomCode, '1,0'), null);
+
+  const redone = history.takeRedo(roomCode, 'alice');
+  assert.equal(redone, entry);
+  restore(rooms, roomCode, redone, 'redo');
+  assert.equal(rooms.getHexState(roomCode, '0,0').color, '#ff0000');
+});
+
+test('undo skips hexes another player changed since', async () => {
+  const { rooms, history, roomCode } = await setup();
+  edit(rooms, history, roomCode, 'alice', { '0,0': { color: '#ff0000' }, '1,0': { color: '#00ff00' } });
+  edit(rooms, history, roomCode, 'bob', { '1,0': { color: '#0000ff' } });
+
+  const entry = history.takeUndo(roomCode, 'alice');
+  assert.deepEqual(restore(rooms, roomCode, entry, 'undo'), ['0,0']);
+  assert.equal(rooms.getHexState(roomCode, '1,0').color, '#0000ff');
+  assert.equal(EditHistory.countChanges(entry), 2);
+});
+
+test('redo skips hexes another player changed since the undo', async () => {
+  const { rooms, history, roomCode } = await setup();
+  edit(rooms, history, roomCode, 'alice', { '0,0': { color: '#ff0000' }, '1,0': { color: '#00ff00' } });
+  restore(rooms, roomCode, history.takeUndo(roomCode, 'alice'), 'undo');
+  edit(rooms, history, roomCode, 'bob', { '0,0': { color: '#0000ff' } });
+
+  const entry = history.takeRedo(roomCode, 'alice');
+  assert.deepEqual(restore(rooms, roomCode, entry, 'redo'), ['1,0']);
+  assert.equal(rooms.getHexState(roomCode, '0,0').color, '#0000ff');
+});
+
+test('a recomputed shoreline flag does not count as someone else\'s change', async () => {
+  const { rooms, history, roomCode } = await setup();
+  edit(rooms, history, roomCode, 'alice', { '0,0': { height: 3 } });
+  rooms.setShoreline(roomCode, new Set(['0,0']));
+
+  const entry = history.takeUndo(roomCode, 'alice');
+  assert.deepEqual(restore(rooms, roomCode, entry, 'undo'), ['0,0']);
+});
+
+test('user undo picks your own latest edit, room undo anyone\'s', async () => {
+  const { rooms, history, roomCode } = await setup();
+  const aliceEdit = edit(rooms, history, roomCode, 'alice', { '0,0': { color: '#ff0000' } });
+  const bobEdit = edit(rooms, history, roomCode, 'bob', { '1,0': { color: '#00ff00' } });
+
+  assert.equal(history.takeUndo(roomCode, 'alice', 'user'), aliceEdit);
+  assert.equal(history.takeUndo(roomCode, 'alice', 'user'), null);
+  assert.equal(history.takeUndo(roomCode, 'alice', 'room'), bobEdit);
+
+  // Redo by room takes the last undone entry, whoever undid it
+  assert.equal(history.takeRedo(roomCode, 'bob', 'user'), null);
+  assert.equal(history.takeRedo(roomCode, 'bob', 'room'), bobEdit);
+});
+
+test('a new edit drops what you undid, but not what others undid', async () => {
+  const { rooms, history, roomCode } = await setup();
+  edit(rooms, history, roomCode, 'alice', { '0,0': { color: '#ff0000' } });
+  edit(rooms, history, roomCode, 'bob', { '1,0': { color: '#00ff00' } });
+  history.takeUndo(roomCode, 'alice');
+  history.takeUndo(roomCode, 'bob');
+
+  edit(rooms, history, roomCode, 'alice', { '2,0': { color: '#0000ff' } });
+
+  assert.equal(history.takeRedo(roomCode, 'alice'), null);
+  assert.notEqual(history.takeRedo(roomCode, 'bob'), null);
+});
+
+test('only the most recent entries are kept', async () => {
+  const { rooms, roomCode } = await setup();
+  const history = new EditHistory(3);
+
+  for (let i = 0; i < 5; i++) {
+    edit(rooms, history, roomCode, 'alice', { [`${i},0`]: { color: '#ff0000' } });
+  }
+
+  const undone = [];
+  let entry;
+  while ((entry = history.takeUndo(roomCode, 'alice'))) {
+    undone.push(Object.keys(entry.changes)[0]);
+  }
+  assert.deepEqual(undone, ['4,0', '3,0', '2,0']);
+});
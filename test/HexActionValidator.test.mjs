@@ -0,0 +1,125 @@
+// Unit tests for HexActionValidator (checks on everything clients send).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HexActionValidator, REJECTION_CODES } from '../server/HexActionValidator.js';
+import { HexUtils } from '../public/js/core/HexUtils.js';
+import { TerrainGenerator } from '../public/js/utils/TerrainGenerator.js';
+
+const hexUtils = new HexUtils();
+const validator = new HexActionValidator({ getModelTypes: () => ['tower', 'tree'] });
+const context = { settings: { shape: 'hexagon', radius: 5 } };
+
+test('accepts well-formed hex actions', () => {
+  const action = { height: 2.5, color: '#a1b2c3', voxelModel: { type: 'tower', rotation: { y: 1 } } };
+  assert.deepEqual(validator.validate('1,-2', action, context), { valid: true, action });
+});
+
+test('rejects bad hex IDs', () => {
+  for (const hexId of ['1;2', '1,2,3', '', null, 12, '6,0']) {
+    const result = validator.validate(hexId, { color: '#ffffff' }, context);
+    assert.equal(result.valid, false, String(hexId));
+    assert.equal(result.code, REJECTION_CODES.INVALID_HEX, String(hexId));
+  }
+});
+
+test('rejects hex IDs that are not written the canonical way', () => {
+  for (const hexId of ['01,2', '0001,2', '1,02', '-0,0', '0,-0', '-01,1']) {
+    const result = validator.validate(hexId, { color: '#ffffff' }, context);
+    assert.equal(result.valid, false, hexId);
+    assert.equal(result.code, REJECTION_CODES.INVALID_HEX, hexId);
+  }
+
+  assert.equal(validator.validate('-1,1', { color: '#ffffff' }, context).valid, true);
+});
+
+test('rejects actions that are not non-empty objects', () => {
+  for (const action of [null, 'red', [], {}]) {
+    assert.equal(validator.validate('0,0', action, context).code, REJECTION_CODES.INVALID_ACTION);
+  }
+});
+
+test('rejects unknown fields, including inherited property names', () => {
+  for (const key of ['owner', 'constructor', 'toString']) {
+    const result = validator.validate('0,0', { [key]: 1 }, context);
+    assert.equal(result.code, REJECTION_CODES.UNKNOWN_FIELD, key);
+    assert.equal(result.field, key);
+  }
+
+  const nested = validator.validate('0,0', { voxelModel: { type: 'tower', colour: 'red' } }, context);
+  assert.equal(nested.code, REJECTION_CODES.UNKNOWN_FIELD);
+  assert.equal(nested.field, 'voxelModel.colour');
+});
+
+test('rejects values of the wrong type or out of range', () => {
+  const cases = [
+    [{ height: '3' }, 'height'],
+    [{ height: NaN }, 'height'],
+    [{ height: 0 }, 'height'],
+    [{ height: 21 }, 'height'],
+    [{ height: 1.1 }, 'height'],
+    [{ color: 'red' }, 'color'],
+    [{ biome: 'lava' }, 'biome'],
+    [{ river: 1 }, 'river'],
+    [{ voxelModel: 'tower' }, 'voxelModel'],
+    [{ voxelModel: { type: 'dragon' } }, 'voxelModel.type'],
+    [{ voxelModel: { type: 'tower', scale: 9 } }, 'voxelModel.scale']
+  ];
+
+  for (const [action, field] of cases) {
+    const result = validator.validate('0,0', action, context);
+    assert.equal(result.code, REJECTION_CODES.INVALID_FIELD, JSON.stringify(action));
+    assert.equal(result.field, field);
+  }
+
+  assert.equal(validator.validate('0,0', { voxelModel: { scale: 1 } }, context).code, REJECTION_CODES.MISSING_FIELD);
+});
+
+test('a batch is rejected whole if any hex is bad, naming that hex', () => {
+  const result = validator.validateBatch({ '0,0': { color: '#000000' }, '1,0': { color: 'blue' } }, context);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.hexId, '1,0');
+  assert.equal(validator.validateBatch({}, context).code, REJECTION_CODES.INVALID_ACTION);
+  assert.equal(validator.validateBatch([], context).code, REJECTION_CODES.INVALID_ACTION);
+});
+
+test('batches are limited in size', () => {
+  const settings = { shape: 'hexagon', radius: 60 };
+  const updates = {};
+  for (const { q, r } of hexUtils.getHexesInRadius(0, 0, 60).slice(0, 10001)) {
+    updates[hexUtils.getHexId(q, r)] = { color: '#000000' };
+  }
+
+  assert.equal(validator.validateBatch(updates, { settings }).code, REJECTION_CODES.INVALID_ACTION);
+});
+
+test('checks terrain recipes, water levels and chunk requests', () => {
+  const recipe = TerrainGenerator.createRecipe(42);
+  assert.deepEqual(validator.validateTerrain(recipe), { valid: true, recipe });
+  assert.equal(validator.validateTerrain({ ...recipe, octaves: 20 }).field, 'octaves');
+  assert.equal(validator.validateTerrain({ seed: 1 }).code, REJECTION_CODES.MISSING_FIELD);
+
+  assert.deepEqual(validator.validateWaterLevel(1.5), { valid: true, waterLevel: 1.5 });
+  assert.equal(validator.validateWaterLevel(-1).valid, false);
+
+  assert.deepEqual(validator.validateChunkIds(['0:0', '0:0', '-1:2']), { valid: true, chunkIds: ['0:0', '-1:2'] });
+  assert.equal(validator.validateChunkIds([]).valid, false);
+  assert.equal(validator.validateChunkIds(['0,0']).valid, false);
+});
+
+test('checks units, presence, player IDs and roles', () => {
+  assert.equal(validator.validateUnitSpawn('0,0', 'tower', context).valid, true);
+  assert.equal(validator.validateUnitSpawn('0,0', 'dragon', context).field, 'model');
+  assert.equal(validator.validateUnitMove('not-a-uuid', '0,0', context).field, 'unitId');
+
+  assert.deepEqual(validator.validatePresence({ hover: '0,0' }, context), {
+    valid: true,
+    presence: { hover: '0,0', selected: null, idle: false }
+  });
+  assert.equal(validator.validatePresence({ selected: '9,9' }, context).field, 'selected');
+
+  assert.equal(validator.validateRoleChange('0123456789abcdef', 'viewer').valid, true);
+  assert.equal(validator.validateRoleChange('0123456789abcdef', 'host').field, 'role');
+  assert.equal(validator.validatePlayerId('someone').field, 'playerId');
+});
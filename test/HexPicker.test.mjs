@@ -0,0 +1,107 @@
+// Unit tests for picking hex columns with a ray.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HexUtils } from '../public/js/core/HexUtils.js';
+import { HexPicker } from '../public/js/utils/HexPicker.js';
+
+const MAX_HEIGHT = 20;
+
+// Picker over a hexagonal grid where every hex is `base` high except `heights`
+function createPicker(radius, base, heights = {}, hexSize = 1) {
+  const hexUtils = new HexUtils(hexSize);
+  const grid = new Set(hexUtils.getHexesInShape('hexagon', radius).map(({ q, r }) => hexUtils.getHexId(q, r)));
+  const getHeight = hexId => (grid.has(hexId) ? (heights[hexId] !== undefined ? heights[hexId] : base) : null);
+
+  return new HexPicker(hexUtils, getHeight, MAX_HEIGHT);
+}
+
+function normalize(x, y, z) {
+  const length = Math.hypot(x, y, z);
+  return { x: x / length, y: y / length, z: z / length };
+}
+
+// Step along the ray until it is inside a column or underground (slow but obviously right)
+function pickByMarching(picker, origin, direction, step = 0.0005) {
+  for (let t = 0; origin.y + direction.y * t >= 0; t += step) {
+    const x = origin.x + direction.x * t;
+    const y = origin.y + direction.y * t;
+    const z = origin.z + direction.z * t;
+    const { q, r } = picker.hexUtils.pixelToAxial(x, z);
+    const height = picker.getHeight(picker.hexUtils.getHexId(q, r));
+
+    if (height !== null && y <= height) return picker.hexUtils.getHexId(q, r);
+  }
+  return null;
+}
+
+test('a ray straight down hits the top of the hex under it', () => {
+  const picker = createPicker(5, 1, { '2,-1': 3 });
+  const center = picker.getCenter(2, -1);
+  const hit = picker.pick({ x: center.x + 0.2, y: 30, z: center.z - 0.1 }, { x: 0, y: -1, z: 0 });
+
+  assert.equal(hit.hexId, '2,-1');
+  assert.equal(hit.height, 3);
+  assert.ok(Math.abs(hit.distance - 27) < 1e-9);
+});
+
+test('a low ray hits the side of a tall column before the hexes behind it', () => {
+  const picker = createPicker(6, 0.5, { '2,0': 8 });
+  const center = picker.getCenter(2, 0);
+  // Aimed at the column's wall from the far side of the grid, below its top
+  const origin = { x: -10, y: 6, z: center.z };
+  const direction = normalize(center.x - origin.x, -0.3, 0);
+  const hit = picker.pick(origin, direction);
+
+  assert.equal(hit.hexId, '2,0');
+  assert.equal(hit.height, 8);
+  assert.ok(origin.y + direction.y * hit.distance < 8);
+});
+
+test('rays that miss every column give null', () => {
+  const picker = createPicker(4, 1);
+
+  assert.equal(picker.pick({ x: 0, y: 30, z: 0 }, normalize(1, 0.2, 0)), null);
+  assert.equal(picker.pick({ x: 100, y: 30, z: 100 }, { x: 0, y: -1, z: 0 }), null);
+  assert.equal(picker.pick({ x: 50, y: 10, z: 0 }, normalize(1, -0.1, 0.3)), null);
+});
+
+test('picking agrees with marching along the ray over rough ground', () => {
+  const hexUtils = new HexUtils();
+  const heights = {};
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  hexUtils.getHexesInShape('hexagon', 8).forEach(({ q, r }) => {
+    heights[hexUtils.getHexId(q, r)] = (1 + Math.round(random() * 11)) / 2; // Never flat, like drawn columns
+  });
+  const picker = createPicker(8, 0, heights);
+
+  for (let i = 0; i < 40; i++) {
+    const origin = { x: (random() - 0.5) * 40, y: 8 + random() * 20, z: (random() - 0.5) * 40 };
+    const direction = normalize(random() - 0.5, -0.2 - random(), random() - 0.5);
+    const hit = picker.pick(origin, direction);
+
+    assert.equal(hit ? hit.hexId : null, pickByMarching(picker, origin, direction), `ray ${i}`);
+  }
+});
+
+test('the same ray picks the same hex however big the grid is', () => {
+  const origin = { x: 3, y: 15, z: -2 };
+  const direction = normalize(0.4, -1, 0.7);
+  const small = createPicker(10, 2).pick(origin, direction);
+  const large = createPicker(200, 2).pick(origin, direction);
+
+  assert.deepEqual(large, small);
+});
+
+test('hex size scales the walk', () => {
+  const picker = createPicker(5, 1, {}, 2);
+  const center = picker.getCenter(-3, 1);
+  const hit = picker.pick({ x: center.x, y: 10, z: center.z }, { x: 0, y: -1, z: 0 });
+
+  assert.equal(hit.hexId, '-3,1');
+});
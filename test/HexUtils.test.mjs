@@ -0,0 +1,160 @@
+// Unit tests for the hex math in HexUtils.
+// Run with `npm test` from server/ (plain node:test, no browser or WebGL needed).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HexUtils, AXIAL_DIRECTIONS } from '../public/js/core/HexUtils.js';
+
+const hexUtils = new HexUtils();
+
+// Compare lists of hexes regardless of order
+const ids = (hexes) => hexes.map(({ q, r }) => hexUtils.getHexId(q, r)).sort();
+
+test('cube coordinates always sum to zero and convert back', () => {
+  for (const { q, r } of hexUtils.getHexesInRadius(0, 0, 3)) {
+    const cube = hexUtils.axialToCube(q, r);
+    assert.equal(cube.q + cube.r + cube.s, 0);
+    assert.deepEqual(hexUtils.cubeToAxial(cube), { q, r });
+  }
+});
+
+test('neighbors are the six hexes at distance 1', () => {
+  const center = { q: 2, r: -1 };
+  const neighbors = hexUtils.neighbors(center.q, center.r);
+
+  assert.equal(neighbors.length, 6);
+  assert.equal(new Set(ids(neighbors)).size, 6);
+  neighbors.forEach(hex => assert.equal(hexUtils.distance(center, hex), 1));
+});
+
+test('neighbor follows AXIAL_DIRECTIONS and wraps the direction index', () => {
+  AXIAL_DIRECTIONS.forEach((dir, i) => {
+    assert.deepEqual(hexUtils.neighbor(0, 0, i), { q: dir.q, r: dir.r });
+  });
+  assert.deepEqual(hexUtils.neighbor(0, 0, 6), hexUtils.neighbor(0, 0, 0));
+  assert.deepEqual(hexUtils.neighbor(0, 0, -1), hexUtils.neighbor(0, 0, 5));
+});
+
+test('diagonals are at distance 2 and not in line with any neighbour', () => {
+  const diagonals = hexUtils.diagonals(0, 0);
+
+  assert.equal(diagonals.length, 6);
+  diagonals.forEach(hex => {
+    assert.equal(hexUtils.distance({ q: 0, r: 0 }, hex), 2);
+    // A straight-line hex two steps out would be a doubled neighbour offset
+    assert.ok(!AXIAL_DIRECTIONS.some(dir => dir.q * 2 === hex.q && dir.r * 2 === hex.r));
+  });
+});
+
+test('distance is symmetric and matches known values', () => {
+  assert.equal(hexUtils.distance({ q: 0, r: 0 }, { q: 0, r: 0 }), 0);
+  assert.equal(hexUtils.distance({ q: 0, r: 0 }, { q: 3, r: -3 }), 3);
+  assert.equal(hexUtils.distance({ q: -2, r: 1 }, { q: 2, r: 1 }), 4);
+  assert.equal(hexUtils.distance({ q: 1, r: 2 }, { q: -3, r: 0 }), hexUtils.distance({ q: -3, r: 0 }, { q: 1, r: 2 }));
+});
+
+test('ring has 6 * radius hexes, all at that distance, each next to the previous', () => {
+  const center = { q: 1, r: 1 };
+
+  assert.deepEqual(hexUtils.ring(center.q, center.r, 0), [center]);
+
+  for (let radius = 1; radius <= 4; radius++) {
+    const ring = hexUtils.ring(center.q, center.r, radius);
+
+    assert.equal(ring.length, 6 * radius);
+    assert.equal(new Set(ids(ring)).size, ring.length);
+    ring.forEach((hex, i) => {
+      assert.equal(hexUtils.distance(center, hex), radius);
+      const next = ring[(i + 1) % ring.length];
+      assert.equal(hexUtils.distance(hex, next), 1);
+    });
+  }
+});
+
+test('spiral covers the same hexes as getHexesInRadius, center first', () => {
+  const spiral = hexUtils.spiral(-1, 2, 3);
+
+  assert.deepEqual(spiral[0], { q: -1, r: 2 });
+  assert.deepEqual(ids(spiral), ids(hexUtils.getHexesInRadius(-1, 2, 3)));
+
+  // Rings come out in order of distance
+  for (let i = 1; i < spiral.length; i++) {
+    assert.ok(hexUtils.distance({ q: -1, r: 2 }, spiral[i]) >= hexUtils.distance({ q: -1, r: 2 }, spiral[i - 1]));
+  }
+});
+
+test('lineDraw returns a connected line of distance + 1 hexes', () => {
+  const a = { q: -3, r: 1 };
+  const b = { q: 4, r: -2 };
+  const line = hexUtils.lineDraw(a, b);
+
+  assert.equal(line.length, hexUtils.distance(a, b) + 1);
+  assert.deepEqual(line[0], a);
+  assert.deepEqual(line[line.length - 1], b);
+  for (let i = 1; i < line.length; i++) {
+    assert.equal(hexUtils.distance(line[i - 1], line[i]), 1);
+  }
+
+  assert.deepEqual(hexUtils.lineDraw(a, a), [a]);
+});
+
+test('lineDraw along an axis stays on that axis', () => {
+  const line = hexUtils.lineDraw({ q: 0, r: 0 }, { q: 0, r: -4 });
+  assert.deepEqual(line, [0, -1, -2, -3, -4].map(r => ({ q: 0, r })));
+});
+
+test('rotate turns around the center in 60 degree steps', () => {
+  const center = { q: 2, r: -1 };
+  const hex = { q: 4, r: -1 };
+
+  // Six steps bring the hex back, and each step keeps the distance
+  let current = hex;
+  for (let i = 0; i < 6; i++) {
+    current = hexUtils.rotate(current, center, 1);
+    assert.equal(hexUtils.distance(center, current), 2);
+  }
+  assert.deepEqual(current, hex);
+
+  assert.deepEqual(hexUtils.rotate({ q: 1, r: 0 }, { q: 0, r: 0 }, 1), { q: 0, r: 1 });
+  assert.deepEqual(hexUtils.rotate(hex, center, -1), hexUtils.rotate(hex, center, 5));
+  assert.deepEqual(hexUtils.rotate(hex, center, 3), { q: 0, r: -1 });
+  assert.deepEqual(hexUtils.rotate(center, center, 2), center);
+});
+
+test('reflect keeps the chosen cube coordinate and is its own inverse', () => {
+  const center = { q: 1, r: -2 };
+  const hex = { q: 3, r: -1 };
+
+  for (const axis of ['q', 'r', 's']) {
+    const reflected = hexUtils.reflect(hex, center, axis);
+    const before = hexUtils.axialToCube(hex.q - center.q, hex.r - center.r);
+    const after = hexUtils.axialToCube(reflected.q - center.q, reflected.r - center.r);
+
+    assert.equal(after[axis], before[axis]);
+    assert.equal(hexUtils.distance(center, reflected), hexUtils.distance(center, hex));
+    assert.deepEqual(hexUtils.reflect(reflected, center, axis), hex);
+  }
+
+  assert.deepEqual(hexUtils.reflect({ q: 1, r: 0 }, { q: 0, r: 0 }, 'q'), { q: 1, r: -1 });
+});
+
+test('intersectRanges returns exactly the hexes within every range', () => {
+  const ranges = [{ q: 0, r: 0, radius: 3 }, { q: 3, r: -1, radius: 2 }];
+  const expected = hexUtils.getHexesInRadius(0, 0, 3)
+    .filter(hex => hexUtils.distance(hex, { q: 3, r: -1 }) <= 2);
+
+  assert.deepEqual(ids(hexUtils.intersectRanges(ranges)), ids(expected));
+  assert.deepEqual(ids(hexUtils.intersectRanges([{ q: 0, r: 0, radius: 2 }])), ids(hexUtils.getHexesInRadius(0, 0, 2)));
+  assert.deepEqual(hexUtils.intersectRanges([{ q: 0, r: 0, radius: 1 }, { q: 5, r: 0, radius: 1 }]), []);
+  assert.deepEqual(hexUtils.intersectRanges([]), []);
+});
+
+test('roundAxial snaps fractional coordinates to the nearest hex', () => {
+  assert.deepEqual(hexUtils.roundAxial(0.1, -0.2), { q: 0, r: 0 });
+  assert.deepEqual(hexUtils.roundAxial(1.6, -0.7), { q: 2, r: -1 });
+});
+
+test('hex IDs round-trip through getHexId and parseHexId', () => {
+  assert.equal(hexUtils.getHexId(-3, 7), '-3,7');
+  assert.deepEqual(hexUtils.parseHexId('-3,7'), { q: -3, r: 7 });
+});
@@ -0,0 +1,125 @@
+// Unit tests for Hydrology (erosion and rivers on generated terrain).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Hydrology } from '../public/js/utils/Hydrology.js';
+import { HexUtils } from '../public/js/core/HexUtils.js';
+import { TerrainGenerator } from '../public/js/utils/TerrainGenerator.js';
+
+const hexUtils = new HexUtils();
+const hydrology = new Hydrology(hexUtils);
+
+// A height map over a hexagon of the given radius, from a function of each hex
+function heightMap(radius, heightAt) {
+  const heights = {};
+  for (const hex of hexUtils.getHexesInRadius(0, 0, radius)) {
+    heights[hexUtils.getHexId(hex.q, hex.r)] = heightAt(hex);
+  }
+  return heights;
+}
+
+// A cone that is highest in the middle and falls one unit per ring
+const cone = (radius) => heightMap(radius, hex => radius + 1 - hexUtils.distance(hex, { q: 0, r: 0 }));
+
+const total = (heights) => Object.values(heights).reduce((sum, height) => sum + height, 0);
+
+// Trace rivers over a height map, returning the rivers and the carved heights
+function trace(heights, sources) {
+  const traced = hydrology.traceRivers(hexId => heights[hexId], sources, 0.25);
+  return { rivers: traced.rivers, carved: { ...heights, ...traced.heights } };
+}
+
+test('erosion wears cliffs down without adding or losing material', () => {
+  const heights = heightMap(4, hex => (hex.q > 0 ? 6 : 1));
+  const before = total(heights);
+
+  hydrology.erode(heights, 3);
+
+  assert.ok(Math.abs(total(heights) - before) < 1e-9);
+  assert.ok(heights['1,0'] < 6);
+  assert.ok(heights['0,0'] > 1);
+  assert.ok(heights['1,0'] - heights['0,0'] < 5);
+});
+
+test('erosion does not depend on the order hexes are listed in', () => {
+  const forward = cone(5);
+  const backward = {};
+  Object.keys(forward).reverse().forEach(hexId => {
+    backward[hexId] = forward[hexId];
+  });
+
+  hydrology.erode(forward, 3);
+  hydrology.erode(backward, 3);
+
+  for (const hexId of Object.keys(forward)) {
+    assert.equal(forward[hexId], backward[hexId], hexId);
+  }
+});
+
+test('erosion over part of a grid matches the whole grid away from the edge of the part', () => {
+  const whole = heightMap(10, hex => 5 + ((hex.q * 7 + hex.r * 13) % 5) + (hex.q > 2 ? 4 : 0));
+  const part = {};
+  for (const hexId of Object.keys(whole)) {
+    if (hexUtils.distance(hexUtils.parseHexId(hexId), { q: 0, r: 0 }) <= 7) part[hexId] = whole[hexId];
+  }
+
+  hydrology.erode(whole, 3);
+  hydrology.erode(part, 3);
+
+  // Three rounds reach EROSION_REACH * 3 = 6 hexes, so the middle is unaffected
+  for (const hex of hexUtils.getHexesInRadius(0, 0, 1)) {
+    const hexId = hexUtils.getHexId(hex.q, hex.r);
+    assert.equal(part[hexId], whole[hexId], hexId);
+  }
+});
+
+test('rivers run downhill from their source to the edge of the map', () => {
+  const heights = cone(6);
+  const { rivers, carved } = trace(heights, ['0,0']);
+  const course = Object.keys(rivers);
+
+  assert.ok(course.includes('0,0'));
+  assert.ok(course.some(hexId => hydrology.getNeighborIds(id => heights[id], hexId).length < 6));
+
+  // Every river hex is cut a little deeper, and the height map is left alone
+  for (const hexId of course) {
+    assert.equal(carved[hexId], Math.max(0.25, heights[hexId] - 0.25), hexId);
+  }
+  assert.deepEqual(heights, cone(6));
+});
+
+test('rivers cut through pits instead of ending in them', () => {
+  // A trough along the q axis with a pit part way down
+  const heights = heightMap(6, hex => (hex.r === 0 ? 8 - hex.q : 10));
+  heights['3,0'] = 1;
+
+  const { rivers, carved } = trace(heights, ['0,0']);
+  assert.deepEqual(Object.keys(rivers), ['0,0', '1,0', '2,0', '3,0', '4,0', '5,0', '6,0']);
+  assert.ok(carved['4,0'] <= carved['3,0']);
+});
+
+test('a river that reaches another one joins it', () => {
+  // A trough along the q axis, with slopes falling towards it from both sides
+  const heights = heightMap(6, hex => 10 - hex.q + (hex.r === 0 ? -2 : 2 * Math.abs(hex.r)));
+  const { rivers } = trace(heights, ['-5,0', '0,-3']);
+
+  // The first river runs down the trough; the second heads for it and stops there
+  for (let q = -5; q <= 6; q++) assert.ok(rivers[`${q},0`], `${q},0`);
+  assert.deepEqual(Object.keys(rivers).filter(hexId => hexUtils.parseHexId(hexId).r !== 0), ['0,-3', '0,-2', '0,-1']);
+});
+
+test('generated terrain carves rivers from its peaks', () => {
+  const recipe = TerrainGenerator.createRecipe(8);
+  const generator = new TerrainGenerator(recipe, { radius: 20, shape: 'hexagon' });
+  const { heights, rivers } = generator.generate();
+
+  for (const peak of generator.peakPoints) {
+    assert.ok(rivers[hexUtils.getHexId(peak.x, peak.y)]);
+  }
+
+  // Without hydrology the same seed has no rivers and other heights
+  const { hydrology: _, ...dry } = recipe;
+  const plain = new TerrainGenerator(dry, { radius: 20, shape: 'hexagon' }).generate();
+  assert.deepEqual(plain.rivers, {});
+  assert.notDeepEqual(plain.heights, heights);
+});
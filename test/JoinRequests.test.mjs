@@ -0,0 +1,148 @@
+// Unit tests for room passwords, capacity and join requests in RoomManager.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RoomManager from '../server/RoomManager.js';
+
+const joinCode = (result) => (result.success ? 'OK' : result.error.code);
+
+test('a room password is asked for, checked, and never stored as typed', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('host', { password: 'hunter2' });
+
+  assert.equal(JSON.stringify(rooms.serializeRoom(rooms.getRoomState(roomCode))).includes('hunter2'), false);
+  assert.equal('password' in rooms.getSettings(roomCode), false);
+
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'guest')), 'PASSWORD_REQUIRED');
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'guest', 'hunter3')), 'WRONG_PASSWORD');
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'guest', 12345)), 'PASSWORD_REQUIRED');
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'guest', 'hunter2')), 'OK');
+});
+
+test('join errors carry a code and a reason to show', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('host', { password: 'hunter2' });
+  const { error } = await rooms.joinRoom(roomCode, 'guest', 'wrong');
+
+  assert.equal(error.code, 'WRONG_PASSWORD');
+  assert.equal(typeof error.reason, 'string');
+  assert.ok(error.reason.length > 0);
+});
+
+test('long passwords are trimmed the same way when joining as when creating', async () => {
+  const rooms = new RoomManager();
+  const password = 'x'.repeat(70);
+  const roomCode = await rooms.createRoom('host', { password });
+
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'guest', password)), 'OK');
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'other', 'x'.repeat(64))), 'OK');
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'third', 'x'.repeat(63))), 'WRONG_PASSWORD');
+});
+
+test('password guesses are limited per socket and room', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('host', { password: 'hunter2' });
+  const otherRoom = await rooms.createRoom('host', { password: 'hunter2' });
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal(joinCode(await rooms.joinRoom(roomCode, 'guest', `guess${i}`, 'socket1')), 'WRONG_PASSWORD');
+  }
+
+  // Even the right password is refused unchecked until the guesses age out
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'guest', 'hunter2', 'socket1')), 'TOO_MANY_ATTEMPTS');
+
+  // Other sockets and other rooms have guesses of their own
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'guest', 'hunter2', 'socket2')), 'OK');
+  assert.equal(joinCode(await rooms.joinRoom(otherRoom, 'guest', 'hunter2', 'socket1')), 'OK');
+
+  t.mock.timers.tick(60 * 1000);
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'other', 'hunter2', 'socket1')), 'OK');
+});
+
+test('guesses made at the same time all count', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('host', { password: 'hunter2' });
+
+  const guesses = [];
+  for (let i = 0; i < 8; i++) {
+    guesses.push(rooms.joinRoom(roomCode, 'guest', `guess${i}`, 'socket1'));
+  }
+  const codes = (await Promise.all(guesses)).map(joinCode);
+
+  assert.equal(codes.filter(code => code === 'WRONG_PASSWORD').length, 5);
+  assert.equal(codes.filter(code => code === 'TOO_MANY_ATTEMPTS').length, 3);
+});
+
+test('a password checked while the player is kicked does not let them in', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('host', { password: 'hunter2' });
+
+  const joining = rooms.joinRoom(roomCode, 'guest', 'hunter2');
+  rooms.kickUser(roomCode, 'guest');
+
+  assert.equal(joinCode(await joining), 'KICKED');
+  assert.equal(rooms.isUserInRoom(roomCode, 'guest'), false);
+});
+
+test('players who were let in before and the host skip the password', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('host', { password: 'hunter2' });
+  await rooms.joinRoom(roomCode, 'guest', 'hunter2');
+  rooms.leaveRoom(roomCode, 'guest');
+  rooms.leaveRoom(roomCode, 'host');
+
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'guest')), 'OK');
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'host')), 'OK');
+});
+
+test('full rooms turn newcomers away, but not the host', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('host', { maxPlayers: 2 });
+  await rooms.joinRoom(roomCode, 'guest');
+  rooms.leaveRoom(roomCode, 'host');
+  await rooms.joinRoom(roomCode, 'second');
+
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'third')), 'ROOM_FULL');
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'host')), 'OK');
+  assert.equal((await rooms.joinRoom(roomCode, 'guest')).alreadyInRoom, true, 'another tab of a player already in');
+});
+
+test('private rooms queue newcomers until the host answers', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('host', { private: true, joinRole: 'viewer' });
+
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'guest')), 'APPROVAL_REQUIRED');
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'guest')), 'APPROVAL_REQUIRED');
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'other')), 'APPROVAL_REQUIRED');
+  assert.deepEqual(rooms.getJoinRequests(roomCode), ['guest', 'other']);
+
+  assert.deepEqual(rooms.answerJoinRequest(roomCode, 'guest', true), { success: true });
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'guest')), 'OK');
+  assert.equal(rooms.getRole(roomCode, 'guest'), 'viewer');
+
+  assert.equal(rooms.answerJoinRequest(roomCode, 'other', false).error.code, 'JOIN_DENIED');
+  assert.equal(rooms.answerJoinRequest(roomCode, 'other', true), null, 'already answered');
+  assert.deepEqual(rooms.getJoinRequests(roomCode), []);
+});
+
+test('private rooms still check the password before asking the host', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('host', { private: true, password: 'hunter2' });
+
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'guest', 'nope')), 'WRONG_PASSWORD');
+  assert.deepEqual(rooms.getJoinRequests(roomCode), []);
+  assert.equal(joinCode(await rooms.joinRoom(roomCode, 'guest', 'hunter2')), 'APPROVAL_REQUIRED');
+});
+
+test('requests are withdrawn when the player goes away', async () => {
+  const rooms = new RoomManager();
+  const first = await rooms.createRoom('host', { private: true });
+  const second = await rooms.createRoom('host', { private: true });
+  await rooms.joinRoom(first, 'guest');
+  await rooms.joinRoom(second, 'guest');
+
+  assert.deepEqual(rooms.cancelJoinRequests('guest').sort(), [first, second].sort());
+  assert.deepEqual(rooms.getJoinRequests(first), []);
+  assert.deepEqual(rooms.cancelJoinRequests('guest'), []);
+});
@@ -0,0 +1,136 @@
+// Unit tests for A* paths and movement ranges in Pathfinder.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HexUtils } from '../public/js/core/HexUtils.js';
+import { Pathfinder, isPassable } from '../public/js/utils/Pathfinder.js';
+
+const hexUtils = new HexUtils();
+
+// Build a tile lookup for a hexagonal grid, with per-hex height and blocked overrides
+function makeGrid(radius, { heights = {}, blocked = [] } = {}) {
+  const tiles = {};
+
+  for (const { q, r } of hexUtils.getHexesInRadius(0, 0, radius)) {
+    const hexId = hexUtils.getHexId(q, r);
+    tiles[hexId] = { height: heights[hexId] || 0, passable: !blocked.includes(hexId) };
+  }
+
+  return (hexId) => tiles[hexId] || null;
+}
+
+// Every step of a path must move to a neighbouring hex
+function assertConnected(path) {
+  for (let i = 1; i < path.length; i++) {
+    assert.equal(hexUtils.distance(hexUtils.parseHexId(path[i - 1]), hexUtils.parseHexId(path[i])), 1);
+  }
+}
+
+test('finds a straight path on flat ground', () => {
+  const pathfinder = new Pathfinder(hexUtils, makeGrid(4));
+  const result = pathfinder.findPath('-3,0', '3,0');
+
+  assert.equal(result.path.length, 7);
+  assert.equal(result.cost, 6);
+  assert.equal(result.path[0], '-3,0');
+  assert.equal(result.path[6], '3,0');
+  assertConnected(result.path);
+});
+
+test('a path to the start hex is just the start hex', () => {
+  const pathfinder = new Pathfinder(hexUtils, makeGrid(2));
+  assert.deepEqual(pathfinder.findPath('1,0', '1,0'), { path: ['1,0'], cost: 0 });
+});
+
+test('walks around impassable hexes', () => {
+  const blocked = ['0,-1', '0,0', '0,1'];
+  const pathfinder = new Pathfinder(hexUtils, makeGrid(3, { blocked }));
+  const result = pathfinder.findPath('-1,0', '1,0');
+
+  assert.ok(result.path.every(hexId => !blocked.includes(hexId)));
+  assert.ok(result.cost > 2);
+  assertConnected(result.path);
+});
+
+test('climbing costs extra, so a detour over level ground can be cheaper', () => {
+  const pathfinder = new Pathfinder(hexUtils, makeGrid(3, { heights: { '0,0': 1.5 } }));
+  const result = pathfinder.findPath('-1,0', '1,0');
+
+  assert.ok(!result.path.includes('0,0'));
+  assert.equal(result.cost, 3);
+});
+
+test('steps higher than maxStepHeight cannot be taken', () => {
+  // A wall of tall hexes all the way across the grid
+  const heights = {};
+  for (let r = -2; r <= 2; r++) {
+    heights[hexUtils.getHexId(0, r)] = 5;
+  }
+
+  const low = new Pathfinder(hexUtils, makeGrid(2, { heights }), { maxStepHeight: 1 });
+  assert.equal(low.findPath('-1,0', '1,0'), null);
+
+  const high = new Pathfinder(hexUtils, makeGrid(2, { heights }), { maxStepHeight: 5 });
+  assert.ok(high.findPath('-1,0', '1,0'));
+});
+
+test('returns null for unreachable or off-grid goals', () => {
+  const pathfinder = new Pathfinder(hexUtils, makeGrid(2, { blocked: ['2,0'] }));
+
+  assert.equal(pathfinder.findPath('0,0', '2,0'), null);
+  assert.equal(pathfinder.findPath('0,0', '9,9'), null);
+});
+
+test('paths costing more than the limit are given up on', () => {
+  const pathfinder = new Pathfinder(hexUtils, makeGrid(5));
+  assert.equal(pathfinder.findPath('-3,0', '3,0', 5), null);
+  assert.equal(pathfinder.findPath('-3,0', '3,0', 6).cost, 6);
+
+  // On an endless grid the limit is what keeps a search for a blocked goal from running forever
+  const endless = new Pathfinder(hexUtils, hexId => ({ height: 0, passable: hexId !== '4,0' }));
+  assert.equal(endless.findPath('0,0', '4,0', 10), null);
+});
+
+test('getReachable floods out to the movement budget', () => {
+  const pathfinder = new Pathfinder(hexUtils, makeGrid(5));
+  const reachable = pathfinder.getReachable('0,0', 2);
+
+  assert.equal(Object.keys(reachable).length, hexUtils.getHexesInRadius(0, 0, 2).length);
+  assert.equal(reachable['0,0'], 0);
+  assert.equal(reachable['2,0'], 2);
+  assert.equal(reachable['3,0'], undefined);
+});
+
+test('getReachable agrees with findPath costs', () => {
+  const heights = { '1,0': 1, '1,-1': 0.5, '-1,1': 1.25 };
+  const pathfinder = new Pathfinder(hexUtils, makeGrid(3, { heights, blocked: ['0,1'] }));
+  const reachable = pathfinder.getReachable('0,0', 4);
+
+  for (const hexId of Object.keys(reachable)) {
+    assert.equal(pathfinder.findPath('0,0', hexId).cost, reachable[hexId]);
+  }
+  assert.equal(reachable['0,1'], undefined);
+});
+
+test('water, placed models and other units block a hex', () => {
+  assert.equal(isPassable({ height: 2, waterLevel: 1 }), true);
+  assert.equal(isPassable({ height: 0.5, waterLevel: 1 }), false);
+  assert.equal(isPassable({ height: 0.5, waterLevel: 0 }), true);
+  assert.equal(isPassable({ height: 2, voxelModel: 'tower' }), false);
+  assert.equal(isPassable({ height: 2, occupied: true }), false);
+});
+
+test('paths go around placed models but through decorated hexes', () => {
+  // Clients describe a hex with only a biome decoration as holding no model
+  const pathThrough = (voxelModel) => {
+    const tiles = {};
+    for (const { q, r } of hexUtils.getHexesInRadius(0, 0, 3)) {
+      const hexId = hexUtils.getHexId(q, r);
+      tiles[hexId] = { height: 0, passable: isPassable({ height: 0, voxelModel: hexId === '0,0' ? voxelModel : null }) };
+    }
+    return new Pathfinder(hexUtils, hexId => tiles[hexId] || null).findPath('-2,0', '2,0').path;
+  };
+
+  assert.deepEqual(pathThrough(false), ['-2,0', '-1,0', '0,0', '1,0', '2,0']);
+  assert.ok(!pathThrough('tower').includes('0,0'));
+});
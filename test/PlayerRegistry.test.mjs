@@ -0,0 +1,61 @@
+// Unit tests for PlayerRegistry (player identities behind sockets).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PlayerRegistry, MAX_NAME_LENGTH, PLAYER_COLORS } from '../server/PlayerRegistry.js';
+
+const TOKEN = 'a'.repeat(32);
+
+test('the same token always gives the same player ID', () => {
+  const registry = new PlayerRegistry();
+  const first = registry.connect('socket-1', { token: TOKEN });
+  const again = new PlayerRegistry().connect('socket-2', { token: TOKEN });
+  const other = registry.connect('socket-3', { token: 'b'.repeat(32) });
+
+  assert.equal(first.id, again.id);
+  assert.notEqual(first.id, other.id);
+  assert.match(first.id, /^[0-9a-f]{16}$/);
+});
+
+test('sockets without a usable token get a throwaway identity', () => {
+  const registry = new PlayerRegistry();
+
+  for (const auth of [{}, { token: 'short' }, { token: 'x'.repeat(65) }, { token: 'has spaces in it!!' }, { token: 42 }]) {
+    const a = registry.connect('socket-a', auth);
+    const b = registry.connect('socket-b', auth);
+    assert.notEqual(a.id, b.id, JSON.stringify(auth));
+  }
+});
+
+test('a player stays connected until their last socket goes', () => {
+  const registry = new PlayerRegistry();
+  const { id } = registry.connect('tab-1', { token: TOKEN });
+  registry.connect('tab-2', { token: TOKEN });
+
+  assert.equal(registry.disconnect(id, 'tab-1'), false);
+  assert.equal(registry.disconnect(id, 'tab-2'), true);
+  assert.equal(registry.disconnect(id, 'tab-2'), true);
+});
+
+test('names and colours are cleaned up, keeping the old value when malformed', () => {
+  const registry = new PlayerRegistry();
+  const player = registry.connect('socket-1', { token: TOKEN, name: '  Ada  ', color: '#123abc' });
+  assert.equal(player.name, 'Ada');
+  assert.equal(player.color, '#123abc');
+
+  const renamed = registry.setProfile(player.id, { name: 'x'.repeat(40), color: 'blue' });
+  assert.equal(renamed.name.length, MAX_NAME_LENGTH);
+  assert.equal(renamed.color, '#123abc');
+
+  assert.equal(registry.setProfile(player.id, { name: '   ' }).name, renamed.name);
+});
+
+test('players who never connected get stable defaults', () => {
+  const registry = new PlayerRegistry();
+  const player = registry.getPlayer('0123456789abcdef');
+
+  assert.deepEqual(registry.getPlayer('0123456789abcdef'), player);
+  assert.equal(player.name, 'Player-01234');
+  assert.ok(PLAYER_COLORS.includes(player.color));
+  assert.deepEqual(registry.getPlayers(['0123456789abcdef']), [player]);
+});
@@ -0,0 +1,79 @@
+// Unit tests for room roles (Roles.js) and how RoomManager hands them out.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { roleCan, ROLES, ASSIGNABLE_ROLES } from '../public/js/utils/Roles.js';
+import RoomManager from '../server/RoomManager.js';
+
+test('each role grants its permissions and nothing else', () => {
+  assert.deepEqual(ROLES, ['host', 'editor', 'viewer']);
+  assert.deepEqual(ASSIGNABLE_ROLES, ['editor', 'viewer']);
+
+  assert.equal(roleCan('host', 'manage'), true);
+  assert.equal(roleCan('host', 'world'), true);
+  assert.equal(roleCan('editor', 'edit'), true);
+  assert.equal(roleCan('editor', 'world'), false);
+  assert.equal(roleCan('viewer', 'edit'), false);
+  assert.equal(roleCan('viewer', 'manage'), false);
+});
+
+test('unknown roles and permissions grant nothing', () => {
+  for (const role of [null, undefined, 'admin', 'constructor', '__proto__']) {
+    assert.equal(roleCan(role, 'edit'), false, String(role));
+  }
+  assert.equal(roleCan('host', 'delete'), false);
+});
+
+test('a viewer cannot edit until the host makes them an editor', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('host', { joinRole: 'viewer' });
+  await rooms.joinRoom(roomCode, 'guest');
+
+  assert.equal(rooms.getRole(roomCode, 'guest'), 'viewer');
+  assert.equal(rooms.can(roomCode, 'guest', 'edit'), false);
+
+  assert.equal(rooms.setRole(roomCode, 'guest', 'editor'), true);
+  assert.equal(rooms.can(roomCode, 'guest', 'edit'), true);
+  assert.equal(rooms.can(roomCode, 'guest', 'world'), false);
+});
+
+test('the host keeps their role and is the only one who can manage', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('host');
+  await rooms.joinRoom(roomCode, 'guest');
+
+  assert.equal(rooms.setRole(roomCode, 'host', 'viewer'), false);
+  assert.deepEqual(rooms.getRoles(roomCode), { host: 'host', guest: 'editor' });
+  assert.equal(rooms.can(roomCode, 'guest', 'manage'), false);
+  assert.equal(rooms.can(roomCode, 'stranger', 'edit'), true, 'newcomers get the join role');
+  assert.equal(rooms.can('NOROOM', 'host', 'edit'), false);
+});
+
+test('viewers leave the turn order and editors join it', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('host', { turnBased: true });
+  await rooms.joinRoom(roomCode, 'guest');
+
+  rooms.setRole(roomCode, 'guest', 'viewer');
+  assert.deepEqual(rooms.getTurn(roomCode).order, ['host']);
+
+  rooms.setRole(roomCode, 'guest', 'editor');
+  assert.deepEqual(rooms.getTurn(roomCode).order, ['host', 'guest']);
+});
+
+test('kicked players are out for good, and keep their role after a restart', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('host');
+  await rooms.joinRoom(roomCode, 'guest');
+  await rooms.joinRoom(roomCode, 'watcher');
+  rooms.setRole(roomCode, 'watcher', 'viewer');
+
+  assert.equal(rooms.kickUser(roomCode, 'host'), false);
+  assert.equal(rooms.kickUser(roomCode, 'guest'), true);
+  assert.equal(rooms.isUserInRoom(roomCode, 'guest'), false);
+  assert.equal((await rooms.joinRoom(roomCode, 'guest')).error.code, 'KICKED');
+
+  const restored = new RoomManager({ storage: rooms.storage });
+  assert.equal(restored.getRole(roomCode, 'watcher'), 'viewer');
+  assert.equal((await restored.joinRoom(roomCode, 'guest')).error.code, 'KICKED');
+});
@@ -0,0 +1,115 @@
+// Unit tests for RoomFog (what each player sees in rooms with fog of war).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RoomManager from '../server/RoomManager.js';
+import { RoomTerrain } from '../server/RoomTerrain.js';
+import { RoomFog } from '../server/RoomFog.js';
+
+// A flat fogged room with alice and bob, each with a unit far from the other's
+async function setup(settings = { fogOfWar: true }) {
+  const rooms = new RoomManager();
+  const fog = new RoomFog(rooms, new RoomTerrain(rooms));
+  const roomCode = await rooms.createRoom('alice', { radius: 15, ...settings });
+  await rooms.joinRoom(roomCode, 'bob');
+
+  const aliceUnit = { id: 'a1', owner: 'alice', hexId: '0,0', stats: { move: 4, sight: 4 } };
+  const bobUnit = { id: 'b1', owner: 'bob', hexId: '12,0', stats: { move: 4, sight: 4 } };
+  rooms.setUnit(roomCode, aliceUnit);
+  rooms.setUnit(roomCode, bobUnit);
+
+  return { rooms, fog, roomCode, aliceUnit, bobUnit };
+}
+
+test('fog is only on in rooms that ask for it', async () => {
+  const fogged = await setup();
+  assert.equal(fogged.fog.isEnabled(fogged.roomCode), true);
+  assert.equal(fogged.fog.isEnabled('NOROOM'), false);
+
+  const open = await setup({ fogOfWar: false });
+  assert.equal(open.fog.isEnabled(open.roomCode), false);
+});
+
+test('players see around their own units only', async () => {
+  const { fog, roomCode } = await setup();
+  const views = fog.refresh(roomCode);
+
+  assert.ok(views.alice.visible.has('0,0'));
+  assert.ok(views.alice.visible.has('4,0'));
+  assert.equal(views.alice.visible.has('5,0'), false);
+  assert.equal(views.alice.visible.has('12,0'), false);
+  assert.ok(views.bob.visible.has('12,0'));
+  assert.equal(views.bob.visible.has('0,0'), false);
+});
+
+test('taller columns hide what is behind them', async () => {
+  const { rooms, fog, roomCode } = await setup();
+  rooms.updateHexState(roomCode, '1,0', { height: 10 });
+
+  const { visible } = fog.refresh(roomCode).alice;
+  assert.ok(visible.has('1,0'));
+  assert.equal(visible.has('3,0'), false);
+});
+
+test('models a player placed see for them', async () => {
+  const { rooms, fog, roomCode } = await setup();
+  rooms.updateHexState(roomCode, '-10,0', { voxelModel: { type: 'tower' }, owner: 'alice' });
+  rooms.updateHexState(roomCode, '-10,10', { voxelModel: { type: 'tower' }, owner: 'bob' });
+
+  const { visible } = fog.refresh(roomCode).alice;
+  assert.ok(visible.has('-10,0'));
+  assert.ok(visible.has('-7,0'));
+  assert.equal(visible.has('-10,10'), false);
+});
+
+test('moving away conceals hexes but keeps them explored', async () => {
+  const { rooms, fog, roomCode, aliceUnit } = await setup();
+  fog.refresh(roomCode);
+
+  rooms.setUnit(roomCode, { ...aliceUnit, hexId: '-8,0' });
+  const { visible, explored, changed, revealed, concealed } = fog.refresh(roomCode).alice;
+
+  assert.equal(changed, true);
+  assert.ok(revealed.includes('-12,0'));
+  assert.ok(concealed.includes('4,0'));
+  assert.equal(visible.has('4,0'), false);
+  assert.ok(explored.has('4,0'));
+
+  assert.equal(fog.refresh(roomCode).alice.changed, false);
+});
+
+test('hex updates and units are filtered by what a player sees', async () => {
+  const { fog, roomCode, aliceUnit, bobUnit } = await setup();
+  fog.refresh(roomCode);
+
+  const updates = { '1,0': { color: '#ff0000' }, '12,0': { color: '#00ff00' } };
+  assert.deepEqual(fog.filterVisible(roomCode, 'alice', updates), { '1,0': { color: '#ff0000' } });
+  assert.deepEqual(fog.filterVisible(roomCode, 'carol', updates), {});
+
+  assert.equal(fog.canSeeUnit(roomCode, 'alice', aliceUnit), true);
+  assert.equal(fog.canSeeUnit(roomCode, 'alice', bobUnit), false);
+  assert.equal(fog.canSeeUnit(roomCode, 'alice', { ...bobUnit, hexId: '2,0' }), true);
+});
+
+test('a player who leaves loses their view', async () => {
+  const { fog, roomCode } = await setup();
+  fog.refresh(roomCode);
+  assert.ok(fog.getView(roomCode, 'bob').visible.includes('12,0'));
+
+  fog.removeUser(roomCode, 'bob');
+  assert.deepEqual(fog.getView(roomCode, 'bob'), { visible: [], explored: [] });
+});
+
+test('other players\' pointers only show on hexes a player can see', async () => {
+  const { fog, roomCode } = await setup();
+  fog.refresh(roomCode);
+
+  const presence = { hover: '12,0', selected: '1,0', idle: false, connected: true };
+  assert.deepEqual(fog.filterPresence(roomCode, 'alice', 'bob', presence),
+    { hover: null, selected: '1,0', idle: false, connected: true });
+  assert.deepEqual(fog.filterPresence(roomCode, 'bob', 'alice', presence),
+    { hover: '12,0', selected: null, idle: false, connected: true });
+  assert.equal(fog.filterPresence(roomCode, 'bob', 'bob', presence), presence);
+  assert.deepEqual(fog.filterPresence(roomCode, 'carol', 'bob', presence),
+    { hover: null, selected: null, idle: false, connected: true });
+});
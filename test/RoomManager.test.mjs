@@ -0,0 +1,183 @@
+// Unit tests for rooms in RoomManager (the server's authoritative room state).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RoomManager from '../server/RoomManager.js';
+
+// Room codes that name properties every plain object inherits
+const PROTOTYPE_KEYS = ['constructor', '__proto__', 'toString', 'hasOwnProperty', 'valueOf'];
+
+test('room codes naming inherited properties find no room', async () => {
+  const rooms = new RoomManager();
+  await rooms.createRoom('host');
+
+  for (const roomCode of PROTOTYPE_KEYS) {
+    assert.equal(rooms.isUserInRoom(roomCode, 'host'), false, roomCode);
+    assert.equal((await rooms.joinRoom(roomCode, 'player')).error.code, 'ROOM_NOT_FOUND', roomCode);
+    assert.equal(rooms.getSettings(roomCode), null, roomCode);
+    assert.equal(rooms.getRoomState(roomCode), null, roomCode);
+    assert.deepEqual(rooms.getJoinRequests(roomCode), [], roomCode);
+    assert.equal(rooms.getChangesSince(roomCode, 0), null, roomCode);
+    assert.equal(rooms.leaveRoom(roomCode, 'host'), false, roomCode);
+  }
+});
+
+test('player IDs naming inherited properties are in no room', () => {
+  const rooms = new RoomManager();
+
+  for (const userId of PROTOTYPE_KEYS) {
+    assert.deepEqual(rooms.getUserRooms(userId), [], userId);
+    assert.deepEqual(rooms.removeUserFromRooms(userId), [], userId);
+  }
+});
+
+// A turn-based room with alice (the host), bob and carol, in that turn order
+async function turnRoom(settings = {}) {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('alice', { turnBased: true, actionsPerTurn: 2, turnSeconds: 60, ...settings });
+  await rooms.joinRoom(roomCode, 'bob');
+  await rooms.joinRoom(roomCode, 'carol');
+  return { rooms, roomCode };
+}
+
+test('free-for-all rooms let anyone act at any time', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('alice');
+  await rooms.joinRoom(roomCode, 'bob');
+
+  assert.equal(rooms.isTurnBased(roomCode), false);
+  assert.equal(rooms.getTurn(roomCode), null);
+  assert.equal(rooms.isUsersTurn(roomCode, 'bob'), true);
+  assert.equal(rooms.spendAction(roomCode), false);
+  assert.equal(rooms.hasActionsLeft(roomCode), true);
+});
+
+test('only the current player may act, and only while they have actions left', async () => {
+  const { rooms, roomCode } = await turnRoom();
+
+  assert.deepEqual(rooms.getTurn(roomCode).order, ['alice', 'bob', 'carol']);
+  assert.equal(rooms.isUsersTurn(roomCode, 'alice'), true);
+  assert.equal(rooms.isUsersTurn(roomCode, 'bob'), false);
+
+  assert.equal(rooms.spendAction(roomCode), true);
+  assert.equal(rooms.spendAction(roomCode), true);
+  assert.equal(rooms.hasActionsLeft(roomCode), false);
+  assert.equal(rooms.spendAction(roomCode), false);
+});
+
+test('ending a turn hands a full budget to the next player, wrapping around', async () => {
+  const { rooms, roomCode } = await turnRoom();
+  rooms.spendAction(roomCode);
+
+  rooms.endTurn(roomCode);
+  const turn = rooms.getTurn(roomCode);
+  assert.equal(turn.currentPlayer, 'bob');
+  assert.equal(turn.number, 2);
+  assert.equal(turn.actionsLeft, 2);
+  assert.equal(rooms.isUsersTurn(roomCode, 'alice'), false);
+
+  rooms.endTurn(roomCode);
+  rooms.endTurn(roomCode);
+  assert.equal(rooms.getTurn(roomCode).currentPlayer, 'alice');
+});
+
+test('turns that run out of time pass to the next player', async () => {
+  const { rooms, roomCode } = await turnRoom();
+  const now = Date.now();
+
+  assert.deepEqual(rooms.advanceExpiredTurns(now + 30 * 1000), []);
+  assert.deepEqual(rooms.advanceExpiredTurns(now + 61 * 1000), [roomCode]);
+  assert.equal(rooms.getTurn(roomCode).currentPlayer, 'bob');
+
+  const untimed = await turnRoom({ turnSeconds: 0 });
+  assert.equal(untimed.rooms.getTurn(untimed.roomCode).remainingMs, null);
+  assert.deepEqual(untimed.rooms.advanceExpiredTurns(now + 3600 * 1000), []);
+});
+
+test('a player leaving on their turn passes it on', async () => {
+  const { rooms, roomCode } = await turnRoom();
+  rooms.endTurn(roomCode);
+
+  rooms.leaveRoom(roomCode, 'bob');
+  const turn = rooms.getTurn(roomCode);
+  assert.deepEqual(turn.order, ['alice', 'carol']);
+  assert.equal(turn.currentPlayer, 'carol');
+
+  // Someone earlier in the order leaving keeps the turn where it is
+  rooms.leaveRoom(roomCode, 'alice');
+  assert.equal(rooms.getTurn(roomCode).currentPlayer, 'carol');
+});
+
+test('every synced change bumps the revision, roles and kicks do not', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('alice');
+  assert.equal(rooms.getRevision(roomCode), 0);
+
+  await rooms.joinRoom(roomCode, 'bob');
+  rooms.setRole(roomCode, 'bob', 'viewer');
+  rooms.kickUser(roomCode, 'bob');
+  assert.equal(rooms.getRevision(roomCode), 0);
+
+  rooms.updateHexState(roomCode, '0,0', { color: '#ff0000' });
+  rooms.setUnit(roomCode, { id: 'u1', owner: 'alice', hexId: '1,0' });
+  assert.equal(rooms.getRevision(roomCode), 2);
+  assert.equal(rooms.getRevision('NOROOM'), 0);
+});
+
+test('a client that reconnects gets exactly the changes it missed', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('alice');
+  rooms.updateHexState(roomCode, '0,0', { color: '#ff0000' });
+  const seen = rooms.getRevision(roomCode);
+
+  rooms.updateHexState(roomCode, '1,0', { color: '#00ff00' });
+  rooms.setUnit(roomCode, { id: 'u1', owner: 'alice', hexId: '2,0' });
+  rooms.removeUnit(roomCode, 'u1');
+
+  const changes = rooms.getChangesSince(roomCode, seen);
+  assert.deepEqual(changes.map(change => change.type), ['hex', 'unit', 'unit']);
+  assert.equal(changes[0].hexId, '1,0');
+  assert.equal(changes[0].state.color, '#00ff00');
+  assert.equal(changes[1].unit.hexId, '2,0');
+  assert.equal(changes[2].unit, null);
+
+  assert.deepEqual(rooms.getChangesSince(roomCode, rooms.getRevision(roomCode)), []);
+  assert.equal(rooms.getChangesSince(roomCode, 0).length, 4);
+});
+
+test('a client too far behind gets null and has to load the whole room', async () => {
+  const rooms = new RoomManager({ changeLimit: 3 });
+  const roomCode = await rooms.createRoom('alice');
+
+  for (let i = 0; i < 5; i++) {
+    rooms.updateHexState(roomCode, `${i},0`, { color: '#ff0000' });
+  }
+
+  // Revisions 3-5 are still in the log, so a client at 2 can catch up but one at 1 can't
+  assert.deepEqual(rooms.getChangesSince(roomCode, 2).map(change => change.hexId), ['2,0', '3,0', '4,0']);
+  assert.equal(rooms.getChangesSince(roomCode, 1), null);
+  assert.equal(rooms.getChangesSince(roomCode, 0), null);
+});
+
+test('revisions that make no sense get null', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('alice');
+  rooms.updateHexState(roomCode, '0,0', { color: '#ff0000' });
+
+  for (const revision of [2, -1, 0.5, '1', null, undefined]) {
+    assert.equal(rooms.getChangesSince(roomCode, revision), null, String(revision));
+  }
+  assert.equal(rooms.getChangesSince('NOROOM', 0), null);
+});
+
+test('the revision survives a restart, but the missed changes do not', async () => {
+  const rooms = new RoomManager();
+  const roomCode = await rooms.createRoom('alice');
+  rooms.updateHexState(roomCode, '0,0', { color: '#ff0000' });
+  rooms.updateHexState(roomCode, '1,0', { color: '#00ff00' });
+
+  const restored = new RoomManager({ storage: rooms.storage });
+  assert.equal(restored.getRevision(roomCode), 2);
+  assert.deepEqual(restored.getChangesSince(roomCode, 2), []);
+  assert.equal(restored.getChangesSince(roomCode, 1), null);
+});
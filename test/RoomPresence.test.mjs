@@ -0,0 +1,84 @@
+// Unit tests for RoomPresence (throttled pointer, selection and idle updates).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoomPresence } from '../server/RoomPresence.js';
+
+// A RoomPresence that records what it broadcasts instead of sending it
+function setup(options) {
+  const sent = [];
+  const presence = new RoomPresence((roomCode, userId, state) => sent.push({ roomCode, userId, ...state }), options);
+  return { presence, sent };
+}
+
+test('players without updates have no cursor and count as connected', () => {
+  const { presence } = setup();
+
+  assert.deepEqual(presence.get('ROOM01', 'alice'), { hover: null, selected: null, idle: false, connected: true });
+  assert.deepEqual(Object.keys(presence.getAll('ROOM01', ['alice', 'bob'])), ['alice', 'bob']);
+});
+
+test('the first update goes out at once, later ones are merged until the interval passes', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const { presence, sent } = setup({ interval: 100 });
+
+  presence.update('ROOM01', 'alice', { hover: '0,0' });
+  assert.equal(sent.length, 1);
+
+  presence.update('ROOM01', 'alice', { hover: '1,0' });
+  presence.update('ROOM01', 'alice', { selected: '2,0' });
+  presence.update('ROOM01', 'alice', { hover: '3,0' });
+  assert.equal(sent.length, 1);
+
+  t.mock.timers.tick(100);
+  assert.equal(sent.length, 2);
+  assert.deepEqual(sent[1], { roomCode: 'ROOM01', userId: 'alice', hover: '3,0', selected: '2,0', idle: false, connected: true });
+
+  // Nothing more is pending, and the next update after a quiet interval goes out at once
+  t.mock.timers.tick(500);
+  assert.equal(sent.length, 2);
+  presence.update('ROOM01', 'alice', { idle: true });
+  assert.equal(sent.length, 3);
+});
+
+test('players are throttled separately', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const { presence, sent } = setup({ interval: 100 });
+
+  presence.update('ROOM01', 'alice', { hover: '0,0' });
+  presence.update('ROOM01', 'bob', { hover: '1,0' });
+  presence.update('ROOM02', 'alice', { hover: '2,0' });
+
+  assert.deepEqual(sent.map(update => `${update.roomCode}:${update.userId}`), ['ROOM01:alice', 'ROOM01:bob', 'ROOM02:alice']);
+});
+
+test('a player who leaves is forgotten and their pending update dropped', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const { presence, sent } = setup({ interval: 100 });
+
+  presence.update('ROOM01', 'alice', { hover: '0,0' });
+  presence.update('ROOM01', 'alice', { hover: '1,0' });
+  presence.removeUser('ROOM01', 'alice');
+
+  t.mock.timers.tick(100);
+  assert.equal(sent.length, 1);
+  assert.equal(presence.get('ROOM01', 'alice').hover, null);
+  assert.deepEqual(presence.throttles, {});
+});
+
+test('clearing a room forgets everyone in it', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const { presence, sent } = setup({ interval: 100 });
+
+  presence.update('ROOM01', 'alice', { hover: '0,0' });
+  presence.update('ROOM01', 'alice', { hover: '1,0' });
+  presence.update('ROOM01', 'bob', { selected: '2,0' });
+  presence.update('ROOM02', 'carol', { hover: '3,0' });
+  presence.clearRoom('ROOM01');
+
+  t.mock.timers.tick(100);
+  assert.equal(sent.length, 3);
+  assert.equal(presence.rooms.ROOM01, undefined);
+  assert.deepEqual(Object.keys(presence.throttles), ['ROOM02:carol']);
+  assert.equal(presence.get('ROOM02', 'carol').hover, '3,0');
+});
@@ -0,0 +1,98 @@
+// Unit tests for RoomSettings (the settings a room is created with).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_ROOM_SETTINGS,
+  MAX_PASSWORD_LENGTH,
+  normalizeRoomSettings,
+  normalizeRoomPassword,
+  normalizeWaterLevel
+} from '../server/RoomSettings.js';
+
+test('missing or malformed settings fall back to the defaults', () => {
+  for (const requested of [undefined, null, 'big', 7, {}]) {
+    const { seed, ...settings } = normalizeRoomSettings(requested);
+    const { seed: defaultSeed, ...defaults } = DEFAULT_ROOM_SETTINGS;
+
+    assert.deepEqual(settings, defaults, String(requested));
+    assert.ok(Number.isInteger(seed) && seed >= 0, 'a random seed is picked');
+  }
+});
+
+test('keeps settings that are in range', () => {
+  const requested = {
+    radius: 12,
+    hexSize: 1.5,
+    shape: 'rectangle',
+    seed: 1234,
+    waterLevel: 2.25,
+    fogOfWar: true,
+    turnBased: true,
+    actionsPerTurn: 5,
+    turnSeconds: 90,
+    joinRole: 'viewer',
+    private: true,
+    maxPlayers: 4
+  };
+
+  assert.deepEqual(normalizeRoomSettings(requested), requested);
+});
+
+test('clamps numbers into range and rounds whole-number settings', () => {
+  const settings = normalizeRoomSettings({
+    radius: 1000,
+    hexSize: 0.1,
+    seed: -5,
+    actionsPerTurn: 2.6,
+    turnSeconds: 9999,
+    maxPlayers: 0
+  });
+
+  assert.equal(settings.radius, 200);
+  assert.equal(settings.hexSize, 0.5);
+  assert.equal(settings.seed, 0);
+  assert.equal(settings.actionsPerTurn, 3);
+  assert.equal(settings.turnSeconds, 600);
+  assert.equal(settings.maxPlayers, 1);
+});
+
+test('ignores values of the wrong type or outside the allowed choices', () => {
+  const settings = normalizeRoomSettings({
+    radius: '20',
+    hexSize: Infinity,
+    shape: 'circle',
+    fogOfWar: 'yes',
+    turnBased: 1,
+    joinRole: 'host',
+    private: 'true'
+  });
+
+  assert.equal(settings.radius, DEFAULT_ROOM_SETTINGS.radius);
+  assert.equal(settings.hexSize, DEFAULT_ROOM_SETTINGS.hexSize);
+  assert.equal(settings.shape, 'hexagon');
+  assert.equal(settings.fogOfWar, false);
+  assert.equal(settings.turnBased, false);
+  assert.equal(settings.joinRole, 'editor');
+  assert.equal(settings.private, false);
+});
+
+test('the password never ends up in the settings', () => {
+  assert.equal('password' in normalizeRoomSettings({ password: 'secret' }), false);
+});
+
+test('passwords are trimmed to the longest allowed, and empty means none', () => {
+  assert.equal(normalizeRoomPassword('secret'), 'secret');
+  assert.equal(normalizeRoomPassword('x'.repeat(100)).length, MAX_PASSWORD_LENGTH);
+  assert.equal(normalizeRoomPassword(''), null);
+  assert.equal(normalizeRoomPassword(1234), null);
+  assert.equal(normalizeRoomPassword(undefined), null);
+});
+
+test('water levels are clamped and snapped to the height step', () => {
+  assert.equal(normalizeWaterLevel(1.3), 1.25);
+  assert.equal(normalizeWaterLevel(1.4), 1.5);
+  assert.equal(normalizeWaterLevel(-2), 0);
+  assert.equal(normalizeWaterLevel(50), 20);
+  assert.equal(normalizeWaterLevel('deep'), 0);
+});
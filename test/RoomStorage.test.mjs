@@ -0,0 +1,113 @@
+// Unit tests for RoomStorage (room snapshots and journals) through RoomManager.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import RoomManager from '../server/RoomManager.js';
+import { MemoryStorage, FileStorage } from '../server/RoomStorage.js';
+
+// Make a room with a few hexes, a unit and a terrain recipe, then change it some more
+async function buildRoom(rooms) {
+  const roomCode = await rooms.createRoom('host', { radius: 5 });
+
+  for (let q = 0; q < 6; q++) {
+    rooms.updateHexState(roomCode, `${q},0`, { color: `#00000${q}`, owner: 'host' });
+  }
+  rooms.setTerrain(roomCode, { seed: 7, scale: 0.1, heightScale: 3 });
+  rooms.setUnit(roomCode, { id: 'u1', owner: 'host', hexId: '1,0' });
+  rooms.updateHexState(roomCode, '2,0', { color: '#abcdef' });
+
+  return roomCode;
+}
+
+// Create a temporary data directory, removed once the test is done
+function makeDataDir(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hexgrid-rooms-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
+
+// Compare what gets persisted (a restored room is empty, so emptySince differs)
+function assertSameRoom(restored, original, roomCode) {
+  const persisted = rooms => {
+    const { emptySince, ...room } = rooms.serializeRoom(rooms.getRoomState(roomCode));
+    return room;
+  };
+  assert.deepEqual(persisted(restored), persisted(original));
+}
+
+test('rooms survive a restart with memory storage', async () => {
+  const storage = new MemoryStorage();
+  const rooms = new RoomManager({ storage, snapshotInterval: 1000 });
+  const roomCode = await buildRoom(rooms);
+
+  // Everything after the first snapshot is only in the journal
+  assert.ok(storage.load()[0].journal.length > 0);
+  assertSameRoom(new RoomManager({ storage }), rooms, roomCode);
+});
+
+test('rooms survive a restart with file storage', async (t) => {
+  const dataDir = makeDataDir(t);
+  const rooms = new RoomManager({ storage: new FileStorage(dataDir), snapshotInterval: 1000 });
+  const roomCode = await buildRoom(rooms);
+  await rooms.storage.flush();
+
+  assert.ok(fs.existsSync(path.join(dataDir, `${roomCode}.journal`)));
+
+  const restored = new RoomManager({ storage: new FileStorage(dataDir) });
+  assertSameRoom(restored, rooms, roomCode);
+  await restored.storage.flush();
+});
+
+test('snapshots taken between edits keep every edit in order', async (t) => {
+  const dataDir = makeDataDir(t);
+  const rooms = new RoomManager({ storage: new FileStorage(dataDir), snapshotInterval: 3 });
+  const roomCode = await buildRoom(rooms);
+
+  for (let i = 0; i < 10; i++) {
+    rooms.updateHexState(roomCode, '3,0', { color: `#0000${10 + i}` });
+  }
+  await rooms.storage.flush();
+
+  const restored = new RoomManager({ storage: new FileStorage(dataDir) });
+  assert.equal(restored.getHexState(roomCode, '3,0').color, '#000019');
+  assertSameRoom(restored, rooms, roomCode);
+  await restored.storage.flush();
+});
+
+test('a partly written journal replays up to the broken line', async (t) => {
+  const dataDir = makeDataDir(t);
+  const rooms = new RoomManager({ storage: new FileStorage(dataDir), snapshotInterval: 1000 });
+  const roomCode = await buildRoom(rooms);
+  await rooms.storage.flush();
+
+  // A crash in the middle of an append leaves half a line at the end
+  fs.appendFileSync(path.join(dataDir, `${roomCode}.journal`), '{"type":"hex","hexId":"4,0","sta');
+
+  const warn = t.mock.method(console, 'warn', () => {});
+  const restored = new RoomManager({ storage: new FileStorage(dataDir) });
+
+  assert.equal(warn.mock.callCount(), 1);
+  assertSameRoom(restored, rooms, roomCode);
+  await restored.storage.flush();
+
+  // The replayed journal was folded into a fresh snapshot
+  assert.equal(fs.existsSync(path.join(dataDir, `${roomCode}.journal`)), false);
+  assertSameRoom(new RoomManager({ storage: new FileStorage(dataDir) }), rooms, roomCode);
+});
+
+test('deleted rooms are gone after a restart', async (t) => {
+  const dataDir = makeDataDir(t);
+  const storage = new FileStorage(dataDir);
+  const rooms = new RoomManager({ storage, retentionMs: 0 });
+  const roomCode = await buildRoom(rooms);
+
+  rooms.leaveRoom(roomCode, 'host');
+  assert.deepEqual(rooms.pruneExpiredRooms(Date.now() + 1), [roomCode]);
+  await storage.flush();
+
+  assert.deepEqual(fs.readdirSync(dataDir), []);
+  assert.equal(new RoomManager({ storage: new FileStorage(dataDir) }).getRoomState(roomCode), null);
+});
@@ -0,0 +1,99 @@
+// Unit tests for RoomTerrain (server-side heights and shoreline).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RoomManager from '../server/RoomManager.js';
+import { RoomTerrain } from '../server/RoomTerrain.js';
+import { TerrainGenerator } from '../public/js/utils/TerrainGenerator.js';
+
+// Shoreline of a whole room, found chunk by chunk as the server rescans it
+function fullShoreline(terrain, roomCode) {
+  const shoreline = [];
+  for (const chunkId of terrain.getChunkIds(roomCode)) {
+    shoreline.push(...terrain.findShoreline(roomCode, terrain.getChunkHexIds(roomCode, chunkId)).shoreline);
+  }
+  return [...new Set(shoreline)].sort();
+}
+
+// Hex IDs flagged as shoreline in a room
+function flaggedShoreline(rooms, roomCode) {
+  const { hexState } = rooms.getRoomState(roomCode);
+  return Object.keys(hexState).filter(hexId => hexState[hexId].shoreline).sort();
+}
+
+test('heights come from overrides, then the recipe, then flat', async () => {
+  const rooms = new RoomManager();
+  const terrain = new RoomTerrain(rooms);
+  const roomCode = await rooms.createRoom('host', { radius: 4 });
+
+  assert.equal(terrain.getHeight(roomCode, '0,0'), 0.01);
+  assert.equal(terrain.getHeight(roomCode, '9,0'), undefined);
+
+  const recipe = TerrainGenerator.createRecipe(3);
+  rooms.setTerrain(roomCode, recipe);
+  const { heights } = new TerrainGenerator(recipe, { radius: 4, shape: 'hexagon' }).generate();
+  for (const hexId of Object.keys(heights)) {
+    assert.equal(terrain.getHeight(roomCode, hexId), heights[hexId], hexId);
+  }
+
+  rooms.updateHexState(roomCode, '1,0', { height: 4.5 });
+  assert.equal(terrain.getHeight(roomCode, '1,0'), 4.5);
+});
+
+test('shoreline updates around edited hexes match a full rescan', async () => {
+  const rooms = new RoomManager();
+  const terrain = new RoomTerrain(rooms);
+  const roomCode = await rooms.createRoom('host', { radius: 8 });
+  const refresh = (hexIds) => {
+    for (const ids of hexIds ? [hexIds] : terrain.getChunkIds(roomCode).map(chunkId => terrain.getChunkHexIds(roomCode, chunkId))) {
+      const { shoreline, checked } = terrain.findShoreline(roomCode, ids);
+      rooms.setShoreline(roomCode, shoreline, checked);
+    }
+  };
+
+  rooms.setTerrain(roomCode, TerrainGenerator.createRecipe(11, { hydrology: false }));
+  rooms.setWaterLevel(roomCode, 4.5);
+  refresh();
+  assert.ok(flaggedShoreline(rooms, roomCode).length > 0);
+
+  // Dig and raise hexes one at a time, and a few at once, including on the edge of the grid
+  const edits = [['0,0', 0.5], ['1,0', 5], ['8,0', 0.2], ['7,0', 0.3], ['0,-8', 1]];
+  let seed = 5;
+  for (let i = 0; i < 40; i++) {
+    seed = (seed * 16807) % 2147483647;
+    const q = (seed % 17) - 8;
+    const r = (Math.floor(seed / 17) % 17) - 8;
+    if (Math.abs(q + r) <= 8) edits.push([`${q},${r}`, (seed % 80) / 10]);
+  }
+
+  for (const [hexId, height] of edits) {
+    rooms.updateHexState(roomCode, hexId, { height });
+    refresh([hexId]);
+    assert.deepEqual(flaggedShoreline(rooms, roomCode), fullShoreline(terrain, roomCode), hexId);
+  }
+
+  rooms.updateHexStates(roomCode, { '2,2': { height: 0 }, '-3,1': { height: 0 }, '-3,2': { height: 6 } });
+  refresh(['2,2', '-3,1', '-3,2']);
+  assert.deepEqual(flaggedShoreline(rooms, roomCode), fullShoreline(terrain, roomCode));
+});
+
+test('big rooms are split into chunks that cover the grid', async () => {
+  const rooms = new RoomManager();
+  const terrain = new RoomTerrain(rooms);
+  const roomCode = await rooms.createRoom('host', { radius: 40 });
+
+  const hexIds = terrain.getChunkIds(roomCode).flatMap(chunkId => terrain.getChunkHexIds(roomCode, chunkId));
+  assert.equal(hexIds.length, new Set(hexIds).size);
+  assert.equal(hexIds.length, 3 * 40 * 41 + 1);
+  assert.deepEqual(terrain.getChunkHexIds(roomCode, '9:9'), []);
+});
+
+test('a room without water has no shoreline', async () => {
+  const rooms = new RoomManager();
+  const terrain = new RoomTerrain(rooms);
+  const roomCode = await rooms.createRoom('host', { radius: 4 });
+  rooms.setTerrain(roomCode, TerrainGenerator.createRecipe(2, { hydrology: false }));
+
+  assert.deepEqual(fullShoreline(terrain, roomCode), []);
+  assert.equal(terrain.findShoreline(roomCode, ['0,0']).checked.size, 7);
+});
@@ -0,0 +1,112 @@
+// Unit tests for RoomUnits (placing and moving units on the server).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RoomManager from '../server/RoomManager.js';
+import { RoomTerrain } from '../server/RoomTerrain.js';
+import { RoomUnits, DEFAULT_UNIT_STATS } from '../server/RoomUnits.js';
+import { REJECTION_CODES } from '../server/HexActionValidator.js';
+
+// A flat room with alice and bob, and a unit of alice's in the middle
+async function setup() {
+  const rooms = new RoomManager();
+  const units = new RoomUnits(rooms, new RoomTerrain(rooms));
+  const roomCode = await rooms.createRoom('alice', { radius: 6 });
+  await rooms.joinRoom(roomCode, 'bob');
+
+  const { unit } = units.spawn(roomCode, 'alice', '0,0', 'knight');
+  return { rooms, units, roomCode, unit };
+}
+
+test('spawned units get an ID, an owner and the default stats', async () => {
+  const { rooms, roomCode, unit } = await setup();
+
+  assert.equal(typeof unit.id, 'string');
+  assert.deepEqual({ ...unit, id: null }, {
+    id: null, owner: 'alice', hexId: '0,0', model: 'knight', facing: 0, stats: DEFAULT_UNIT_STATS
+  });
+  assert.notEqual(unit.stats, DEFAULT_UNIT_STATS);
+  assert.equal(rooms.getUnit(roomCode, unit.id), unit);
+  assert.equal(rooms.getUnitAt(roomCode, '0,0'), unit);
+});
+
+test('units can only be placed on free, dry hexes of the grid', async () => {
+  const { rooms, units, roomCode } = await setup();
+  rooms.updateHexState(roomCode, '1,0', { voxelModel: { type: 'tower' } });
+  rooms.updateHexState(roomCode, '2,0', { height: 2 });
+  rooms.setWaterLevel(roomCode, 1);
+
+  for (const hexId of ['0,0', '1,0', '3,0', '7,0']) {
+    assert.equal(units.spawn(roomCode, 'bob', hexId, 'knight').code, REJECTION_CODES.HEX_OCCUPIED, hexId);
+  }
+  assert.equal(units.spawn(roomCode, 'bob', '2,0', 'knight').valid, true);
+  assert.equal(Object.keys(rooms.getUnits(roomCode)).length, 2);
+});
+
+test('moves follow the cheapest path and turn the unit the way it went', async () => {
+  const { rooms, units, roomCode, unit } = await setup();
+  const result = units.move(roomCode, 'alice', unit.id, '0,4');
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.path, ['0,0', '0,1', '0,2', '0,3', '0,4']);
+  assert.equal(result.unit.hexId, '0,4');
+  assert.equal(result.unit.facing, 5);
+  assert.equal(rooms.getUnitAt(roomCode, '0,0'), null);
+  assert.equal(rooms.getUnitAt(roomCode, '0,4').id, unit.id);
+});
+
+test('moves cost more uphill and stop at the unit\'s movement budget', async () => {
+  const { rooms, units, roomCode, unit } = await setup();
+  rooms.updateHexStates(roomCode, { '1,0': { height: 1 }, '2,0': { height: 2 }, '3,0': { height: 3 } });
+
+  // Each step up costs one more, so three climbs are out of a budget of 4 but two are not
+  assert.equal(units.move(roomCode, 'alice', unit.id, '3,0').code, REJECTION_CODES.OUT_OF_RANGE);
+
+  const result = units.move(roomCode, 'alice', unit.id, '2,0');
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.path, ['0,0', '1,0', '2,0']);
+});
+
+test('moves go around blocked hexes and never end on one', async () => {
+  const { rooms, units, roomCode, unit } = await setup();
+  rooms.updateHexState(roomCode, '1,0', { voxelModel: { type: 'tower' } });
+  const other = units.spawn(roomCode, 'bob', '2,0', 'knight').unit;
+
+  const result = units.move(roomCode, 'alice', unit.id, '3,0');
+  assert.equal(result.valid, true);
+  assert.equal(result.path.includes('1,0'), false);
+  assert.equal(result.path.includes('2,0'), false);
+
+  assert.equal(units.move(roomCode, 'alice', unit.id, '1,0').code, REJECTION_CODES.HEX_OCCUPIED);
+  assert.equal(units.move(roomCode, 'alice', unit.id, other.hexId).code, REJECTION_CODES.HEX_OCCUPIED);
+  assert.equal(units.move(roomCode, 'alice', unit.id, '9,0').code, REJECTION_CODES.HEX_OCCUPIED);
+});
+
+test('hexes cut off by blocked ones are out of reach', async () => {
+  const { rooms, units, roomCode, unit } = await setup();
+
+  for (const hexId of ['1,0', '1,-1', '0,-1', '-1,0', '-1,1', '0,1']) {
+    rooms.updateHexState(roomCode, hexId, { height: 5 });
+  }
+
+  assert.equal(units.move(roomCode, 'alice', unit.id, '2,0').code, REJECTION_CODES.OUT_OF_RANGE);
+});
+
+test('players can only move their own units', async () => {
+  const { units, roomCode, unit } = await setup();
+
+  assert.equal(units.move(roomCode, 'bob', unit.id, '1,0').code, REJECTION_CODES.NOT_YOUR_UNIT);
+  assert.equal(units.move(roomCode, 'alice', 'no-such-unit', '1,0').code, REJECTION_CODES.UNKNOWN_UNIT);
+  assert.equal(units.move(roomCode, 'alice', unit.id, '0,0').code, REJECTION_CODES.INVALID_ACTION);
+  assert.equal(units.move(roomCode, 'alice', unit.id, '1,0').valid, true);
+});
+
+test('removed units are gone and free their hex', async () => {
+  const { rooms, units, roomCode, unit } = await setup();
+
+  assert.equal(rooms.removeUnit(roomCode, unit.id), true);
+  assert.equal(rooms.removeUnit(roomCode, unit.id), false);
+  assert.equal(rooms.getUnit(roomCode, unit.id), null);
+  assert.equal(units.move(roomCode, 'alice', unit.id, '1,0').code, REJECTION_CODES.UNKNOWN_UNIT);
+  assert.equal(units.spawn(roomCode, 'bob', '0,0', 'knight').valid, true);
+});
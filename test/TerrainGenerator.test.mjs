@@ -0,0 +1,104 @@
+// Unit tests for TerrainGenerator (terrain recipes every client regenerates identically).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TerrainGenerator, MIN_TERRAIN_HEIGHT, MAX_TERRAIN_HEIGHT } from '../public/js/utils/TerrainGenerator.js';
+import { HexUtils } from '../public/js/core/HexUtils.js';
+import { getChunkHexes, getGridChunks } from '../public/js/utils/Chunks.js';
+
+const hexUtils = new HexUtils();
+const settings = { radius: 12, shape: 'hexagon' };
+
+// Generate a grid from a seed, with or without hydrology
+function generate(seed, gridSettings = settings, options = {}) {
+  return new TerrainGenerator(TerrainGenerator.createRecipe(seed, options), gridSettings).generate();
+}
+
+test('recipes are derived from the seed alone', () => {
+  assert.deepEqual(TerrainGenerator.createRecipe(42), TerrainGenerator.createRecipe(42));
+  assert.notDeepEqual(TerrainGenerator.createRecipe(42), TerrainGenerator.createRecipe(43));
+
+  // Recipes are sent between clients, so they must survive a JSON round trip
+  const recipe = TerrainGenerator.createRecipe(42);
+  assert.deepEqual(JSON.parse(JSON.stringify(recipe)), recipe);
+});
+
+test('the same seed and settings give the same terrain', () => {
+  for (const options of [{}, { hydrology: false }]) {
+    const first = generate(1234, settings, options);
+    const second = generate(1234, settings, options);
+
+    assert.deepEqual(first.heights, second.heights);
+    assert.deepEqual(first.moisture, second.moisture);
+    assert.deepEqual(first.rivers, second.rivers);
+  }
+});
+
+test('different seeds give different terrain', () => {
+  const first = generate(1234).heights;
+  const second = generate(1235).heights;
+
+  const differing = Object.keys(first).filter(hexId => first[hexId] !== second[hexId]);
+  assert.ok(differing.length > Object.keys(first).length / 2);
+});
+
+test('the grid settings decide which hexes get a height', () => {
+  for (const shape of ['hexagon', 'parallelogram', 'rectangle']) {
+    const { heights } = generate(7, { radius: 6, shape });
+    const expected = hexUtils.getHexesInShape(shape, 6).map(({ q, r }) => hexUtils.getHexId(q, r));
+
+    assert.deepEqual(Object.keys(heights).sort(), expected.sort(), shape);
+  }
+});
+
+test('heights are in range and snapped to quarter steps', () => {
+  const { heights } = generate(99);
+
+  for (const height of Object.values(heights)) {
+    assert.ok(height >= MIN_TERRAIN_HEIGHT && height <= MAX_TERRAIN_HEIGHT, String(height));
+    assert.equal(height * 4, Math.round(height * 4));
+  }
+});
+
+test('chunks generated on their own match the whole grid', () => {
+  const gridSettings = { radius: 40, shape: 'hexagon' };
+  const recipe = TerrainGenerator.createRecipe(8);
+  const whole = new TerrainGenerator(recipe, gridSettings).generate();
+
+  for (const chunkId of ['0:0', '-3:1', '2:-3']) {
+    const chunk = new TerrainGenerator(recipe, gridSettings).getChunk(chunkId);
+    const hexIds = getChunkHexes(chunkId, 'hexagon', 40).map(({ q, r }) => hexUtils.getHexId(q, r));
+
+    assert.deepEqual(Object.keys(chunk.heights).sort(), [...hexIds].sort(), chunkId);
+    for (const hexId of hexIds) {
+      assert.equal(chunk.heights[hexId], whole.heights[hexId], hexId);
+      assert.equal(chunk.moisture[hexId], whole.moisture[hexId], hexId);
+      assert.equal(chunk.rivers[hexId], whole.rivers[hexId], hexId);
+    }
+  }
+
+  // Chunks outside the grid have no hexes
+  assert.deepEqual(new TerrainGenerator(recipe, gridSettings).getChunk('9:9'), { heights: {}, moisture: {}, rivers: {} });
+});
+
+test('big grids only generate the chunks asked for, and cache a bounded number', () => {
+  const generator = new TerrainGenerator(TerrainGenerator.createRecipe(3), { radius: 200, shape: 'hexagon' });
+  const chunkIds = getGridChunks('hexagon', 200);
+  assert.ok(chunkIds.length > 256);
+
+  generator.getChunk('0:0');
+  assert.ok(generator.chunks.size === 1 && generator.rawChunks.size < 40);
+
+  for (const chunkId of chunkIds.slice(0, 300)) generator.getChunk(chunkId);
+  assert.ok(generator.chunks.size <= 256 && generator.erodedChunks.size <= 256 && generator.rawChunks.size <= 256);
+});
+
+test('typed seeds: numbers are used as they are, words are hashed', () => {
+  assert.equal(TerrainGenerator.seedFromString('  1234 '), 1234);
+  assert.equal(TerrainGenerator.seedFromString(''), null);
+  assert.equal(TerrainGenerator.seedFromString('archipelago'), TerrainGenerator.seedFromString('archipelago'));
+  assert.notEqual(TerrainGenerator.seedFromString('archipelago'), TerrainGenerator.seedFromString('archipelagos'));
+
+  const seed = TerrainGenerator.seedFromString('archipelago');
+  assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 2147483647);
+});
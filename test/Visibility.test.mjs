@@ -0,0 +1,82 @@
+// Unit tests for line of sight in Visibility.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HexUtils } from '../public/js/core/HexUtils.js';
+import { Visibility } from '../public/js/utils/Visibility.js';
+
+const hexUtils = new HexUtils();
+
+// Build a height lookup for a hexagonal grid, flat unless overridden
+function makeGrid(radius, heights = {}) {
+  const grid = {};
+
+  for (const { q, r } of hexUtils.getHexesInRadius(0, 0, radius)) {
+    const hexId = hexUtils.getHexId(q, r);
+    grid[hexId] = heights[hexId] !== undefined ? heights[hexId] : 0;
+  }
+
+  return (hexId) => grid[hexId];
+}
+
+test('everything is visible on flat ground', () => {
+  const visibility = new Visibility(hexUtils, makeGrid(3));
+  const visible = visibility.getVisible('0,0', { range: 3 });
+
+  assert.equal(visible.size, hexUtils.getHexesInRadius(0, 0, 3).length);
+});
+
+test('a tall column hides the hexes behind it but not itself', () => {
+  const visibility = new Visibility(hexUtils, makeGrid(4, { '1,0': 5 }));
+
+  assert.ok(visibility.canSee('0,0', '1,0'));
+  assert.ok(!visibility.canSee('0,0', '2,0'));
+  assert.ok(!visibility.canSee('0,0', '3,0'));
+  assert.ok(visibility.canSee('0,0', '-2,0'));
+});
+
+test('a higher eye or a taller target sees over a wall', () => {
+  const visibility = new Visibility(hexUtils, makeGrid(4, { '1,0': 2 }));
+
+  assert.ok(!visibility.canSee('0,0', '2,0', 1));
+  assert.ok(visibility.canSee('0,0', '2,0', 5));
+
+  const hill = new Visibility(hexUtils, makeGrid(4, { '1,0': 2, '2,0': 4 }));
+  assert.ok(hill.canSee('0,0', '2,0', 1));
+});
+
+test('line of sight between hexes at the same height works both ways', () => {
+  const visibility = new Visibility(hexUtils, makeGrid(4, { '0,0': 1, '1,0': 3 }));
+
+  assert.equal(visibility.canSee('-1,0', '2,0'), visibility.canSee('2,0', '-1,0'));
+});
+
+test('range limits what can be seen', () => {
+  const visibility = new Visibility(hexUtils, makeGrid(5));
+  const visible = visibility.getVisible('0,0', { range: 1 });
+
+  assert.equal(visible.size, 7);
+  assert.ok(!visible.has('2,0'));
+});
+
+test('off-grid observers and targets see nothing', () => {
+  const visibility = new Visibility(hexUtils, makeGrid(2));
+
+  assert.ok(!visibility.canSee('9,9', '0,0'));
+  assert.ok(!visibility.canSee('0,0', '9,9'));
+  assert.equal(visibility.getVisible('9,9').size, 0);
+});
+
+test('per-player visible sets combine each player\'s observers', () => {
+  const visibility = new Visibility(hexUtils, makeGrid(5, { '0,0': 6 }));
+  const byPlayer = visibility.getVisibleByPlayer({
+    alice: [{ hexId: '-2,0', range: 1 }, { hexId: '2,0', range: 1 }],
+    bob: [{ hexId: '-4,0', eyeHeight: 1, range: 5 }]
+  });
+
+  assert.equal(byPlayer.alice.size, 14);
+  assert.ok(byPlayer.alice.has('-2,0') && byPlayer.alice.has('2,0'));
+  assert.ok(byPlayer.bob.has('0,0'));
+  assert.ok(!byPlayer.bob.has('1,0'));
+  assert.ok(!byPlayer.bob.has('2,0'));
+});